@@ -1,11 +1,21 @@
-const { Pool } = require('pg')
+const { Pool, types } = require('pg')
+const logger = require('./logger')
+
+// Return DATE columns as 'YYYY-MM-DD' strings instead of JS Dates at local midnight,
+// which shift by a day when serialized in a non-UTC server timezone
+types.setTypeParser(types.builtins.DATE, (value) => value)
+// DATE[] (oid 1182) is parsed like TEXT[] (oid 1009) for the same reason
+types.setTypeParser(1182, types.getTypeParser(1009))
+// Return BIGINT (BIGSERIAL ids) as numbers, as json_agg already does, so an id has
+// the same type in every response; ids stay far below Number.MAX_SAFE_INTEGER
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10))
 
 const connectionString = process.env.DATABASE_URL
 
 let pool
 
 if (connectionString) {
-  console.log('Database: Using DATABASE_URL connection')
+  logger.info('Database: using DATABASE_URL connection')
   // Enable SSL for common cloud hosts or when explicitly requested
   const ssl = /render.com|amazonaws|rds|postgres./i.test(connectionString) || process.env.DB_FORCE_SSL === 'true'
   pool = new Pool({
@@ -15,7 +25,7 @@ if (connectionString) {
     connectionTimeoutMillis: Number(process.env.PG_CONN_TIMEOUT_MS || 10000),
   })
 } else {
-  console.log('Database: Using individual PG env vars')
+  logger.info('Database: using individual PG env vars')
   pool = new Pool({
     user: process.env.PGUSER || process.env.DB_USER,
     host: process.env.PGHOST || process.env.DB_HOST,
@@ -30,26 +40,59 @@ if (connectionString) {
 
 // Handle pool errors
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err)
+  logger.error('Unexpected error on idle client', { error: err })
 })
 
+// Keep a reference to the original pool.query: the helper below is also
+// exported as pool.query, so calling pool.query from it would recurse forever
+const poolQuery = pool.query.bind(pool)
+
+// Query text with its whitespace collapsed, for logs; parameters (which may
+// hold patient data) are never logged
+const queryText = (text) => String(text && text.text ? text.text : text).replace(/\s+/g, ' ').trim()
+
 // Helper function to execute queries
 const query = async (text, params) => {
   const start = Date.now()
   try {
-    const res = await pool.query(text, params)
-    const duration = Date.now() - start
-    console.log('Executed query', { text, duration, rows: res.rowCount })
+    const res = await poolQuery(text, params)
+    logger.debug('Executed query', { query: queryText(text), duration_ms: Date.now() - start, rows: res.rowCount })
     return res
   } catch (error) {
-    console.error('Query error', { text, error: error.message })
+    logger.error('Query error', { query: queryText(text), duration_ms: Date.now() - start, error: error.message, code: error.code })
     throw error
   }
 }
 
+// Marks pooled clients whose query is already wrapped: clients are reused across checkouts
+const logged = Symbol('logged')
+
 // Helper function to get a client from the pool for transactions
+// Its queries are logged at debug like the helper's; failures too, as callers
+// handle them (e.g. a unique violation that becomes a 409)
 const getClient = async () => {
-  return await pool.connect()
+  const client = await pool.connect()
+  if (!client[logged]) {
+    const clientQuery = client.query.bind(client)
+    client.query = async (text, params, callback) => {
+      // pool.query runs on the same clients with a callback, and is logged by query above
+      if (typeof params === 'function' || typeof callback === 'function') {
+        return clientQuery(text, params, callback)
+      }
+
+      const start = Date.now()
+      try {
+        const res = await clientQuery(text, params)
+        logger.debug('Executed query', { query: queryText(text), duration_ms: Date.now() - start, rows: res.rowCount })
+        return res
+      } catch (error) {
+        logger.debug('Query failed', { query: queryText(text), duration_ms: Date.now() - start, error: error.message, code: error.code })
+        throw error
+      }
+    }
+    client[logged] = true
+  }
+  return client
 }
 
 // Export both pool and helper functions for backward compatibility
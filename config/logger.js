@@ -0,0 +1,126 @@
+/**
+ * Structured logger
+ * 
+ * Writes one JSON object per line to stdout, e.g.
+ * 
+ *   {"time":"2030-01-01T10:00:00.000Z","level":"info","msg":"Request completed","request_id":"...","status":201}
+ * 
+ * - LOG_LEVEL sets the lowest level written: debug, info (default), warn, error
+ *   or silent. Database queries are logged at debug
+ * - Lines logged while handling a request carry its request_id, and lines logged
+ *   by a background job carry the job's name (see middleware/requestContext.js)
+ * - Patient data is redacted before a line is written: fields named like a
+ *   name, email, phone number, date of birth or MRN (and secrets such as tokens),
+ *   whatever their value, and email addresses and phone numbers found in any
+ *   other string, e.g. an error message quoting a database constraint
+ * 
+ *   logger.info('Booking expired', { booking_id: 12 });
+ *   logger.error('Rollback error', { error });
+ */
+const { getRequestContext } = require('../middleware/requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+
+// Fields redacted whatever their value, compared lowercased without separators
+// so that patient_name, patientName and PatientName all match
+const REDACTED_FIELDS = new Set([
+  'name', 'patientname', 'email', 'patientemail', 'phone', 'patientphone',
+  'recipient', 'to', 'dateofbirth', 'dob', 'mrn',
+  'authorization', 'password', 'secret', 'token'
+]);
+
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+// 10 to 15 digits, optionally separated; not part of a longer word, id or time
+const PHONE_PATTERN = /(?<![\w:.-])\+?\(?(?:\d[\s.()-]{0,2}){9,14}\d(?![\w:-])/g;
+
+// How deep nested fields are logged
+const MAX_DEPTH = 6;
+
+const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+/**
+ * Redact email addresses and phone numbers in a string
+ */
+function redactString(value) {
+  return value.replace(EMAIL_PATTERN, REDACTED).replace(PHONE_PATTERN, REDACTED);
+}
+
+/**
+ * Copy a value for logging: Errors become plain objects, and patient data is redacted
+ */
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return sanitize({ type: value.name, message: value.message, code: value.code, stack: value.stack }, depth + 1, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) {
+      continue;
+    }
+    result[key] = REDACTED_FIELDS.has(key.toLowerCase().replace(/[^a-z]/g, ''))
+      ? REDACTED
+      : sanitize(field, depth + 1, seen);
+  }
+  return result;
+}
+
+/**
+ * Where a line was logged from: the request id, or the background job
+ */
+function contextFields() {
+  const context = getRequestContext();
+  if (!context) {
+    return {};
+  }
+  return context.system ? { job: context.system } : { request_id: context.requestId };
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...contextFields(),
+    ...sanitize(fields || {})
+  };
+
+  try {
+    process.stdout.write(`${JSON.stringify(line)}\n`);
+  } catch (error) {
+    // A log line must never break the request or job that wrote it
+  }
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
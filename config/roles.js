@@ -0,0 +1,18 @@
+/**
+ * User roles carried in the `role` claim of bearer tokens
+ * (see middleware/auth.js)
+ */
+const ROLES = {
+  ADMIN: 'admin',
+  FRONT_DESK: 'front_desk',
+  DOCTOR: 'doctor',
+  PATIENT: 'patient'
+};
+
+// Clinic staff may act on any booking or patient
+const STAFF_ROLES = [ROLES.ADMIN, ROLES.FRONT_DESK];
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES
+};
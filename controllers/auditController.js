@@ -0,0 +1,38 @@
+const auditService = require('../services/auditService');
+const { ValidationError } = require('../errors');
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * List audit log entries, newest first
+ * Query: entity, id (requires entity), action, actor_id, request_id, from, to, page, limit
+ */
+async function listAuditEntries(req, res, next) {
+  try {
+    const { entity, id, action, actor_id, request_id, from, to, page, limit } = req.query;
+
+    if (id !== undefined && entity === undefined) {
+      throw new ValidationError('id requires entity');
+    }
+
+    const result = await auditService.listAuditEntries({
+      entity,
+      entityId: id,
+      action,
+      actorId: actor_id,
+      requestId: request_id,
+      from: from && new Date(from),
+      to: to && new Date(to),
+      page: page || 1,
+      limit: limit || DEFAULT_LIMIT
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listAuditEntries
+};
@@ -0,0 +1,76 @@
+const availabilityService = require('../services/availabilityService');
+const { ValidationError } = require('../errors');
+
+const TIME_RANGE_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_RANGE_DAYS = 14;
+const MAX_RANGE_DAYS = 92;
+const DEFAULT_LIMIT = 20;
+const DEFAULT_SLOTS_PER_DOCTOR = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Search free, future slots across doctors
+ * Query: specialization, from, to, time_of_day, timezone, min_duration, page, limit, slots_per_doctor
+ * Defaults to the next 14 days; the from/to range may span at most 92 days
+ * (formats and limits are checked by schemas/availability.schemas.js)
+ */
+async function searchAvailability(req, res, next) {
+  try {
+    const {
+      specialization,
+      from,
+      to,
+      time_of_day,
+      timezone,
+      min_duration,
+      page,
+      limit,
+      slots_per_doctor
+    } = req.query;
+
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : new Date(fromDate.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+    if (toDate <= fromDate) {
+      throw new ValidationError('to must be after from');
+    }
+    if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+      throw new ValidationError(`from/to range must not exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    let timeOfDay;
+    if (time_of_day) {
+      if (availabilityService.TIME_OF_DAY_RANGES[time_of_day]) {
+        timeOfDay = availabilityService.TIME_OF_DAY_RANGES[time_of_day];
+      } else if (TIME_RANGE_PATTERN.test(time_of_day)) {
+        timeOfDay = time_of_day.split('-');
+        if (timeOfDay[1] <= timeOfDay[0]) {
+          throw new ValidationError('time_of_day range must end after it starts');
+        }
+      } else {
+        throw new ValidationError(
+          `time_of_day must be one of ${Object.keys(availabilityService.TIME_OF_DAY_RANGES).join(', ')} or a HH:MM-HH:MM range`
+        );
+      }
+    }
+
+    const result = await availabilityService.searchAvailability({
+      specialization,
+      from: fromDate,
+      to: toDate,
+      timeOfDay,
+      timezone,
+      minDuration: min_duration,
+      page: page || 1,
+      limit: limit || DEFAULT_LIMIT,
+      slotsPerDoctor: slots_per_doctor || DEFAULT_SLOTS_PER_DOCTOR
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  searchAvailability
+};
@@ -0,0 +1,164 @@
+const availabilityTemplateService = require('../services/availabilityTemplateService');
+const { NotFoundError, ValidationError } = require('../errors');
+
+const DAY_NAMES = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Convert a day of week to ISO numbering (1 = Monday ... 7 = Sunday)
+ * Accepts ISO numbers or day names ("mon", "Monday")
+ * @returns {number|null} ISO day number, or null if invalid
+ */
+function toIsoDay(day) {
+  if (Number.isInteger(day) && day >= 1 && day <= 7) {
+    return day;
+  }
+  if (typeof day === 'string') {
+    const index = DAY_NAMES.indexOf(day.trim().toLowerCase().slice(0, 3));
+    return index >= 0 ? index + 1 : null;
+  }
+  return null;
+}
+
+/**
+ * Normalize template fields from a request body
+ * Types and formats are checked by schemas/template.schemas.js; this checks day
+ * names and that the times and dates are in order
+ * @returns {{ error: string }|{ values: Object }} The first validation error, or the normalized values
+ */
+function readTemplate(body) {
+  const values = {};
+
+  if (body.days_of_week !== undefined) {
+    const days = body.days_of_week.map(toIsoDay);
+    if (days.includes(null)) {
+      return { error: 'days_of_week entries must be 1-7 (Monday-Sunday) or day names' };
+    }
+    values.days_of_week = [...new Set(days)].sort();
+  }
+
+  for (const field of ['start_time', 'end_time', 'slot_duration_minutes', 'valid_from', 'valid_to', 'skip_dates', 'timezone']) {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  }
+
+  if (values.start_time && values.end_time && values.end_time <= values.start_time) {
+    return { error: 'end_time must be after start_time' };
+  }
+
+  if (values.valid_from && values.valid_to && values.valid_to < values.valid_from) {
+    return { error: 'valid_to must not be before valid_from' };
+  }
+
+  return { values };
+}
+
+/**
+ * Create an availability template for a doctor and generate its slots
+ */
+async function createTemplate(req, res, next) {
+  try {
+    const { error, values } = readTemplate(req.body);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const template = await availabilityTemplateService.createTemplate({
+      doctor_id: req.body.doctor_id,
+      ...values
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List availability templates, optionally filtered by ?doctor_id=
+ */
+async function listTemplates(req, res, next) {
+  try {
+    const templates = await availabilityTemplateService.listTemplates(req.query.doctor_id);
+    res.json(templates);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a single availability template
+ */
+async function getTemplate(req, res, next) {
+  try {
+    const template = await availabilityTemplateService.getTemplateById(req.params.id);
+
+    if (!template) {
+      throw new NotFoundError('Availability template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update an availability template
+ * Future unbooked slots are regenerated from the new definition; booked slots are kept
+ */
+async function updateTemplate(req, res, next) {
+  try {
+    const { error, values } = readTemplate(req.body);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    if (Object.keys(values).length === 0) {
+      throw new ValidationError('No template fields to update');
+    }
+
+    const template = await availabilityTemplateService.updateTemplate(req.params.id, values);
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate an availability template and remove its future unbooked slots
+ */
+async function deactivateTemplate(req, res, next) {
+  try {
+    const template = await availabilityTemplateService.deactivateTemplate(req.params.id);
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Run the slot generator for a single template right away
+ */
+async function generateTemplateSlots(req, res, next) {
+  try {
+    const template = await availabilityTemplateService.getTemplateById(req.params.id);
+
+    if (!template) {
+      throw new NotFoundError('Availability template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    const { generated, conflicts } = await availabilityTemplateService.generateSlots({ templateId: template.id });
+    res.json({ template_id: template.id, generated, conflicts });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createTemplate,
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  generateTemplateSlots
+};
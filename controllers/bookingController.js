@@ -1,20 +1,85 @@
 const bookingService = require('../services/bookingService');
+const patientService = require('../services/patientService');
+const auditService = require('../services/auditService');
+const outboxService = require('../services/outboxService');
+const reminderService = require('../services/reminderService');
+const calendarService = require('../services/calendarService');
+const metricsService = require('../services/metricsService');
 const { getClient } = require('../config/database');
+const { ROLES, STAFF_ROLES } = require('../config/roles');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+
+/**
+ * Read the patient a booking is for from a request body
+ * Either patient_id of an existing patient, or patient_name plus optional
+ * patient_email, patient_phone, patient_date_of_birth and patient_mrn
+ * (their formats are checked by the route's schema, see schemas/common.js)
+ * 
+ * A request authenticated as a patient always books for that patient. Only
+ * staff may book for another existing patient, by patient_id or by matching
+ * contact details; other requests (anonymous or doctor tokens) can only create
+ * a new patient, as anyone can send someone else's email, phone or MRN
+ * (see patientService.findOrCreatePatient).
+ * @param {Object} body - The request body
+ * @param {Object} [user] - The authenticated user (req.user), if any
+ * @returns {{ error: string }|{ patient: Object }} The validation error, or the patient data
+ */
+function readPatient(body, user) {
+  if (user && user.role === ROLES.PATIENT) {
+    if (!user.patientId) {
+      return { error: 'Patient token has no patient_id' };
+    }
+    return { patient: { id: Number(user.patientId), name: body && body.patient_name } };
+  }
+
+  const {
+    patient_id,
+    patient_name,
+    patient_email,
+    patient_phone,
+    patient_date_of_birth,
+    patient_mrn
+  } = body || {};
+
+  const isStaff = Boolean(user && STAFF_ROLES.includes(user.role));
+
+  if (patient_id !== undefined) {
+    if (!isStaff) {
+      return { error: 'patient_id can only be sent with a staff token; book with a patient token instead' };
+    }
+    return { patient: { id: patient_id, name: patient_name } };
+  }
+
+  if (!patient_name) {
+    return { error: 'patient_id or patient_name is required' };
+  }
+
+  return {
+    patient: {
+      name: patient_name,
+      email: patient_email,
+      phone: patient_phone,
+      dateOfBirth: patient_date_of_birth,
+      mrn: patient_mrn,
+      matchExisting: isStaff
+    }
+  };
+}
 
 /**
  * Book a slot using a SQL transaction
- * Uses FOR UPDATE to lock the slot and prevent double booking
+ * Uses FOR UPDATE to lock the slot and prevent double booking, and caps the
+ * patient's active bookings (see bookingService.assertActiveBookingLimit)
  */
 async function bookSlot(req, res, next) {
   const client = await getClient();
   
   try {
-    const slotId = parseInt(req.params.slotId);
-    const { patient_name, patient_email } = req.body;
+    const { slotId } = req.params;
+    const { error: patientError, patient } = readPatient(req.body, req.user);
 
-    // Validate required fields
-    if (!slotId || !patient_name) {
-      return res.status(400).json({ error: 'slotId and patient_name are required' });
+    if (patientError) {
+      throw new ValidationError(patientError);
     }
 
     // Start transaction
@@ -28,16 +93,24 @@ async function bookSlot(req, res, next) {
       );
 
       if (slotResult.rows.length === 0) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ error: 'Slot not found' });
+        throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
       }
 
+      // Reject blocked slots and deactivated doctors
+      await bookingService.assertSlotBookable(client, slotId);
+
+      // Free the slot from any hold that has expired but not been swept yet
+      await bookingService.releaseExpiredHolds(client, slotId);
+
+      // Find the patient by MRN, email or phone, or create a new patient record
+      const patientRecord = await patientService.resolvePatient(client, patient);
+      await bookingService.assertActiveBookingLimit(client, patientRecord.id);
+
       // Insert into bookings with status PENDING and expires_at set to 2 minutes from now
       // If the booking is not confirmed within 2 minutes, it will be marked as FAILED by the expiry job
-      // Note: patient_email is optional and may not exist in the schema
       const bookingResult = await client.query(
-        'INSERT INTO bookings (slot_id, patient_name, status, expires_at) VALUES ($1, $2, $3, NOW() + INTERVAL \'2 minutes\') RETURNING *',
-        [slotId, patient_name, 'PENDING']
+        'INSERT INTO bookings (slot_id, patient_id, patient_name, status, expires_at) VALUES ($1, $2, $3, $4, NOW() + INTERVAL \'2 minutes\') RETURNING *',
+        [slotId, patientRecord.id, patient.name || patientRecord.name, 'PENDING']
       );
       const booking = bookingResult.rows[0];
 
@@ -47,6 +120,7 @@ async function bookSlot(req, res, next) {
           'INSERT INTO booking_slots (booking_id, slot_id) VALUES ($1, $2)',
           [booking.id, slotId]
         );
+        await calendarService.bumpSlotSequence(client, [slotId]);
 
         // Success - update booking status to CONFIRMED
         const confirmedResult = await client.query(
@@ -55,15 +129,33 @@ async function bookSlot(req, res, next) {
         );
         const confirmedBooking = confirmedResult.rows[0];
 
+        await auditService.recordAudit(client, {
+          action: 'booking.create',
+          entity: 'booking',
+          entityId: confirmedBooking.id,
+          after: confirmedBooking
+        });
+
+        await outboxService.enqueueEvent(client, {
+          type: 'booking.created',
+          entity: 'booking',
+          entityId: confirmedBooking.id,
+          data: confirmedBooking
+        });
+
+        await reminderService.scheduleReminders(client, confirmedBooking.id);
+
         // Commit transaction
         await client.query('COMMIT');
+        metricsService.recordBookingOutcome('book');
 
         // Return the confirmed booking
         res.status(201).json({
           id: confirmedBooking.id,
           slot_id: confirmedBooking.slot_id,
+          patient_id: confirmedBooking.patient_id,
           patient_name: confirmedBooking.patient_name,
-          patient_email: patient_email || null,
+          patient_email: patientRecord.email,
           status: confirmedBooking.status,
           created_at: confirmedBooking.created_at,
           updated_at: confirmedBooking.updated_at
@@ -71,11 +163,9 @@ async function bookSlot(req, res, next) {
       } catch (insertError) {
         // Check if it's a unique violation (slot already booked)
         if (insertError.code === '23505') { // PostgreSQL unique violation error code
-          await client.query('ROLLBACK');
-          return res.status(409).json({ error: 'Slot already booked' });
+          throw new ConflictError('Slot already booked', 'SLOT_ALREADY_BOOKED');
         }
-        // Other error - rollback and rethrow
-        await client.query('ROLLBACK');
+        // Other error - rethrow (rolled back below)
         throw insertError;
       }
     } catch (error) {
@@ -84,6 +174,7 @@ async function bookSlot(req, res, next) {
       throw error;
     }
   } catch (error) {
+    metricsService.recordBookingOutcome('book', error);
     // Pass to error handling middleware
     next(error);
   } finally {
@@ -93,53 +184,140 @@ async function bookSlot(req, res, next) {
 }
 
 /**
- * Create a new booking for a slot
- * Validates that slotId and patientName are provided, then creates the booking via the service
- * Handles concurrency errors (409) and other errors appropriately
+ * Get a booking by its ID
+ * Retrieves the booking from the service and returns it, or 404 if not found
  */
-async function createBooking(req, res, next) {
+async function getBooking(req, res, next) {
   try {
-    const slotId = req.params.slotId;
-    const { patientName } = req.body;
+    const bookingId = req.params.id;
+    const booking = await bookingService.getBookingById(bookingId);
 
-    if (!slotId || !patientName) {
-      return res.status(400).json({ error: 'slotId and patientName are required' });
+    if (!booking) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
     }
 
-    const booking = await bookingService.createBooking({ slotId, patientName });
-    res.status(201).json(booking);
+    res.status(200).json(booking);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel a booking
+ * Marks the booking CANCELLED and frees the slot. cancelled_by records the
+ * role of the caller who cancelled it, e.g. 'patient' or 'front_desk'
+ */
+async function cancelBooking(req, res, next) {
+  try {
+    const bookingId = req.params.id;
+    const { reason } = req.body;
+
+    const booking = await bookingService.cancelBooking({ bookingId, cancelledBy: req.user.role, reason });
+    res.status(200).json(booking);
   } catch (error) {
-    // If the error has a statusCode (e.g., 409 for slot already booked), use it
-    if (error.statusCode) {
-      return res.status(error.statusCode).json({ error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Reschedule a booking to the slot in slot_id
+ * Moves the booking atomically via the service
+ */
+async function rescheduleBooking(req, res, next) {
+  try {
+    const booking = await bookingService.rescheduleBooking({
+      bookingId: req.params.id,
+      slotId: req.body.slot_id
+    });
+    res.status(200).json(booking);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the reschedule history of a booking
+ * Returns 404 if the booking does not exist
+ */
+async function getRescheduleHistory(req, res, next) {
+  try {
+    const bookingId = req.params.id;
+    const booking = await bookingService.getBookingById(bookingId);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
     }
-    // Otherwise, pass to error handling middleware
+
+    const history = await bookingService.getRescheduleHistory(bookingId);
+    res.status(200).json(history);
+  } catch (error) {
     next(error);
   }
 }
 
 /**
- * Get a booking by its ID
- * Retrieves the booking from the service and returns it, or 404 if not found
+ * Get the reminders of a booking, with every send attempt
  */
-async function getBooking(req, res, next) {
+async function getBookingReminders(req, res, next) {
   try {
     const bookingId = req.params.id;
     const booking = await bookingService.getBookingById(bookingId);
 
     if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
     }
 
+    const reminders = await reminderService.getBookingReminders(bookingId);
+    res.status(200).json(reminders);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Place a temporary hold on a slot
+ * Creates a PENDING booking that reserves the slot until it is confirmed or expires
+ */
+async function holdSlot(req, res, next) {
+  try {
+    const { error: patientError, patient } = readPatient(req.body, req.user);
+
+    if (patientError) {
+      throw new ValidationError(patientError);
+    }
+
+    const booking = await bookingService.holdSlot({ slotId: req.params.slotId, patient });
+    metricsService.recordBookingOutcome('hold');
+    res.status(201).json(booking);
+  } catch (error) {
+    metricsService.recordBookingOutcome('hold', error);
+    next(error);
+  }
+}
+
+/**
+ * Confirm a held booking before its hold expires
+ */
+async function confirmBooking(req, res, next) {
+  try {
+    const booking = await bookingService.confirmBooking(req.params.id);
+    metricsService.recordBookingOutcome('confirm');
     res.status(200).json(booking);
   } catch (error) {
+    metricsService.recordBookingOutcome('confirm', error);
     next(error);
   }
 }
 
 module.exports = {
   bookSlot,
-  createBooking,
-  getBooking
+  holdSlot,
+  confirmBooking,
+  getBooking,
+  cancelBooking,
+  rescheduleBooking,
+  getRescheduleHistory,
+  getBookingReminders,
+  readPatient
 };
 
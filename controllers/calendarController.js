@@ -0,0 +1,82 @@
+const calendarService = require('../services/calendarService');
+const { NotFoundError, UnauthorizedError } = require('../errors');
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - The response
+ * @param {string} ics - The iCalendar text
+ * @param {string} [filename] - Offer the document as a download with this file name
+ */
+function sendCalendar(res, ics, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, no-cache');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(ics);
+}
+
+/**
+ * Issue a calendar feed token for a doctor, revoking the previous one
+ * Returns the token and the feed URL to subscribe to; the token cannot be retrieved later
+ */
+async function issueCalendarToken(req, res, next) {
+  try {
+    const doctorId = req.params.id;
+    const token = await calendarService.issueFeedToken(doctorId);
+    const url = `${req.protocol}://${req.get('host')}/api/doctors/${doctorId}/calendar.ics?token=${token}`;
+    res.status(201).json({ doctor_id: doctorId, token, url });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a doctor's calendar feed
+ * Authenticated by the feed token in the ?token= query parameter, so calendar
+ * apps can subscribe to the URL without a bearer token
+ */
+async function getDoctorCalendar(req, res, next) {
+  try {
+    const doctorId = req.params.id;
+    const { token } = req.query;
+
+    if (!token || !(await calendarService.verifyFeedToken(doctorId, token))) {
+      throw new UnauthorizedError('A valid calendar token is required', 'INVALID_CALENDAR_TOKEN');
+    }
+
+    const ics = await calendarService.getDoctorCalendar(doctorId);
+
+    if (!ics) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    sendCalendar(res, ics);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the calendar file of a booking
+ */
+async function getBookingCalendar(req, res, next) {
+  try {
+    const bookingId = req.params.id;
+    const ics = await calendarService.getBookingCalendar(bookingId);
+
+    if (!ics) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+
+    sendCalendar(res, ics, `booking-${bookingId}.ics`);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  issueCalendarToken,
+  getDoctorCalendar,
+  getBookingCalendar
+};
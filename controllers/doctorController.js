@@ -1,27 +1,85 @@
 const doctorService = require('../services/doctorService');
+const { ValidationError } = require('../errors');
 
 /**
- * Create a new doctor
- * Validates that name is provided, then creates the doctor via the service
+ * Create a new doctor via the service
  */
 async function createDoctor(req, res, next) {
   try {
     const { name, specialization } = req.body;
+    const doctor = await doctorService.createDoctor({ name, specialization });
+    res.status(201).json(doctor);
+  } catch (error) {
+    next(error);
+  }
+}
 
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
+/**
+ * Update a doctor's name and/or specialization
+ * Validates that at least one is given
+ */
+async function updateDoctor(req, res, next) {
+  try {
+    const { name, specialization } = req.body;
+
+    if (name === undefined && specialization === undefined) {
+      throw new ValidationError('At least one of name, specialization is required');
     }
 
-    const doctor = await doctorService.createDoctor({ name, specialization });
-    res.status(201).json(doctor);
+    const doctor = await doctorService.updateDoctor(req.params.id, {
+      name: name === undefined ? undefined : name.trim(),
+      specialization
+    });
+    res.json(doctor);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate a doctor: hides them from public listings and stops new bookings
+ * Existing bookings are kept
+ */
+async function deactivateDoctor(req, res, next) {
+  try {
+    const doctor = await doctorService.setDoctorActive(req.params.id, false);
+    res.json(doctor);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reactivate a deactivated doctor
+ */
+async function activateDoctor(req, res, next) {
+  try {
+    const doctor = await doctorService.setDoctorActive(req.params.id, true);
+    res.json(doctor);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a doctor
+ * Refused with 409 (details.booking_ids) while the doctor has upcoming bookings,
+ * unless ?cancel_bookings=true is given to cancel them
+ */
+async function deleteDoctor(req, res, next) {
+  try {
+    const result = await doctorService.deleteDoctor(req.params.id, {
+      cancelBookings: req.query.cancel_bookings === true
+    });
+    res.json(result);
   } catch (error) {
     next(error);
   }
 }
 
 /**
- * Get all doctors
- * Retrieves and returns the list of all doctors
+ * Get all active doctors
+ * Retrieves and returns the public list of doctors
  */
 async function getDoctors(req, res, next) {
   try {
@@ -38,8 +96,7 @@ async function getDoctors(req, res, next) {
  */
 async function getDoctorSlots(req, res, next) {
   try {
-    const doctorId = req.params.id;
-    const slots = await doctorService.getDoctorSlots(doctorId);
+    const slots = await doctorService.getDoctorSlots(req.params.id);
     res.json(slots);
   } catch (error) {
     next(error);
@@ -48,6 +105,10 @@ async function getDoctorSlots(req, res, next) {
 
 module.exports = {
   createDoctor,
+  updateDoctor,
+  deactivateDoctor,
+  activateDoctor,
+  deleteDoctor,
   getDoctors,
   getDoctorSlots
 };
@@ -0,0 +1,31 @@
+const jobs = require('../src/jobs');
+
+/**
+ * List the background jobs with their schedule and run history
+ */
+async function listJobs(req, res, next) {
+  try {
+    res.json(await jobs.listJobs());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Run a background job now, whether or not it is due
+ * Responds once the run has finished, with the recorded run (FAILED if the
+ * job threw), or 409 if the job is already running on any instance
+ */
+async function runJob(req, res, next) {
+  try {
+    const run = await jobs.runNow(req.params.name, String(req.user.id));
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listJobs,
+  runJob
+};
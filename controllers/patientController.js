@@ -0,0 +1,44 @@
+const patientService = require('../services/patientService');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Get a patient by ID
+ * Returns 404 if the patient does not exist
+ */
+async function getPatient(req, res, next) {
+  try {
+    const patient = await patientService.getPatientById(req.params.id);
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found', 'PATIENT_NOT_FOUND');
+    }
+
+    res.json(patient);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a patient's booking history
+ * Returns every booking of the patient (any status), most recent appointment first
+ */
+async function getPatientBookings(req, res, next) {
+  try {
+    const patient = await patientService.getPatientById(req.params.id);
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found', 'PATIENT_NOT_FOUND');
+    }
+
+    const bookings = await patientService.getPatientBookings(patient.id);
+    res.json(bookings);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getPatient,
+  getPatientBookings
+};
@@ -1,30 +1,103 @@
 const slotService = require('../services/slotService');
+const { ValidationError } = require('../errors');
 
 /**
- * Create a new appointment slot for a doctor
- * Validates that doctorId and startTime are provided, then creates the slot via the service
+ * Update a slot: start_time, duration_minutes, blocked and block_reason, all optional
+ * Moving a booked slot requires ?on_booked=move, which moves the booking with it
  */
-async function createSlot(req, res, next) {
+async function updateSlot(req, res, next) {
   try {
-    const { doctorId, startTime, durationMinutes } = req.body;
+    const { start_time, duration_minutes, blocked, block_reason } = req.body;
 
-    if (!doctorId) {
-      return res.status(400).json({ error: 'Doctor ID is required' });
+    if ([start_time, duration_minutes, blocked, block_reason].every(value => value === undefined)) {
+      throw new ValidationError(
+        'At least one of start_time, duration_minutes, blocked, block_reason is required'
+      );
     }
 
-    if (!startTime) {
-      return res.status(400).json({ error: 'Start time is required' });
+    const slot = await slotService.updateSlot(req.params.id, {
+      startTime: start_time,
+      durationMinutes: duration_minutes,
+      blocked,
+      blockReason: block_reason
+    }, { moveBooking: req.query.on_booked === 'move' });
+
+    res.json(slot);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a slot
+ * Deleting a booked slot requires ?on_booked=cancel, which cancels the booking;
+ * slots with booking history are blocked rather than removed
+ */
+async function deleteSlot(req, res, next) {
+  try {
+    const result = await slotService.deleteSlot(req.params.id, {
+      cancelBooking: req.query.on_booked === 'cancel'
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Block a date range of a doctor
+ * Body: starts_at and ends_at (ISO 8601; dates without a time are UTC midnight)
+ * and an optional reason. Returns the bookings in the range so staff can contact
+ * the patients
+ */
+async function createBlock(req, res, next) {
+  try {
+    const { starts_at, ends_at, reason } = req.body;
+
+    if (new Date(ends_at) <= new Date(starts_at)) {
+      throw new ValidationError('ends_at must be after starts_at');
     }
 
-    const slot = await slotService.createSlot({ doctorId, startTime, durationMinutes });
-    res.status(201).json(slot);
+    const block = await slotService.blockRange({
+      doctorId: req.params.id,
+      startsAt: starts_at,
+      endsAt: ends_at,
+      reason
+    });
+    res.status(201).json(block);
   } catch (error) {
     next(error);
   }
 }
 
-module.exports = {
-  createSlot
-};
+/**
+ * List a doctor's blocked ranges
+ */
+async function listBlocks(req, res, next) {
+  try {
+    const blocks = await slotService.listBlocks(req.params.id);
+    res.json(blocks);
+  } catch (error) {
+    next(error);
+  }
+}
 
+/**
+ * Remove a blocked range, unblocking its slots
+ */
+async function deleteBlock(req, res, next) {
+  try {
+    const block = await slotService.removeBlock(req.params.id);
+    res.json(block);
+  } catch (error) {
+    next(error);
+  }
+}
 
+module.exports = {
+  updateSlot,
+  deleteSlot,
+  createBlock,
+  listBlocks,
+  deleteBlock
+};
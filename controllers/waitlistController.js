@@ -0,0 +1,230 @@
+const waitlistService = require('../services/waitlistService');
+const bookingService = require('../services/bookingService');
+const metricsService = require('../services/metricsService');
+const { readPatient } = require('./bookingController');
+const { ROLES } = require('../config/roles');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+
+const TIME_RANGE_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d)-(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Named parts of the day accepted as time_of_day
+const TIMES_OF_DAY = {
+  morning: ['06:00', '12:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '21:00']
+};
+
+/**
+ * Read the preferences of a waitlist entry from a request body
+ * - preferred_from / preferred_to: acceptable dates (YYYY-MM-DD), both optional
+ * - time_of_day: 'morning', 'afternoon', 'evening' or a range such as '09:00-13:00'
+ * - timezone: IANA time zone the dates and times are in (defaults to UTC)
+ * Formats are checked by schemas/waitlist.schemas.js
+ * @returns {{ error: string }|{ values: Object }} The first validation error, or the preferences
+ */
+function readPreferences(body) {
+  const { preferred_from, preferred_to, time_of_day, timezone } = body;
+  const values = {};
+
+  if (preferred_from !== undefined && preferred_from !== null) {
+    values.preferredFrom = preferred_from;
+  }
+
+  if (preferred_to !== undefined && preferred_to !== null) {
+    if (values.preferredFrom && preferred_to < values.preferredFrom) {
+      return { error: 'preferred_to must not be before preferred_from' };
+    }
+    values.preferredTo = preferred_to;
+  }
+
+  if (time_of_day !== undefined && time_of_day !== null) {
+    const named = TIMES_OF_DAY[time_of_day.toLowerCase()];
+    const range = time_of_day.match(TIME_RANGE_PATTERN);
+    if (!named && !(range && range[3] > range[1])) {
+      return {
+        error: `time_of_day must be one of ${Object.keys(TIMES_OF_DAY).join(', ')} or a range such as 09:00-13:00`
+      };
+    }
+    [values.timeOfDayFrom, values.timeOfDayTo] = named || [range[1], range[3]];
+  }
+
+  if (timezone !== undefined && timezone !== null) {
+    values.timezone = timezone;
+  }
+
+  return { values };
+}
+
+/**
+ * Add a patient to a doctor's waitlist
+ * The patient is given as for a booking (patient_id, or patient_name and contact
+ * details); a patient token always joins as that patient
+ */
+async function joinWaitlist(req, res, next) {
+  try {
+    const doctorId = req.params.id;
+    const body = req.body;
+
+    const { error: patientError, patient } = readPatient(body, req.user);
+    if (patientError) {
+      throw new ValidationError(patientError);
+    }
+
+    const { error: preferenceError, values } = readPreferences(body);
+    if (preferenceError) {
+      throw new ValidationError(preferenceError);
+    }
+
+    const entry = await waitlistService.joinWaitlist({ doctorId, patient, ...values });
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a doctor's waitlist in line order
+ * Optional ?status= filter; by default only WAITING and OFFERED entries are listed
+ */
+async function getDoctorWaitlist(req, res, next) {
+  try {
+    const entries = await waitlistService.listDoctorWaitlist(req.params.id, { status: req.query.status });
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a waitlist entry with its offers
+ */
+async function getEntry(req, res, next) {
+  try {
+    const entry = await waitlistService.getEntryById(req.params.id);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found', 'WAITLIST_ENTRY_NOT_FOUND');
+    }
+
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Leave a waitlist
+ * An open offer is declined first, releasing its hold for the next patient in line
+ */
+async function leaveWaitlist(req, res, next) {
+  try {
+    const entryId = req.params.id;
+    const entry = await waitlistService.getEntryById(entryId);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found', 'WAITLIST_ENTRY_NOT_FOUND');
+    }
+
+    const openOffer = entry.offers.find(offer => offer.status === 'PENDING');
+    if (openOffer) {
+      await bookingService.cancelBooking({
+        bookingId: openOffer.booking_id,
+        cancelledBy: req.user.role === ROLES.PATIENT ? 'patient' : 'admin',
+        reason: 'Left the waitlist'
+      });
+    }
+
+    const cancelled = await waitlistService.leaveWaitlist(entryId);
+    res.json(cancelled);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a waitlist offer
+ */
+async function getOffer(req, res, next) {
+  try {
+    const offer = await waitlistService.getOfferById(req.params.id);
+
+    if (!offer) {
+      throw new NotFoundError('Waitlist offer not found', 'WAITLIST_OFFER_NOT_FOUND');
+    }
+
+    res.json(offer);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Load the offer in the :id route parameter, which must still be PENDING
+ * @param {Object} req - The request
+ * @param {string} verb - What is being done to the offer, for the 409 message
+ * @returns {Promise<Object>} The offer
+ * @throws {Error} Throws error with statusCode 404 if the offer is not found, or 409 if it was answered
+ */
+async function loadOpenOffer(req, verb) {
+  const offer = await waitlistService.getOfferById(req.params.id);
+
+  if (!offer) {
+    throw new NotFoundError('Waitlist offer not found', 'WAITLIST_OFFER_NOT_FOUND');
+  }
+
+  if (offer.status !== 'PENDING') {
+    throw new ConflictError(
+      `Waitlist offer cannot be ${verb} (status: ${offer.status})`,
+      'INVALID_WAITLIST_OFFER_STATUS',
+      { status: offer.status }
+    );
+  }
+
+  return offer;
+}
+
+/**
+ * Accept a waitlist offer: confirms the held booking
+ * Returns 410 if the offer's hold has expired
+ */
+async function acceptOffer(req, res, next) {
+  try {
+    const offer = await loadOpenOffer(req, 'accepted');
+    const booking = await bookingService.confirmBooking(offer.booking_id);
+    metricsService.recordBookingOutcome('offer_accept');
+
+    res.json({ offer: await waitlistService.getOfferById(offer.id), booking });
+  } catch (error) {
+    metricsService.recordBookingOutcome('offer_accept', error);
+    next(error);
+  }
+}
+
+/**
+ * Decline a waitlist offer: cancels the held booking and returns the patient to
+ * the waitlist; the slot is offered to the next patient in line
+ */
+async function declineOffer(req, res, next) {
+  try {
+    const offer = await loadOpenOffer(req, 'declined');
+    const booking = await bookingService.cancelBooking({
+      bookingId: offer.booking_id,
+      cancelledBy: req.user.role === ROLES.PATIENT ? 'patient' : 'admin',
+      reason: 'Waitlist offer declined'
+    });
+
+    res.json({ offer: await waitlistService.getOfferById(offer.id), booking });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  joinWaitlist,
+  getDoctorWaitlist,
+  getEntry,
+  leaveWaitlist,
+  getOffer,
+  acceptOffer,
+  declineOffer
+};
@@ -0,0 +1,162 @@
+const webhookService = require('../services/webhookService');
+const { NotFoundError, ValidationError } = require('../errors');
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Read subscription fields from a request body (checked by schemas/webhook.schemas.js)
+ * @returns {Object} The fields that were given, with duplicate event types removed
+ */
+function readSubscription(body) {
+  const values = {};
+
+  for (const field of ['url', 'description', 'secret', 'active']) {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  }
+  if (body.event_types !== undefined) {
+    values.eventTypes = [...new Set(body.event_types)];
+  }
+
+  return values;
+}
+
+/**
+ * Create a webhook subscription
+ * The response includes the signing secret; it is not returned again
+ */
+async function createSubscription(req, res, next) {
+  try {
+    const subscription = await webhookService.createSubscription(readSubscription(req.body));
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List webhook subscriptions
+ */
+async function listSubscriptions(req, res, next) {
+  try {
+    const subscriptions = await webhookService.listSubscriptions();
+    res.json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a single webhook subscription
+ */
+async function getSubscription(req, res, next) {
+  try {
+    const subscription = await webhookService.getSubscriptionById(req.params.id);
+
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription not found', 'WEBHOOK_SUBSCRIPTION_NOT_FOUND');
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a webhook subscription (url, event_types, description, secret, active)
+ */
+async function updateSubscription(req, res, next) {
+  try {
+    const values = readSubscription(req.body);
+
+    if (Object.keys(values).length === 0) {
+      throw new ValidationError('No subscription fields to update');
+    }
+
+    const subscription = await webhookService.updateSubscription(req.params.id, values);
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a webhook subscription and its deliveries
+ */
+async function deleteSubscription(req, res, next) {
+  try {
+    const deleted = await webhookService.deleteSubscription(req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError('Webhook subscription not found', 'WEBHOOK_SUBSCRIPTION_NOT_FOUND');
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List deliveries, newest first
+ * Query: status, subscription_id, event_type, page, limit
+ */
+async function listDeliveries(req, res, next) {
+  try {
+    const { status, subscription_id, event_type, page, limit } = req.query;
+
+    const result = await webhookService.listDeliveries({
+      status,
+      subscriptionId: subscription_id,
+      eventType: event_type,
+      page: page || 1,
+      limit: limit || DEFAULT_LIMIT
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a single delivery with its event payload
+ */
+async function getDelivery(req, res, next) {
+  try {
+    const delivery = await webhookService.getDeliveryById(req.params.id);
+
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Queue a delivery (typically a dead-lettered one) to be sent again right away
+ */
+async function replayDelivery(req, res, next) {
+  try {
+    const delivery = await webhookService.replayDelivery(req.params.id);
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+};
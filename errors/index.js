@@ -0,0 +1,143 @@
+/**
+ * Application errors
+ * 
+ * Errors meant for API clients are thrown as one of the classes below. Each has
+ * an HTTP status (statusCode) and a stable, machine-readable code such as
+ * SLOT_ALREADY_BOOKED that clients can rely on instead of the message, which
+ * may change. Structured details (e.g. the conflicting slot ids) go in details.
+ * 
+ *   throw new ConflictError('Slot already booked', 'SLOT_ALREADY_BOOKED');
+ * 
+ * middleware/errorHandler.js turns them into the error envelope. Database errors
+ * caused by bad input (see fromDatabaseError) become 4xx errors; anything else is
+ * reported as a 500.
+ */
+const { DatabaseError } = require('pg');
+
+class AppError extends Error {
+  static statusCode = 500;
+  static defaultCode = 'INTERNAL_ERROR';
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {string} [code] - Stable error code; defaults to the class's generic code
+   * @param {Object} [details] - Structured details for the client
+   */
+  constructor(message, code, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = this.constructor.statusCode;
+    this.code = code || this.constructor.defaultCode;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+class ValidationError extends AppError {
+  static statusCode = 400;
+  static defaultCode = 'VALIDATION_FAILED';
+}
+
+class UnauthorizedError extends AppError {
+  static statusCode = 401;
+  static defaultCode = 'UNAUTHORIZED';
+}
+
+class ForbiddenError extends AppError {
+  static statusCode = 403;
+  static defaultCode = 'FORBIDDEN';
+}
+
+class NotFoundError extends AppError {
+  static statusCode = 404;
+  static defaultCode = 'NOT_FOUND';
+}
+
+class ConflictError extends AppError {
+  static statusCode = 409;
+  static defaultCode = 'CONFLICT';
+}
+
+class GoneError extends AppError {
+  static statusCode = 410;
+  static defaultCode = 'GONE';
+}
+
+class UnprocessableError extends AppError {
+  static statusCode = 422;
+  static defaultCode = 'UNPROCESSABLE';
+}
+
+class TooManyRequestsError extends AppError {
+  static statusCode = 429;
+  static defaultCode = 'TOO_MANY_REQUESTS';
+}
+
+class ServiceUnavailableError extends AppError {
+  static statusCode = 503;
+  static defaultCode = 'SERVICE_UNAVAILABLE';
+}
+
+// PostgreSQL errors caused by the request rather than the server, by SQLSTATE
+const INVALID_INPUT_CODES = [
+  '22P02', // invalid_text_representation, e.g. 'abc' for an integer
+  '22007', // invalid_datetime_format
+  '22008', // datetime_field_overflow
+  '22003', // numeric_value_out_of_range
+  '22001' // string_data_right_truncation
+];
+
+/**
+ * Map a PostgreSQL error caused by bad input or a constraint to an AppError
+ * @param {Error} error - Any error
+ * @returns {AppError|null} The matching 4xx error, or null if the error is not such a database error
+ */
+function fromDatabaseError(error) {
+  if (!(error instanceof DatabaseError)) {
+    return null;
+  }
+
+  const details = {};
+  if (error.constraint) {
+    details.constraint = error.constraint;
+  }
+  if (error.column) {
+    details.column = error.column;
+  }
+
+  switch (error.code) {
+    case '23505': // unique_violation
+      return new ConflictError('A record with these values already exists', 'DUPLICATE_RESOURCE', details);
+    case '23P01': // exclusion_violation
+      return new ConflictError('Conflicts with an existing record', 'CONFLICT', details);
+    case '23503': // foreign_key_violation
+      // Inserts and updates fail on a missing parent; deletes on existing children
+      return error.detail && error.detail.includes('is still referenced')
+        ? new ConflictError('The record is still referenced by other records', 'RESOURCE_IN_USE', details)
+        : new ValidationError('A referenced record does not exist', 'INVALID_REFERENCE', details);
+    case '23502': // not_null_violation
+      return new ValidationError(`${error.column || 'A required value'} is required`, 'VALIDATION_FAILED', details);
+    case '23514': // check_violation
+      return new ValidationError('A value is out of the allowed range', 'VALIDATION_FAILED', details);
+    default:
+      if (INVALID_INPUT_CODES.includes(error.code)) {
+        return new ValidationError('Invalid input value', 'INVALID_INPUT', details);
+      }
+      return null;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  UnprocessableError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  fromDatabaseError
+};
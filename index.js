@@ -1,17 +1,22 @@
 require('dotenv').config();
 const express = require('express');
 const db = require('./config/database');
+const logger = require('./config/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+app.use(require('./middleware/requestContext'));
 app.use(require('./middleware/logger'));
+app.use(require('./middleware/responseValidation'));
+app.use(require('./middleware/metrics'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
-app.use('/api', require('./routes'));
+app.use('/api', require('./middleware/rateLimit').apiRateLimit, require('./routes'));
+app.use('/metrics', require('./routes/metrics.routes'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -23,32 +28,21 @@ app.get('/health', (req, res) => {
 });
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`
-  });
-});
+app.use(require('./middleware/notFound'));
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+// Error handling middleware (same error envelope as src/app.js)
+app.use(require('./middleware/errorHandler'));
 
 // Start server
 app.listen(PORT, async () => {
-  console.log(`MedReserve API server running on port ${PORT}`);
+  logger.info('MedReserve API server running', { port: Number(PORT) });
   
   // Test database connection
   try {
     await db.query('SELECT NOW()');
-    console.log('Database connection established');
+    logger.info('Database connection established');
   } catch (error) {
-    console.error('Database connection error:', error.message);
+    logger.error('Database connection error', { error: error.message });
   }
 });
 
@@ -0,0 +1,239 @@
+/**
+ * Authentication and role-based authorization middleware
+ * 
+ * Requests authenticate with a JWT bearer token (Authorization: Bearer <token>)
+ * signed with HS256 using the JWT_SECRET environment variable. Token claims:
+ * - sub: the user's identifier
+ * - role: one of ROLES (config/roles.js)
+ * - patient_id: the patient record of a 'patient' user
+ * - doctor_id: the doctor record of a 'doctor' user
+ * 
+ * Failures are passed to the error handler as UnauthorizedError (401: missing
+ * or invalid token) or ForbiddenError (403: authenticated but not allowed).
+ */
+const jwt = require('jsonwebtoken');
+const bookingService = require('../services/bookingService');
+const { ROLES, STAFF_ROLES } = require('../config/roles');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../errors');
+
+function unauthorized(message, code) {
+  return new UnauthorizedError(message, code);
+}
+
+function forbidden(message) {
+  return new ForbiddenError(message || 'You do not have permission to perform this action');
+}
+
+/**
+ * Verify the bearer token of a request
+ * @returns {Object|null} The authenticated user, or null if the request has no token
+ * @throws {Error} 401 if the token is malformed, invalid or expired
+ */
+function readUser(req) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw unauthorized('Authorization header must be: Bearer <token>', 'INVALID_TOKEN');
+  }
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Authentication is not configured (JWT_SECRET is not set)');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  } catch (error) {
+    throw error.name === 'TokenExpiredError'
+      ? unauthorized('Token has expired', 'TOKEN_EXPIRED')
+      : unauthorized('Invalid token', 'INVALID_TOKEN');
+  }
+
+  if (!Object.values(ROLES).includes(claims.role)) {
+    throw unauthorized('Token has no valid role', 'INVALID_TOKEN');
+  }
+
+  return {
+    id: claims.sub,
+    role: claims.role,
+    patientId: claims.patient_id || null,
+    doctorId: claims.doctor_id || null
+  };
+}
+
+/**
+ * Require a valid bearer token and set req.user
+ */
+const authenticate = (req, res, next) => {
+  try {
+    const user = readUser(req);
+    if (!user) {
+      throw unauthorized('Authentication required');
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.statusCode === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    next(error);
+  }
+};
+
+/**
+ * Set req.user when a bearer token is present, but allow anonymous requests
+ * An invalid token is still rejected with 401
+ */
+const optionalAuthenticate = (req, res, next) => {
+  try {
+    req.user = readUser(req);
+    next();
+  } catch (error) {
+    if (error.statusCode === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    next(error);
+  }
+};
+
+/**
+ * Only allow users with one of the given roles (use after authenticate)
+ * @param {...string} roles - Allowed roles
+ */
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(unauthorized('Authentication required'));
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(forbidden());
+    }
+    next();
+  };
+}
+
+/**
+ * Only allow staff, or a doctor whose doctor_id matches the :id route parameter
+ * Used for a doctor's own schedule
+ */
+const authorizeDoctorSelf = (req, res, next) => {
+  const { user } = req;
+  if (!user) {
+    return next(unauthorized('Authentication required'));
+  }
+  if (STAFF_ROLES.includes(user.role)) {
+    return next();
+  }
+  if (user.role === ROLES.DOCTOR && user.doctorId && String(user.doctorId) === String(req.params.id)) {
+    return next();
+  }
+  next(forbidden());
+};
+
+/**
+ * Only allow staff, or a patient whose patient_id matches the :id route parameter
+ */
+const authorizePatientSelf = (req, res, next) => {
+  const { user } = req;
+  if (!user) {
+    return next(unauthorized('Authentication required'));
+  }
+  if (STAFF_ROLES.includes(user.role)) {
+    return next();
+  }
+  if (user.role === ROLES.PATIENT && user.patientId && String(user.patientId) === String(req.params.id)) {
+    return next();
+  }
+  next(forbidden());
+};
+
+/**
+ * Only allow staff, or the patient who owns the resource in the :id route parameter
+ * Responds 404 (e.g. WAITLIST_ENTRY_NOT_FOUND) if the resource does not exist.
+ * @param {Function} getPatientId - async (id) => the owning patient's ID, or null if not found
+ * @param {string} name - The resource name used in error messages (e.g. 'Waitlist entry')
+ */
+function authorizePatientOwned(getPatientId, name) {
+  const notFoundCode = `${name.toUpperCase().replace(/ /g, '_')}_NOT_FOUND`;
+
+  return async (req, res, next) => {
+    try {
+      const { user } = req;
+      if (!user) {
+        throw unauthorized('Authentication required');
+      }
+
+      const patientId = await getPatientId(req.params.id);
+      if (patientId === null) {
+        throw new NotFoundError(`${name} not found`, notFoundCode);
+      }
+
+      const allowed =
+        STAFF_ROLES.includes(user.role) ||
+        (user.role === ROLES.PATIENT && user.patientId && String(user.patientId) === String(patientId));
+
+      if (!allowed) {
+        throw forbidden();
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Only allow users who may access the booking in the :id route parameter
+ * - Staff may access any booking
+ * - A patient may access their own bookings
+ * - A doctor may read (but not change) bookings on their own schedule
+ * Responds 404 if the booking does not exist.
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - The route changes the booking (doctors are not allowed)
+ */
+function authorizeBooking({ write = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const { user } = req;
+      if (!user) {
+        throw unauthorized('Authentication required');
+      }
+
+      const owner = await bookingService.getBookingOwner(req.params.id);
+      if (!owner) {
+        throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+      }
+
+      const allowed =
+        STAFF_ROLES.includes(user.role) ||
+        (user.role === ROLES.PATIENT && user.patientId && String(user.patientId) === String(owner.patient_id)) ||
+        (!write && user.role === ROLES.DOCTOR && user.doctorId && String(user.doctorId) === String(owner.doctor_id));
+
+      if (!allowed) {
+        throw forbidden();
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  authenticate,
+  optionalAuthenticate,
+  authorize,
+  authorizeDoctorSelf,
+  authorizePatientSelf,
+  authorizePatientOwned,
+  authorizeBooking
+};
@@ -1,44 +1,96 @@
 /**
  * Custom error handler middleware
  * 
- * Handles errors from controllers and services, ensuring proper HTTP status codes
- * and clear error messages. Supports custom errors with statusCode property
- * (e.g., 409 for "Slot already booked" from bookingService).
+ * Turns errors from controllers, services and middleware into the error envelope:
+ * 
+ *   {
+ *     "error": "Slot already booked",        // same as message, for older clients
+ *     "code": "SLOT_ALREADY_BOOKED",         // stable, machine-readable
+ *     "message": "Slot already booked",
+ *     "details": { ... },                    // optional structured details
+ *     "request_id": "..."                    // the X-Request-Id of the request
+ *   }
+ * 
+ * - AppErrors (errors/index.js) carry their own status and code
+ * - Database errors caused by bad input or constraints are mapped to 4xx
+ *   (see fromDatabaseError), e.g. 22P02 invalid input to 400
+ * - Express errors (e.g. malformed JSON bodies) keep their 4xx status
+ * - Anything else is a 500 INTERNAL_ERROR whose message is not exposed outside
+ *   development
+ */
+const { AppError, fromDatabaseError } = require('../errors');
+const logger = require('../config/logger');
+
+// Codes of the 4xx errors raised by Express and body-parser, by their type
+const EXPRESS_ERROR_CODES = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE',
+  'encoding.unsupported': 'UNSUPPORTED_ENCODING',
+  'charset.unsupported': 'UNSUPPORTED_ENCODING'
+};
+
+/**
+ * Work out the status, code and client-facing message of an error
+ * @returns {{ status: number, code: string, message: string, details: Object|undefined }}
  */
+function describeError(err) {
+  const error = err instanceof AppError ? err : fromDatabaseError(err);
+  if (error) {
+    return { status: error.statusCode, code: error.code, message: error.message, details: error.details };
+  }
+
+  const status = err.statusCode || err.status;
+  if (status >= 400 && status < 500) {
+    return {
+      status,
+      code: EXPRESS_ERROR_CODES[err.type] || 'BAD_REQUEST',
+      message: err.expose === false ? 'Bad request' : err.message,
+      details: err.details
+    };
+  }
+
+  return {
+    status: status || 500,
+    code: 'INTERNAL_ERROR',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+  };
+}
+
 const errorHandler = (err, req, res, next) => {
-  // Log error
-  console.error('Error:', {
+  const { status, code, message, details } = describeError(err);
+
+  // Client errors are expected and logged at warn; stacks are only logged for server errors
+  logger[status >= 500 ? 'error' : 'warn']('Request failed', {
     message: err.message,
-    statusCode: err.statusCode,
-    status: err.status,
-    stack: err.stack,
-    url: req.originalUrl,
-    method: req.method
+    code,
+    status,
+    db_code: err instanceof AppError ? undefined : err.code,
+    stack: status >= 500 ? err.stack : undefined,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    request_id: req.id
   });
 
-  // Determine HTTP status code
-  // Priority: statusCode (custom errors) > status (Express errors) > 500 (default)
-  const status = err.statusCode || err.status || 500;
-  
-  // Get error message, defaulting to a helpful message if missing
-  const message = err.message || 'Internal Server Error';
-
-  // Build response object - always include error message
+  // Build response object - error keeps the message for clients of the old format
   const response = {
-    error: message
+    error: message,
+    code,
+    message
   };
 
-  // In development mode, include stack trace and error details
+  // Structured details (e.g. conflicting_slot_ids on a 409, invalid fields on a 400)
+  if (details) {
+    response.details = details;
+  }
+
+  response.request_id = req.id;
+
+  // In development mode, include the stack trace
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
-    if (err.code) {
-      response.code = err.code; // Include Postgres error codes in dev
-    }
   }
 
-  // Send error response with appropriate status code
   res.status(status).json(response);
 };
 
 module.exports = errorHandler;
-
@@ -0,0 +1,116 @@
+/**
+ * Idempotency-Key middleware
+ * 
+ * Makes POST endpoints safe to retry. When a request carries an Idempotency-Key
+ * header:
+ * - The first request with the key is processed normally; a successful (2xx)
+ *   response is stored with the key
+ * - A retry with the same key and the same method, path and body replays the
+ *   stored response (with an Idempotent-Replayed: true header)
+ * - Keys are scoped to the caller (see principalOf): another caller sending the
+ *   same key is processed as a new request, never replayed someone else's response
+ * - A retry with the same key but a different request is rejected with 422
+ * - A retry while the first request is still running gets 409
+ * 
+ * Unsuccessful responses are not stored, so the client can retry with the same key.
+ * Requests without the header are passed through untouched.
+ */
+const idempotencyService = require('../services/idempotencyService');
+const { ROLES } = require('../config/roles');
+const { ValidationError, ConflictError, UnprocessableError } = require('../errors');
+const logger = require('../config/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * The caller a key belongs to: the patient of a patient token, the subject of
+ * any other token, or 'anonymous' for requests without one. Anonymous requests
+ * share keys, but a replay needs the same body, i.e. the patient details the
+ * caller already sent
+ */
+function principalOf(req) {
+  if (!req.user) {
+    return 'anonymous';
+  }
+  return req.user.role === ROLES.PATIENT && req.user.patientId ? `patient:${req.user.patientId}` : `user:${req.user.id}`;
+}
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return next(new ValidationError(
+      `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      'INVALID_IDEMPOTENCY_KEY'
+    ));
+  }
+
+  const principal = principalOf(req);
+
+  try {
+    const fingerprint = idempotencyService.fingerprintRequest({
+      principal,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body
+    });
+
+    const existing = await idempotencyService.reserveKey(principal, key, fingerprint);
+
+    if (existing) {
+      if (existing.request_fingerprint !== fingerprint) {
+        throw new UnprocessableError(
+          'Idempotency-Key has already been used for a different request',
+          'IDEMPOTENCY_KEY_REUSED'
+        );
+      }
+
+      if (existing.response_status === null) {
+        throw new ConflictError(
+          'A request with this Idempotency-Key is still being processed',
+          'IDEMPOTENCY_KEY_IN_USE'
+        );
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the JSON body so it can be stored once the response is sent
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = async () => {
+      if (settled) return;
+      settled = true;
+
+      try {
+        if (res.writableFinished && res.statusCode >= 200 && res.statusCode < 300) {
+          await idempotencyService.saveResponse(principal, key, res.statusCode, responseBody);
+        } else {
+          await idempotencyService.releaseKey(principal, key);
+        }
+      } catch (error) {
+        logger.error('Idempotency-Key storage error', { key, error: error.message, request_id: req.id });
+      }
+    };
+
+    res.on('finish', settle);
+    res.on('close', settle);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -1,22 +1,29 @@
+const logger = require('../config/logger');
+
 /**
- * Simple request logger middleware
+ * Request logger middleware
+ * Logs each request when its response is sent, with its status and duration.
+ * Only the path is logged: query strings may hold patient data (e.g. ?email=).
+ * Must run after middleware/requestContext.js, which gives the request its id.
  */
-const logger = (req, res, next) => {
+const requestLogger = (req, res, next) => {
   const start = Date.now();
-  
-  // Log request
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
-  
+  const path = req.originalUrl.split('?')[0];
+
+  logger.debug('Request started', { method: req.method, path });
+
   // Log response when finished
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(
-      `${new Date().toISOString()} - ${req.method} ${req.originalUrl} - ${res.statusCode} - ${duration}ms`
-    );
+    logger.info('Request completed', {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      duration_ms: Date.now() - start,
+      request_id: req.id
+    });
   });
-  
+
   next();
 };
 
-module.exports = logger;
-
+module.exports = requestLogger;
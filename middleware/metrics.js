@@ -0,0 +1,26 @@
+/**
+ * Request metrics middleware
+ * 
+ * Times every request into http_request_duration_seconds (services/metricsService.js).
+ * Requests are labelled with their route template from the OpenAPI document
+ * (e.g. /api/bookings/:id), not their URL, so ids do not multiply the series;
+ * requests to no documented route share the label "unmatched".
+ */
+const { findRoute } = require('../openapi');
+const metricsService = require('../services/metricsService');
+
+const metrics = (req, res, next) => {
+  const end = metricsService.startRequestTimer();
+
+  res.on('finish', () => {
+    end({
+      method: req.method,
+      route: findRoute(req.method, req.originalUrl.split('?')[0]) || 'unmatched',
+      status_code: res.statusCode
+    });
+  });
+
+  next();
+};
+
+module.exports = metrics;
@@ -0,0 +1,11 @@
+/**
+ * Fallback for requests that match no route: passes a 404 ROUTE_NOT_FOUND to
+ * the error handler, so unknown paths get the usual error envelope
+ */
+const { NotFoundError } = require('../errors');
+
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+module.exports = notFound;
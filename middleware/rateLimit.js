@@ -0,0 +1,139 @@
+/**
+ * Rate limiting middleware
+ * 
+ * Counts requests per client in fixed windows (in the store chosen by
+ * RATE_LIMIT_STORE, see services/rateLimit/) and rejects requests over the
+ * limit with 429 RATE_LIMITED and a Retry-After header:
+ * 
+ *   router.post('/:slotId/book', optionalAuthenticate, validate(...), bookingRateLimit, handler)
+ * 
+ * - apiRateLimit: every /api request, per IP address
+ * - bookingRateLimit: booking creation (book, hold, join a waitlist), per IP
+ *   address and, for patient tokens, per patient, so a script can neither take
+ *   every slot from one address nor for one patient from many. Patient ids and
+ *   details in the body are never counted: anyone could send another patient's
+ *   to use up their limit. Staff tokens are exempt, as the front desk
+ *   books for many patients from one address
+ * 
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * (seconds) headers of the last limit checked. A limit with a max of 0 is off.
+ * If the store fails (e.g. the database is down) requests are let through.
+ * 
+ * Set TRUST_PROXY behind a load balancer, or every client shares its address.
+ */
+const crypto = require('crypto');
+const { getStore } = require('../services/rateLimit');
+const { ROLES, STAFF_ROLES } = require('../config/roles');
+const { TooManyRequestsError } = require('../errors');
+const logger = require('../config/logger');
+
+/**
+ * Hash a client identifier, so that stores never hold IP addresses or patient data
+ */
+function hashIdentifier(identifier) {
+  return crypto.createHash('sha256').update(identifier).digest('hex');
+}
+
+/**
+ * Create a rate limit
+ * @param {Object} options
+ * @param {string} options.name - Name of the limit, reported in the 429 details
+ * @param {number} options.max - Requests allowed per window per client; 0 turns the limit off
+ * @param {number} options.windowSeconds - Window length
+ * @param {Function} options.identify - (req) => identifiers of the client; each
+ *        is counted, and the request is rejected if any is over the limit
+ * @param {Function} [options.skip] - (req) => true for requests not to count
+ * @param {Object} [options.store] - Store to count in; defaults to the configured store
+ * @returns {Function} Middleware
+ */
+function rateLimit({ name, max, windowSeconds, identify, skip, store: customStore }) {
+  if (!(max > 0)) {
+    return (req, res, next) => next();
+  }
+
+  const store = customStore || getStore();
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) {
+      return next();
+    }
+
+    let hits;
+    try {
+      hits = await Promise.all(identify(req).map(identifier => store.hit(`${name}:${hashIdentifier(identifier)}`, windowSeconds)));
+    } catch (error) {
+      logger.warn('Rate limit store error, request let through', { limit: name, store: store.name, error: error.message });
+      return next();
+    }
+
+    if (hits.length === 0) {
+      return next();
+    }
+
+    // Report the client's most used identifier
+    const hit = hits.reduce((most, current) => (current.count > most.count ? current : most));
+    const resetSeconds = Math.max(1, Math.ceil((new Date(hit.resetAt).getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (hit.count <= max) {
+      return next();
+    }
+
+    res.set('Retry-After', String(resetSeconds));
+    next(new TooManyRequestsError('Too many requests, try again later', 'RATE_LIMITED', {
+      limit: name,
+      max,
+      window_seconds: windowSeconds,
+      retry_after_seconds: resetSeconds
+    }));
+  };
+}
+
+/**
+ * Identifiers of the patient a booking request is for: only the patient of a
+ * patient token, as the token proves who the caller is and the body does not
+ */
+function patientIdentifiers(req) {
+  if (req.user && req.user.role === ROLES.PATIENT && req.user.patientId) {
+    return [`id:${req.user.patientId}`];
+  }
+  return [];
+}
+
+const isStaff = req => Boolean(req.user && STAFF_ROLES.includes(req.user.role));
+
+const BOOKING_WINDOW_SECONDS = Number(process.env.BOOKING_RATE_LIMIT_WINDOW_SECONDS || 10 * 60);
+
+const apiRateLimit = rateLimit({
+  name: 'api',
+  max: Number(process.env.RATE_LIMIT_MAX || 300),
+  windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+  identify: req => [req.ip]
+});
+
+const bookingRateLimit = [
+  rateLimit({
+    name: 'booking_ip',
+    max: Number(process.env.BOOKING_RATE_LIMIT_MAX || 10),
+    windowSeconds: BOOKING_WINDOW_SECONDS,
+    identify: req => [req.ip],
+    skip: isStaff
+  }),
+  rateLimit({
+    name: 'booking_patient',
+    max: Number(process.env.BOOKING_RATE_LIMIT_PATIENT_MAX || 5),
+    windowSeconds: BOOKING_WINDOW_SECONDS,
+    identify: patientIdentifiers,
+    skip: isStaff
+  })
+];
+
+module.exports = {
+  rateLimit,
+  apiRateLimit,
+  bookingRateLimit
+};
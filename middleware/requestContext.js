@@ -0,0 +1,55 @@
+/**
+ * Request context middleware
+ * 
+ * Gives every request an id and makes it, and the authenticated user, available
+ * to code deeper in the call chain (services, the audit log) without passing
+ * req around. The context is kept in AsyncLocalStorage for the lifetime of the
+ * request.
+ * 
+ * The id is taken from a well-formed incoming X-Request-Id header (so ids from a
+ * proxy or client can be correlated) or generated, and is echoed back in the
+ * X-Request-Id response header.
+ * 
+ * Work that does not run for a request (background jobs) can use runAsSystem so
+ * that its changes are attributed to the job.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // req is kept rather than req.user, because authentication runs later per router
+  storage.run({ requestId, req }, next);
+};
+
+/**
+ * Get the context of the current request or job
+ * @returns {Object|undefined} { requestId, req } for requests, { system } for
+ *          runAsSystem, or undefined outside of both
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Run a function with the given system actor as its context
+ * @param {string} name - The name of the job or process, recorded as the actor
+ * @param {Function} fn - The (async) function to run
+ * @returns {*} Whatever fn returns
+ */
+function runAsSystem(name, fn) {
+  return storage.run({ system: name }, fn);
+}
+
+module.exports = requestContext;
+module.exports.getRequestContext = getRequestContext;
+module.exports.runAsSystem = runAsSystem;
@@ -0,0 +1,152 @@
+/**
+ * Response validation middleware
+ * 
+ * Checks real responses against the OpenAPI document (openapi/), so that a
+ * response or route that drifts from the spec is caught while the API is being
+ * exercised, e.g. by a test run or scripts/concurrentBookingTest.js.
+ * 
+ * Off unless OPENAPI_RESPONSE_VALIDATION is set:
+ * - warn: mismatches are logged
+ * - strict: mismatches are logged and the response is replaced with a 500
+ *   RESPONSE_VALIDATION_FAILED error listing them in details.problems, so the
+ *   client sees the failure. Meant for tests, never for production
+ * 
+ * JSON bodies are validated against the documented schema of their route and
+ * status, and error bodies against the error envelope. Other responses (e.g.
+ * calendar files) are only checked for a documented route and status, and only
+ * logged, as they have been sent by then.
+ */
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { getSpec, findOperation } = require('../openapi');
+const logger = require('../config/logger');
+
+const MODES = ['warn', 'strict'];
+
+const mode = process.env.OPENAPI_RESPONSE_VALIDATION;
+
+// strict: false, as the schemas carry OpenAPI-only keywords
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compiled validators, by operation and status
+const validators = new Map();
+
+/**
+ * Get the validator of a response schema, which may reference the document's components
+ */
+function getValidator(key, schema) {
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile({ ...schema, components: getSpec().components }));
+  }
+  return validators.get(key);
+}
+
+/**
+ * Check a response against the document
+ * @param {Object} req - The request, or { method, originalUrl }
+ * @param {number} statusCode - The response status
+ * @param {*} body - The response body
+ * @param {boolean} isJson - Whether the body is JSON
+ * @returns {Array<string>} Problems found; empty if the response matches
+ */
+function checkResponse(req, statusCode, body, isJson) {
+  const path = req.originalUrl.split('?')[0];
+  const operation = findOperation(req.method, path);
+
+  // Errors may come from middleware before any route (e.g. a malformed body);
+  // those, and 5xx errors, are covered by the default error response
+  if (statusCode >= 400 && (!operation || !operation.responses[statusCode])) {
+    const problems = isJson ? validateBody('error', { $ref: '#/components/schemas/Error' }, body) : [];
+    if (operation && statusCode < 500) {
+      problems.unshift(`Status ${statusCode} is not documented for ${req.method} ${path}`);
+    }
+    return problems;
+  }
+
+  if (!operation) {
+    return [`${req.method} ${path} is not in the OpenAPI document`];
+  }
+
+  const response = operation.responses[statusCode];
+  if (!response) {
+    return [`Status ${statusCode} is not documented for ${req.method} ${path}`];
+  }
+
+  let definition = response;
+  if (response.$ref) {
+    definition = getSpec().components.responses[response.$ref.split('/').pop()];
+  }
+  const media = definition.content && definition.content['application/json'];
+  if (!isJson || !media) {
+    return [];
+  }
+
+  return validateBody(`${operation.operationId} ${statusCode}`, media.schema, body);
+}
+
+function validateBody(key, schema, body) {
+  const validator = getValidator(key, schema);
+  // Validate the body as it is sent, e.g. with dates as strings
+  if (validator(JSON.parse(JSON.stringify(body === undefined ? null : body)))) {
+    return [];
+  }
+  return validator.errors.map(error => `body${error.instancePath.replace(/\//g, '.')} ${error.message}`);
+}
+
+function report(req, statusCode, problems) {
+  logger.error('Response does not match the OpenAPI document', {
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    status: statusCode,
+    problems,
+    request_id: req.id
+  });
+}
+
+const responseValidation = (req, res, next) => {
+  if (!MODES.includes(mode)) {
+    return next();
+  }
+
+  let checked = false;
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    checked = true;
+    const statusCode = res.statusCode;
+    const problems = checkResponse(req, statusCode, body, true);
+    if (problems.length === 0) {
+      return originalJson(body);
+    }
+
+    report(req, statusCode, problems);
+    if (mode !== 'strict') {
+      return originalJson(body);
+    }
+
+    const message = 'Response does not match the OpenAPI document';
+    res.status(500);
+    return originalJson({
+      error: message,
+      code: 'RESPONSE_VALIDATION_FAILED',
+      message,
+      details: { status: statusCode, problems },
+      request_id: req.id
+    });
+  };
+
+  res.on('finish', () => {
+    if (!checked && req.route) {
+      const problems = checkResponse(req, res.statusCode, undefined, false);
+      if (problems.length > 0) {
+        report(req, res.statusCode, problems);
+      }
+    }
+  });
+
+  next();
+};
+
+module.exports = responseValidation;
+module.exports.checkResponse = checkResponse;
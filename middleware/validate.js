@@ -0,0 +1,180 @@
+/**
+ * Request validation middleware
+ * 
+ * Routes declare the shape of their input as JSON Schemas (see schemas/):
+ * 
+ *   router.post('/:id/cancel', validate(bookingSchemas.cancelBooking), handler)
+ * 
+ * where the schema set has optional params, query and body schemas. Every part is
+ * checked and all problems are reported at once: the request fails with a 400
+ * VALIDATION_FAILED whose details.fields lists { location, field, message } per invalid field.
+ * 
+ * - Values are coerced to the schema's types (params and query values are always
+ *   strings), e.g. "12" to an integer id; "12abc" is not an integer. Empty query
+ *   values (?page=) count as absent, and schema defaults are filled in
+ * - A schema may set message to replace the generic error text of its field
+ * - The coerced values replace req.params, req.query and req.body, so handlers
+ *   can rely on the declared types
+ * - A schema set may list deprecated field names under aliases, e.g.
+ *   aliases: { body: { patientName: 'patient_name' } }. An alias is renamed to
+ *   its current name (unless both are given) and the response carries
+ *   Deprecation and Warning headers naming the replacement
+ */
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../errors');
+const logger = require('../config/logger');
+
+const PARTS = ['params', 'query', 'body'];
+
+// ISO 8601 date, or date and time with an optional UTC offset
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/i;
+
+// Messages for format failures, in the wording the API has always used
+const FORMAT_MESSAGES = {
+  date: 'must be a date in YYYY-MM-DD format',
+  timestamp: 'must be a valid date/time',
+  timezone: 'must be a valid IANA time zone (e.g. Europe/London)',
+  email: 'must be a valid email address',
+  uri: 'must be an http(s) URL'
+};
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, allowUnionTypes: true, verbose: true });
+addFormats(ajv, ['date', 'email', 'uri']);
+// Schemas may set message to replace the generic error text of their field
+ajv.addKeyword({ keyword: 'message', schemaType: 'string' });
+ajv.addFormat('timestamp', value => TIMESTAMP_PATTERN.test(value) && !isNaN(new Date(value).getTime()));
+ajv.addFormat('timezone', value => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (e) {
+    return false;
+  }
+});
+
+// Aliases already reported, so each is only logged once per process
+const warnedAliases = new Set();
+
+/**
+ * Rename deprecated fields to their current names
+ * @returns {Array<Array<string>>} [alias, replacement] for each alias that was used
+ */
+function applyAliases(data, aliases) {
+  const used = [];
+
+  for (const [alias, name] of Object.entries(aliases || {})) {
+    if (data[alias] === undefined) {
+      continue;
+    }
+    if (data[name] === undefined) {
+      data[name] = data[alias];
+    }
+    delete data[alias];
+    used.push([alias, name]);
+  }
+
+  return used;
+}
+
+/**
+ * Convert an ajv error to { location, field, message }
+ */
+function toFieldError(location, error) {
+  const path = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('')
+    .replace(/^\./, '');
+
+  let field = path;
+  let message = error.message;
+
+  if (error.parentSchema && error.parentSchema.message && error.keyword !== 'required') {
+    message = error.parentSchema.message;
+  } else if (error.keyword === 'required') {
+    field = path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+    message = 'is required';
+  } else if (error.keyword === 'format' && FORMAT_MESSAGES[error.params.format]) {
+    message = FORMAT_MESSAGES[error.params.format];
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'additionalProperties') {
+    field = path ? `${path}.${error.params.additionalProperty}` : error.params.additionalProperty;
+    message = 'is not allowed';
+  }
+
+  return { location, field: field || location, message };
+}
+
+/**
+ * Build a middleware validating a request against a schema set
+ * @param {Object} schemas - { params, query, body, aliases }: JSON Schemas for each
+ *        part of the request (all optional) and deprecated field names per part
+ * @returns {Function} Express middleware
+ */
+function validate(schemas) {
+  const validators = {};
+  for (const part of PARTS) {
+    if (schemas[part]) {
+      validators[part] = ajv.compile(schemas[part]);
+    }
+  }
+
+  return (req, res, next) => {
+    const fields = [];
+    const deprecated = [];
+
+    for (const part of Object.keys(validators)) {
+      let data;
+      if (part === 'body') {
+        data = req.body === undefined || req.body === null ? {} : req.body;
+      } else if (part === 'query') {
+        data = Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ''));
+      } else {
+        data = { ...req.params };
+      }
+
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        deprecated.push(...applyAliases(data, schemas.aliases && schemas.aliases[part]));
+      }
+
+      const valid = validators[part](data);
+      if (!valid) {
+        fields.push(...validators[part].errors.map(error => toFieldError(part, error)));
+      }
+
+      if (part === 'query') {
+        // req.query is a getter in Express 5; shadow it with the coerced values
+        Object.defineProperty(req, 'query', { value: data, writable: true, configurable: true, enumerable: true });
+      } else {
+        req[part] = data;
+      }
+    }
+
+    if (deprecated.length > 0) {
+      res.set('Deprecation', 'true');
+      res.set('Warning', deprecated.map(([alias, name]) => `299 - "${alias} is deprecated; use ${name}"`).join(', '));
+
+      for (const [alias, name] of deprecated) {
+        const key = `${req.baseUrl}${req.route ? req.route.path : ''} ${alias}`;
+        if (!warnedAliases.has(key)) {
+          warnedAliases.add(key);
+          logger.warn('Deprecated field used', { field: alias, replacement: name, method: req.method, route: key.split(' ')[0] });
+        }
+      }
+    }
+
+    if (fields.length > 0) {
+      const message = `Invalid request: ${fields.map(field => `${field.field} ${field.message}`).join('; ')}`;
+      return next(new ValidationError(message, 'VALIDATION_FAILED', { fields }));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validate
+};
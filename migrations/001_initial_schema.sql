@@ -1,5 +1,5 @@
--- MedReserve Database Schema
--- Healthcare appointment booking system
+-- Migration: Initial schema
+-- MedReserve healthcare appointment booking system: doctors, slots and bookings
 
 -- Doctors table: Stores medical professionals who can have appointment slots
 CREATE TABLE IF NOT EXISTS doctors (
@@ -4,6 +4,11 @@
 -- Add expires_at column to bookings table
 ALTER TABLE bookings ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ NULL;
 
+-- Give PENDING bookings created before expiry support the original 2 minute hold
+UPDATE bookings
+SET expires_at = created_at + INTERVAL '2 minutes'
+WHERE status = 'PENDING' AND expires_at IS NULL;
+
 -- Create index for efficient queries on status and expires_at
 -- This index helps the expiry job quickly find PENDING bookings that have expired
 CREATE INDEX IF NOT EXISTS idx_bookings_status_expires ON bookings(status, expires_at);
@@ -0,0 +1,13 @@
+-- Migration: Add booking cancellation support
+-- Adds the CANCELLED status and records who cancelled a booking and why
+
+-- Allow CANCELLED in the bookings.status CHECK constraint
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('PENDING', 'CONFIRMED', 'FAILED', 'CANCELLED'));
+
+-- Cancellation details (NULL for bookings that were never cancelled)
+-- cancelled_by is the role that cancelled the booking, e.g. 'patient' or 'admin'
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_by TEXT NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT NULL;
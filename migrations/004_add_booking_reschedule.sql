@@ -0,0 +1,17 @@
+-- Migration: Add booking rescheduling support
+-- Links a booking to the slot it was moved from and keeps the full reschedule history
+
+-- The slot the booking occupied before its most recent reschedule
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS previous_slot_id INTEGER NULL REFERENCES slots(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS rescheduled_at TIMESTAMPTZ NULL;
+
+-- Booking_reschedules table: One row per move of a booking from one slot to another
+CREATE TABLE IF NOT EXISTS booking_reschedules (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    from_slot_id INTEGER REFERENCES slots(id) ON DELETE SET NULL,
+    to_slot_id INTEGER REFERENCES slots(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_reschedules_booking ON booking_reschedules(booking_id);
@@ -0,0 +1,26 @@
+-- Migration: Add Idempotency-Key support
+-- Stores the first response for each Idempotency-Key so client retries can be replayed
+
+-- Idempotency_keys table: One row per key sent by a client
+-- request_fingerprint is a hash of method, path and body, used to reject a key
+-- that is reused for a different request.
+-- response_status / response_body are NULL while the first request is in flight
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    idempotency_key TEXT NOT NULL UNIQUE,
+    request_fingerprint TEXT NOT NULL,
+    response_status INTEGER NULL,
+    response_body JSONB NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Index for the cleanup job that deletes expired keys
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- Keys are scoped to the caller (see middleware/idempotency.js): 'patient:<id>'
+-- for patient tokens, 'user:<subject>' for other tokens and 'anonymous' for
+-- requests without one. Keys stored before callers could authenticate were anonymous
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS principal TEXT NOT NULL DEFAULT 'anonymous';
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_idempotency_key_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_principal_key ON idempotency_keys(principal, idempotency_key);
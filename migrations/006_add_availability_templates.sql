@@ -0,0 +1,34 @@
+-- Migration: Add recurring availability templates
+-- Templates describe a doctor's weekly availability; the slot generator materialises
+-- them into slots rows for a rolling horizon
+
+-- Availability_templates table: e.g. "Mon/Wed 09:00-12:00, 15-minute slots, from X to Y"
+-- days_of_week uses ISO numbering (1 = Monday ... 7 = Sunday)
+-- start_time / end_time are wall-clock times in the template's timezone
+-- skip_dates lists dates (e.g. holidays) on which no slots are generated
+CREATE TABLE IF NOT EXISTS availability_templates (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    days_of_week INTEGER[] NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    slot_duration_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_duration_minutes > 0),
+    valid_from DATE NOT NULL,
+    valid_to DATE NULL,
+    skip_dates DATE[] NOT NULL DEFAULT '{}',
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_time > start_time),
+    CHECK (valid_to IS NULL OR valid_to >= valid_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_templates_doctor ON availability_templates(doctor_id);
+
+-- The template a slot was generated from (NULL for slots created by hand)
+ALTER TABLE slots ADD COLUMN IF NOT EXISTS template_id INTEGER NULL REFERENCES availability_templates(id) ON DELETE SET NULL;
+
+-- A template generates at most one slot per start time, so rerunning the generator
+-- never creates duplicates
+CREATE UNIQUE INDEX IF NOT EXISTS idx_slots_template_start ON slots(template_id, start_time) WHERE template_id IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Migration: Prevent overlapping slots for the same doctor
+-- Enforced by an exclusion constraint over each slot's time range
+-- Note: fails if overlapping slots already exist; resolve those first
+
+-- btree_gist lets the exclusion constraint combine doctor_id (=) with a range (&&)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Time range covered by a slot: [start_time, start_time + duration_minutes)
+-- Declared IMMUTABLE so it can be used in the constraint. Adding whole minutes to a
+-- timestamptz does not depend on the session timezone, so this is safe.
+CREATE OR REPLACE FUNCTION slot_time_range(start_time TIMESTAMPTZ, duration_minutes INTEGER)
+RETURNS TSTZRANGE
+LANGUAGE sql IMMUTABLE
+AS 'SELECT tstzrange($1, $1 + make_interval(mins => COALESCE($2, 15)))';
+
+-- No two slots of the same doctor may overlap
+ALTER TABLE slots DROP CONSTRAINT IF EXISTS slots_no_overlap;
+ALTER TABLE slots ADD CONSTRAINT slots_no_overlap
+    EXCLUDE USING gist (doctor_id WITH =, slot_time_range(start_time, duration_minutes) WITH &&);
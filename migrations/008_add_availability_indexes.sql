@@ -0,0 +1,10 @@
+-- Migration: Indexes for the availability search (GET /api/availability)
+
+-- Range scans over upcoming slots, across all doctors
+CREATE INDEX IF NOT EXISTS idx_slots_start_time ON slots(start_time) INCLUDE (doctor_id, duration_minutes);
+
+-- A single doctor's slots in time order (also used by GET /api/doctors/:id/slots)
+CREATE INDEX IF NOT EXISTS idx_slots_doctor_start_time ON slots(doctor_id, start_time);
+
+-- Case-insensitive specialization filter
+CREATE INDEX IF NOT EXISTS idx_doctors_specialization_lower ON doctors(lower(specialization));
@@ -0,0 +1,40 @@
+-- Migration: Add patients
+-- Bookings reference a patient record instead of only a free-text patient_name
+
+-- Patients table: Contact details and identifiers of people who book appointments
+-- legacy_booking_id records the booking a patient was created from by this migration
+CREATE TABLE IF NOT EXISTS patients (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NULL,
+    phone TEXT NULL,
+    date_of_birth DATE NULL,
+    mrn TEXT NULL,
+    legacy_booking_id INTEGER NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Patients are found by email (case-insensitive), phone or external MRN, so each is unique
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_email ON patients(lower(email)) WHERE email IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_phone ON patients(phone) WHERE phone IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_mrn ON patients(mrn) WHERE mrn IS NOT NULL;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS patient_id INTEGER NULL REFERENCES patients(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_bookings_patient ON bookings(patient_id);
+
+-- Backfill: create one patient per existing booking. Bookings only have a free-text
+-- name, so bookings with the same name are not merged (they may be different people).
+-- bookings.patient_name is kept as the name given at booking time
+INSERT INTO patients (name, legacy_booking_id, created_at)
+SELECT b.patient_name, b.id, b.created_at
+FROM bookings b
+WHERE b.patient_id IS NULL
+  AND NOT EXISTS (SELECT 1 FROM patients p WHERE p.legacy_booking_id = b.id);
+
+UPDATE bookings b
+SET patient_id = p.id
+FROM patients p
+WHERE p.legacy_booking_id = b.id AND b.patient_id IS NULL;
+
+ALTER TABLE bookings ALTER COLUMN patient_id SET NOT NULL;
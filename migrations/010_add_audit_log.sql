@@ -0,0 +1,29 @@
+-- Migration: Add audit log
+-- Append-only record of every state change on doctors, slots, bookings and templates
+
+-- Audit_log table: One row per change to one entity
+-- actor_type is 'user' (bearer token), 'anonymous' (unauthenticated request) or
+-- 'system' (background jobs, startup). actor_id is the token subject or the job name.
+-- before / after hold the entity row before and after the change (NULL on create / delete)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    actor_type TEXT NOT NULL CHECK (actor_type IN ('user', 'anonymous', 'system')),
+    actor_id TEXT NULL,
+    actor_role TEXT NULL,
+    action TEXT NOT NULL,
+    entity TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    before JSONB NULL,
+    after JSONB NULL,
+    request_id TEXT NULL
+);
+
+-- Indexes for GET /api/admin/audit: history of one entity, and the latest changes overall
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred ON audit_log(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_request ON audit_log(request_id) WHERE request_id IS NOT NULL;
+
+-- Append-only: updates and deletes of audit rows are silently discarded
+CREATE OR REPLACE RULE audit_log_no_update AS ON UPDATE TO audit_log DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE audit_log_no_delete AS ON DELETE TO audit_log DO INSTEAD NOTHING;
@@ -0,0 +1,56 @@
+-- Migration: Add transactional outbox and webhook delivery
+-- Booking, slot and doctor changes write an event in the same transaction;
+-- the webhook dispatcher job delivers events to subscribed URLs
+
+-- Outbox_events table: One row per domain event, written with the change itself
+-- payload is the entity row after the change (before it, for deletions).
+-- fanned_out_at is set once deliveries have been created for every matching subscription
+CREATE TABLE IF NOT EXISTS outbox_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_type TEXT NOT NULL,
+    entity TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    fanned_out_at TIMESTAMPTZ NULL
+);
+
+-- Index for the dispatcher, which picks up events that have not been fanned out yet
+CREATE INDEX IF NOT EXISTS idx_outbox_events_pending ON outbox_events(id) WHERE fanned_out_at IS NULL;
+
+-- Webhook_subscriptions table: URLs that receive events
+-- event_types lists the event types to deliver; an empty array means all events.
+-- secret signs deliveries (HMAC-SHA256), so receivers can verify them
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    event_types TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Webhook_deliveries table: One row per event per subscription
+-- PENDING deliveries are attempted when next_attempt_at is due and retried with
+-- exponential backoff; after the maximum number of attempts they become DEAD
+-- (dead-lettered) until an admin replays them
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    event_id BIGINT NOT NULL REFERENCES outbox_events(id) ON DELETE CASCADE,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED', 'DEAD')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_attempted_at TIMESTAMPTZ NULL,
+    last_status_code INTEGER NULL,
+    last_error TEXT NULL,
+    delivered_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (event_id, subscription_id)
+);
+
+-- Index for the dispatcher, which claims due PENDING deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
@@ -0,0 +1,40 @@
+-- Migration: Add appointment reminders
+-- Reminders are scheduled for CONFIRMED bookings and sent by the reminder job
+
+-- Booking_reminders table: One row per reminder (booking, channel, time before the appointment)
+-- status: SCHEDULED (waiting for send_at) -> SENDING (claimed by a job instance until
+-- claimed_until) -> SENT, or FAILED after the last attempt, or CANCELLED when the
+-- booking is cancelled or moved (a moved booking gets new reminders)
+CREATE TABLE IF NOT EXISTS booking_reminders (
+    id BIGSERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+    recipient TEXT NOT NULL,
+    offset_minutes INTEGER NOT NULL,
+    send_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'SCHEDULED' CHECK (status IN ('SCHEDULED', 'SENDING', 'SENT', 'FAILED', 'CANCELLED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    claimed_until TIMESTAMPTZ NULL,
+    last_error TEXT NULL,
+    sent_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for the reminder job, which claims due reminders
+CREATE INDEX IF NOT EXISTS idx_booking_reminders_due ON booking_reminders(send_at) WHERE status IN ('SCHEDULED', 'SENDING');
+CREATE INDEX IF NOT EXISTS idx_booking_reminders_booking ON booking_reminders(booking_id);
+
+-- Reminder_attempts table: Every send attempt, successful or not
+CREATE TABLE IF NOT EXISTS reminder_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    reminder_id BIGINT NOT NULL REFERENCES booking_reminders(id) ON DELETE CASCADE,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    transport TEXT NOT NULL,
+    success BOOLEAN NOT NULL,
+    provider_message_id TEXT NULL,
+    error TEXT NULL,
+    attempted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_attempts_booking ON reminder_attempts(booking_id, attempted_at);
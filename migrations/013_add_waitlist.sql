@@ -0,0 +1,53 @@
+-- Migration: Add waitlist
+-- Patients wait for a fully booked doctor; freed or new slots are offered to them in turn
+
+-- Waitlist_entries table: One row per patient waiting for a doctor
+-- preferred_from / preferred_to (dates) and time_of_day_from / time_of_day_to (wall-clock
+-- times in timezone) narrow down which slots are acceptable; NULL means any.
+-- status: WAITING -> OFFERED (an offer is open) -> BOOKED, or back to WAITING when an
+-- offer is declined, LAPSED when an offer is not answered in time, or CANCELLED
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    preferred_from DATE NULL,
+    preferred_to DATE NULL,
+    time_of_day_from TIME NULL,
+    time_of_day_to TIME NULL,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    status TEXT NOT NULL DEFAULT 'WAITING' CHECK (status IN ('WAITING', 'OFFERED', 'BOOKED', 'LAPSED', 'CANCELLED')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A patient can only be in a doctor's waiting line once at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_active ON waitlist_entries(doctor_id, patient_id) WHERE status IN ('WAITING', 'OFFERED');
+-- Index for finding the first waiting patient of a doctor
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_line ON waitlist_entries(doctor_id, created_at) WHERE status = 'WAITING';
+
+-- Waitlist_offers table: A slot offered to a waiting patient, held for them as a PENDING booking
+-- status: PENDING -> ACCEPTED (booking confirmed), DECLINED (booking cancelled) or
+-- LAPSED (hold expired). A patient is never offered the same slot twice
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id SERIAL PRIMARY KEY,
+    entry_id INTEGER NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    slot_id INTEGER NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'LAPSED')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (entry_id, slot_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_booking ON waitlist_offers(booking_id);
+
+-- Freed and created slots are written as slot.available outbox events in the
+-- transaction that frees or creates them, and offered by waitlistOfferJob (see
+-- waitlistService.queueOffers). waitlist_processed_at is set once the job has
+-- offered the event's slot, independently of fanned_out_at (webhook fan-out)
+ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS waitlist_processed_at TIMESTAMPTZ NULL;
+
+-- Index for the job, which reads the unprocessed slot.available events in order
+CREATE INDEX IF NOT EXISTS idx_outbox_events_waitlist_pending ON outbox_events(id)
+    WHERE event_type = 'slot.available' AND waitlist_processed_at IS NULL;
@@ -0,0 +1,19 @@
+-- Migration: Add iCalendar feeds
+-- Per-doctor subscription feed tokens, and revision counters for booking and slot calendar events
+
+-- Calendar_feed_tokens table: The secret token of each doctor's calendar feed
+-- Only a SHA-256 hash is stored; the token itself is shown once when it is issued.
+-- Issuing a new token replaces (and so revokes) the old one
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    doctor_id INTEGER PRIMARY KEY REFERENCES doctors(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- iCalendar SEQUENCE of the booking's event: bumped whenever the appointment is
+-- confirmed, moved, cancelled or expires, so calendar apps replace their copy of the event
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- iCalendar SEQUENCE of the slot's event in its doctor's feed: bumped whenever
+-- a booking or hold on the slot is made, confirmed or released
+ALTER TABLE slots ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
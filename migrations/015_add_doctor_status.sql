@@ -0,0 +1,18 @@
+-- Migration: Add doctor deactivation and deletion
+-- Doctors can be deactivated (hidden from public listings, no new bookings) and
+-- deleted; a doctor with booking history is archived instead of removed
+
+-- active: FALSE hides the doctor from public listings and availability search
+-- and rejects new bookings, holds and waitlist entries
+-- deleted_at: set when a doctor with booking history is deleted; the row is kept
+-- (inactive) so past bookings still resolve to a doctor
+ALTER TABLE doctors ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE doctors ADD COLUMN deactivated_at TIMESTAMPTZ NULL;
+ALTER TABLE doctors ADD COLUMN deleted_at TIMESTAMPTZ NULL;
+ALTER TABLE doctors ADD COLUMN updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Deleting a doctor used to cascade to their slots, and from there to every
+-- booking on them. Slots must now be removed explicitly (doctorService.deleteDoctor)
+ALTER TABLE slots DROP CONSTRAINT slots_doctor_id_fkey;
+ALTER TABLE slots ADD CONSTRAINT slots_doctor_id_fkey
+    FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE RESTRICT;
@@ -0,0 +1,25 @@
+-- Migration: Add slot blocking
+-- Slots can be blocked (e.g. leave or holidays): they stay in place, with any
+-- booking on them, but are no longer offered, searched or bookable
+
+-- Slot_blocks table: A blocked date range of a doctor
+-- Slots overlapping the range when it is created are blocked with it, and
+-- availability templates do not generate slots inside it
+CREATE TABLE slot_blocks (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    reason TEXT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT slot_blocks_range_check CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX idx_slot_blocks_doctor_range ON slot_blocks USING gist (doctor_id, tstzrange(starts_at, ends_at));
+
+-- blocked_at: set while the slot is blocked; block_id: the range that blocked it,
+-- if any (NULL for a slot blocked on its own)
+ALTER TABLE slots ADD COLUMN blocked_at TIMESTAMPTZ NULL;
+ALTER TABLE slots ADD COLUMN block_reason TEXT NULL;
+ALTER TABLE slots ADD COLUMN block_id INTEGER NULL REFERENCES slot_blocks(id) ON DELETE SET NULL;
+ALTER TABLE slots ADD COLUMN updated_at TIMESTAMPTZ DEFAULT NOW();
@@ -0,0 +1,24 @@
+-- Migration: Add background job run history
+-- Background jobs (src/jobs/) run once cluster-wide: an instance runs a job only
+-- while holding its Postgres advisory lock, and only when the last run, on any
+-- instance, started at least an interval ago
+
+-- Job_runs table: One row per finished run of a job, scheduled or manual
+-- result is the job's summary of what it did (e.g. holds expired); error is set
+-- for FAILED runs. Runs older than JOB_RUN_RETENTION_DAYS are pruned
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_name TEXT NOT NULL,
+    trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    triggered_by TEXT NULL,
+    status TEXT NOT NULL CHECK (status IN ('SUCCEEDED', 'FAILED')),
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ NOT NULL,
+    duration_ms INTEGER NOT NULL,
+    result JSONB NULL,
+    error TEXT NULL,
+    instance TEXT NOT NULL
+);
+
+-- Index for the latest runs of a job (due checks, GET /api/admin/jobs, pruning)
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
@@ -0,0 +1,17 @@
+-- Migration: Add rate limit counters
+-- Used by the postgres rate limit store (RATE_LIMIT_STORE=postgres), so that
+-- instances share one count per client; see middleware/rateLimit.js
+
+-- Rate_limit_counters table: One fixed-window counter per limit and client
+-- key is the limit's name and a hash of the client (IP address or patient
+-- identifier), so no patient data is stored. UNLOGGED: counters are not worth
+-- WAL writes, and losing them in a crash only resets the windows
+-- Expired counters are restarted on the next hit and deleted by rateLimitCleanupJob
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMPTZ NOT NULL
+);
+
+-- Index for the cleanup job that deletes expired counters
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset ON rate_limit_counters(reset_at);
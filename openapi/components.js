@@ -0,0 +1,379 @@
+/**
+ * Response schemas of the OpenAPI document (see openapi/index.js)
+ * 
+ * Records mirror the database rows the API returns. Only the fields every
+ * response carries are required, and unknown fields are allowed, so a record
+ * may grow without breaking the spec; a missing or retyped field does not pass
+ * response validation.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+const time = { type: 'string', pattern: '^\\d{2}:\\d{2}(:\\d{2})?$' };
+
+/**
+ * The schema, or null
+ */
+function nullable(schema) {
+  if (schema.$ref) {
+    return { anyOf: [schema, { type: 'null' }] };
+  }
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+function record(properties, required) {
+  return { type: 'object', properties, required };
+}
+
+/**
+ * A record extended with more properties, e.g. a booking with its slot's time
+ */
+function extend(name, properties, required = []) {
+  return { allOf: [ref(name), record(properties, required)] };
+}
+
+const BOOKING_STATUSES = ['PENDING', 'CONFIRMED', 'FAILED', 'CANCELLED'];
+
+const schemas = {
+  Error: record({
+    error: { ...string, description: 'Human-readable message (same as message)' },
+    code: { ...string, description: 'Stable, machine-readable error code, e.g. SLOT_ALREADY_BOOKED' },
+    message: string,
+    details: { type: 'object', description: 'Structured details, e.g. the invalid fields or conflicting ids' },
+    request_id: { ...string, description: 'The X-Request-Id of the request, for support' },
+    stack: { ...string, description: 'Stack trace (development only)' }
+  }, ['error', 'code', 'message']),
+
+  Pagination: record({
+    page: integer,
+    limit: integer,
+    total: integer,
+    total_pages: integer
+  }, ['page', 'limit', 'total', 'total_pages']),
+
+  Doctor: record({
+    id: integer,
+    name: string,
+    specialization: nullable(string),
+    active: boolean,
+    deactivated_at: nullable(timestamp),
+    deleted_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: nullable(timestamp)
+  }, ['id', 'name', 'specialization', 'active', 'created_at']),
+
+  DoctorDeletion: record({
+    doctor: ref('Doctor'),
+    archived: { ...boolean, description: 'Whether the doctor was kept (archived) because of booking history' },
+    cancelled_booking_ids: arrayOf(integer),
+    removed_slots: integer
+  }, ['doctor', 'archived', 'cancelled_booking_ids', 'removed_slots']),
+
+  Slot: record({
+    id: integer,
+    doctor_id: integer,
+    start_time: timestamp,
+    duration_minutes: integer,
+    template_id: nullable(integer),
+    blocked_at: nullable(timestamp),
+    block_reason: nullable(string),
+    block_id: nullable(integer),
+    calendar_sequence: integer,
+    created_at: timestamp,
+    updated_at: nullable(timestamp)
+  }, ['id', 'doctor_id', 'start_time', 'duration_minutes']),
+
+  SlotWithBooking: extend('Slot', { booking: nullable(ref('Booking')) }, ['booking']),
+
+  SlotDeletion: record({
+    slot: ref('Slot'),
+    deleted: { ...boolean, description: 'false if the slot was kept (blocked) because of booking history' },
+    cancelled_booking_id: nullable(integer)
+  }, ['slot', 'deleted', 'cancelled_booking_id']),
+
+  BulkSlotResult: record({
+    created: integer,
+    conflicts: integer,
+    errors: integer,
+    results: arrayOf(record({
+      index: integer,
+      status: { type: 'string', enum: ['created', 'conflict', 'error'] },
+      slot: ref('Slot'),
+      code: string,
+      conflicting_slot_ids: arrayOf(integer),
+      error: string
+    }, ['index', 'status']))
+  }, ['created', 'conflicts', 'errors', 'results']),
+
+  SlotBlock: record({
+    id: integer,
+    doctor_id: integer,
+    starts_at: timestamp,
+    ends_at: timestamp,
+    reason: nullable(string),
+    created_at: timestamp,
+    blocked_slots: { ...integer, description: 'Slots blocked by the range' },
+    unblocked_slots: { ...integer, description: 'Slots unblocked when the range was removed' },
+    affected_bookings: arrayOf(record({
+      booking_id: integer,
+      status: { type: 'string', enum: BOOKING_STATUSES },
+      slot_id: integer,
+      start_time: timestamp,
+      duration_minutes: integer,
+      patient_id: integer,
+      patient_name: string,
+      patient_email: nullable(string),
+      patient_phone: nullable(string)
+    }, ['booking_id', 'status', 'slot_id', 'start_time', 'patient_id']))
+  }, ['id', 'doctor_id', 'starts_at', 'ends_at']),
+
+  Booking: record({
+    id: integer,
+    slot_id: integer,
+    patient_id: integer,
+    patient_name: string,
+    patient_email: nullable(string),
+    status: { type: 'string', enum: BOOKING_STATUSES },
+    expires_at: nullable(timestamp),
+    cancelled_at: nullable(timestamp),
+    cancelled_by: nullable(string),
+    cancellation_reason: nullable(string),
+    previous_slot_id: nullable(integer),
+    rescheduled_at: nullable(timestamp),
+    calendar_sequence: integer,
+    created_at: timestamp,
+    updated_at: nullable(timestamp)
+  }, ['id', 'slot_id', 'patient_id', 'patient_name', 'status', 'created_at']),
+
+  PatientBooking: extend('Booking', {
+    start_time: timestamp,
+    duration_minutes: integer,
+    doctor_id: integer,
+    doctor_name: string,
+    doctor_specialization: nullable(string)
+  }, ['start_time', 'duration_minutes', 'doctor_id', 'doctor_name']),
+
+  BookingReschedule: record({
+    id: integer,
+    booking_id: integer,
+    from_slot_id: nullable(integer),
+    to_slot_id: nullable(integer),
+    created_at: timestamp
+  }, ['id', 'booking_id', 'from_slot_id', 'to_slot_id', 'created_at']),
+
+  Reminder: record({
+    id: integer,
+    booking_id: integer,
+    channel: { type: 'string', enum: ['email', 'sms'] },
+    recipient: string,
+    offset_minutes: integer,
+    send_at: timestamp,
+    status: { type: 'string', enum: ['SCHEDULED', 'SENDING', 'SENT', 'FAILED', 'CANCELLED'] },
+    attempts: integer,
+    last_error: nullable(string),
+    sent_at: nullable(timestamp),
+    attempts_log: arrayOf(record({
+      id: integer,
+      transport: string,
+      success: boolean,
+      provider_message_id: nullable(string),
+      error: nullable(string),
+      attempted_at: timestamp
+    }, ['id', 'transport', 'success', 'attempted_at']))
+  }, ['id', 'booking_id', 'channel', 'recipient', 'send_at', 'status', 'attempts_log']),
+
+  Patient: record({
+    id: integer,
+    name: string,
+    email: nullable(string),
+    phone: nullable(string),
+    date_of_birth: nullable(date),
+    mrn: nullable(string),
+    created_at: timestamp,
+    updated_at: nullable(timestamp)
+  }, ['id', 'name', 'created_at']),
+
+  AvailabilityResult: record({
+    data: arrayOf(record({
+      doctor: record({ id: integer, name: string, specialization: nullable(string) }, ['id', 'name']),
+      free_slot_count: integer,
+      slots: arrayOf(record({
+        id: integer,
+        start_time: timestamp,
+        duration_minutes: integer
+      }, ['id', 'start_time', 'duration_minutes']))
+    }, ['doctor', 'free_slot_count', 'slots'])),
+    pagination: ref('Pagination')
+  }, ['data', 'pagination']),
+
+  AvailabilityTemplate: record({
+    id: integer,
+    doctor_id: integer,
+    days_of_week: { ...arrayOf(integer), description: 'ISO days of the week, 1 (Monday) to 7 (Sunday)' },
+    start_time: time,
+    end_time: time,
+    slot_duration_minutes: integer,
+    valid_from: date,
+    valid_to: nullable(date),
+    skip_dates: arrayOf(date),
+    timezone: string,
+    active: boolean,
+    created_at: timestamp,
+    updated_at: nullable(timestamp),
+    generated: { ...integer, description: 'Slots generated by the change' },
+    removed: { ...integer, description: 'Future unbooked slots removed by the change' },
+    conflicts: arrayOf(ref('TemplateConflict'))
+  }, ['id', 'doctor_id', 'days_of_week', 'start_time', 'end_time', 'slot_duration_minutes', 'valid_from', 'active']),
+
+  TemplateConflict: record({
+    template_id: integer,
+    start_time: timestamp,
+    conflicting_slot_ids: arrayOf(integer)
+  }, ['template_id', 'start_time', 'conflicting_slot_ids']),
+
+  TemplateGeneration: record({
+    template_id: integer,
+    generated: integer,
+    conflicts: arrayOf(ref('TemplateConflict'))
+  }, ['template_id', 'generated', 'conflicts']),
+
+  WaitlistEntry: record({
+    id: integer,
+    doctor_id: integer,
+    patient_id: integer,
+    patient_name: { ...string, description: 'Only in a doctor\'s waitlist' },
+    preferred_from: nullable(date),
+    preferred_to: nullable(date),
+    time_of_day_from: nullable(time),
+    time_of_day_to: nullable(time),
+    timezone: string,
+    status: { type: 'string', enum: ['WAITING', 'OFFERED', 'BOOKED', 'LAPSED', 'CANCELLED'] },
+    offers: arrayOf(ref('WaitlistOffer')),
+    created_at: timestamp,
+    updated_at: nullable(timestamp)
+  }, ['id', 'doctor_id', 'patient_id', 'status', 'created_at']),
+
+  WaitlistOffer: record({
+    id: integer,
+    entry_id: integer,
+    slot_id: integer,
+    booking_id: integer,
+    status: { type: 'string', enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'LAPSED'] },
+    expires_at: timestamp,
+    responded_at: nullable(timestamp),
+    patient_id: integer,
+    doctor_id: integer,
+    created_at: timestamp
+  }, ['id', 'entry_id', 'slot_id', 'booking_id', 'status', 'expires_at']),
+
+  WaitlistOfferResponse: record({
+    offer: ref('WaitlistOffer'),
+    booking: ref('Booking')
+  }, ['offer', 'booking']),
+
+  CalendarToken: record({
+    doctor_id: integer,
+    token: string,
+    url: { ...string, description: 'The feed URL to subscribe to' }
+  }, ['doctor_id', 'token', 'url']),
+
+  AuditEntry: record({
+    id: integer,
+    occurred_at: timestamp,
+    actor_type: { type: 'string', enum: ['user', 'anonymous', 'system'] },
+    actor_id: nullable(string),
+    actor_role: nullable(string),
+    action: string,
+    entity: string,
+    entity_id: integer,
+    before: nullable({ type: 'object' }),
+    after: nullable({ type: 'object' }),
+    request_id: nullable(string)
+  }, ['id', 'occurred_at', 'actor_type', 'action', 'entity', 'entity_id']),
+
+  AuditPage: record({
+    data: arrayOf(ref('AuditEntry')),
+    pagination: ref('Pagination')
+  }, ['data', 'pagination']),
+
+  WebhookSubscription: record({
+    id: integer,
+    url: string,
+    secret: { ...string, description: 'Signing secret, only returned when the subscription is created' },
+    event_types: arrayOf(string),
+    description: nullable(string),
+    active: boolean,
+    created_at: timestamp,
+    updated_at: nullable(timestamp)
+  }, ['id', 'url', 'event_types', 'active']),
+
+  WebhookDelivery: record({
+    id: integer,
+    event_id: integer,
+    subscription_id: integer,
+    status: { type: 'string', enum: ['PENDING', 'DELIVERED', 'DEAD'] },
+    attempts: integer,
+    next_attempt_at: timestamp,
+    last_attempted_at: nullable(timestamp),
+    last_status_code: nullable(integer),
+    last_error: nullable(string),
+    delivered_at: nullable(timestamp),
+    event_type: string,
+    entity: string,
+    entity_id: integer,
+    payload: { type: 'object' },
+    created_at: timestamp
+  }, ['id', 'event_id', 'subscription_id', 'status', 'attempts']),
+
+  WebhookDeliveryPage: record({
+    data: arrayOf(ref('WebhookDelivery')),
+    pagination: ref('Pagination')
+  }, ['data', 'pagination']),
+
+  JobRun: record({
+    id: integer,
+    job_name: string,
+    trigger: { type: 'string', enum: ['schedule', 'manual'] },
+    triggered_by: nullable(string),
+    status: { type: 'string', enum: ['SUCCEEDED', 'FAILED'] },
+    started_at: timestamp,
+    finished_at: timestamp,
+    duration_ms: integer,
+    result: nullable({ type: 'object', description: 'What the run did, e.g. holds expired' }),
+    error: nullable(string),
+    instance: { ...string, description: 'The server instance (host:pid) that ran it' }
+  }, ['id', 'job_name', 'trigger', 'status', 'started_at', 'finished_at', 'duration_ms']),
+
+  Job: record({
+    name: string,
+    description: string,
+    interval_seconds: { ...integer, description: '0 when the job only runs manually' },
+    scheduled: boolean,
+    running_here: { ...boolean, description: 'Whether this instance is running it now' },
+    last_run: nullable(ref('JobRun')),
+    last_success_at: nullable(timestamp),
+    last_error: nullable(record({ at: timestamp, message: nullable(string) }, ['at', 'message'])),
+    next_run_at: nullable(timestamp)
+  }, ['name', 'interval_seconds', 'scheduled', 'last_run', 'last_success_at', 'last_error', 'next_run_at']),
+
+  Stats: record({
+    doctors: integer,
+    slots: integer,
+    bookings: integer
+  }, ['doctors', 'slots', 'bookings'])
+};
+
+module.exports = {
+  ref,
+  arrayOf,
+  schemas
+};
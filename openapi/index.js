@@ -0,0 +1,336 @@
+/**
+ * OpenAPI 3.1 document of the API
+ * 
+ * Built from openapi/operations.js: request parameters and bodies come from
+ * the same schemas the routes validate with (schemas/), so they cannot drift
+ * from what the API accepts; responses reference openapi/components.js, and
+ * error responses all use the error envelope (middleware/errorHandler.js).
+ * 
+ * Served at GET /api/openapi.json, with a Swagger UI page at GET /api/docs.
+ */
+const { version } = require('../package.json');
+const { schemas } = require('./components');
+const operations = require('./operations');
+
+// Error responses, by status
+const ERROR_RESPONSES = {
+  400: ['BadRequest', 'Invalid request (VALIDATION_FAILED lists the invalid fields in details.fields)'],
+  401: ['Unauthorized', 'Missing, invalid or expired token'],
+  403: ['Forbidden', 'The token\'s role or user may not access this resource'],
+  404: ['NotFound', 'The resource does not exist'],
+  409: ['Conflict', 'The request conflicts with the resource\'s current state'],
+  410: ['Gone', 'The hold or offer has expired'],
+  422: ['Unprocessable', 'The Idempotency-Key was used for a different request'],
+  429: ['TooManyRequests', 'Too many requests (RATE_LIMITED); retry after the seconds in the Retry-After header'],
+  503: ['ServiceUnavailable', 'The server is starting (SERVER_STARTING); retry after the seconds in the Retry-After header']
+};
+
+const SUCCESS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No content',
+  503: 'Unavailable'
+};
+
+let spec;
+let matchers;
+
+/**
+ * Convert an Express path (/bookings/:id) to an OpenAPI path (/bookings/{id})
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Copy a request schema without the keywords only middleware/validate.js understands
+ */
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (keyword === 'message') {
+      continue;
+    }
+    if (keyword === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toOpenApiSchema(property)])
+      );
+    } else if (['items', 'anyOf', 'oneOf', 'allOf', 'not'].includes(keyword)) {
+      result[keyword] = toOpenApiSchema(value);
+    } else {
+      result[keyword] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parameters of an operation: its path and query schemas, and Idempotency-Key
+ */
+function buildParameters(operation) {
+  const request = operation.request || {};
+  const parameters = [];
+
+  for (const location of ['params', 'query']) {
+    const schema = request[location];
+    if (!schema) {
+      continue;
+    }
+    const required = schema.required || [];
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      parameters.push({
+        name,
+        in: location === 'params' ? 'path' : 'query',
+        required: location === 'params' || required.includes(name),
+        schema: toOpenApiSchema(property)
+      });
+    }
+  }
+
+  if (operation.idempotent) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key replay the first response instead of repeating the request',
+      schema: { type: 'string', maxLength: 255 }
+    });
+  }
+
+  return parameters;
+}
+
+/**
+ * The JSON request body of an operation, listing deprecated aliases of its fields
+ */
+function buildRequestBody(operation) {
+  const request = operation.request || {};
+  if (!request.body) {
+    return undefined;
+  }
+
+  const schema = toOpenApiSchema(request.body);
+  const aliases = (request.aliases && request.aliases.body) || {};
+  for (const [alias, name] of Object.entries(aliases)) {
+    schema.properties[alias] = {
+      ...schema.properties[name],
+      deprecated: true,
+      description: `Deprecated; use ${name}`
+    };
+  }
+
+  return {
+    required: (schema.required || []).length > 0,
+    content: { 'application/json': { schema } }
+  };
+}
+
+/**
+ * Success responses of an operation and the error responses that apply to it
+ */
+function buildResponses(operation) {
+  const responses = {};
+
+  for (const [status, response] of Object.entries(operation.responses)) {
+    const description = SUCCESS_DESCRIPTIONS[status] || 'OK';
+    if (response === null) {
+      responses[status] = { description };
+    } else if (response.mediaType) {
+      responses[status] = { description, content: { [response.mediaType]: { schema: response.schema } } };
+    } else {
+      responses[status] = { description, content: { 'application/json': { schema: response } } };
+    }
+  }
+
+  const errors = new Set(operation.errors || []);
+  if (operation.request || operation.idempotent) {
+    errors.add(400);
+  }
+  if (operation.auth) {
+    errors.add(401);
+  }
+  if (Array.isArray(operation.auth)) {
+    errors.add(403);
+  }
+  if (operation.path.includes(':')) {
+    errors.add(404);
+  }
+  if (operation.idempotent) {
+    errors.add(409);
+    errors.add(422);
+  }
+  // Every /api request is rate limited (middleware/rateLimit.js), and refused
+  // while the server is starting (src/app.js)
+  if (operation.path.startsWith('/api/')) {
+    errors.add(429);
+    errors.add(503);
+  }
+
+  for (const status of [...errors].sort()) {
+    responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` };
+  }
+  responses.default = { $ref: '#/components/responses/Error' };
+
+  return responses;
+}
+
+/**
+ * Who may call an operation, as OpenAPI security requirements
+ */
+function buildSecurity(operation) {
+  if (!operation.auth) {
+    return [];
+  }
+  if (operation.auth === 'optional') {
+    return [{}, { bearerAuth: [] }];
+  }
+  return [{ bearerAuth: [] }];
+}
+
+function buildDescription(operation) {
+  const lines = operation.description ? [operation.description] : [];
+  if (Array.isArray(operation.auth)) {
+    lines.push(`Roles: ${operation.auth.join(', ')}${operation.owner ? ' (patients and doctors only their own)' : ''}.`);
+  }
+  return lines.length > 0 ? lines.join('\n\n') : undefined;
+}
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} The document
+ */
+function buildSpec() {
+  const paths = {};
+  const tags = [];
+
+  for (const operation of operations) {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = {
+      operationId: `${operation.method} ${operation.path}`,
+      tags: [operation.tag],
+      summary: operation.summary,
+      description: buildDescription(operation),
+      security: buildSecurity(operation),
+      parameters: buildParameters(operation),
+      requestBody: buildRequestBody(operation),
+      responses: buildResponses(operation)
+    };
+
+    if (!tags.includes(operation.tag)) {
+      tags.push(operation.tag);
+    }
+  }
+
+  const responses = {
+    Error: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  };
+  for (const [name, description] of Object.values(ERROR_RESPONSES)) {
+    responses[name] = { ...responses.Error, description };
+  }
+
+  // Round-trip through JSON to drop undefined fields
+  return JSON.parse(JSON.stringify({
+    openapi: '3.1.0',
+    info: {
+      title: 'MedReserve API',
+      version,
+      description: 'Doctor appointment booking. Errors use one envelope: see the Error schema.'
+    },
+    tags: tags.map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      responses,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  }));
+}
+
+/**
+ * Get the OpenAPI document (built once)
+ * @returns {Object} The document
+ */
+function getSpec() {
+  if (!spec) {
+    spec = buildSpec();
+  }
+  return spec;
+}
+
+/**
+ * Path patterns of the operations, literal paths first so that e.g.
+ * /webhooks/deliveries is not taken for /webhooks/:id
+ */
+function getMatchers() {
+  if (!matchers) {
+    matchers = operations
+      .map(operation => ({
+        method: operation.method,
+        params: (operation.path.match(/:\w+/g) || []).length,
+        path: operation.path,
+        pattern: new RegExp(`^${operation.path.replace(/\./g, '\\.').replace(/:\w+/g, '[^/]+')}/?$`),
+        operationId: `${operation.method} ${operation.path}`
+      }))
+      .sort((a, b) => a.params - b.params);
+  }
+  return matchers;
+}
+
+function findMatcher(method, path) {
+  return getMatchers().find(candidate =>
+    candidate.method === method.toLowerCase() && candidate.pattern.test(path)
+  );
+}
+
+/**
+ * Find the documented operation of a request
+ * @param {string} method - HTTP method, any case
+ * @param {string} path - Request path, e.g. /api/bookings/12
+ * @returns {Object|undefined} The OpenAPI operation object
+ */
+function findOperation(method, path) {
+  const matcher = findMatcher(method, path);
+  if (!matcher) {
+    return undefined;
+  }
+
+  const paths = getSpec().paths;
+  for (const item of Object.values(paths)) {
+    const operation = item[matcher.method];
+    if (operation && operation.operationId === matcher.operationId) {
+      return operation;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find the route template of a request, e.g. /api/bookings/:id for /api/bookings/12
+ * @param {string} method - HTTP method, any case
+ * @param {string} path - Request path
+ * @returns {string|undefined} The documented path, in Express syntax
+ */
+function findRoute(method, path) {
+  const matcher = findMatcher(method, path);
+  return matcher && matcher.path;
+}
+
+module.exports = {
+  getSpec,
+  findOperation,
+  findRoute
+};
@@ -0,0 +1,678 @@
+/**
+ * The API's operations, one per route (see routes/), for the OpenAPI document
+ * 
+ * Each operation lists its full path in Express syntax, who may call it, the
+ * request schema set its route validates with (schemas/) and its success
+ * responses by status. A response is a JSON Schema, null for no body, or
+ * { mediaType, schema } for a non-JSON body. Error responses are added by
+ * openapi/index.js from the rest:
+ * - auth: omitted for public endpoints, 'optional' when a token is optional,
+ *   or the roles that may call it
+ * - owner: patients/doctors only reach their own resources (403 otherwise)
+ * - idempotent: honours the Idempotency-Key header
+ * - errors: further error statuses, e.g. [409] for conflicts
+ * 
+ * Keep this list in step with routes/: with response validation on, a request
+ * to a route missing here is reported (see middleware/responseValidation.js).
+ */
+const { ROLES, STAFF_ROLES } = require('../config/roles');
+const { ref, arrayOf } = require('./components');
+const doctorSchemas = require('../schemas/doctor.schemas');
+const slotSchemas = require('../schemas/slot.schemas');
+const bookingSchemas = require('../schemas/booking.schemas');
+const patientSchemas = require('../schemas/patient.schemas');
+const availabilitySchemas = require('../schemas/availability.schemas');
+const templateSchemas = require('../schemas/template.schemas');
+const waitlistSchemas = require('../schemas/waitlist.schemas');
+const webhookSchemas = require('../schemas/webhook.schemas');
+const auditSchemas = require('../schemas/audit.schemas');
+const calendarSchemas = require('../schemas/calendar.schemas');
+const jobSchemas = require('../schemas/job.schemas');
+
+const ADMIN = [ROLES.ADMIN];
+const ALL_ROLES = Object.values(ROLES);
+const STAFF_OR_DOCTOR = [...STAFF_ROLES, ROLES.DOCTOR];
+const STAFF_OR_PATIENT = [...STAFF_ROLES, ROLES.PATIENT];
+const HEALTH = {
+  type: 'object',
+  properties: { status: { type: 'string' }, database: { type: 'string' }, timestamp: { type: 'string' } },
+  required: ['status', 'database']
+};
+const LIVENESS = {
+  type: 'object',
+  properties: { status: { type: 'string' }, uptime_seconds: { type: 'integer' }, timestamp: { type: 'string' } },
+  required: ['status']
+};
+const READINESS = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['starting', 'ready', 'shutting_down', 'error'] },
+    database: { type: 'string' },
+    timestamp: { type: 'string' }
+  },
+  required: ['status']
+};
+const CALENDAR = { mediaType: 'text/calendar', schema: { type: 'string', description: 'iCalendar (RFC 5545) data' } };
+
+const operations = [
+  // Doctors (routes/doctor.routes.js)
+  {
+    method: 'get',
+    path: '/api/doctors',
+    tag: 'Doctors',
+    summary: 'List active doctors',
+    responses: { 200: arrayOf(ref('Doctor')) }
+  },
+  {
+    method: 'post',
+    path: '/api/doctors',
+    tag: 'Doctors',
+    summary: 'Create a doctor',
+    auth: ADMIN,
+    request: doctorSchemas.createDoctor,
+    responses: { 201: ref('Doctor') }
+  },
+  {
+    method: 'get',
+    path: '/api/doctors/:id/slots',
+    tag: 'Doctors',
+    summary: 'List a doctor\'s unblocked slots',
+    request: doctorSchemas.doctorParams,
+    responses: { 200: arrayOf(ref('Slot')) }
+  },
+  {
+    method: 'post',
+    path: '/api/doctors/:id/waitlist',
+    tag: 'Waitlist',
+    summary: 'Join a doctor\'s waitlist',
+    description: 'A patient token joins as that patient; other patients are resolved as when booking. Rate limited like booking.',
+    auth: 'optional',
+    request: waitlistSchemas.joinWaitlist,
+    responses: { 201: ref('WaitlistEntry') },
+    errors: [409]
+  },
+  {
+    method: 'get',
+    path: '/api/doctors/:id/waitlist',
+    tag: 'Waitlist',
+    summary: 'List a doctor\'s waitlist in line order',
+    auth: STAFF_OR_DOCTOR,
+    owner: true,
+    request: waitlistSchemas.getDoctorWaitlist,
+    responses: { 200: arrayOf(ref('WaitlistEntry')) }
+  },
+  {
+    method: 'post',
+    path: '/api/doctors/:id/calendar-token',
+    tag: 'Doctors',
+    summary: 'Issue a calendar feed token',
+    description: 'Revokes the doctor\'s previous feed token.',
+    auth: STAFF_OR_DOCTOR,
+    owner: true,
+    request: doctorSchemas.doctorParams,
+    responses: { 201: ref('CalendarToken') }
+  },
+  {
+    method: 'get',
+    path: '/api/doctors/:id/calendar.ics',
+    tag: 'Doctors',
+    summary: 'A doctor\'s iCalendar feed',
+    description: 'Authenticated by the feed token in the token query parameter (401 if missing or revoked).',
+    request: calendarSchemas.getDoctorCalendar,
+    responses: { 200: CALENDAR },
+    errors: [401]
+  },
+
+  // Booking a slot (routes/booking.routes.js)
+  {
+    method: 'post',
+    path: '/api/slots/:slotId/book',
+    tag: 'Booking',
+    summary: 'Book a slot',
+    description: 'A patient token books for that patient rather than the one in the body. Only staff may send patient_id, and only staff bookings are matched to an existing patient by email, phone or MRN; otherwise such details are refused with 409 PATIENT_VERIFICATION_REQUIRED. Rate limited per IP address and per patient, and capped at MAX_ACTIVE_BOOKINGS_PER_PATIENT active bookings per patient (409 ACTIVE_BOOKING_LIMIT_REACHED).',
+    auth: 'optional',
+    idempotent: true,
+    request: bookingSchemas.bookSlot,
+    responses: { 201: ref('Booking') },
+    errors: [409]
+  },
+  {
+    method: 'post',
+    path: '/api/slots/:slotId/hold',
+    tag: 'Booking',
+    summary: 'Hold a slot as a PENDING booking',
+    description: 'The hold expires unless confirmed with POST /api/bookings/{id}/confirm. The patient is resolved, rate limited and capped like booking.',
+    auth: STAFF_OR_PATIENT,
+    idempotent: true,
+    request: bookingSchemas.holdSlot,
+    responses: { 201: ref('Booking') },
+    errors: [409]
+  },
+
+  // Bookings (routes/bookings.routes.js)
+  {
+    method: 'get',
+    path: '/api/bookings/:id',
+    tag: 'Bookings',
+    summary: 'Get a booking',
+    auth: ALL_ROLES,
+    owner: true,
+    request: bookingSchemas.bookingParams,
+    responses: { 200: ref('Booking') }
+  },
+  {
+    method: 'post',
+    path: '/api/bookings/:id/confirm',
+    tag: 'Bookings',
+    summary: 'Confirm a held booking',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    idempotent: true,
+    request: bookingSchemas.bookingParams,
+    responses: { 200: ref('Booking') },
+    errors: [409, 410]
+  },
+  {
+    method: 'post',
+    path: '/api/bookings/:id/cancel',
+    tag: 'Bookings',
+    summary: 'Cancel a booking',
+    description: 'cancelled_by is the role of the caller, e.g. patient or front_desk.',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    idempotent: true,
+    request: bookingSchemas.cancelBooking,
+    responses: { 200: ref('Booking') },
+    errors: [409]
+  },
+  {
+    method: 'post',
+    path: '/api/bookings/:id/reschedule',
+    tag: 'Bookings',
+    summary: 'Move a booking to another slot',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    idempotent: true,
+    request: bookingSchemas.rescheduleBooking,
+    responses: { 200: ref('Booking') },
+    errors: [409]
+  },
+  {
+    method: 'get',
+    path: '/api/bookings/:id/reschedules',
+    tag: 'Bookings',
+    summary: 'List the slots a booking was moved between',
+    auth: ALL_ROLES,
+    owner: true,
+    request: bookingSchemas.bookingParams,
+    responses: { 200: arrayOf(ref('BookingReschedule')) }
+  },
+  {
+    method: 'get',
+    path: '/api/bookings/:id/reminders',
+    tag: 'Bookings',
+    summary: 'List a booking\'s reminders and send attempts',
+    auth: ALL_ROLES,
+    owner: true,
+    request: bookingSchemas.bookingParams,
+    responses: { 200: arrayOf(ref('Reminder')) }
+  },
+  {
+    method: 'get',
+    path: '/api/bookings/:id/calendar.ics',
+    tag: 'Bookings',
+    summary: 'Download a booking as an iCalendar event',
+    auth: ALL_ROLES,
+    owner: true,
+    request: bookingSchemas.bookingParams,
+    responses: { 200: CALENDAR }
+  },
+
+  // Patients (routes/patients.routes.js)
+  {
+    method: 'get',
+    path: '/api/patients/:id',
+    tag: 'Patients',
+    summary: 'Get a patient',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    request: patientSchemas.patientParams,
+    responses: { 200: ref('Patient') }
+  },
+  {
+    method: 'get',
+    path: '/api/patients/:id/bookings',
+    tag: 'Patients',
+    summary: 'List a patient\'s bookings, latest appointment first',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    request: patientSchemas.patientParams,
+    responses: { 200: arrayOf(ref('PatientBooking')) }
+  },
+
+  // Availability (routes/availability.routes.js)
+  {
+    method: 'get',
+    path: '/api/availability',
+    tag: 'Availability',
+    summary: 'Search free slots across doctors',
+    description: 'Grouped by doctor and paginated. Defaults to the next 14 days; from/to may span at most 92 days.',
+    request: availabilitySchemas.searchAvailability,
+    responses: { 200: ref('AvailabilityResult') }
+  },
+
+  // Waitlist (routes/waitlist.routes.js)
+  {
+    method: 'get',
+    path: '/api/waitlist/offers/:id',
+    tag: 'Waitlist',
+    summary: 'Get a waitlist offer',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    request: waitlistSchemas.waitlistParams,
+    responses: { 200: ref('WaitlistOffer') }
+  },
+  {
+    method: 'post',
+    path: '/api/waitlist/offers/:id/accept',
+    tag: 'Waitlist',
+    summary: 'Accept an offer, confirming its held booking',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    idempotent: true,
+    request: waitlistSchemas.waitlistParams,
+    responses: { 200: ref('WaitlistOfferResponse') },
+    errors: [409, 410]
+  },
+  {
+    method: 'post',
+    path: '/api/waitlist/offers/:id/decline',
+    tag: 'Waitlist',
+    summary: 'Decline an offer',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    idempotent: true,
+    request: waitlistSchemas.waitlistParams,
+    responses: { 200: ref('WaitlistOfferResponse') },
+    errors: [409]
+  },
+  {
+    method: 'get',
+    path: '/api/waitlist/:id',
+    tag: 'Waitlist',
+    summary: 'Get a waitlist entry with its offers',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    request: waitlistSchemas.waitlistParams,
+    responses: { 200: ref('WaitlistEntry') }
+  },
+  {
+    method: 'delete',
+    path: '/api/waitlist/:id',
+    tag: 'Waitlist',
+    summary: 'Leave the waitlist',
+    auth: STAFF_OR_PATIENT,
+    owner: true,
+    request: waitlistSchemas.waitlistParams,
+    responses: { 200: ref('WaitlistEntry') },
+    errors: [409]
+  },
+
+  // Administration (routes/admin.routes.js)
+  {
+    method: 'post',
+    path: '/api/admin/doctors',
+    tag: 'Admin',
+    summary: 'Create a doctor',
+    auth: ADMIN,
+    request: doctorSchemas.createDoctor,
+    responses: { 201: ref('Doctor') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/doctors',
+    tag: 'Admin',
+    summary: 'List all doctors, including inactive and deleted ones',
+    auth: STAFF_ROLES,
+    responses: { 200: arrayOf(ref('Doctor')) }
+  },
+  {
+    method: 'patch',
+    path: '/api/admin/doctors/:id',
+    tag: 'Admin',
+    summary: 'Update a doctor',
+    auth: ADMIN,
+    request: doctorSchemas.updateDoctor,
+    responses: { 200: ref('Doctor') }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/doctors/:id/deactivate',
+    tag: 'Admin',
+    summary: 'Stop a doctor taking new bookings',
+    auth: ADMIN,
+    request: doctorSchemas.doctorParams,
+    responses: { 200: ref('Doctor') }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/doctors/:id/activate',
+    tag: 'Admin',
+    summary: 'Let a deactivated doctor take bookings again',
+    auth: ADMIN,
+    request: doctorSchemas.doctorParams,
+    responses: { 200: ref('Doctor') }
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/doctors/:id',
+    tag: 'Admin',
+    summary: 'Delete (or archive) a doctor',
+    description: 'Refused while the doctor has upcoming bookings, unless cancel_bookings is set.',
+    auth: ADMIN,
+    request: doctorSchemas.deleteDoctor,
+    responses: { 200: ref('DoctorDeletion') },
+    errors: [409]
+  },
+  {
+    method: 'post',
+    path: '/api/admin/slots',
+    tag: 'Admin',
+    summary: 'Create a slot',
+    auth: ADMIN,
+    request: slotSchemas.createSlot,
+    responses: { 201: ref('Slot') },
+    errors: [409]
+  },
+  {
+    method: 'post',
+    path: '/api/admin/slots/bulk',
+    tag: 'Admin',
+    summary: 'Create many slots, reporting each row',
+    auth: ADMIN,
+    request: slotSchemas.createSlotsBulk,
+    responses: { 200: ref('BulkSlotResult') }
+  },
+  {
+    method: 'patch',
+    path: '/api/admin/slots/:id',
+    tag: 'Admin',
+    summary: 'Update or block a slot',
+    description: 'Moving a booked slot requires on_booked=move. A slot cannot be moved to a start time in the past.',
+    auth: ADMIN,
+    request: slotSchemas.updateSlot,
+    responses: { 200: ref('SlotWithBooking') },
+    errors: [409, 422]
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/slots/:id',
+    tag: 'Admin',
+    summary: 'Delete a slot',
+    description: 'Deleting a booked slot requires on_booked=cancel; slots with booking history are blocked instead.',
+    auth: ADMIN,
+    request: slotSchemas.deleteSlot,
+    responses: { 200: ref('SlotDeletion') },
+    errors: [409]
+  },
+  {
+    method: 'post',
+    path: '/api/admin/doctors/:id/blocks',
+    tag: 'Admin',
+    summary: 'Block a date range of a doctor',
+    auth: ADMIN,
+    request: slotSchemas.createBlock,
+    responses: { 201: ref('SlotBlock') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/doctors/:id/blocks',
+    tag: 'Admin',
+    summary: 'List a doctor\'s blocked ranges',
+    auth: STAFF_ROLES,
+    request: doctorSchemas.doctorParams,
+    responses: { 200: arrayOf(ref('SlotBlock')) }
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/blocks/:id',
+    tag: 'Admin',
+    summary: 'Remove a blocked range',
+    auth: ADMIN,
+    request: slotSchemas.slotParams,
+    responses: { 200: ref('SlotBlock') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/doctors/:id/slots',
+    tag: 'Admin',
+    summary: 'List all slots of a doctor',
+    auth: STAFF_OR_DOCTOR,
+    owner: true,
+    request: doctorSchemas.doctorParams,
+    responses: { 200: arrayOf(ref('Slot')) }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/stats',
+    tag: 'Admin',
+    summary: 'Counts of doctors, slots and bookings',
+    auth: STAFF_ROLES,
+    responses: { 200: ref('Stats') }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/bookings/:id/cancel',
+    tag: 'Admin',
+    summary: 'Cancel a booking as staff',
+    auth: STAFF_ROLES,
+    request: bookingSchemas.cancelBooking,
+    responses: { 200: ref('Booking') },
+    errors: [409]
+  },
+  {
+    method: 'post',
+    path: '/api/admin/availability-templates',
+    tag: 'Admin',
+    summary: 'Create an availability template and generate its slots',
+    auth: ADMIN,
+    request: templateSchemas.createTemplate,
+    responses: { 201: ref('AvailabilityTemplate') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/availability-templates',
+    tag: 'Admin',
+    summary: 'List availability templates',
+    auth: STAFF_ROLES,
+    request: templateSchemas.listTemplates,
+    responses: { 200: arrayOf(ref('AvailabilityTemplate')) }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/availability-templates/:id',
+    tag: 'Admin',
+    summary: 'Get an availability template',
+    auth: STAFF_ROLES,
+    request: templateSchemas.templateParams,
+    responses: { 200: ref('AvailabilityTemplate') }
+  },
+  {
+    method: 'patch',
+    path: '/api/admin/availability-templates/:id',
+    tag: 'Admin',
+    summary: 'Update an availability template and regenerate its future slots',
+    auth: ADMIN,
+    request: templateSchemas.updateTemplate,
+    responses: { 200: ref('AvailabilityTemplate') }
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/availability-templates/:id',
+    tag: 'Admin',
+    summary: 'Deactivate an availability template',
+    auth: ADMIN,
+    request: templateSchemas.templateParams,
+    responses: { 200: ref('AvailabilityTemplate') }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/availability-templates/:id/generate',
+    tag: 'Admin',
+    summary: 'Generate a template\'s missing slots now',
+    auth: ADMIN,
+    request: templateSchemas.templateParams,
+    responses: { 200: ref('TemplateGeneration') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/audit',
+    tag: 'Admin',
+    summary: 'Search the audit log, newest first',
+    auth: ADMIN,
+    request: auditSchemas.listAuditEntries,
+    responses: { 200: ref('AuditPage') }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/webhooks',
+    tag: 'Webhooks',
+    summary: 'Subscribe to webhook events',
+    description: 'The response is the only time the signing secret is returned.',
+    auth: ADMIN,
+    request: webhookSchemas.createSubscription,
+    responses: { 201: ref('WebhookSubscription') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/webhooks',
+    tag: 'Webhooks',
+    summary: 'List webhook subscriptions',
+    auth: ADMIN,
+    responses: { 200: arrayOf(ref('WebhookSubscription')) }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/webhooks/deliveries',
+    tag: 'Webhooks',
+    summary: 'List webhook deliveries, newest first',
+    auth: ADMIN,
+    request: webhookSchemas.listDeliveries,
+    responses: { 200: ref('WebhookDeliveryPage') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/webhooks/deliveries/:id',
+    tag: 'Webhooks',
+    summary: 'Get a webhook delivery with its event payload',
+    auth: ADMIN,
+    request: webhookSchemas.webhookParams,
+    responses: { 200: ref('WebhookDelivery') }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/webhooks/deliveries/:id/replay',
+    tag: 'Webhooks',
+    summary: 'Send a delivery again',
+    auth: ADMIN,
+    request: webhookSchemas.webhookParams,
+    responses: { 200: ref('WebhookDelivery') }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/webhooks/:id',
+    tag: 'Webhooks',
+    summary: 'Get a webhook subscription',
+    auth: ADMIN,
+    request: webhookSchemas.webhookParams,
+    responses: { 200: ref('WebhookSubscription') }
+  },
+  {
+    method: 'patch',
+    path: '/api/admin/webhooks/:id',
+    tag: 'Webhooks',
+    summary: 'Update a webhook subscription',
+    auth: ADMIN,
+    request: webhookSchemas.updateSubscription,
+    responses: { 200: ref('WebhookSubscription') }
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/webhooks/:id',
+    tag: 'Webhooks',
+    summary: 'Delete a webhook subscription',
+    auth: ADMIN,
+    request: webhookSchemas.webhookParams,
+    responses: { 204: null }
+  },
+
+  {
+    method: 'get',
+    path: '/api/admin/jobs',
+    tag: 'Jobs',
+    summary: 'List background jobs with their schedule and run history',
+    auth: ADMIN,
+    responses: { 200: arrayOf(ref('Job')) }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/jobs/:name/run',
+    tag: 'Jobs',
+    summary: 'Run a background job now',
+    description: 'Responds once the run has finished. The run is recorded like a scheduled one; a job that throws is recorded (and returned) as FAILED.',
+    auth: ADMIN,
+    request: jobSchemas.jobParams,
+    responses: { 200: ref('JobRun') },
+    errors: [409]
+  },
+
+  // Documentation (routes/docs.routes.js), metrics (routes/metrics.routes.js) and health checks (src/app.js)
+  {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'Meta',
+    summary: 'This OpenAPI document',
+    responses: { 200: { type: 'object' } }
+  },
+  {
+    method: 'get',
+    path: '/api/docs',
+    tag: 'Meta',
+    summary: 'Interactive API documentation (Swagger UI)',
+    responses: { 200: { mediaType: 'text/html', schema: { type: 'string' } } }
+  },
+  {
+    method: 'get',
+    path: '/metrics',
+    tag: 'Meta',
+    summary: 'Prometheus metrics',
+    description: 'Requires METRICS_TOKEN as a bearer token when it is set.',
+    responses: { 200: { mediaType: 'text/plain', schema: { type: 'string', description: 'Prometheus text exposition format' } } },
+    errors: [401]
+  },
+  {
+    method: 'get',
+    path: '/health',
+    tag: 'Meta',
+    summary: 'Health check, including the database connection',
+    responses: { 200: HEALTH, 503: HEALTH }
+  },
+  {
+    method: 'get',
+    path: '/health/live',
+    tag: 'Meta',
+    summary: 'Liveness check: the process is up',
+    description: 'Checks no dependencies, so a database outage does not fail it.',
+    responses: { 200: LIVENESS }
+  },
+  {
+    method: 'get',
+    path: '/health/ready',
+    tag: 'Meta',
+    summary: 'Readiness check: initialised, not shutting down, and the database is reachable',
+    description: 'Returns 503 while the database is initialised at startup, while shutting down, and when the database is unreachable.',
+    responses: { 200: READINESS, 503: READINESS }
+  }
+];
+
+module.exports = operations;
@@ -1,13 +1,41 @@
 /**
  * Admin Routes
  * 
- * Administrative endpoints for managing doctors, slots, and viewing statistics.
- * All endpoints are mounted under /api/admin
+ * Administrative endpoints for managing doctors, slots (and blocked ranges),
+ * availability templates, bookings and webhook subscriptions, viewing
+ * statistics and the audit log, and running background jobs.
+ * All endpoints are mounted under /api/admin and require a bearer token:
+ * - admin: everything
+ * - front_desk: read doctors, schedules and stats, cancel bookings
+ * - doctor: read their own schedule
+ * 
+ * Request params, query and body are validated against schemas/ (see middleware/validate.js)
  */
 
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
+const doctorService = require('../services/doctorService');
+const doctorController = require('../controllers/doctorController');
+const slotController = require('../controllers/slotController');
+const slotService = require('../services/slotService');
+const bookingController = require('../controllers/bookingController');
+const availabilityTemplateController = require('../controllers/availabilityTemplateController');
+const auditController = require('../controllers/auditController');
+const webhookController = require('../controllers/webhookController');
+const jobController = require('../controllers/jobController');
+const { ROLES, STAFF_ROLES, authenticate, authorize, authorizeDoctorSelf } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const doctorSchemas = require('../schemas/doctor.schemas');
+const slotSchemas = require('../schemas/slot.schemas');
+const bookingSchemas = require('../schemas/booking.schemas');
+const templateSchemas = require('../schemas/template.schemas');
+const auditSchemas = require('../schemas/audit.schemas');
+const webhookSchemas = require('../schemas/webhook.schemas');
+const jobSchemas = require('../schemas/job.schemas');
+
+const adminOnly = authorize(ROLES.ADMIN);
+const staffOnly = authorize(...STAFF_ROLES);
 
 /**
  * POST /doctors
@@ -18,18 +46,10 @@ async function createDoctor(req, res, next) {
   try {
     const { name, specialization } = req.body;
 
-    // Validate name is required
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      return res.status(400).json({ error: 'name is required and must be a non-empty string' });
-    }
-
     // Insert doctor into database
-    const result = await query(
-      'INSERT INTO doctors (name, specialization) VALUES ($1, $2) RETURNING *',
-      [name.trim(), specialization || null]
-    );
+    const doctor = await doctorService.createDoctor({ name: name.trim(), specialization });
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(doctor);
   } catch (error) {
     next(error);
   }
@@ -37,7 +57,7 @@ async function createDoctor(req, res, next) {
 
 /**
  * GET /doctors
- * List all doctors ordered by id
+ * List all doctors ordered by id, including inactive and deleted (archived) ones
  */
 async function listDoctors(req, res, next) {
   try {
@@ -56,55 +76,43 @@ async function listDoctors(req, res, next) {
  * POST /slots
  * Create a new appointment slot for a doctor
  * Validation: doctor must exist, start_time must be parsable, duration_minutes > 0
+ * (default 15), and the slot must not overlap another slot of the same doctor.
+ * The camelCase doctorId, startTime and durationMinutes are deprecated aliases
  */
 async function createSlot(req, res, next) {
   try {
     const { doctor_id, start_time, duration_minutes } = req.body;
 
-    // Validate doctor_id
-    if (!doctor_id) {
-      return res.status(400).json({ error: 'doctor_id is required' });
-    }
-
-    // Validate start_time is provided and parsable
-    if (!start_time) {
-      return res.status(400).json({ error: 'start_time is required' });
-    }
-
-    // Try to parse start_time - PostgreSQL will validate the format
-    let parsedStartTime;
-    try {
-      parsedStartTime = new Date(start_time);
-      if (isNaN(parsedStartTime.getTime())) {
-        return res.status(400).json({ error: 'start_time must be a valid date/time' });
-      }
-    } catch (e) {
-      return res.status(400).json({ error: 'start_time must be a valid date/time' });
-    }
-
-    // Validate duration_minutes
-    const duration = duration_minutes ? parseInt(duration_minutes) : 15;
-    if (isNaN(duration) || duration <= 0) {
-      return res.status(400).json({ error: 'duration_minutes must be a positive number' });
-    }
-
-    // Check if doctor exists
-    const doctorCheck = await query(
-      'SELECT id FROM doctors WHERE id = $1',
-      [doctor_id]
-    );
+    // Check the doctor exists and insert the slot (409 with conflicting slot ids on overlap)
+    const slot = await slotService.createSlot({
+      doctorId: doctor_id,
+      startTime: start_time,
+      durationMinutes: duration_minutes
+    });
 
-    if (doctorCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Doctor not found' });
-    }
+    res.status(201).json(slot);
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Insert slot into database
-    const result = await query(
-      'INSERT INTO slots (doctor_id, start_time, duration_minutes) VALUES ($1, $2, $3) RETURNING *',
-      [doctor_id, start_time, duration]
-    );
+/**
+ * POST /slots/bulk
+ * Create many slots at once (e.g. an import)
+ * Each row is reported separately: overlapping or invalid rows are skipped
+ * without aborting the rest
+ */
+async function createSlotsBulk(req, res, next) {
+  try {
+    const { slots } = req.body;
 
-    res.status(201).json(result.rows[0]);
+    const summary = await slotService.createSlots(slots.map(slot => ({
+      doctorId: slot.doctor_id,
+      startTime: slot.start_time,
+      durationMinutes: slot.duration_minutes
+    })));
+
+    res.status(200).json(summary);
   } catch (error) {
     next(error);
   }
@@ -116,15 +124,9 @@ async function createSlot(req, res, next) {
  */
 async function getDoctorSlots(req, res, next) {
   try {
-    const doctorId = req.params.id;
-
-    if (!doctorId) {
-      return res.status(400).json({ error: 'doctor id is required' });
-    }
-
     const result = await query(
       'SELECT * FROM slots WHERE doctor_id = $1 ORDER BY start_time',
-      [doctorId]
+      [req.params.id]
     );
 
     res.json(result.rows);
@@ -156,11 +158,42 @@ async function getStats(req, res, next) {
   }
 }
 
+// Every admin endpoint requires authentication
+router.use(authenticate);
+
 // Define routes
-router.post('/doctors', createDoctor);
-router.get('/doctors', listDoctors);
-router.post('/slots', createSlot);
-router.get('/doctors/:id/slots', getDoctorSlots);
-router.get('/stats', getStats);
+router.post('/doctors', adminOnly, validate(doctorSchemas.createDoctor), createDoctor);
+router.get('/doctors', staffOnly, listDoctors);
+router.patch('/doctors/:id', adminOnly, validate(doctorSchemas.updateDoctor), doctorController.updateDoctor);
+router.post('/doctors/:id/deactivate', adminOnly, validate(doctorSchemas.doctorParams), doctorController.deactivateDoctor);
+router.post('/doctors/:id/activate', adminOnly, validate(doctorSchemas.doctorParams), doctorController.activateDoctor);
+router.delete('/doctors/:id', adminOnly, validate(doctorSchemas.deleteDoctor), doctorController.deleteDoctor);
+router.post('/slots', adminOnly, validate(slotSchemas.createSlot), createSlot);
+router.post('/slots/bulk', adminOnly, validate(slotSchemas.createSlotsBulk), createSlotsBulk);
+router.patch('/slots/:id', adminOnly, validate(slotSchemas.updateSlot), slotController.updateSlot);
+router.delete('/slots/:id', adminOnly, validate(slotSchemas.deleteSlot), slotController.deleteSlot);
+router.post('/doctors/:id/blocks', adminOnly, validate(slotSchemas.createBlock), slotController.createBlock);
+router.get('/doctors/:id/blocks', staffOnly, validate(doctorSchemas.doctorParams), slotController.listBlocks);
+router.delete('/blocks/:id', adminOnly, validate(slotSchemas.slotParams), slotController.deleteBlock);
+router.get('/doctors/:id/slots', validate(doctorSchemas.doctorParams), authorizeDoctorSelf, getDoctorSlots);
+router.get('/stats', staffOnly, getStats);
+router.post('/bookings/:id/cancel', staffOnly, validate(bookingSchemas.cancelBooking), bookingController.cancelBooking);
+router.post('/availability-templates', adminOnly, validate(templateSchemas.createTemplate), availabilityTemplateController.createTemplate);
+router.get('/availability-templates', staffOnly, validate(templateSchemas.listTemplates), availabilityTemplateController.listTemplates);
+router.get('/availability-templates/:id', staffOnly, validate(templateSchemas.templateParams), availabilityTemplateController.getTemplate);
+router.patch('/availability-templates/:id', adminOnly, validate(templateSchemas.updateTemplate), availabilityTemplateController.updateTemplate);
+router.delete('/availability-templates/:id', adminOnly, validate(templateSchemas.templateParams), availabilityTemplateController.deactivateTemplate);
+router.post('/availability-templates/:id/generate', adminOnly, validate(templateSchemas.templateParams), availabilityTemplateController.generateTemplateSlots);
+router.get('/audit', adminOnly, validate(auditSchemas.listAuditEntries), auditController.listAuditEntries);
+router.post('/webhooks', adminOnly, validate(webhookSchemas.createSubscription), webhookController.createSubscription);
+router.get('/webhooks', adminOnly, webhookController.listSubscriptions);
+router.get('/webhooks/deliveries', adminOnly, validate(webhookSchemas.listDeliveries), webhookController.listDeliveries);
+router.get('/webhooks/deliveries/:id', adminOnly, validate(webhookSchemas.webhookParams), webhookController.getDelivery);
+router.post('/webhooks/deliveries/:id/replay', adminOnly, validate(webhookSchemas.webhookParams), webhookController.replayDelivery);
+router.get('/webhooks/:id', adminOnly, validate(webhookSchemas.webhookParams), webhookController.getSubscription);
+router.patch('/webhooks/:id', adminOnly, validate(webhookSchemas.updateSubscription), webhookController.updateSubscription);
+router.delete('/webhooks/:id', adminOnly, validate(webhookSchemas.webhookParams), webhookController.deleteSubscription);
+router.get('/jobs', adminOnly, jobController.listJobs);
+router.post('/jobs/:name/run', adminOnly, validate(jobSchemas.jobParams), jobController.runJob);
 
 module.exports = router;
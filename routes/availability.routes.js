@@ -0,0 +1,22 @@
+/**
+ * Availability Routes
+ * 
+ * Public endpoint for finding free appointment slots across doctors.
+ * Mounted at /api/availability
+ */
+
+const express = require('express');
+const router = express.Router();
+const availabilityController = require('../controllers/availabilityController');
+const { validate } = require('../middleware/validate');
+const availabilitySchemas = require('../schemas/availability.schemas');
+
+/**
+ * GET /
+ * Search free, future slots by specialization, date range, time of day and duration,
+ * grouped by doctor and paginated
+ * Full path: /api/availability
+ */
+router.get('/', validate(availabilitySchemas.searchAvailability), availabilityController.searchAvailability);
+
+module.exports = router;
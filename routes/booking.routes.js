@@ -3,17 +3,40 @@
  * 
  * Handles booking-related endpoints for patients to create appointments.
  * When mounted at /api/slots, the route becomes /api/slots/:slotId/book
+ * 
+ * Booking creation honours the Idempotency-Key header (see middleware/idempotency.js)
+ * and is rate limited per IP address and per patient (see middleware/rateLimit.js)
+ * 
+ * Booking does not require authentication, but a patient token books for
+ * the patient in the token rather than the one in the request body. Holding
+ * requires a patient or staff token: confirming a hold does, so an anonymous
+ * hold could never be confirmed.
+ * 
+ * The camelCase patient fields (patientName, ...) of earlier versions are still
+ * accepted, with a Deprecation header (see schemas/booking.schemas.js)
  */
 
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const idempotency = require('../middleware/idempotency');
+const { bookingRateLimit } = require('../middleware/rateLimit');
+const { ROLES, STAFF_ROLES, authenticate, optionalAuthenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const bookingSchemas = require('../schemas/booking.schemas');
 
 /**
  * POST /:slotId/book
  * Book a specific slot (mounted at /api/slots, so full path is /api/slots/:slotId/book)
  */
-router.post('/:slotId/book', bookingController.bookSlot);
+router.post('/:slotId/book', optionalAuthenticate, validate(bookingSchemas.bookSlot), bookingRateLimit, idempotency, bookingController.bookSlot);
+
+/**
+ * POST /:slotId/hold
+ * Hold a slot as a PENDING booking until it is confirmed or expires
+ * (full path is /api/slots/:slotId/hold)
+ */
+router.post('/:slotId/hold', authenticate, authorize(ROLES.PATIENT, ...STAFF_ROLES), validate(bookingSchemas.holdSlot), bookingRateLimit, idempotency, bookingController.holdSlot);
 
 module.exports = router;
 
@@ -1,20 +1,78 @@
 /**
  * Bookings Routes
  * 
- * Handles booking retrieval endpoints.
+ * Handles booking retrieval, confirmation, cancellation, rescheduling, reminder and calendar endpoints.
  * Mounted at /api/bookings
+ * 
+ * POST endpoints honour the Idempotency-Key header (see middleware/idempotency.js)
+ * 
+ * All endpoints require a bearer token. Staff may access any booking, patients
+ * their own bookings, and doctors may read bookings on their own schedule.
  */
 
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const calendarController = require('../controllers/calendarController');
+const idempotency = require('../middleware/idempotency');
+const { authenticate, authorizeBooking } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const bookingSchemas = require('../schemas/booking.schemas');
+
+const canRead = authorizeBooking();
+const canWrite = authorizeBooking({ write: true });
+const bookingParams = validate(bookingSchemas.bookingParams);
+
+router.use(authenticate);
 
 /**
  * GET /:id
  * Get a booking by its ID
  * Full path: /api/bookings/:id
  */
-router.get('/:id', bookingController.getBooking);
+router.get('/:id', bookingParams, canRead, bookingController.getBooking);
+
+/**
+ * POST /:id/confirm
+ * Confirm a held (PENDING) booking before its hold expires
+ * Full path: /api/bookings/:id/confirm
+ */
+router.post('/:id/confirm', bookingParams, canWrite, idempotency, bookingController.confirmBooking);
+
+/**
+ * POST /:id/cancel
+ * Cancel a booking as the patient and free its slot
+ * Full path: /api/bookings/:id/cancel
+ */
+router.post('/:id/cancel', validate(bookingSchemas.cancelBooking), canWrite, idempotency, bookingController.cancelBooking);
+
+/**
+ * POST /:id/reschedule
+ * Move a booking to a different slot in a single transaction
+ * Full path: /api/bookings/:id/reschedule
+ */
+router.post('/:id/reschedule', validate(bookingSchemas.rescheduleBooking), canWrite, idempotency, bookingController.rescheduleBooking);
+
+/**
+ * GET /:id/reschedules
+ * List the slots a booking has been moved between, oldest first
+ * Full path: /api/bookings/:id/reschedules
+ */
+router.get('/:id/reschedules', bookingParams, canRead, bookingController.getRescheduleHistory);
+
+/**
+ * GET /:id/reminders
+ * List the booking's appointment reminders and their send attempts
+ * Full path: /api/bookings/:id/reminders
+ */
+router.get('/:id/reminders', bookingParams, canRead, bookingController.getBookingReminders);
+
+/**
+ * GET /:id/calendar.ics
+ * Download the booking as an iCalendar event
+ * Full path: /api/bookings/:id/calendar.ics
+ */
+router.get('/:id/calendar.ics', bookingParams, canRead, calendarController.getBookingCalendar);
 
 module.exports = router;
 
@@ -0,0 +1,37 @@
+/**
+ * Documentation Routes
+ * 
+ * The OpenAPI document of the API (see openapi/) and a Swagger UI page to
+ * browse and try it, with the Swagger UI assets served locally.
+ * Mounted at /api
+ */
+
+const express = require('express');
+const path = require('path');
+const swaggerUi = require('swagger-ui-dist');
+const { getSpec } = require('../openapi');
+
+const router = express.Router();
+
+/**
+ * GET /openapi.json
+ * The OpenAPI 3.1 document
+ * Full path: /api/openapi.json
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+/**
+ * GET /docs
+ * Swagger UI for the document
+ * Full path: /api/docs
+ */
+router.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, '../openapi/docs.html'));
+});
+
+// Swagger UI scripts and styles, loaded by the page
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
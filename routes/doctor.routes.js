@@ -3,32 +3,79 @@
  * 
  * Public endpoints for viewing doctors and their available appointment slots.
  * These routes are used by patients/clients to:
- * - List all doctors in the system
- * - Create new doctors
+ * - List active doctors
+ * - Create new doctors (admin only)
  * - View available slots for a specific doctor
+ * - Join a doctor's waitlist, and list it (staff or the doctor)
+ * - Subscribe to a doctor's calendar feed (with a feed token)
  */
 
 const express = require('express');
 const router = express.Router();
 const doctorController = require('../controllers/doctorController');
+const waitlistController = require('../controllers/waitlistController');
+const calendarController = require('../controllers/calendarController');
+const {
+  ROLES,
+  authenticate,
+  optionalAuthenticate,
+  authorize,
+  authorizeDoctorSelf
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { bookingRateLimit } = require('../middleware/rateLimit');
+const doctorSchemas = require('../schemas/doctor.schemas');
+const waitlistSchemas = require('../schemas/waitlist.schemas');
+const calendarSchemas = require('../schemas/calendar.schemas');
+
+const doctorParams = validate(doctorSchemas.doctorParams);
 
 /**
  * GET /
- * List all doctors
+ * List active doctors (deactivated doctors are hidden)
  */
 router.get('/', doctorController.getDoctors);
 
 /**
  * POST /
  * Create a new doctor
+ * Requires an admin token
  */
-router.post('/', doctorController.createDoctor);
+router.post('/', authenticate, authorize(ROLES.ADMIN), validate(doctorSchemas.createDoctor), doctorController.createDoctor);
 
 /**
  * GET /:id/slots
  * List all slots for a specific doctor (by doctor id)
  */
-router.get('/:id/slots', doctorController.getDoctorSlots);
+router.get('/:id/slots', doctorParams, doctorController.getDoctorSlots);
+
+/**
+ * POST /:id/waitlist
+ * Join a doctor's waitlist; freed and new slots are offered to waiting patients in turn
+ * A patient token joins as that patient; rate limited like booking (see middleware/rateLimit.js)
+ */
+router.post('/:id/waitlist', optionalAuthenticate, validate(waitlistSchemas.joinWaitlist), bookingRateLimit, waitlistController.joinWaitlist);
+
+/**
+ * GET /:id/waitlist
+ * List a doctor's waitlist in line order
+ * Requires a staff token, or the doctor's own token
+ */
+router.get('/:id/waitlist', authenticate, validate(waitlistSchemas.getDoctorWaitlist), authorizeDoctorSelf, waitlistController.getDoctorWaitlist);
+
+/**
+ * POST /:id/calendar-token
+ * Issue a new calendar feed token (revoking the previous one) and return the feed URL
+ * Requires a staff token, or the doctor's own token
+ */
+router.post('/:id/calendar-token', authenticate, doctorParams, authorizeDoctorSelf, calendarController.issueCalendarToken);
+
+/**
+ * GET /:id/calendar.ics?token=
+ * The doctor's read-only iCalendar feed of free, held and booked slots
+ * Authenticated by the feed token, for calendar app subscriptions
+ */
+router.get('/:id/calendar.ics', validate(calendarSchemas.getDoctorCalendar), calendarController.getDoctorCalendar);
 
 module.exports = router;
 
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 
+// OpenAPI document and docs page - /api/openapi.json and /api/docs
+router.use('/', require('./docs.routes'));
+
 // Admin routes - mounted at /api/admin
 router.use('/admin', require('./admin.routes'));
 
@@ -13,5 +16,14 @@ router.use('/bookings', require('./bookings.routes'));
 // Slots/Booking routes - mounted at /api/slots
 router.use('/slots', require('./booking.routes'));
 
+// Patient routes - mounted at /api/patients
+router.use('/patients', require('./patients.routes'));
+
+// Availability search - mounted at /api/availability
+router.use('/availability', require('./availability.routes'));
+
+// Waitlist entries and offers - mounted at /api/waitlist
+router.use('/waitlist', require('./waitlist.routes'));
+
 module.exports = router;
 
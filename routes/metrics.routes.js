@@ -0,0 +1,34 @@
+/**
+ * Metrics Routes
+ * 
+ * Prometheus metrics (see services/metricsService.js). When METRICS_TOKEN is
+ * set, scrapers must send it as a bearer token.
+ * Mounted at /metrics
+ */
+
+const express = require('express');
+const metricsService = require('../services/metricsService');
+const { UnauthorizedError } = require('../errors');
+
+const router = express.Router();
+
+/**
+ * GET /
+ * Metrics in the Prometheus text format
+ * Full path: /metrics
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      throw new UnauthorizedError('A valid metrics token is required', 'INVALID_METRICS_TOKEN');
+    }
+
+    const { contentType, body } = await metricsService.getMetrics();
+    res.set('Content-Type', contentType).send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
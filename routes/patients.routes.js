@@ -0,0 +1,36 @@
+/**
+ * Patient Routes
+ * 
+ * Endpoints for reading patient records and their booking history.
+ * Patients are created automatically by the booking flow.
+ * Mounted at /api/patients
+ * 
+ * Requires a bearer token: staff may read any patient, a patient only themselves.
+ */
+
+const express = require('express');
+const router = express.Router();
+const patientController = require('../controllers/patientController');
+const { authenticate, authorizePatientSelf } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const patientSchemas = require('../schemas/patient.schemas');
+
+const patientParams = validate(patientSchemas.patientParams);
+
+router.use(authenticate);
+
+/**
+ * GET /:id
+ * Get a patient by ID
+ * Full path: /api/patients/:id
+ */
+router.get('/:id', patientParams, authorizePatientSelf, patientController.getPatient);
+
+/**
+ * GET /:id/bookings
+ * List a patient's bookings, most recent appointment first
+ * Full path: /api/patients/:id/bookings
+ */
+router.get('/:id/bookings', patientParams, authorizePatientSelf, patientController.getPatientBookings);
+
+module.exports = router;
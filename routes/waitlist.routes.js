@@ -0,0 +1,63 @@
+/**
+ * Waitlist Routes
+ * 
+ * Endpoints for a patient's waitlist entries and the slots offered to them.
+ * Patients join a doctor's waitlist via POST /api/doctors/:id/waitlist.
+ * Mounted at /api/waitlist
+ * 
+ * POST endpoints honour the Idempotency-Key header (see middleware/idempotency.js)
+ * 
+ * Requires a bearer token: staff may access any entry or offer, a patient only their own.
+ */
+
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const waitlistService = require('../services/waitlistService');
+const idempotency = require('../middleware/idempotency');
+const { authenticate, authorizePatientOwned } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const waitlistSchemas = require('../schemas/waitlist.schemas');
+
+const canAccessEntry = authorizePatientOwned(waitlistService.getEntryPatientId, 'Waitlist entry');
+const canAccessOffer = authorizePatientOwned(waitlistService.getOfferPatientId, 'Waitlist offer');
+const waitlistParams = validate(waitlistSchemas.waitlistParams);
+
+router.use(authenticate);
+
+/**
+ * GET /offers/:id
+ * Get a waitlist offer
+ * Full path: /api/waitlist/offers/:id
+ */
+router.get('/offers/:id', waitlistParams, canAccessOffer, waitlistController.getOffer);
+
+/**
+ * POST /offers/:id/accept
+ * Accept an offer, confirming its held booking
+ * Full path: /api/waitlist/offers/:id/accept
+ */
+router.post('/offers/:id/accept', waitlistParams, canAccessOffer, idempotency, waitlistController.acceptOffer);
+
+/**
+ * POST /offers/:id/decline
+ * Decline an offer, releasing the slot to the next patient in line
+ * Full path: /api/waitlist/offers/:id/decline
+ */
+router.post('/offers/:id/decline', waitlistParams, canAccessOffer, idempotency, waitlistController.declineOffer);
+
+/**
+ * GET /:id
+ * Get a waitlist entry with its offers
+ * Full path: /api/waitlist/:id
+ */
+router.get('/:id', waitlistParams, canAccessEntry, waitlistController.getEntry);
+
+/**
+ * DELETE /:id
+ * Leave the waitlist, declining any open offer
+ * Full path: /api/waitlist/:id
+ */
+router.delete('/:id', waitlistParams, canAccessEntry, waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * Request schemas of the audit log endpoint (routes/admin.routes.js)
+ */
+const { id, timestamp, object, pageProperties } = require('./common');
+const { ENTITIES } = require('../services/auditService');
+
+module.exports = {
+  listAuditEntries: {
+    query: object({
+      entity: { enum: ENTITIES },
+      id,
+      action: { type: 'string' },
+      actor_id: { type: 'string' },
+      request_id: { type: 'string' },
+      from: timestamp,
+      to: timestamp,
+      ...pageProperties(200)
+    })
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Request schemas of the availability search (routes/availability.routes.js)
+ */
+const { id, timestamp, timezone, limit, object, pageProperties } = require('./common');
+
+module.exports = {
+  searchAvailability: {
+    query: object({
+      specialization: { type: 'string' },
+      from: timestamp,
+      to: timestamp,
+      time_of_day: { type: 'string' },
+      timezone: { ...timezone, default: 'UTC' },
+      min_duration: id,
+      ...pageProperties(100),
+      slots_per_doctor: limit(100)
+    })
+  }
+};
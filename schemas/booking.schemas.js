@@ -0,0 +1,29 @@
+/**
+ * Request schemas of the booking endpoints (routes/booking.routes.js,
+ * routes/bookings.routes.js and admin cancellation)
+ */
+const { id, optionalString, object, idParams, patientProperties } = require('./common');
+
+// camelCase names accepted by earlier versions of the booking endpoints
+const patientAliases = {
+  patientId: 'patient_id',
+  patientName: 'patient_name',
+  patientEmail: 'patient_email',
+  patientPhone: 'patient_phone',
+  patientDateOfBirth: 'patient_date_of_birth',
+  patientMrn: 'patient_mrn'
+};
+
+const bookSlot = {
+  params: idParams('slotId'),
+  body: object(patientProperties),
+  aliases: { body: patientAliases }
+};
+
+module.exports = {
+  bookingParams: { params: idParams() },
+  bookSlot,
+  holdSlot: bookSlot,
+  cancelBooking: { params: idParams(), body: object({ reason: optionalString }) },
+  rescheduleBooking: { params: idParams(), body: object({ slot_id: id }, ['slot_id']) }
+};
@@ -0,0 +1,9 @@
+/**
+ * Request schemas of the calendar endpoints (routes/doctor.routes.js and routes/bookings.routes.js)
+ */
+const { object, idParams } = require('./common');
+
+module.exports = {
+  // A missing or wrong token is a 401, so token is not required here
+  getDoctorCalendar: { params: idParams(), query: object({ token: { type: 'string' } }) }
+};
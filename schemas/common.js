@@ -0,0 +1,81 @@
+/**
+ * Schema building blocks shared by the request schemas (see middleware/validate.js)
+ */
+
+const id = { type: 'integer', minimum: 1, message: 'must be a positive integer' };
+
+const nonBlankString = { type: 'string', pattern: '\\S', message: 'must be a non-empty string' };
+
+const optionalString = { type: ['string', 'null'] };
+
+const timestamp = { type: 'string', format: 'timestamp' };
+
+const date = { type: 'string', format: 'date' };
+
+const timezone = { type: 'string', format: 'timezone' };
+
+const time = {
+  type: 'string',
+  pattern: '^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$',
+  message: 'must be a time in HH:MM format'
+};
+
+/**
+ * A positive integer of at most max, e.g. a page size
+ */
+function limit(max) {
+  return { type: 'integer', minimum: 1, maximum: max, message: `must be an integer between 1 and ${max}` };
+}
+
+/**
+ * An object schema; properties listed in required must be present
+ */
+function object(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Route parameters that are all ids, e.g. idParams('slotId') for /:slotId/book
+ */
+function idParams(...names) {
+  const properties = {};
+  for (const name of names.length > 0 ? names : ['id']) {
+    properties[name] = id;
+  }
+  return object(properties, Object.keys(properties));
+}
+
+/**
+ * The patient a booking or waitlist entry is for: patient_id of an existing
+ * patient, or patient_name plus optional contact details
+ */
+const patientProperties = {
+  patient_id: id,
+  patient_name: nonBlankString,
+  patient_email: { type: 'string', format: 'email' },
+  patient_phone: { type: 'string' },
+  patient_date_of_birth: date,
+  patient_mrn: { type: 'string' }
+};
+
+/**
+ * Pagination query parameters
+ */
+function pageProperties(maxLimit) {
+  return { page: id, limit: limit(maxLimit) };
+}
+
+module.exports = {
+  id,
+  nonBlankString,
+  optionalString,
+  timestamp,
+  date,
+  timezone,
+  time,
+  limit,
+  object,
+  idParams,
+  patientProperties,
+  pageProperties
+};
@@ -0,0 +1,20 @@
+/**
+ * Request schemas of the doctor endpoints (routes/doctor.routes.js and the
+ * doctor management endpoints in routes/admin.routes.js)
+ */
+const { nonBlankString, optionalString, object, idParams } = require('./common');
+
+const doctorProperties = {
+  name: nonBlankString,
+  specialization: optionalString
+};
+
+module.exports = {
+  doctorParams: { params: idParams() },
+  createDoctor: { body: object(doctorProperties, ['name']) },
+  updateDoctor: { params: idParams(), body: object(doctorProperties) },
+  deleteDoctor: {
+    params: idParams(),
+    query: object({ cancel_bookings: { type: 'boolean', message: 'must be true or false' } })
+  }
+};
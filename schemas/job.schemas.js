@@ -0,0 +1,12 @@
+/**
+ * Request schemas of the background job endpoints (routes/admin.routes.js)
+ */
+const { object } = require('./common');
+
+module.exports = {
+  jobParams: {
+    params: object({
+      name: { type: 'string', pattern: '^\\w{1,100}$', message: 'must be a job name' }
+    }, ['name'])
+  }
+};
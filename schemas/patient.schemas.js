@@ -0,0 +1,8 @@
+/**
+ * Request schemas of the patient endpoints (routes/patients.routes.js)
+ */
+const { idParams } = require('./common');
+
+module.exports = {
+  patientParams: { params: idParams() }
+};
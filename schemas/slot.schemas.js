@@ -0,0 +1,48 @@
+/**
+ * Request schemas of the slot and blocked range endpoints (routes/admin.routes.js)
+ */
+const { id, timestamp, optionalString, object, idParams } = require('./common');
+
+const durationMinutes = { type: 'integer', minimum: 1, message: 'must be a positive integer' };
+
+module.exports = {
+  slotParams: { params: idParams() },
+  createSlot: {
+    body: object({
+      doctor_id: id,
+      start_time: timestamp,
+      duration_minutes: { ...durationMinutes, default: 15 }
+    }, ['doctor_id', 'start_time']),
+    aliases: {
+      body: { doctorId: 'doctor_id', startTime: 'start_time', durationMinutes: 'duration_minutes' }
+    }
+  },
+  // Rows are checked one by one by the service, so a bad row does not fail the import
+  createSlotsBulk: {
+    body: object({
+      slots: { type: 'array', minItems: 1, items: { type: 'object' }, message: 'must be a non-empty array of slots' }
+    }, ['slots'])
+  },
+  updateSlot: {
+    params: idParams(),
+    query: object({ on_booked: { enum: ['move'] } }),
+    body: object({
+      start_time: timestamp,
+      duration_minutes: durationMinutes,
+      blocked: { type: 'boolean' },
+      block_reason: optionalString
+    })
+  },
+  deleteSlot: {
+    params: idParams(),
+    query: object({ on_booked: { enum: ['cancel'] } })
+  },
+  createBlock: {
+    params: idParams(),
+    body: object({
+      starts_at: timestamp,
+      ends_at: timestamp,
+      reason: optionalString
+    }, ['starts_at', 'ends_at'])
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Request schemas of the availability template endpoints (routes/admin.routes.js)
+ */
+const { id, date, time, timezone, object, idParams } = require('./common');
+
+const templateProperties = {
+  days_of_week: {
+    type: 'array',
+    minItems: 1,
+    items: { type: ['integer', 'string'] },
+    message: 'must be a non-empty array of days (1-7 or day names)'
+  },
+  start_time: time,
+  end_time: time,
+  slot_duration_minutes: { type: 'integer', minimum: 1, message: 'must be a positive integer' },
+  valid_from: date,
+  valid_to: { type: ['string', 'null'], format: 'date' },
+  skip_dates: { type: 'array', items: date },
+  timezone
+};
+
+module.exports = {
+  templateParams: { params: idParams() },
+  createTemplate: {
+    body: object(
+      { doctor_id: id, ...templateProperties },
+      ['doctor_id', 'days_of_week', 'start_time', 'end_time', 'valid_from']
+    )
+  },
+  listTemplates: { query: object({ doctor_id: id }) },
+  updateTemplate: { params: idParams(), body: object(templateProperties) }
+};
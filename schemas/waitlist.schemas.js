@@ -0,0 +1,22 @@
+/**
+ * Request schemas of the waitlist endpoints (routes/waitlist.routes.js and
+ * the doctor waitlist endpoints in routes/doctor.routes.js)
+ */
+const { object, idParams, patientProperties } = require('./common');
+
+const ENTRY_STATUSES = ['WAITING', 'OFFERED', 'BOOKED', 'LAPSED', 'CANCELLED'];
+
+module.exports = {
+  waitlistParams: { params: idParams() },
+  joinWaitlist: {
+    params: idParams(),
+    body: object({
+      ...patientProperties,
+      preferred_from: { type: ['string', 'null'], format: 'date' },
+      preferred_to: { type: ['string', 'null'], format: 'date' },
+      time_of_day: { type: ['string', 'null'] },
+      timezone: { type: ['string', 'null'], format: 'timezone' }
+    })
+  },
+  getDoctorWaitlist: { params: idParams(), query: object({ status: { enum: ENTRY_STATUSES } }) }
+};
@@ -0,0 +1,29 @@
+/**
+ * Request schemas of the webhook endpoints (routes/admin.routes.js)
+ */
+const { id, optionalString, object, idParams, pageProperties } = require('./common');
+const { EVENT_TYPES } = require('../services/outboxService');
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'DEAD'];
+
+const subscriptionProperties = {
+  url: { type: 'string', format: 'uri', pattern: '^https?://', message: 'must be an http(s) URL' },
+  event_types: { type: 'array', items: { enum: EVENT_TYPES } },
+  description: optionalString,
+  secret: { type: 'string', minLength: 16, message: 'must be a string of at least 16 characters' },
+  active: { type: 'boolean' }
+};
+
+module.exports = {
+  webhookParams: { params: idParams() },
+  createSubscription: { body: object(subscriptionProperties, ['url']) },
+  updateSubscription: { params: idParams(), body: object(subscriptionProperties) },
+  listDeliveries: {
+    query: object({
+      status: { enum: DELIVERY_STATUSES },
+      subscription_id: id,
+      event_type: { type: 'string' },
+      ...pageProperties(200)
+    })
+  }
+};
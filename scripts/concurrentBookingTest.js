@@ -11,6 +11,12 @@
  * 
  * Environment variable: API_URL (defaults to http://localhost:4000)
  * Example: API_URL=http://localhost:3000 node scripts/concurrentBookingTest.js 1
+ * 
+ * Run the server with OPENAPI_RESPONSE_VALIDATION=strict to also check every
+ * response against the OpenAPI document (see middleware/responseValidation.js)
+ * 
+ * Booking is rate limited per IP address (see middleware/rateLimit.js); run the
+ * server with BOOKING_RATE_LIMIT_MAX=0 to repeat the test within the window
  */
 
 // Check Node.js version (fetch requires Node 18+)
@@ -52,7 +58,7 @@ const patientNames = [
  */
 async function createBooking(slotId, patientName) {
   const startTime = Date.now();
-  const url = `${BASE_URL}/api/slots/${slotId}/bookings`;
+  const url = `${BASE_URL}/api/slots/${slotId}/book`;
   
   try {
     const response = await fetch(url, {
@@ -61,7 +67,7 @@ async function createBooking(slotId, patientName) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        patientName: patientName
+        patient_name: patientName
       })
     });
 
@@ -0,0 +1,50 @@
+/**
+ * Issue Token Script
+ * 
+ * Signs a bearer token for calling the API, using JWT_SECRET from the
+ * environment (or .env).
+ * 
+ * Usage: node scripts/issueToken.js <role> [id] [expiresIn]
+ *   role      - admin, front_desk, doctor or patient
+ *   id        - the doctor id (doctor) or patient id (patient); required for those roles
+ *   expiresIn - token lifetime, e.g. 1h or 7d (defaults to 12h)
+ * 
+ * Examples:
+ *   node scripts/issueToken.js admin
+ *   node scripts/issueToken.js patient 42 1h
+ */
+
+require('dotenv').config({ quiet: true });
+const jwt = require('jsonwebtoken');
+const { ROLES } = require('../config/roles');
+
+const [role, id, expiresIn = '12h'] = process.argv.slice(2);
+
+if (!process.env.JWT_SECRET) {
+  console.error('Error: JWT_SECRET is not set');
+  process.exit(1);
+}
+
+if (!Object.values(ROLES).includes(role)) {
+  console.error(`Error: role must be one of ${Object.values(ROLES).join(', ')}`);
+  console.log('Usage: node scripts/issueToken.js <role> [id] [expiresIn]');
+  process.exit(1);
+}
+
+const claims = { role };
+
+if (role === ROLES.DOCTOR || role === ROLES.PATIENT) {
+  if (!id || !/^\d+$/.test(id)) {
+    console.error(`Error: a ${role} token needs the ${role} id`);
+    process.exit(1);
+  }
+  claims[`${role}_id`] = Number(id);
+}
+
+const subject = id ? `${role}:${id}` : role;
+
+console.log(jwt.sign(claims, process.env.JWT_SECRET, {
+  algorithm: 'HS256',
+  subject,
+  expiresIn
+}));
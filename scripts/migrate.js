@@ -0,0 +1,59 @@
+/**
+ * Migration Script
+ * 
+ * Applies or lists the database migrations in migrations/ (see src/db/migrate.js).
+ * The server also applies pending migrations on startup.
+ * 
+ * Usage: node scripts/migrate.js [up|status]
+ *   up     - apply all pending migrations (default)
+ *   status - list every migration and whether it is applied, pending, changed or missing
+ * 
+ * Exits with status 1 if a migration fails, or (status) if any migration is changed or missing.
+ */
+
+require('dotenv').config({ quiet: true });
+const { pool } = require('../config/database');
+const { runMigrations, getMigrationStatus } = require('../src/db/migrate');
+
+const command = process.argv[2] || 'up';
+
+async function up() {
+  const applied = await runMigrations();
+  console.log(applied.length > 0
+    ? `Applied ${applied.length} migration(s)`
+    : 'Database is up to date');
+  return 0;
+}
+
+async function status() {
+  const migrations = await getMigrationStatus();
+
+  for (const migration of migrations) {
+    const version = String(migration.version).padStart(3, '0');
+    const appliedAt = migration.applied_at ? migration.applied_at.toISOString() : '';
+    console.log(`${migration.status.padEnd(8)} ${version}_${migration.name.padEnd(32)} ${appliedAt}`);
+  }
+
+  const pending = migrations.filter(migration => migration.status === 'pending').length;
+  const broken = migrations.filter(migration => ['changed', 'missing'].includes(migration.status)).length;
+  console.log(`\n${migrations.length} migration(s): ${pending} pending, ${broken} changed or missing`);
+  return broken > 0 ? 1 : 0;
+}
+
+const commands = { up, status };
+
+if (!commands[command]) {
+  console.error(`Error: unknown command "${command}"`);
+  console.log('Usage: node scripts/migrate.js [up|status]');
+  process.exit(1);
+}
+
+commands[command]()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,81 @@
+/**
+ * Webhook Receiver Script
+ * 
+ * A local stand-in for a webhook consumer (e.g. the EHR integration). Listens for
+ * deliveries, verifies their X-Webhook-Signature and logs each event.
+ * 
+ * Usage: node scripts/webhookReceiver.js [port]
+ * Example: WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js 4100
+ * 
+ * Then subscribe it:
+ *   POST /api/admin/webhooks { "url": "http://localhost:4100/webhooks", "secret": "whsec_..." }
+ * 
+ * Environment variables:
+ *   WEBHOOK_SECRET   - The subscription secret; signatures are not checked if unset
+ *   FAIL_STATUS      - Respond with this status instead of 200 (to exercise retries)
+ *   MAX_AGE_SECONDS  - Reject signatures older than this (defaults to 300)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2] || 4100);
+const secret = process.env.WEBHOOK_SECRET;
+const failStatus = process.env.FAIL_STATUS ? Number(process.env.FAIL_STATUS) : null;
+const maxAgeSeconds = Number(process.env.MAX_AGE_SECONDS || 300);
+
+/**
+ * Check an X-Webhook-Signature header (t=<timestamp>,v1=<hex digest>) against the raw body
+ * @returns {string|null} Why the signature is invalid, or null if it is valid
+ */
+function verifySignature(header, body) {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  if (!parts.t || !parts.v1) {
+    return 'missing signature';
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(parts.t)) > maxAgeSeconds) {
+    return 'signature timestamp too old';
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${body}`).digest('hex');
+  const valid = expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+  return valid ? null : 'signature mismatch';
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (secret) {
+      const problem = verifySignature(req.headers['x-webhook-signature'], body);
+      if (problem) {
+        console.log(`✗ Rejected delivery ${req.headers['x-webhook-delivery']}: ${problem}`);
+        res.writeHead(401).end();
+        return;
+      }
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (e) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    console.log(`${failStatus ? '✗' : '✓'} ${event.type} (event ${event.id}, delivery ${req.headers['x-webhook-delivery']})`);
+    console.log(JSON.stringify(event.data, null, 2));
+
+    res.writeHead(failStatus || 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/webhooks`);
+  if (!secret) {
+    console.log('WEBHOOK_SECRET is not set: signatures are not verified');
+  }
+});
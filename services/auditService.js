@@ -0,0 +1,140 @@
+const { query } = require('../config/database');
+const { getRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Entities recorded in the audit log
+ */
+const ENTITIES = ['doctor', 'slot', 'slot_block', 'booking', 'availability_template', 'waitlist_entry'];
+
+/**
+ * Work out who is making the current change from the request context
+ * - A request with a bearer token: the token's user
+ * - A request without one: anonymous
+ * - A background job (runAsSystem): the job
+ * - Anything else (startup, scripts): system
+ * 
+ * @returns {Object} { actor_type, actor_id, actor_role, request_id }
+ */
+function currentActor() {
+  const context = getRequestContext() || {};
+
+  if (context.req) {
+    const { user } = context.req;
+    return {
+      actor_type: user ? 'user' : 'anonymous',
+      actor_id: user ? String(user.id) : null,
+      actor_role: user ? user.role : null,
+      request_id: context.requestId
+    };
+  }
+
+  return {
+    actor_type: 'system',
+    actor_id: context.system || null,
+    actor_role: null,
+    request_id: null
+  };
+}
+
+/**
+ * Record a change in the audit log
+ * 
+ * Pass the client of the transaction that makes the change, so the audit row is
+ * committed (or rolled back) together with it.
+ * 
+ * @param {Object} db - A pg client, or the database module
+ * @param {Object} entry - The change
+ * @param {string} entry.action - What happened, as '<entity>.<verb>' (e.g. 'booking.cancel')
+ * @param {string} entry.entity - One of ENTITIES
+ * @param {number} entry.entityId - The ID of the changed row
+ * @param {Object} [entry.before] - The row before the change (omit for creates)
+ * @param {Object} [entry.after] - The row after the change (omit for deletes)
+ * @returns {Promise<void>}
+ */
+async function recordAudit(db, { action, entity, entityId, before = null, after = null }) {
+  const actor = currentActor();
+
+  await db.query(
+    `INSERT INTO audit_log
+       (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      actor.actor_type,
+      actor.actor_id,
+      actor.actor_role,
+      action,
+      entity,
+      entityId,
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      actor.request_id
+    ]
+  );
+}
+
+/**
+ * List audit entries, newest first
+ * 
+ * @param {Object} filters - Filters (all optional except page and limit)
+ * @param {string} [filters.entity] - Only this entity
+ * @param {number} [filters.entityId] - Only this entity id
+ * @param {string} [filters.action] - Only this action
+ * @param {string} [filters.actorId] - Only changes by this actor
+ * @param {string} [filters.requestId] - Only changes made by this request
+ * @param {Date} [filters.from] - Only changes at or after this time
+ * @param {Date} [filters.to] - Only changes before this time
+ * @param {number} filters.page - 1-based page
+ * @param {number} filters.limit - Entries per page
+ * @returns {Promise<Object>} { data, pagination: { page, limit, total, total_pages } }
+ */
+async function listAuditEntries({ entity, entityId, action, actorId, requestId, from, to, page, limit }) {
+  const result = await query(
+    `WITH matching AS (
+       SELECT * FROM audit_log
+       WHERE ($1::text IS NULL OR entity = $1)
+         AND ($2::int IS NULL OR entity_id = $2)
+         AND ($3::text IS NULL OR action = $3)
+         AND ($4::text IS NULL OR actor_id = $4)
+         AND ($5::text IS NULL OR request_id = $5)
+         AND ($6::timestamptz IS NULL OR occurred_at >= $6)
+         AND ($7::timestamptz IS NULL OR occurred_at < $7)
+     ),
+     page AS (
+       SELECT * FROM matching
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT $8 OFFSET $9
+     )
+     SELECT
+       (SELECT COUNT(*) FROM matching)::int AS total,
+       COALESCE((SELECT json_agg(page ORDER BY occurred_at DESC, id DESC) FROM page), '[]') AS data`,
+    [
+      entity || null,
+      entityId || null,
+      action || null,
+      actorId || null,
+      requestId || null,
+      from || null,
+      to || null,
+      limit,
+      (page - 1) * limit
+    ]
+  );
+
+  const { total, data } = result.rows[0];
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  ENTITIES,
+  currentActor,
+  recordAudit,
+  listAuditEntries
+};
@@ -0,0 +1,127 @@
+const { query } = require('../config/database');
+
+/**
+ * Named time-of-day windows, as [from, to) wall-clock times
+ */
+const TIME_OF_DAY_RANGES = {
+  morning: ['06:00', '12:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '22:00']
+};
+
+/**
+ * Search free, future slots across active doctors, grouped by doctor
+ * 
+ * A slot is free when it has no booking_slots row (not booked and not held) and
+ * is not blocked.
+ * Doctors are ordered by their earliest matching slot and paginated; each doctor
+ * carries up to slotsPerDoctor of their matching slots, earliest first.
+ * 
+ * @param {Object} filters - Search filters
+ * @param {string} [filters.specialization] - Case-insensitive exact specialization match
+ * @param {Date} filters.from - Only slots starting at or after this time
+ * @param {Date} filters.to - Only slots starting before this time
+ * @param {Array<string>} [filters.timeOfDay] - [from, to) wall-clock window ('HH:MM'), in filters.timezone
+ * @param {string} filters.timezone - IANA time zone used for the time-of-day window
+ * @param {number} [filters.minDuration] - Minimum slot duration in minutes
+ * @param {number} filters.page - 1-based page of doctors
+ * @param {number} filters.limit - Doctors per page
+ * @param {number} filters.slotsPerDoctor - Maximum slots returned per doctor
+ * @returns {Promise<Object>} { data: [{ doctor, free_slot_count, slots }], pagination }
+ */
+async function searchAvailability({
+  specialization,
+  from,
+  to,
+  timeOfDay,
+  timezone,
+  minDuration,
+  page,
+  limit,
+  slotsPerDoctor
+}) {
+  const result = await query(
+    `WITH free AS (
+       SELECT s.id, s.doctor_id, s.start_time, s.duration_minutes
+       FROM slots s
+       JOIN doctors d ON d.id = s.doctor_id
+       WHERE s.start_time > NOW()
+         AND d.active
+         AND s.blocked_at IS NULL
+         AND s.start_time >= $1
+         AND s.start_time < $2
+         AND ($3::text IS NULL OR lower(d.specialization) = lower($3::text))
+         AND ($4::int IS NULL OR s.duration_minutes >= $4::int)
+         AND ($5::time IS NULL OR (
+               (s.start_time AT TIME ZONE $7)::time >= $5::time
+           AND (s.start_time AT TIME ZONE $7)::time < $6::time))
+         AND NOT EXISTS (SELECT 1 FROM booking_slots bs WHERE bs.slot_id = s.id)
+     ),
+     ranked AS (
+       SELECT free.*,
+              ROW_NUMBER() OVER (PARTITION BY doctor_id ORDER BY start_time, id) AS position,
+              COUNT(*) OVER (PARTITION BY doctor_id) AS free_slot_count
+       FROM free
+     ),
+     doctor_page AS (
+       SELECT doctor_id, start_time AS first_start_time, free_slot_count
+       FROM ranked
+       WHERE position = 1
+       ORDER BY start_time, doctor_id
+       LIMIT $8 OFFSET $9
+     ),
+     page_rows AS (
+       SELECT
+         d.id AS doctor_id,
+         dp.first_start_time,
+         json_build_object('id', d.id, 'name', d.name, 'specialization', d.specialization) AS doctor,
+         dp.free_slot_count,
+         json_agg(
+           json_build_object('id', r.id, 'start_time', r.start_time, 'duration_minutes', r.duration_minutes)
+           ORDER BY r.start_time, r.id
+         ) AS slots
+       FROM doctor_page dp
+       JOIN doctors d ON d.id = dp.doctor_id
+       JOIN ranked r ON r.doctor_id = dp.doctor_id AND r.position <= $10
+       GROUP BY d.id, dp.first_start_time, dp.free_slot_count
+     )
+     SELECT
+       (SELECT COUNT(*) FROM ranked WHERE position = 1)::int AS total,
+       COALESCE((
+         SELECT json_agg(
+           json_build_object('doctor', doctor, 'free_slot_count', free_slot_count, 'slots', slots)
+           ORDER BY first_start_time, doctor_id
+         )
+         FROM page_rows
+       ), '[]') AS data`,
+    [
+      from,
+      to,
+      specialization || null,
+      minDuration || null,
+      timeOfDay ? timeOfDay[0] : null,
+      timeOfDay ? timeOfDay[1] : null,
+      timezone,
+      limit,
+      (page - 1) * limit,
+      slotsPerDoctor
+    ]
+  );
+
+  const { total, data } = result.rows[0];
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  TIME_OF_DAY_RANGES,
+  searchAvailability
+};
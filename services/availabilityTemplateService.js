@@ -0,0 +1,431 @@
+const { getClient, query } = require('../config/database');
+const auditService = require('./auditService');
+const { NotFoundError } = require('../errors');
+const logger = require('../config/logger');
+
+// How many days ahead the generator materialises slots
+const HORIZON_DAYS = Number(process.env.SLOT_GENERATION_HORIZON_DAYS || 28);
+
+// Columns that can be set when creating or updating a template
+const TEMPLATE_FIELDS = [
+  'days_of_week',
+  'start_time',
+  'end_time',
+  'slot_duration_minutes',
+  'valid_from',
+  'valid_to',
+  'skip_dates',
+  'timezone'
+];
+
+/**
+ * Generate future slots from active templates of active doctors, up to
+ * HORIZON_DAYS ahead of today in each template's timezone
+ * 
+ * For every day in the template's validity range that falls on one of its
+ * days_of_week (and is not in skip_dates), one slot is created per
+ * slot_duration_minutes between start_time and end_time, interpreted in the
+ * template's timezone. Only slots starting in the future, outside the doctor's
+ * blocked ranges (slot_blocks), are created.
+ * 
+ * Idempotent: slots that already exist (unique on template_id, start_time) are
+ * skipped, so rerunning never creates duplicates.
+ * Candidate slots that would overlap another slot of the doctor (slots_no_overlap)
+ * are skipped too and reported per row instead of aborting the run: those
+ * overlapping an existing slot, and of candidates of different templates that
+ * overlap each other, all but the earliest.
+ * Every created slot is recorded in the audit log and as a slot.created outbox
+ * event, and queued to be offered to the waitlist (a slot.available event, see
+ * waitlistService.queueOffers).
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.templateId] - Only generate for this template; all active templates if omitted
+ * @param {Object} [options.client] - A pg client with an open transaction; defaults to the pool
+ * @returns {Promise<Object>} { generated, conflicts }, where conflicts lists
+ *          { template_id, start_time, conflicting_slot_ids } for each skipped overlapping slot
+ */
+async function generateSlots({ templateId = null, client = null } = {}) {
+  const run = client ? client.query.bind(client) : query;
+  const actor = auditService.currentActor();
+
+  // Candidates not generated yet, with the existing slots each would overlap
+  const candidatesResult = await run(
+    `WITH candidates AS (
+       SELECT
+         t.id AS template_id,
+         t.doctor_id,
+         t.slot_duration_minutes,
+         (day::date + t.start_time + n * make_interval(mins => t.slot_duration_minutes))
+           AT TIME ZONE t.timezone AS start_time
+       FROM availability_templates t
+       JOIN doctors d ON d.id = t.doctor_id
+       -- Today in the template's timezone, not the session's: near midnight they differ
+       CROSS JOIN LATERAL (SELECT (NOW() AT TIME ZONE t.timezone)::date AS today) AS local
+       CROSS JOIN LATERAL generate_series(
+         GREATEST(t.valid_from, local.today)::timestamp,
+         LEAST(COALESCE(t.valid_to, local.today + $2::int), local.today + $2::int)::timestamp,
+         INTERVAL '1 day'
+       ) AS day
+       CROSS JOIN LATERAL generate_series(
+         0,
+         FLOOR(EXTRACT(EPOCH FROM (t.end_time - t.start_time)) / 60 / t.slot_duration_minutes)::int - 1
+       ) AS n
+       WHERE t.active
+         AND d.active
+         AND ($1::int IS NULL OR t.id = $1::int)
+         AND EXTRACT(ISODOW FROM day)::int = ANY(t.days_of_week)
+         AND NOT (day::date = ANY(t.skip_dates))
+     ),
+     future_candidates AS (
+       SELECT * FROM candidates c
+       WHERE c.start_time > NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM slot_blocks sb
+           WHERE sb.doctor_id = c.doctor_id
+             AND tstzrange(sb.starts_at, sb.ends_at) && slot_time_range(c.start_time, c.slot_duration_minutes)
+         )
+     )
+     SELECT
+       c.template_id,
+       c.doctor_id,
+       c.start_time,
+       c.slot_duration_minutes,
+       COALESCE((
+         SELECT array_agg(s.id ORDER BY s.id) FROM slots s
+         WHERE s.doctor_id = c.doctor_id
+           AND slot_time_range(s.start_time, s.duration_minutes)
+               && slot_time_range(c.start_time, c.slot_duration_minutes)
+       ), '{}') AS conflicting_slot_ids
+     FROM future_candidates c
+     WHERE NOT EXISTS (SELECT 1 FROM slots s WHERE s.template_id = c.template_id AND s.start_time = c.start_time)
+     ORDER BY c.doctor_id, c.start_time, c.template_id`,
+    [templateId, HORIZON_DAYS]
+  );
+
+  // Candidates of two templates of a doctor can overlap each other too: in start
+  // order, a candidate overlapping the last one kept for the doctor is skipped
+  const endTime = candidate => new Date(candidate.start_time.getTime() + candidate.slot_duration_minutes * 60 * 1000);
+  const kept = [];
+  const skipped = [];
+  let last = null;
+  for (const candidate of candidatesResult.rows) {
+    if (candidate.conflicting_slot_ids.length > 0) {
+      skipped.push(candidate);
+    } else if (last && last.doctor_id === candidate.doctor_id && candidate.start_time < endTime(last)) {
+      skipped.push({ ...candidate, overlapsCandidate: true });
+    } else {
+      last = candidate;
+      kept.push(candidate);
+    }
+  }
+
+  let inserted = [];
+  if (kept.length > 0) {
+    // ON CONFLICT skips slots a concurrent run or request created meanwhile
+    const insertResult = await run(
+      `WITH inserted AS (
+         INSERT INTO slots (doctor_id, start_time, duration_minutes, template_id)
+         SELECT * FROM unnest($1::int[], $2::timestamptz[], $3::int[], $4::int[])
+         ON CONFLICT DO NOTHING
+         RETURNING *
+       ),
+       audited AS (
+         INSERT INTO audit_log
+           (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+         SELECT $5, $6, $7, 'slot.create', 'slot', inserted.id, NULL, to_jsonb(inserted), $8
+         FROM inserted
+       ),
+       events AS (
+         INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+         SELECT 'slot.created', 'slot', inserted.id, to_jsonb(inserted)
+         FROM inserted
+       ),
+       -- Queue the created slots for the waitlist (see waitlistService.queueOffers)
+       available AS (
+         INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+         SELECT 'slot.available', 'slot', inserted.id, to_jsonb(inserted)
+         FROM inserted
+       )
+       SELECT id, template_id, start_time FROM inserted ORDER BY id`,
+      [
+        kept.map(c => c.doctor_id),
+        kept.map(c => c.start_time),
+        kept.map(c => c.slot_duration_minutes),
+        kept.map(c => c.template_id),
+        actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id
+      ]
+    );
+    inserted = insertResult.rows;
+  }
+
+  // Report the generated slots each skipped candidate overlaps
+  const insertedIds = new Map(inserted.map(slot => [`${slot.template_id}:${slot.start_time.getTime()}`, slot.id]));
+  const conflicts = skipped.map(candidate => ({
+    template_id: candidate.template_id,
+    start_time: candidate.start_time,
+    conflicting_slot_ids: candidate.overlapsCandidate
+      ? kept
+        .filter(other => other.doctor_id === candidate.doctor_id
+          && other.start_time < endTime(candidate) && candidate.start_time < endTime(other))
+        .map(other => insertedIds.get(`${other.template_id}:${other.start_time.getTime()}`))
+        .filter(Boolean)
+      : candidate.conflicting_slot_ids
+  })).sort((a, b) => a.start_time - b.start_time || a.template_id - b.template_id);
+
+  return { generated: inserted.length, conflicts };
+}
+
+/**
+ * Delete a template's future slots that have never been booked
+ * 
+ * Slots with any booking history (current, cancelled, failed or rescheduled
+ * bookings) are kept, so booked appointments are never touched.
+ * Every deleted slot is recorded in the audit log and as a slot.deleted outbox event.
+ * 
+ * @param {Object} db - A pg client with an open transaction
+ * @param {number} templateId - The ID of the template
+ * @returns {Promise<number>} Number of slots deleted
+ */
+async function deleteFutureUnbookedSlots(db, templateId) {
+  const actor = auditService.currentActor();
+  const result = await db.query(
+    `WITH deleted AS (
+       DELETE FROM slots s
+       WHERE s.template_id = $1
+         AND s.start_time > NOW()
+         AND NOT EXISTS (SELECT 1 FROM booking_slots bs WHERE bs.slot_id = s.id)
+         AND NOT EXISTS (SELECT 1 FROM bookings b WHERE b.slot_id = s.id OR b.previous_slot_id = s.id)
+       RETURNING *
+     ),
+     audited AS (
+       INSERT INTO audit_log
+         (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+       SELECT $2, $3, $4, 'slot.delete', 'slot', deleted.id, to_jsonb(deleted), NULL, $5
+       FROM deleted
+     ),
+     events AS (
+       INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+       SELECT 'slot.deleted', 'slot', deleted.id, to_jsonb(deleted)
+       FROM deleted
+     )
+     SELECT COUNT(*)::int AS removed FROM deleted`,
+    [templateId, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+  );
+
+  return result.rows[0].removed;
+}
+
+/**
+ * Create a template and generate its slots
+ * @param {Object} templateData - Template columns (doctor_id plus TEMPLATE_FIELDS)
+ * @returns {Promise<Object>} The created template with the `generated` slot count and skipped `conflicts`
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found
+ */
+async function createTemplate(templateData) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const doctorResult = await client.query(
+      'SELECT id FROM doctors WHERE id = $1 AND deleted_at IS NULL',
+      [templateData.doctor_id]
+    );
+
+    if (doctorResult.rows.length === 0) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    const result = await client.query(
+      `INSERT INTO availability_templates
+         (doctor_id, days_of_week, start_time, end_time, slot_duration_minutes,
+          valid_from, valid_to, skip_dates, timezone)
+       VALUES ($1, $2, $3, $4, COALESCE($5, 15), $6, $7, COALESCE($8::date[], '{}'), COALESCE($9, 'UTC'))
+       RETURNING *`,
+      [
+        templateData.doctor_id,
+        templateData.days_of_week,
+        templateData.start_time,
+        templateData.end_time,
+        templateData.slot_duration_minutes,
+        templateData.valid_from,
+        templateData.valid_to,
+        templateData.skip_dates,
+        templateData.timezone
+      ]
+    );
+    const template = result.rows[0];
+
+    await auditService.recordAudit(client, {
+      action: 'availability_template.create',
+      entity: 'availability_template',
+      entityId: template.id,
+      after: template
+    });
+
+    const { generated, conflicts } = await generateSlots({ templateId: template.id, client });
+
+    await client.query('COMMIT');
+
+    return { ...template, generated, conflicts };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update a template and regenerate its future slots
+ * 
+ * Future unbooked slots from the old definition are removed and the template is
+ * regenerated, all in one transaction. Booked slots are left untouched.
+ * 
+ * @param {number} templateId - The ID of the template
+ * @param {Object} changes - Any subset of TEMPLATE_FIELDS
+ * @returns {Promise<Object>} The updated template with `removed` and `generated` slot counts
+ *          and skipped `conflicts`
+ * @throws {Error} Throws error with statusCode 404 if the template is not found
+ */
+async function updateTemplate(templateId, changes) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM availability_templates WHERE id = $1 FOR UPDATE',
+      [templateId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Availability template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    const fields = TEMPLATE_FIELDS.filter(field => changes[field] !== undefined);
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    assignments.push('updated_at = NOW()');
+
+    const result = await client.query(
+      `UPDATE availability_templates SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [templateId, ...fields.map(field => changes[field])]
+    );
+
+    await auditService.recordAudit(client, {
+      action: 'availability_template.update',
+      entity: 'availability_template',
+      entityId: templateId,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+
+    const removed = await deleteFutureUnbookedSlots(client, templateId);
+    const { generated, conflicts } = await generateSlots({ templateId, client });
+
+    await client.query('COMMIT');
+
+    return { ...result.rows[0], removed, generated, conflicts };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Deactivate a template and remove its future unbooked slots
+ * Booked slots are kept; the template row is kept for history.
+ * 
+ * @param {number} templateId - The ID of the template
+ * @returns {Promise<Object>} The deactivated template with a `removed` slot count
+ * @throws {Error} Throws error with statusCode 404 if the template is not found
+ */
+async function deactivateTemplate(templateId) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM availability_templates WHERE id = $1 FOR UPDATE',
+      [templateId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Availability template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    const result = await client.query(
+      'UPDATE availability_templates SET active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [templateId]
+    );
+
+    await auditService.recordAudit(client, {
+      action: 'availability_template.deactivate',
+      entity: 'availability_template',
+      entityId: templateId,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+
+    const removed = await deleteFutureUnbookedSlots(client, templateId);
+
+    await client.query('COMMIT');
+
+    return { ...result.rows[0], removed };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a template by its ID
+ * @param {number} templateId - The ID of the template
+ * @returns {Promise<Object|null>} The template record, or null if not found
+ */
+async function getTemplateById(templateId) {
+  const result = await query(
+    'SELECT * FROM availability_templates WHERE id = $1',
+    [templateId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List templates, optionally for a single doctor
+ * @param {number} [doctorId] - Only return this doctor's templates
+ * @returns {Promise<Array>} Array of template records ordered by id
+ */
+async function listTemplates(doctorId) {
+  const result = await query(
+    'SELECT * FROM availability_templates WHERE ($1::int IS NULL OR doctor_id = $1::int) ORDER BY id',
+    [doctorId || null]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  generateSlots,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  getTemplateById,
+  listTemplates
+};
@@ -1,113 +1,655 @@
-const { getClient, query } = require('../config/database');
+const database = require('../config/database');
+const { getClient, query } = database;
+const patientService = require('./patientService');
+const auditService = require('./auditService');
+const outboxService = require('./outboxService');
+const reminderService = require('./reminderService');
+const waitlistService = require('./waitlistService');
+const calendarService = require('./calendarService');
+const { ConflictError, GoneError, NotFoundError, ValidationError } = require('../errors');
+const logger = require('../config/logger');
+
+// How long a hold (PENDING booking) reserves its slot before the expiry job releases it
+const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 10);
+
+// How many upcoming bookings (confirmed, or held) a patient may have at a time; 0 for no cap
+const MAX_ACTIVE_BOOKINGS = Number(process.env.MAX_ACTIVE_BOOKINGS_PER_PATIENT || 3);
 
 /**
- * Create a new booking for a slot with concurrency control
- * 
- * This function uses a database transaction to prevent double-booking:
- * 1. Creates a booking record with status 'PENDING'
- * 2. Attempts to insert into booking_slots table (which has UNIQUE constraint on slot_id)
- * 3. If successful, updates booking to 'CONFIRMED' and commits
- * 4. If the slot is already booked (unique constraint violation), rolls back and throws error
- * 
- * The UNIQUE constraint on booking_slots.slot_id ensures that only one booking
- * can claim a slot, even under concurrent requests. The transaction ensures atomicity.
- * 
- * @param {Object} bookingData - Booking data
- * @param {number} bookingData.slotId - The ID of the slot to book
- * @param {string} bookingData.patientName - The name of the patient making the booking
- * @returns {Promise<Object>} The created booking record with status 'CONFIRMED'
- * @throws {Error} Throws error with statusCode 409 if slot is already booked
+ * Mark expired holds FAILED and release their slots, recording each in the audit
+ * log and as a booking.expired outbox event, and queueing the released slots
+ * for the waitlist (a slot.available event)
+ * 
+ * The expiry job only runs every 30 seconds, so a hold that has just expired may
+ * still own its booking_slots row. Callers that have locked the slot with
+ * FOR UPDATE call this first so an expired hold never blocks a new booking.
+ * The expiry job calls it without a slot to sweep every expired hold.
+ * Waitlist offers held by the expired bookings lapse. Given the database module,
+ * it runs in a transaction of its own, so the offers lapse with their holds.
+ * 
+ * @param {Object} db - A pg client with an open transaction, or the database module
+ * @param {number} [slotId] - Only release holds on this (already locked) slot
+ * @returns {Promise<Object>} { expired, released }: bookings marked FAILED and slots released
  */
-async function createBooking({ slotId, patientName }) {
-  const client = await getClient();
+async function releaseExpiredHolds(db, slotId = null) {
+  if (db === database) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await releaseExpiredHolds(client, slotId);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        logger.error('Rollback error', { error: rollbackError });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const actor = auditService.currentActor();
+  const result = await db.query(
+    `WITH holds AS (
+       SELECT * FROM bookings
+       WHERE ($1::int IS NULL OR slot_id = $1::int) AND status = 'PENDING'
+         AND expires_at IS NOT NULL AND expires_at <= NOW()
+       FOR UPDATE
+     ),
+     expired AS (
+       UPDATE bookings b
+       SET status = 'FAILED', calendar_sequence = b.calendar_sequence + 1, updated_at = NOW()
+       FROM holds
+       WHERE b.id = holds.id
+       RETURNING b.id, to_jsonb(holds) AS before, to_jsonb(b) AS after
+     ),
+     released AS (
+       DELETE FROM booking_slots WHERE booking_id IN (SELECT id FROM expired)
+       RETURNING slot_id
+     ),
+     resequenced AS (
+       UPDATE slots SET calendar_sequence = calendar_sequence + 1
+       WHERE id IN (SELECT slot_id FROM released)
+     ),
+     audited AS (
+       INSERT INTO audit_log
+         (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+       SELECT $2, $3, $4, 'booking.expire', 'booking', id, before, after, $5
+       FROM expired
+     ),
+     events AS (
+       INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+       SELECT 'booking.expired', 'booking', id, after
+       FROM expired
+     ),
+     -- Queue the released slots for the waitlist (see waitlistService.queueOffers)
+     available AS (
+       INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+       SELECT 'slot.available', 'slot', s.id, to_jsonb(s)
+       FROM slots s
+       WHERE s.id IN (SELECT slot_id FROM released)
+     )
+     SELECT
+       (SELECT COUNT(*) FROM expired)::int AS expired,
+       (SELECT COUNT(*) FROM released)::int AS released,
+       COALESCE((SELECT array_agg(id) FROM expired), '{}') AS booking_ids`,
+    [slotId, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+  );
+
+  const { expired, released, booking_ids: bookingIds } = result.rows[0];
+  await waitlistService.resolveOffers(db, bookingIds, 'LAPSED');
+
+  return { expired, released };
+}
+
+/**
+ * Check that a slot can take a new booking: it is not blocked and its doctor
+ * is active
+ * 
+ * Takes share locks on the slot and doctor rows, so neither can be blocked or
+ * deactivated until the caller's transaction ends. A missing slot is left to
+ * the caller.
+ * 
+ * @param {Object} client - A pg client with an open transaction
+ * @param {number} slotId - The ID of the slot
+ * @returns {Promise<void>}
+ * @throws {Error} Throws error with statusCode 409 if the slot is blocked or the doctor is inactive
+ */
+async function assertSlotBookable(client, slotId) {
+  const result = await client.query(
+    `SELECT s.blocked_at, d.active
+     FROM slots s
+     JOIN doctors d ON d.id = s.doctor_id
+     WHERE s.id = $1
+     FOR SHARE OF s, d`,
+    [slotId]
+  );
+  const slot = result.rows[0];
+
+  if (slot && slot.blocked_at) {
+    throw new ConflictError('Slot is blocked', 'SLOT_BLOCKED');
+  }
+
+  if (slot && !slot.active) {
+    throw new ConflictError('Doctor is not accepting new bookings', 'DOCTOR_INACTIVE');
+  }
+}
+
+/**
+ * Check that a patient may take another booking: they have fewer than
+ * MAX_ACTIVE_BOOKINGS_PER_PATIENT active bookings, i.e. confirmed bookings and
+ * unexpired holds of slots that have not started yet
+ * 
+ * Locks the patient row, so concurrent bookings for the same patient are
+ * counted one after the other and cannot both take the last place.
+ * 
+ * @param {Object} client - A pg client with an open transaction
+ * @param {number} patientId - The ID of the patient
+ * @returns {Promise<void>}
+ * @throws {Error} Throws error with statusCode 409 if the patient has reached the cap
+ */
+async function assertActiveBookingLimit(client, patientId) {
+  if (!(MAX_ACTIVE_BOOKINGS > 0)) {
+    return;
+  }
+
+  await client.query('SELECT id FROM patients WHERE id = $1 FOR UPDATE', [patientId]);
+
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS active
+     FROM bookings b
+     JOIN slots s ON s.id = b.slot_id
+     WHERE b.patient_id = $1
+       AND s.start_time > NOW()
+       AND (b.status = 'CONFIRMED' OR (b.status = 'PENDING' AND (b.expires_at IS NULL OR b.expires_at > NOW())))`,
+    [patientId]
+  );
+  const { active } = result.rows[0];
+
+  if (active >= MAX_ACTIVE_BOOKINGS) {
+    throw new ConflictError(
+      'Patient already has the maximum number of active bookings',
+      'ACTIVE_BOOKING_LIMIT_REACHED',
+      { limit: MAX_ACTIVE_BOOKINGS, active }
+    );
+  }
+}
+
+/**
+ * Get a booking by its ID
+ * Retrieves the booking record from the database
+ * 
+ * @param {number} bookingId - The ID of the booking to retrieve
+ * @returns {Promise<Object|null>} The booking record, or null if not found
+ */
+async function getBookingById(bookingId) {
+  const result = await query(
+    'SELECT * FROM bookings WHERE id = $1',
+    [bookingId]
+  );
   
+  return result.rows[0] || null;
+}
+
+/**
+ * Get who a booking belongs to, for authorization checks
+ * 
+ * @param {number} bookingId - The ID of the booking
+ * @returns {Promise<Object|null>} { id, patient_id, doctor_id }, or null if not found
+ */
+async function getBookingOwner(bookingId) {
+  const result = await query(
+    `SELECT b.id, b.patient_id, s.doctor_id
+     FROM bookings b
+     JOIN slots s ON s.id = b.slot_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Cancel a booking and free its slot
+ * 
+ * Runs in a single transaction:
+ * 1. Locks the booking row with FOR UPDATE so concurrent cancellations serialize
+ * 2. Marks the booking CANCELLED and records who cancelled it and why
+ * 3. Deletes the booking_slots row so the slot can be booked again
+ * 
+ * The booking row itself is kept, so cancelled bookings remain readable.
+ * Cancelling the hold of a waitlist offer declines the offer. The freed slot
+ * is queued to be offered to the doctor's waitlist (waitlistService.queueOffers).
+ * 
+ * @param {Object} cancelData - Cancellation data
+ * @param {number} cancelData.bookingId - The ID of the booking to cancel
+ * @param {string} cancelData.cancelledBy - Role of who cancelled the booking, e.g. 'patient' or 'front_desk'
+ * @param {string} [cancelData.reason] - Optional reason for the cancellation
+ * @param {Object} [cancelData.client] - A pg client with an open transaction to cancel in;
+ *        by default the booking is cancelled in a transaction of its own
+ * @returns {Promise<Object>} The cancelled booking record
+ * @throws {Error} Throws error with statusCode 404 if the booking is not found,
+ *                 or 409 if the booking is not PENDING or CONFIRMED
+ */
+async function cancelBooking({ bookingId, cancelledBy, reason, client = null }) {
+  if (!client) {
+    const ownClient = await getClient();
+
+    try {
+      await ownClient.query('BEGIN');
+      const cancelled = await cancelBooking({ bookingId, cancelledBy, reason, client: ownClient });
+      await ownClient.query('COMMIT');
+      return cancelled;
+    } catch (error) {
+      try {
+        await ownClient.query('ROLLBACK');
+      } catch (rollbackError) {
+        logger.error('Rollback error', { error: rollbackError });
+      }
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
+
+  const bookingResult = await client.query(
+    'SELECT * FROM bookings WHERE id = $1 FOR UPDATE',
+    [bookingId]
+  );
+
+  if (bookingResult.rows.length === 0) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  const booking = bookingResult.rows[0];
+  const { status } = booking;
+  if (status !== 'PENDING' && status !== 'CONFIRMED') {
+    throw new ConflictError(
+      `Booking cannot be cancelled (status: ${status})`,
+      'INVALID_BOOKING_STATUS',
+      { status }
+    );
+  }
+
+  const cancelledResult = await client.query(
+    `UPDATE bookings
+     SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_by = $2,
+         cancellation_reason = $3, calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [bookingId, cancelledBy, reason || null]
+  );
+
+  // Release the slot so it becomes bookable again
+  await client.query(
+    'DELETE FROM booking_slots WHERE booking_id = $1',
+    [bookingId]
+  );
+  await calendarService.bumpSlotSequence(client, [booking.slot_id]);
+
+  await auditService.recordAudit(client, {
+    action: 'booking.cancel',
+    entity: 'booking',
+    entityId: bookingId,
+    before: booking,
+    after: cancelledResult.rows[0]
+  });
+
+  await outboxService.enqueueEvent(client, {
+    type: 'booking.cancelled',
+    entity: 'booking',
+    entityId: bookingId,
+    data: cancelledResult.rows[0]
+  });
+
+  await reminderService.cancelReminders(client, bookingId);
+  await waitlistService.resolveOffers(client, [bookingId], 'DECLINED');
+
+  // The slot is free again: offer it to the next patient on the waitlist
+  await waitlistService.queueOffers(client, [booking.slot_id]);
+
+  return cancelledResult.rows[0];
+}
+
+/**
+ * Move a confirmed booking to a different slot
+ * 
+ * Uses the same concurrency control as booking a slot, in a single transaction:
+ * 1. Locks the booking and the target slot with FOR UPDATE
+ * 2. Claims the target slot by inserting into booking_slots (UNIQUE on slot_id)
+ * 3. Releases the old slot's booking_slots row
+ * 4. Points the booking at the new slot, remembering the previous one,
+ *    and appends a row to booking_reschedules
+ * 
+ * If the target slot is already booked, the transaction is rolled back and the
+ * original booking is left untouched. The old slot is queued to be offered to
+ * the doctor's waitlist.
+ * 
+ * @param {Object} rescheduleData - Reschedule data
+ * @param {number} rescheduleData.bookingId - The ID of the booking to move
+ * @param {number} rescheduleData.slotId - The ID of the slot to move the booking to
+ * @returns {Promise<Object>} The updated booking record
+ * @throws {Error} Throws error with statusCode 404 if the booking or slot is not found,
+ *                 400 if the booking is already on that slot,
+ *                 or 409 if the booking is not CONFIRMED, the slot is already booked
+ *                 or blocked, or its doctor is not accepting new bookings
+ */
+async function rescheduleBooking({ bookingId, slotId }) {
+  const client = await getClient();
+
   try {
-    // Start transaction
     await client.query('BEGIN');
-    
-    // Step 1: Insert booking with PENDING status and expires_at set to 2 minutes from now
-    // If the booking is not confirmed within 2 minutes, it will be marked as FAILED by the expiry job
+
     const bookingResult = await client.query(
-      'INSERT INTO bookings (slot_id, patient_name, status, expires_at) VALUES ($1, $2, $3, NOW() + INTERVAL \'2 minutes\') RETURNING id, slot_id, patient_name, status, created_at, expires_at',
-      [slotId, patientName, 'PENDING']
+      'SELECT * FROM bookings WHERE id = $1 FOR UPDATE',
+      [bookingId]
     );
-    
+
+    if (bookingResult.rows.length === 0) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+
     const booking = bookingResult.rows[0];
-    const bookingId = booking.id;
-    
-    // Step 2: Attempt to insert into booking_slots
-    // This will fail with unique constraint violation if slot is already booked
+    if (booking.status !== 'CONFIRMED') {
+      throw new ConflictError(
+        `Booking cannot be rescheduled (status: ${booking.status})`,
+        'INVALID_BOOKING_STATUS',
+        { status: booking.status }
+      );
+    }
+
+    if (booking.slot_id === slotId) {
+      throw new ValidationError('Booking is already on this slot', 'BOOKING_ALREADY_ON_SLOT');
+    }
+
+    const slotResult = await client.query(
+      'SELECT id FROM slots WHERE id = $1 FOR UPDATE',
+      [slotId]
+    );
+
+    if (slotResult.rows.length === 0) {
+      throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
+    }
+
+    await assertSlotBookable(client, slotId);
+    await releaseExpiredHolds(client, slotId);
+
+    // Claim the new slot first - fails with unique violation if it is taken
     try {
       await client.query(
         'INSERT INTO booking_slots (booking_id, slot_id) VALUES ($1, $2)',
         [bookingId, slotId]
       );
-      
-      // Step 3: If successful, update booking to CONFIRMED
-      const confirmedResult = await client.query(
-        'UPDATE bookings SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
-        ['CONFIRMED', bookingId]
-      );
-      
-      // Commit the transaction
-      await client.query('COMMIT');
-      
-      return confirmedResult.rows[0];
-      
     } catch (insertError) {
-      // Check if this is a unique constraint violation (slot already booked)
-      // PostgreSQL error code 23505 = unique_violation
       if (insertError.code === '23505') {
-        // Rollback the transaction
-        await client.query('ROLLBACK');
-        
-        // Throw a domain-specific error
-        const error = new Error('Slot already booked');
-        error.statusCode = 409;
-        throw error;
+        throw new ConflictError('Slot already booked', 'SLOT_ALREADY_BOOKED');
       }
-      
-      // For other errors, rethrow to be handled by outer catch
       throw insertError;
     }
-    
+
+    // Release the old slot
+    await client.query(
+      'DELETE FROM booking_slots WHERE booking_id = $1 AND slot_id = $2',
+      [bookingId, booking.slot_id]
+    );
+    await calendarService.bumpSlotSequence(client, [booking.slot_id, slotId]);
+
+    const updatedResult = await client.query(
+      `UPDATE bookings
+       SET slot_id = $2, previous_slot_id = $3, rescheduled_at = NOW(),
+           calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [bookingId, slotId, booking.slot_id]
+    );
+
+    await client.query(
+      'INSERT INTO booking_reschedules (booking_id, from_slot_id, to_slot_id) VALUES ($1, $2, $3)',
+      [bookingId, booking.slot_id, slotId]
+    );
+
+    await auditService.recordAudit(client, {
+      action: 'booking.reschedule',
+      entity: 'booking',
+      entityId: bookingId,
+      before: booking,
+      after: updatedResult.rows[0]
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'booking.rescheduled',
+      entity: 'booking',
+      entityId: bookingId,
+      data: updatedResult.rows[0]
+    });
+
+    await reminderService.scheduleReminders(client, bookingId);
+    await waitlistService.queueOffers(client, [booking.slot_id]);
+
+    await client.query('COMMIT');
+
+    return updatedResult.rows[0];
   } catch (error) {
-    // If transaction is still open, rollback
     try {
       await client.query('ROLLBACK');
     } catch (rollbackError) {
-      // Ignore rollback errors if transaction was already rolled back
-      console.error('Rollback error:', rollbackError);
+      logger.error('Rollback error', { error: rollbackError });
     }
-    
-    // Re-throw the original error (or the custom 409 error)
     throw error;
-    
   } finally {
-    // Always release the client back to the pool
     client.release();
   }
 }
 
 /**
- * Get a booking by its ID
- * Retrieves the booking record from the database
+ * Get the reschedule history of a booking, oldest first
  * 
- * @param {number} bookingId - The ID of the booking to retrieve
- * @returns {Promise<Object|null>} The booking record, or null if not found
+ * @param {number} bookingId - The ID of the booking
+ * @returns {Promise<Array>} Array of booking_reschedules records
  */
-async function getBookingById(bookingId) {
+async function getRescheduleHistory(bookingId) {
   const result = await query(
-    'SELECT * FROM bookings WHERE id = $1',
+    'SELECT * FROM booking_reschedules WHERE booking_id = $1 ORDER BY created_at ASC, id ASC',
     [bookingId]
   );
-  
-  return result.rows[0] || null;
+
+  return result.rows;
+}
+
+/**
+ * Place a temporary hold on a slot
+ * 
+ * Claims the slot through booking_slots exactly like a booking does, but leaves
+ * the booking PENDING with expires_at set HOLD_MINUTES ahead. The hold must be
+ * confirmed with confirmBooking before it expires; otherwise the expiry job
+ * marks it FAILED and releases the slot.
+ * 
+ * @param {Object} holdData - Hold data
+ * @param {number} holdData.slotId - The ID of the slot to hold
+ * @param {Object} holdData.patient - The patient holding the slot: { id } of an
+ *        existing patient, or { name, email, phone, dateOfBirth, mrn, matchExisting }
+ *        to find or create one (see patientService.resolvePatient)
+ * @returns {Promise<Object>} The PENDING booking record
+ * @throws {Error} Throws error with statusCode 404 if the slot is not found,
+ *                 or 409 if the slot is already booked, held or blocked, its
+ *                 doctor is not accepting new bookings, or the patient has
+ *                 reached the active booking cap
+ */
+async function holdSlot({ slotId, patient }) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const slotResult = await client.query(
+      'SELECT id FROM slots WHERE id = $1 FOR UPDATE',
+      [slotId]
+    );
+
+    if (slotResult.rows.length === 0) {
+      throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
+    }
+
+    await assertSlotBookable(client, slotId);
+    await releaseExpiredHolds(client, slotId);
+
+    const patientRecord = await patientService.resolvePatient(client, patient);
+    await assertActiveBookingLimit(client, patientRecord.id);
+
+    const bookingResult = await client.query(
+      `INSERT INTO bookings (slot_id, patient_id, patient_name, status, expires_at)
+       VALUES ($1, $2, $3, 'PENDING', NOW() + $4 * INTERVAL '1 minute')
+       RETURNING *`,
+      [slotId, patientRecord.id, patient.name || patientRecord.name, HOLD_MINUTES]
+    );
+    const booking = bookingResult.rows[0];
+
+    try {
+      await client.query(
+        'INSERT INTO booking_slots (booking_id, slot_id) VALUES ($1, $2)',
+        [booking.id, slotId]
+      );
+    } catch (insertError) {
+      if (insertError.code === '23505') {
+        throw new ConflictError('Slot already booked', 'SLOT_ALREADY_BOOKED');
+      }
+      throw insertError;
+    }
+    await calendarService.bumpSlotSequence(client, [slotId]);
+
+    await auditService.recordAudit(client, {
+      action: 'booking.hold',
+      entity: 'booking',
+      entityId: booking.id,
+      after: booking
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'booking.held',
+      entity: 'booking',
+      entityId: booking.id,
+      data: booking
+    });
+
+    await client.query('COMMIT');
+
+    return booking;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Confirm a held (PENDING) booking before its hold expires
+ * 
+ * The booking row is locked with FOR UPDATE so confirmation cannot race the
+ * expiry job. If the hold has already expired, it is released here (marked
+ * FAILED, booking_slots row removed) and a 410 is returned.
+ * Confirming the hold of a waitlist offer accepts the offer.
+ * 
+ * @param {number} bookingId - The ID of the booking to confirm
+ * @returns {Promise<Object>} The CONFIRMED booking record
+ * @throws {Error} Throws error with statusCode 404 if the booking is not found,
+ *                 409 if the booking is not PENDING, or 410 if the hold expired
+ */
+async function confirmBooking(bookingId) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const bookingResult = await client.query(
+      `SELECT *, expires_at <= NOW() AS expired
+       FROM bookings WHERE id = $1 FOR UPDATE`,
+      [bookingId]
+    );
+
+    if (bookingResult.rows.length === 0) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+
+    const booking = bookingResult.rows[0];
+    if (booking.status !== 'PENDING') {
+      throw new ConflictError(
+        `Booking cannot be confirmed (status: ${booking.status})`,
+        'INVALID_BOOKING_STATUS',
+        { status: booking.status }
+      );
+    }
+
+    if (booking.expired) {
+      // Release the slot now rather than waiting for the expiry job
+      await releaseExpiredHolds(client, booking.slot_id);
+      await client.query('COMMIT');
+
+      throw new GoneError('Booking hold has expired', 'HOLD_EXPIRED');
+    }
+
+    const confirmedResult = await client.query(
+      `UPDATE bookings
+       SET status = 'CONFIRMED', calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [bookingId]
+    );
+    await calendarService.bumpSlotSequence(client, [booking.slot_id]);
+
+    const { expired, ...before } = booking;
+    await auditService.recordAudit(client, {
+      action: 'booking.confirm',
+      entity: 'booking',
+      entityId: bookingId,
+      before,
+      after: confirmedResult.rows[0]
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'booking.confirmed',
+      entity: 'booking',
+      entityId: bookingId,
+      data: confirmedResult.rows[0]
+    });
+
+    await reminderService.scheduleReminders(client, bookingId);
+    await waitlistService.resolveOffers(client, [bookingId], 'ACCEPTED');
+
+    await client.query('COMMIT');
+
+    return confirmedResult.rows[0];
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
 module.exports = {
-  createBooking,
-  getBookingById
+  assertSlotBookable,
+  assertActiveBookingLimit,
+  getBookingById,
+  getBookingOwner,
+  cancelBooking,
+  rescheduleBooking,
+  getRescheduleHistory,
+  holdSlot,
+  confirmBooking,
+  releaseExpiredHolds
 };
 
 
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { NotFoundError } = require('../errors');
+
+// Right-hand side of event UIDs; keep it stable, or calendar apps will duplicate events
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'medreserve';
+// How far back a doctor's feed reaches; future slots are always included
+const FEED_PAST_DAYS = 30;
+// How often subscribed calendar apps are asked to refresh a feed
+const FEED_REFRESH_INTERVAL = 'PT15M';
+
+// iCalendar STATUS of a booking's event, by booking status
+const EVENT_STATUS = {
+  PENDING: 'TENTATIVE',
+  CONFIRMED: 'CONFIRMED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'CANCELLED'
+};
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time (e.g. 20240115T100000Z)
+ * @param {Date|string} value - The timestamp
+ * @returns {string} The formatted date-time
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets (RFC 5545 section 3.1)
+ * Continuation lines start with a space; multi-byte characters are never split.
+ * @param {string} line - The unfolded content line
+ * @returns {string} The folded line, using CRLF line breaks
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - { uid, start, durationMinutes, summary, description, status, sequence, transparent, lastModified }
+ * @returns {Array<string>} The unfolded content lines of the event
+ */
+function buildEvent(event) {
+  const start = new Date(event.start);
+  const end = new Date(start.getTime() + event.durationMinutes * 60 * 1000);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar
+ * @param {Array<Object>} calendar.events - Events (see buildEvent)
+ * @param {string} [calendar.name] - Display name, for subscription feeds
+ * @returns {string} The iCalendar text, with folded CRLF-terminated lines
+ */
+function buildCalendar({ events, name }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MedReserve//MedReserve Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(
+      `NAME:${escapeText(name)}`,
+      `X-WR-CALNAME:${escapeText(name)}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+      `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`
+    );
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new calendar feed token for a doctor, revoking any previous one
+ * @param {number} doctorId - The ID of the doctor
+ * @returns {Promise<string>} The token (only its hash is stored)
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found
+ */
+async function issueFeedToken(doctorId) {
+  const doctorResult = await query('SELECT id FROM doctors WHERE id = $1', [doctorId]);
+
+  if (doctorResult.rows.length === 0) {
+    throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  await query(
+    `INSERT INTO calendar_feed_tokens (doctor_id, token_hash)
+     VALUES ($1, $2)
+     ON CONFLICT (doctor_id) DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW()`,
+    [doctorId, hashToken(token)]
+  );
+
+  return token;
+}
+
+/**
+ * Check a doctor's calendar feed token
+ * @param {number} doctorId - The ID of the doctor
+ * @param {string} token - The token from the feed URL
+ * @returns {Promise<boolean>} Whether the token is the doctor's current token
+ */
+async function verifyFeedToken(doctorId, token) {
+  if (!token) {
+    return false;
+  }
+  const result = await query(
+    'SELECT 1 FROM calendar_feed_tokens WHERE doctor_id = $1 AND token_hash = $2',
+    [doctorId, hashToken(token)]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Build a doctor's calendar feed: one event per slot from FEED_PAST_DAYS ago onwards
+ * 
+ * Free slots are shown as transparent "Available" events, blocked ones as busy
+ * "Blocked" events, and held and booked slots as busy events with the patient's name.
+ * Each slot keeps the same UID whatever happens to its bookings, so calendar apps
+ * update the event in place; SEQUENCE is the slot's calendar_sequence, which every
+ * change to the event increments.
+ * 
+ * @param {number} doctorId - The ID of the doctor
+ * @returns {Promise<string|null>} The iCalendar text, or null if the doctor is not found
+ */
+async function getDoctorCalendar(doctorId) {
+  const doctorResult = await query('SELECT * FROM doctors WHERE id = $1', [doctorId]);
+  const doctor = doctorResult.rows[0];
+
+  if (!doctor) {
+    return null;
+  }
+
+  const slotsResult = await query(
+    `SELECT s.*, b.id AS booking_id, b.status AS booking_status, b.patient_name,
+            GREATEST(s.created_at, s.updated_at, (
+              SELECT MAX(updated_at) FROM bookings
+              WHERE slot_id = s.id OR previous_slot_id = s.id
+            )) AS last_modified
+     FROM slots s
+     LEFT JOIN booking_slots bs ON bs.slot_id = s.id
+     LEFT JOIN bookings b ON b.id = bs.booking_id
+     WHERE s.doctor_id = $1
+       AND s.start_time >= NOW() - $2 * INTERVAL '1 day'
+     ORDER BY s.start_time, s.id`,
+    [doctorId, FEED_PAST_DAYS]
+  );
+
+  const events = slotsResult.rows.map(slot => {
+    const event = {
+      uid: `slot-${slot.id}@${UID_DOMAIN}`,
+      start: slot.start_time,
+      durationMinutes: slot.duration_minutes,
+      status: 'CONFIRMED',
+      sequence: slot.calendar_sequence,
+      lastModified: slot.last_modified
+    };
+
+    if (!slot.booking_id && slot.blocked_at) {
+      return { ...event, summary: 'Blocked', description: slot.block_reason };
+    }
+
+    if (!slot.booking_id) {
+      return { ...event, summary: 'Available', transparent: true };
+    }
+
+    const held = slot.booking_status === 'PENDING';
+    return {
+      ...event,
+      summary: `${held ? 'Held' : 'Booked'}: ${slot.patient_name}`,
+      description: `Booking reference: ${slot.booking_id}`,
+      status: held ? 'TENTATIVE' : 'CONFIRMED'
+    };
+  });
+
+  return buildCalendar({ events, name: `MedReserve: ${doctor.name}` });
+}
+
+/**
+ * Bump the calendar SEQUENCE of slots whose feed event changes with a booking
+ * (booked, held, confirmed or released)
+ * @param {Object} db - A pg client with an open transaction, or the database module
+ * @param {Array<number>} slotIds - The IDs of the slots
+ * @returns {Promise<void>}
+ */
+async function bumpSlotSequence(db, slotIds) {
+  await db.query(
+    'UPDATE slots SET calendar_sequence = calendar_sequence + 1 WHERE id = ANY($1::int[])',
+    [slotIds]
+  );
+}
+
+/**
+ * Build the calendar file of a booking
+ * 
+ * The event UID is derived from the booking, so it stays the same when the booking
+ * is confirmed, rescheduled or cancelled; SEQUENCE is the booking's calendar_sequence,
+ * which those changes (and the hold expiring) increment. Cancelled and expired bookings have STATUS:CANCELLED.
+ * 
+ * @param {number} bookingId - The ID of the booking
+ * @returns {Promise<string|null>} The iCalendar text, or null if the booking is not found
+ */
+async function getBookingCalendar(bookingId) {
+  const result = await query(
+    `SELECT b.*, s.start_time, s.duration_minutes,
+            d.name AS doctor_name, d.specialization AS doctor_specialization
+     FROM bookings b
+     JOIN slots s ON s.id = b.slot_id
+     JOIN doctors d ON d.id = s.doctor_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const booking = result.rows[0];
+
+  if (!booking) {
+    return null;
+  }
+
+  const doctor = booking.doctor_specialization
+    ? `${booking.doctor_name} (${booking.doctor_specialization})`
+    : booking.doctor_name;
+
+  return buildCalendar({
+    events: [{
+      uid: `booking-${booking.id}@${UID_DOMAIN}`,
+      start: booking.start_time,
+      durationMinutes: booking.duration_minutes,
+      summary: `Appointment with ${booking.doctor_name}`,
+      description: `Appointment with ${doctor} for ${booking.patient_name}.\nBooking reference: ${booking.id}`,
+      status: EVENT_STATUS[booking.status],
+      sequence: booking.calendar_sequence,
+      lastModified: booking.updated_at
+    }]
+  });
+}
+
+module.exports = {
+  issueFeedToken,
+  verifyFeedToken,
+  getDoctorCalendar,
+  getBookingCalendar,
+  bumpSlotSequence
+};
@@ -1,4 +1,12 @@
-const { query } = require('../config/database');
+const { getClient, query } = require('../config/database');
+const auditService = require('./auditService');
+const outboxService = require('./outboxService');
+const bookingService = require('./bookingService');
+const { ConflictError, NotFoundError } = require('../errors');
+const logger = require('../config/logger');
+
+// Columns that can be changed with updateDoctor
+const DOCTOR_FIELDS = ['name', 'specialization'];
 
 /**
  * Create a new doctor in the database
@@ -8,20 +16,397 @@ const { query } = require('../config/database');
  * @returns {Promise<Object>} The created doctor record
  */
 async function createDoctor({ name, specialization }) {
-  const result = await query(
-    'INSERT INTO doctors (name, specialization) VALUES ($1, $2) RETURNING *',
-    [name, specialization || null]
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO doctors (name, specialization) VALUES ($1, $2) RETURNING *',
+      [name, specialization || null]
+    );
+    const doctor = result.rows[0];
+
+    await auditService.recordAudit(client, {
+      action: 'doctor.create',
+      entity: 'doctor',
+      entityId: doctor.id,
+      after: doctor
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'doctor.created',
+      entity: 'doctor',
+      entityId: doctor.id,
+      data: doctor
+    });
+
+    await client.query('COMMIT');
+
+    return doctor;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lock a doctor row for an update
+ * Deleted (archived) doctors are treated as not found.
+ * @param {Object} client - A pg client with an open transaction
+ * @param {number} doctorId - The ID of the doctor
+ * @returns {Promise<Object>} The doctor record
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found
+ */
+async function lockDoctor(client, doctorId) {
+  const result = await client.query(
+    'SELECT * FROM doctors WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [doctorId]
   );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+  }
+
   return result.rows[0];
 }
 
 /**
- * Get all doctors from the database, ordered by creation date (newest first)
+ * Update a doctor's details
+ * @param {number} doctorId - The ID of the doctor
+ * @param {Object} changes - Any subset of DOCTOR_FIELDS
+ * @returns {Promise<Object>} The updated doctor record
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found
+ */
+async function updateDoctor(doctorId, changes) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await lockDoctor(client, doctorId);
+
+    const fields = DOCTOR_FIELDS.filter(field => changes[field] !== undefined);
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    assignments.push('updated_at = NOW()');
+
+    const result = await client.query(
+      `UPDATE doctors SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [doctorId, ...fields.map(field => changes[field])]
+    );
+    const doctor = result.rows[0];
+
+    await auditService.recordAudit(client, {
+      action: 'doctor.update',
+      entity: 'doctor',
+      entityId: doctorId,
+      before: existing,
+      after: doctor
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'doctor.updated',
+      entity: 'doctor',
+      entityId: doctorId,
+      data: doctor
+    });
+
+    await client.query('COMMIT');
+
+    return doctor;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Deactivate or reactivate a doctor
+ * 
+ * An inactive doctor is hidden from the public doctor list and availability
+ * search, and new bookings, holds and waitlist entries for them are rejected.
+ * Existing bookings, slots and templates are kept (templates stop generating
+ * slots), so reactivating restores the doctor as they were.
+ * Setting the state the doctor is already in changes nothing.
+ * 
+ * @param {number} doctorId - The ID of the doctor
+ * @param {boolean} active - Whether the doctor takes bookings
+ * @returns {Promise<Object>} The doctor record
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found
+ */
+async function setDoctorActive(doctorId, active) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await lockDoctor(client, doctorId);
+
+    if (existing.active === active) {
+      await client.query('COMMIT');
+      return existing;
+    }
+
+    const result = await client.query(
+      `UPDATE doctors
+       SET active = $2, deactivated_at = CASE WHEN $2 THEN NULL ELSE NOW() END, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [doctorId, active]
+    );
+    const doctor = result.rows[0];
+
+    await auditService.recordAudit(client, {
+      action: active ? 'doctor.activate' : 'doctor.deactivate',
+      entity: 'doctor',
+      entityId: doctorId,
+      before: existing,
+      after: doctor
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: active ? 'doctor.activated' : 'doctor.deactivated',
+      entity: 'doctor',
+      entityId: doctorId,
+      data: doctor
+    });
+
+    await client.query('COMMIT');
+
+    return doctor;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lock a doctor's upcoming bookings: confirmed bookings and holds that still
+ * claim a future slot. They cannot be cancelled or moved to another doctor
+ * until the caller's transaction ends.
+ * @param {Object} client - A pg client with an open transaction
+ * @param {number} doctorId - The ID of the doctor
+ * @returns {Promise<Array<number>>} Booking IDs, soonest first
+ */
+async function lockUpcomingBookings(client, doctorId) {
+  const result = await client.query(
+    `SELECT b.id
+     FROM bookings b
+     JOIN booking_slots bs ON bs.booking_id = b.id
+     JOIN slots s ON s.id = bs.slot_id AND s.id = b.slot_id
+     WHERE s.doctor_id = $1 AND s.start_time > NOW()
+     ORDER BY s.start_time, b.id
+     FOR UPDATE OF b`,
+    [doctorId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Remove a doctor's slots that have never been booked, recording each in the
+ * audit log and as a slot.deleted outbox event
+ * @param {Object} client - A pg client with an open transaction
+ * @param {number} doctorId - The ID of the doctor
+ * @param {boolean} futureOnly - Only remove slots that have not started yet
+ * @returns {Promise<number>} Number of slots removed
+ */
+async function deleteUnbookedSlots(client, doctorId, futureOnly) {
+  const actor = auditService.currentActor();
+  const result = await client.query(
+    `WITH deleted AS (
+       DELETE FROM slots s
+       WHERE s.doctor_id = $1
+         AND (NOT $2::boolean OR s.start_time > NOW())
+         AND NOT EXISTS (SELECT 1 FROM booking_slots bs WHERE bs.slot_id = s.id)
+         AND NOT EXISTS (SELECT 1 FROM bookings b WHERE b.slot_id = s.id OR b.previous_slot_id = s.id)
+       RETURNING *
+     ),
+     audited AS (
+       INSERT INTO audit_log
+         (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+       SELECT $3, $4, $5, 'slot.delete', 'slot', deleted.id, to_jsonb(deleted), NULL, $6
+       FROM deleted
+     ),
+     events AS (
+       INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+       SELECT 'slot.deleted', 'slot', deleted.id, to_jsonb(deleted)
+       FROM deleted
+     )
+     SELECT COUNT(*)::int AS removed FROM deleted`,
+    [doctorId, futureOnly, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+  );
+
+  return result.rows[0].removed;
+}
+
+/**
+ * Delete a doctor
+ * 
+ * A doctor with upcoming bookings is not deleted (409, with details.booking_ids)
+ * unless cancelBookings is set. Patients can instead be moved to another doctor
+ * first by rescheduling their bookings. With cancelBookings each upcoming booking
+ * is cancelled as if by an admin.
+ * 
+ * Everything happens in one transaction that locks the doctor row first, so no
+ * booking can be made for the doctor meanwhile (see bookingService.assertDoctorBookable).
+ * The doctor's waitlist entries are cancelled, then:
+ * - A doctor whose slots were never booked is removed with all their slots
+ *   (templates and the calendar feed token go with them)
+ * - A doctor with booking history is archived instead: deactivated and marked
+ *   deleted, with their future unbooked slots removed and templates deactivated,
+ *   so past bookings keep their slot and doctor
+ * 
+ * @param {number} doctorId - The ID of the doctor
+ * @param {Object} [options]
+ * @param {boolean} [options.cancelBookings] - Cancel upcoming bookings instead of refusing
+ * @returns {Promise<Object>} { doctor, archived, cancelled_booking_ids, removed_slots }, where
+ *          doctor is the archived record, or the removed record if archived is false
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found,
+ *                 or 409 if the doctor has upcoming bookings
+ */
+async function deleteDoctor(doctorId, { cancelBookings = false } = {}) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await lockDoctor(client, doctorId);
+
+    const upcoming = await lockUpcomingBookings(client, doctorId);
+    if (upcoming.length > 0 && !cancelBookings) {
+      throw new ConflictError(
+        `Doctor has ${upcoming.length} upcoming booking(s); reschedule them to another doctor or cancel them first`,
+        'DOCTOR_HAS_UPCOMING_BOOKINGS',
+        { booking_ids: upcoming }
+      );
+    }
+
+    for (const bookingId of upcoming) {
+      await bookingService.cancelBooking({
+        bookingId,
+        cancelledBy: 'admin',
+        reason: 'Doctor is no longer available',
+        client
+      });
+    }
+
+    const actor = auditService.currentActor();
+    await client.query(
+      `WITH cancelled AS (
+         UPDATE waitlist_entries e
+         SET status = 'CANCELLED', updated_at = NOW()
+         WHERE e.doctor_id = $1 AND e.status IN ('WAITING', 'OFFERED')
+         RETURNING e.id, to_jsonb(e) AS after
+       )
+       INSERT INTO audit_log
+         (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+       SELECT $2, $3, $4, 'waitlist_entry.cancel', 'waitlist_entry', id, NULL, after, $5
+       FROM cancelled`,
+      [doctorId, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+    );
+
+    const historyResult = await client.query(
+      `SELECT EXISTS (
+         SELECT 1 FROM bookings b JOIN slots s ON s.id = b.slot_id OR s.id = b.previous_slot_id
+         WHERE s.doctor_id = $1
+       ) AS has_bookings`,
+      [doctorId]
+    );
+    const archived = historyResult.rows[0].has_bookings;
+
+    let doctor = existing;
+    let removedSlots;
+    if (archived) {
+      removedSlots = await deleteUnbookedSlots(client, doctorId, true);
+
+      await client.query(
+        `WITH deactivated AS (
+           UPDATE availability_templates t
+           SET active = FALSE, updated_at = NOW()
+           WHERE t.doctor_id = $1 AND t.active
+           RETURNING t.id, to_jsonb(t) AS after
+         )
+         INSERT INTO audit_log
+           (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+         SELECT $2, $3, $4, 'availability_template.deactivate', 'availability_template', id, NULL, after, $5
+         FROM deactivated`,
+        [doctorId, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+      );
+
+      const result = await client.query(
+        `UPDATE doctors
+         SET active = FALSE, deactivated_at = COALESCE(deactivated_at, NOW()),
+             deleted_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [doctorId]
+      );
+      doctor = result.rows[0];
+    } else {
+      removedSlots = await deleteUnbookedSlots(client, doctorId, false);
+      await client.query('DELETE FROM doctors WHERE id = $1', [doctorId]);
+    }
+
+    await auditService.recordAudit(client, {
+      action: 'doctor.delete',
+      entity: 'doctor',
+      entityId: doctorId,
+      before: existing,
+      after: archived ? doctor : null
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'doctor.deleted',
+      entity: 'doctor',
+      entityId: doctorId,
+      data: doctor
+    });
+
+    await client.query('COMMIT');
+
+    return {
+      doctor,
+      archived,
+      cancelled_booking_ids: upcoming,
+      removed_slots: removedSlots
+    };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the doctors shown publicly (active doctors), ordered by creation date (newest first)
  * @returns {Promise<Array>} Array of doctor records
  */
 async function getAllDoctors() {
   const result = await query(
-    'SELECT * FROM doctors ORDER BY created_at DESC',
+    'SELECT * FROM doctors WHERE active ORDER BY created_at DESC',
     []
   );
   return result.rows;
@@ -29,12 +414,16 @@ async function getAllDoctors() {
 
 /**
  * Get all appointment slots for a specific doctor, ordered by start time (earliest first)
+ * Blocked slots and the slots of inactive doctors are left out.
  * @param {number} doctorId - The ID of the doctor
  * @returns {Promise<Array>} Array of slot records for the doctor
  */
 async function getDoctorSlots(doctorId) {
   const result = await query(
-    'SELECT * FROM slots WHERE doctor_id = $1 ORDER BY start_time ASC',
+    `SELECT s.* FROM slots s
+     JOIN doctors d ON d.id = s.doctor_id
+     WHERE s.doctor_id = $1 AND d.active AND s.blocked_at IS NULL
+     ORDER BY s.start_time ASC`,
     [doctorId]
   );
   return result.rows;
@@ -42,6 +431,9 @@ async function getDoctorSlots(doctorId) {
 
 module.exports = {
   createDoctor,
+  updateDoctor,
+  setDoctorActive,
+  deleteDoctor,
   getAllDoctors,
   getDoctorSlots
 };
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// How long a key is remembered (and its response replayed) after first use
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+
+/**
+ * Serialize a value to JSON with object keys sorted, so that two bodies with the
+ * same content but different key order produce the same fingerprint
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string} Canonical JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Compute the fingerprint of a request: a SHA-256 hash of its caller, method, path and body
+ * @param {Object} request - Request data
+ * @param {string} request.principal - Caller the key belongs to (see reserveKey)
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request path
+ * @param {*} request.body - Parsed request body
+ * @returns {string} Hex-encoded fingerprint
+ */
+function fingerprintRequest({ principal, method, path, body }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${principal}\n${method} ${path}\n${stableStringify(body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Reserve an idempotency key for a new request
+ * 
+ * Inserts the key with no response yet. Keys are scoped to the caller, so two
+ * callers sending the same key never see each other's requests. An expired row
+ * for the same key is overwritten, so keys become reusable once their window
+ * has passed.
+ * 
+ * @param {string} principal - Caller the key belongs to, e.g. 'patient:12'
+ * @param {string} key - The Idempotency-Key header value
+ * @param {string} fingerprint - The request fingerprint
+ * @returns {Promise<Object|null>} null if the key was reserved for this request,
+ *          otherwise the existing (unexpired) idempotency_keys record
+ */
+async function reserveKey(principal, key, fingerprint) {
+  const insertResult = await query(
+    `INSERT INTO idempotency_keys (principal, idempotency_key, request_fingerprint, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 hour')
+     ON CONFLICT (principal, idempotency_key) DO UPDATE
+       SET request_fingerprint = EXCLUDED.request_fingerprint,
+           response_status = NULL,
+           response_body = NULL,
+           created_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at <= NOW()
+     RETURNING id`,
+    [principal, key, fingerprint, KEY_TTL_HOURS]
+  );
+
+  if (insertResult.rows.length > 0) {
+    return null;
+  }
+
+  const existingResult = await query(
+    'SELECT * FROM idempotency_keys WHERE principal = $1 AND idempotency_key = $2',
+    [principal, key]
+  );
+
+  return existingResult.rows[0] || null;
+}
+
+/**
+ * Store the response of a completed request so it can be replayed
+ * @param {string} principal - Caller the key belongs to
+ * @param {string} key - The Idempotency-Key header value
+ * @param {number} status - HTTP status code of the response
+ * @param {*} body - JSON response body
+ */
+async function saveResponse(principal, key, status, body) {
+  await query(
+    'UPDATE idempotency_keys SET response_status = $3, response_body = $4 WHERE principal = $1 AND idempotency_key = $2',
+    [principal, key, status, JSON.stringify(body === undefined ? null : body)]
+  );
+}
+
+/**
+ * Forget a key whose request did not succeed, so the client can retry with it
+ * @param {string} principal - Caller the key belongs to
+ * @param {string} key - The Idempotency-Key header value
+ */
+async function releaseKey(principal, key) {
+  await query(
+    'DELETE FROM idempotency_keys WHERE principal = $1 AND idempotency_key = $2 AND response_status IS NULL',
+    [principal, key]
+  );
+}
+
+/**
+ * Delete all keys whose replay window has passed
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function deleteExpiredKeys() {
+  const result = await query(
+    'DELETE FROM idempotency_keys WHERE expires_at <= NOW()',
+    []
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  fingerprintRequest,
+  reserveKey,
+  saveResponse,
+  releaseKey,
+  deleteExpiredKeys
+};
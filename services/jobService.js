@@ -0,0 +1,122 @@
+const os = require('os');
+const { query } = require('../config/database');
+
+// How long run history is kept
+const RETENTION_DAYS = Number(process.env.JOB_RUN_RETENTION_DAYS || 7);
+
+// First key of the jobs' advisory locks, so they cannot collide with other
+// advisory locks; the second key is the hash of the job name
+const LOCK_NAMESPACE = 4242;
+
+// This process, as recorded on its runs
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Try to take a job's advisory lock; it is held by the client's session until
+ * unlockJob, or until the connection closes (e.g. the process dies)
+ * @param {Object} client - A pg client checked out for the run
+ * @param {string} name - Job name
+ * @returns {Promise<boolean>} Whether the lock was taken
+ */
+async function tryLockJob(client, name) {
+  const result = await client.query(
+    'SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked',
+    [LOCK_NAMESPACE, name]
+  );
+  return result.rows[0].locked;
+}
+
+/**
+ * Release a job's advisory lock taken with tryLockJob on the same client
+ */
+async function unlockJob(client, name) {
+  await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [LOCK_NAMESPACE, name]);
+}
+
+/**
+ * Whether a job is due: its last run, on any instance, started at least
+ * intervalSeconds ago. A tenth of the interval is allowed for instances whose
+ * timers fire slightly early, so a run is not pushed back a whole interval
+ * @param {string} name - Job name
+ * @param {number} intervalSeconds - The job's interval
+ * @returns {Promise<boolean>}
+ */
+async function isJobDue(name, intervalSeconds) {
+  const result = await query(
+    `SELECT 1 FROM job_runs
+     WHERE job_name = $1 AND started_at > NOW() - make_interval(secs => $2)
+     LIMIT 1`,
+    [name, intervalSeconds * 0.9]
+  );
+  return result.rows.length === 0;
+}
+
+/**
+ * Record a finished run, and prune the job's runs past the retention period
+ * @param {Object} run - The run
+ * @param {string} run.name - Job name
+ * @param {string} run.trigger - schedule or manual
+ * @param {string} [run.triggeredBy] - Who triggered a manual run (user id)
+ * @param {Date} run.startedAt - When the run started
+ * @param {Object} [run.result] - The job's summary of the run
+ * @param {Error} [run.error] - The error the run failed with
+ * @returns {Promise<Object>} The job_runs row
+ */
+async function recordJobRun({ name, trigger, triggeredBy = null, startedAt, result = null, error = null }) {
+  const finishedAt = new Date();
+  const inserted = await query(
+    `INSERT INTO job_runs
+       (job_name, trigger, triggered_by, status, started_at, finished_at, duration_ms, result, error, instance)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      name,
+      trigger,
+      triggeredBy,
+      error ? 'FAILED' : 'SUCCEEDED',
+      startedAt,
+      finishedAt,
+      finishedAt - startedAt,
+      result === null || result === undefined ? null : JSON.stringify(result),
+      error ? error.message : null,
+      INSTANCE
+    ]
+  );
+
+  await query(
+    'DELETE FROM job_runs WHERE job_name = $1 AND started_at < NOW() - make_interval(days => $2)',
+    [name, RETENTION_DAYS]
+  );
+
+  return inserted.rows[0];
+}
+
+/**
+ * Run history of jobs: the last run, last successful run and last failed run of each
+ * @param {Array<string>} names - Job names
+ * @returns {Promise<Map<string, Object>>} { last_run, last_success, last_failure } by job name (null where none)
+ */
+async function getJobHistory(names) {
+  const result = await query(
+    `SELECT j.name,
+       (SELECT to_jsonb(r) FROM job_runs r
+        WHERE r.job_name = j.name ORDER BY r.started_at DESC LIMIT 1) AS last_run,
+       (SELECT to_jsonb(r) FROM job_runs r
+        WHERE r.job_name = j.name AND r.status = 'SUCCEEDED' ORDER BY r.started_at DESC LIMIT 1) AS last_success,
+       (SELECT to_jsonb(r) FROM job_runs r
+        WHERE r.job_name = j.name AND r.status = 'FAILED' ORDER BY r.started_at DESC LIMIT 1) AS last_failure
+     FROM unnest($1::text[]) AS j(name)`,
+    [names]
+  );
+
+  return new Map(result.rows.map(row => [row.name, row]));
+}
+
+module.exports = {
+  INSTANCE,
+  tryLockJob,
+  unlockJob,
+  isJobDue,
+  recordJobRun,
+  getJobHistory
+};
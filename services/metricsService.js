@@ -0,0 +1,148 @@
+/**
+ * Prometheus metrics, served at GET /metrics (routes/metrics.routes.js)
+ * 
+ * Everything is counted in memory as it happens; the pg pool gauges read the
+ * pool's own counters when scraped. Nothing here queries the database, so
+ * collecting metrics adds no round trips to requests or scrapes.
+ */
+const client = require('prom-client');
+const pool = require('../config/database');
+
+const registry = new client.Registry();
+
+// Process metrics: CPU, memory, event loop lag, GC
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds, by route template',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const bookingOutcomes = new client.Counter({
+  name: 'medreserve_booking_outcomes_total',
+  help: 'Booking attempts by operation (book, hold, confirm, offer_accept) and outcome (confirmed, held, conflict, expired, failed)',
+  labelNames: ['operation', 'outcome'],
+  registers: [registry]
+});
+
+const expiryJobRuns = new client.Counter({
+  name: 'medreserve_expiry_job_runs_total',
+  help: 'Booking expiry job runs, by result (success, error)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const expiryJobDuration = new client.Histogram({
+  name: 'medreserve_expiry_job_duration_seconds',
+  help: 'Booking expiry job run duration in seconds',
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const expiryJobRows = new client.Counter({
+  name: 'medreserve_expiry_job_rows_total',
+  help: 'Rows changed by the booking expiry job: holds expired and slots released',
+  labelNames: ['kind'],
+  registers: [registry]
+});
+
+new client.Gauge({
+  name: 'medreserve_db_pool_total_clients',
+  help: 'Clients in the pg pool, idle or checked out',
+  registers: [registry],
+  collect() {
+    this.set(pool.totalCount);
+  }
+});
+
+new client.Gauge({
+  name: 'medreserve_db_pool_idle_clients',
+  help: 'Idle clients in the pg pool',
+  registers: [registry],
+  collect() {
+    this.set(pool.idleCount);
+  }
+});
+
+new client.Gauge({
+  name: 'medreserve_db_pool_waiting_clients',
+  help: 'Queries and transactions waiting for a pg pool client',
+  registers: [registry],
+  collect() {
+    this.set(pool.waitingCount);
+  }
+});
+
+// Pre-create the expiry counters, so they read 0 rather than being absent before the first run
+for (const result of ['success', 'error']) {
+  expiryJobRuns.inc({ result }, 0);
+}
+for (const kind of ['expired', 'released']) {
+  expiryJobRows.inc({ kind }, 0);
+}
+
+/**
+ * Start timing an HTTP request
+ * @returns {Function} Call with { method, route, status_code } when the response is sent
+ */
+function startRequestTimer() {
+  return httpRequestDuration.startTimer();
+}
+
+/**
+ * Outcome of a booking attempt from the error it failed with, if any
+ */
+function bookingOutcome(operation, error) {
+  if (!error) {
+    return operation === 'hold' ? 'held' : 'confirmed';
+  }
+  if (error.statusCode === 409) {
+    return 'conflict';
+  }
+  if (error.statusCode === 410) {
+    return 'expired';
+  }
+  return 'failed';
+}
+
+/**
+ * Count a booking attempt
+ * @param {string} operation - book, hold, confirm or offer_accept
+ * @param {Error} [error] - The error the attempt failed with; omitted if it succeeded
+ */
+function recordBookingOutcome(operation, error) {
+  bookingOutcomes.inc({ operation, outcome: bookingOutcome(operation, error) });
+}
+
+/**
+ * Record a run of the booking expiry job
+ * @param {Object} run - The run
+ * @param {number} run.seconds - How long the run took
+ * @param {Error} [run.error] - The error the run failed with
+ * @param {number} [run.expired] - Holds marked FAILED
+ * @param {number} [run.released] - Slots released
+ */
+function recordExpiryRun({ seconds, error, expired = 0, released = 0 }) {
+  expiryJobRuns.inc({ result: error ? 'error' : 'success' });
+  expiryJobDuration.observe(seconds);
+  expiryJobRows.inc({ kind: 'expired' }, expired);
+  expiryJobRows.inc({ kind: 'released' }, released);
+}
+
+/**
+ * Current metrics in the Prometheus text format
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+async function getMetrics() {
+  return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+  startRequestTimer,
+  recordBookingOutcome,
+  recordExpiryRun,
+  getMetrics
+};
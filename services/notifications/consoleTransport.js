@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+
+/**
+ * Console transport: logs messages instead of sending them (local development)
+ * Only the channel, subject and length are logged, as the recipient and text
+ * hold patient data; use the file transport to read the messages themselves
+ * @returns {Object} Transport with send(message)
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send({ channel, to, subject, text }) {
+      const messageId = crypto.randomUUID();
+      logger.info('Notification logged instead of sent (console transport)', {
+        channel,
+        to,
+        subject,
+        length: text.length,
+        message_id: messageId
+      });
+      return { messageId };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+/**
+ * File transport: appends each message as a JSON line to a file (local testing)
+ * @param {Object} options
+ * @param {string} options.path - File to append to
+ * @returns {Object} Transport with send(message)
+ */
+function createFileTransport({ path }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.appendFile(path, `${JSON.stringify({ id: messageId, sent_at: new Date().toISOString(), ...message })}\n`);
+      return { messageId };
+    }
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,73 @@
+/**
+ * Notification transports
+ * 
+ * Each channel (email, sms) is sent through a transport chosen by environment
+ * variable. A transport is an object with a `name` and an async
+ * `send({ channel, to, subject, text })` that resolves to `{ messageId }` or
+ * throws if the message could not be sent.
+ * 
+ * - REMINDER_EMAIL_TRANSPORT: console (default), file or smtp
+ * - REMINDER_SMS_TRANSPORT: console (default), file or http
+ */
+const os = require('os');
+const path = require('path');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createSmsHttpTransport = require('./smsHttpTransport');
+
+const FILE_PATH = process.env.NOTIFICATIONS_FILE_PATH || path.join(os.tmpdir(), 'medreserve-notifications.log');
+
+// Transport factories by channel and name
+const TRANSPORTS = {
+  email: {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ path: FILE_PATH }),
+    smtp: () => createSmtpTransport({
+      url: process.env.SMTP_URL,
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.REMINDER_EMAIL_FROM || 'MedReserve <no-reply@medreserve.local>'
+    })
+  },
+  sms: {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ path: FILE_PATH }),
+    http: () => createSmsHttpTransport({
+      url: process.env.SMS_PROVIDER_URL,
+      apiKey: process.env.SMS_PROVIDER_API_KEY,
+      from: process.env.SMS_FROM
+    })
+  }
+};
+
+const CONFIGURED = {
+  email: process.env.REMINDER_EMAIL_TRANSPORT || 'console',
+  sms: process.env.REMINDER_SMS_TRANSPORT || 'console'
+};
+
+const transports = {};
+
+/**
+ * Get the configured transport for a channel (created once and reused)
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} The transport
+ * @throws {Error} If the configured transport does not exist for the channel
+ */
+function getTransport(channel) {
+  if (!transports[channel]) {
+    const factory = TRANSPORTS[channel] && TRANSPORTS[channel][CONFIGURED[channel]];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport: ${CONFIGURED[channel]}`);
+    }
+    transports[channel] = factory();
+  }
+  return transports[channel];
+}
+
+module.exports = {
+  getTransport
+};
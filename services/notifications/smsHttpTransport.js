@@ -0,0 +1,43 @@
+/**
+ * HTTP SMS transport: sends text messages through an SMS provider's HTTP API
+ * 
+ * Provider interface: the transport POSTs
+ *   { "to": "+447700900123", "from": "<SMS_FROM>", "body": "<text>" }
+ * as JSON to the provider URL with `Authorization: Bearer <api key>`, and expects a
+ * 2xx response, optionally with a JSON body containing `id` or `message_id`.
+ * Providers with a different API can be supported with a small adapter service,
+ * or a transport of their own registered in services/notifications/index.js.
+ * 
+ * @param {Object} options
+ * @param {string} options.url - Provider endpoint
+ * @param {string} [options.apiKey] - Provider API key
+ * @param {string} [options.from] - Sender id or number
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to 10000)
+ * @returns {Object} Transport with send(message)
+ */
+function createSmsHttpTransport({ url, apiKey, from, timeoutMs = 10000 }) {
+  return {
+    name: 'sms-http',
+
+    async send({ to, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({ to, from, body: text }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS provider responded with ${response.status}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { messageId: result.id || result.message_id || null };
+    }
+  };
+}
+
+module.exports = createSmsHttpTransport;
@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport: sends email through an SMTP server
+ * @param {Object} options
+ * @param {string} [options.url] - SMTP connection URL (smtp[s]://user:pass@host:port); takes precedence
+ * @param {string} [options.host] - SMTP host
+ * @param {number} [options.port] - SMTP port
+ * @param {boolean} [options.secure] - Use TLS from the start (port 465)
+ * @param {string} [options.user] - SMTP username
+ * @param {string} [options.password] - SMTP password
+ * @param {string} options.from - Sender address
+ * @returns {Object} Transport with send(message)
+ */
+function createSmtpTransport({ url, host, port, secure, user, password, from }) {
+  const transporter = nodemailer.createTransport(url || {
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text }) {
+      const info = await transporter.sendMail({ from, to, subject, text });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,55 @@
+/**
+ * Transactional outbox
+ * 
+ * Services call enqueueEvent with the client of the transaction that makes a
+ * change, so the event is committed if and only if the change is. The webhook
+ * dispatcher job (src/jobs/webhookDispatchJob.js) delivers committed events.
+ */
+
+/**
+ * Event types written to the outbox, and the ones webhook subscriptions can
+ * choose from. The outbox also carries slot.available events, which queue slots
+ * for waitlist offers (waitlistService.queueOffers) and are never delivered.
+ */
+const EVENT_TYPES = [
+  'booking.created',
+  'booking.held',
+  'booking.confirmed',
+  'booking.cancelled',
+  'booking.rescheduled',
+  'booking.expired',
+  'slot.created',
+  'slot.updated',
+  'slot.blocked',
+  'slot.unblocked',
+  'slot.deleted',
+  'doctor.created',
+  'doctor.updated',
+  'doctor.deactivated',
+  'doctor.activated',
+  'doctor.deleted',
+  'waitlist.offered'
+];
+
+/**
+ * Write an event to the outbox
+ * 
+ * @param {Object} db - A pg client with an open transaction, or the database module
+ * @param {Object} event - The event
+ * @param {string} event.type - One of EVENT_TYPES
+ * @param {string} event.entity - The changed entity ('booking', 'slot', 'doctor' or 'waitlist_offer')
+ * @param {number} event.entityId - The ID of the changed row
+ * @param {Object} event.data - The row after the change (before it, for deletions)
+ * @returns {Promise<void>}
+ */
+async function enqueueEvent(db, { type, entity, entityId, data }) {
+  await db.query(
+    'INSERT INTO outbox_events (event_type, entity, entity_id, payload) VALUES ($1, $2, $3, $4)',
+    [type, entity, entityId, JSON.stringify(data)]
+  );
+}
+
+module.exports = {
+  EVENT_TYPES,
+  enqueueEvent
+};
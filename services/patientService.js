@@ -0,0 +1,178 @@
+const { query } = require('../config/database');
+const { ConflictError, NotFoundError } = require('../errors');
+
+/**
+ * Normalize a phone number for storage and lookup: keep digits and a leading +
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Normalized phone number, or null if empty
+ */
+function normalizePhone(phone) {
+  if (!phone) {
+    return null;
+  }
+  const trimmed = String(phone).trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Find an existing patient by MRN, email or phone (in that order)
+ * @param {Object} db - A pg client, or an object with a query method
+ * @returns {Promise<Object|null>} The patient record, or null if none matches
+ */
+async function findPatient(db, { email, phone, mrn }) {
+  const result = await db.query(
+    `SELECT * FROM patients
+     WHERE ($1::text IS NOT NULL AND mrn = $1::text)
+        OR ($2::text IS NOT NULL AND lower(email) = lower($2::text))
+        OR ($3::text IS NOT NULL AND phone = $3::text)
+     ORDER BY (mrn = $1::text) IS TRUE DESC,
+              (lower(email) = lower($2::text)) IS TRUE DESC,
+              id
+     LIMIT 1`,
+    [mrn || null, email || null, phone || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Find a patient by MRN, email or phone, creating one if none matches
+ * 
+ * Used by the booking flow. Existing patients are returned as they are (the
+ * booking does not overwrite stored contact details). Patients without any
+ * identifier (no email, phone or MRN) cannot be matched, so a new record is
+ * created for them every time.
+ * 
+ * Matching is only for callers trusted to act for the patient (staff): for
+ * anyone else, details matching an existing patient are refused with 409
+ * PATIENT_VERIFICATION_REQUIRED instead of booking as that patient, so they
+ * must sign in as the patient or book through the front desk.
+ * 
+ * Concurrent requests for the same new patient are safe: the insert skips rows
+ * that violate the unique email/phone/MRN indexes, and the winner is read back.
+ * 
+ * @param {Object} db - A pg client (usually with an open transaction)
+ * @param {Object} patientData - Patient data
+ * @param {string} patientData.name - Patient name (required)
+ * @param {string} [patientData.email] - Email address
+ * @param {string} [patientData.phone] - Phone number
+ * @param {string} [patientData.dateOfBirth] - Date of birth (YYYY-MM-DD)
+ * @param {string} [patientData.mrn] - External medical record number
+ * @param {boolean} [patientData.matchExisting] - Return an existing patient matching
+ *        the details; refuse them if false (the default)
+ * @returns {Promise<Object>} The existing or newly created patient record
+ * @throws {ConflictError} PATIENT_VERIFICATION_REQUIRED if the details match an
+ *         existing patient and matchExisting is false
+ */
+async function findOrCreatePatient(db, { name, email, phone, dateOfBirth, mrn, matchExisting = false }) {
+  const identifiers = { email: email || null, phone: normalizePhone(phone), mrn: mrn || null };
+  const verificationRequired = () => new ConflictError(
+    'A patient with these details already exists; book with their patient token or through the front desk',
+    'PATIENT_VERIFICATION_REQUIRED'
+  );
+
+  if (identifiers.email || identifiers.phone || identifiers.mrn) {
+    const existing = await findPatient(db, identifiers);
+    if (existing) {
+      if (!matchExisting) {
+        throw verificationRequired();
+      }
+      return existing;
+    }
+  }
+
+  const insertResult = await db.query(
+    `INSERT INTO patients (name, email, phone, date_of_birth, mrn)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [name, identifiers.email, identifiers.phone, dateOfBirth || null, identifiers.mrn]
+  );
+
+  if (insertResult.rows.length > 0) {
+    return insertResult.rows[0];
+  }
+
+  // Another request created the same patient concurrently
+  if (!matchExisting) {
+    throw verificationRequired();
+  }
+  return findPatient(db, identifiers);
+}
+
+/**
+ * Resolve the patient a booking or waitlist entry is made for, inside an open transaction
+ * 
+ * Uses the given patient id if there is one; otherwise finds the patient by
+ * MRN, email or phone (if matchExisting), creating a new patient record if
+ * none matches (see findOrCreatePatient).
+ * 
+ * @param {Object} client - A pg client with an open transaction
+ * @param {Object} patient - { id } or { name, email, phone, dateOfBirth, mrn, matchExisting }
+ * @returns {Promise<Object>} The patient record
+ * @throws {Error} Throws error with statusCode 404 if patient.id does not exist
+ */
+async function resolvePatient(client, patient) {
+  if (!patient.id) {
+    return findOrCreatePatient(client, patient);
+  }
+
+  const result = await client.query(
+    'SELECT * FROM patients WHERE id = $1',
+    [patient.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Patient not found', 'PATIENT_NOT_FOUND');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Get a patient by its ID
+ * @param {number} patientId - The ID of the patient
+ * @returns {Promise<Object|null>} The patient record, or null if not found
+ */
+async function getPatientById(patientId) {
+  const result = await query(
+    'SELECT * FROM patients WHERE id = $1',
+    [patientId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a patient's booking history, most recent appointment first
+ * Includes bookings in every status, with the slot time and doctor
+ * @param {number} patientId - The ID of the patient
+ * @returns {Promise<Array>} Array of booking records with slot and doctor details
+ */
+async function getPatientBookings(patientId) {
+  const result = await query(
+    `SELECT b.*,
+            s.start_time,
+            s.duration_minutes,
+            s.doctor_id,
+            d.name AS doctor_name,
+            d.specialization AS doctor_specialization
+     FROM bookings b
+     JOIN slots s ON s.id = b.slot_id
+     JOIN doctors d ON d.id = s.doctor_id
+     WHERE b.patient_id = $1
+     ORDER BY s.start_time DESC, b.id DESC`,
+    [patientId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  normalizePhone,
+  findOrCreatePatient,
+  resolvePatient,
+  getPatientById,
+  getPatientBookings
+};
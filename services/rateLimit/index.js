@@ -0,0 +1,44 @@
+/**
+ * Rate limit stores
+ * 
+ * Rate limits (middleware/rateLimit.js) count requests in fixed windows, in a
+ * store chosen by environment variable. A store is an object with a `name`, an
+ * async `hit(key, windowSeconds)` that counts a request and resolves to
+ * `{ count, resetAt }` for the key's current window, and an async
+ * `deleteExpired()` that forgets the windows that have passed.
+ * 
+ * - RATE_LIMIT_STORE: memory (default; per instance) or postgres (shared by
+ *   all instances, no Redis needed)
+ */
+const createMemoryStore = require('./memoryStore');
+const createPostgresStore = require('./postgresStore');
+
+// Store factories by name
+const STORES = {
+  memory: () => createMemoryStore(),
+  postgres: () => createPostgresStore()
+};
+
+const CONFIGURED = process.env.RATE_LIMIT_STORE || 'memory';
+
+let store;
+
+/**
+ * Get the configured store (created once and reused)
+ * @returns {Object} The store
+ * @throws {Error} If the configured store does not exist
+ */
+function getStore() {
+  if (!store) {
+    const factory = STORES[CONFIGURED];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${CONFIGURED}`);
+    }
+    store = factory();
+  }
+  return store;
+}
+
+module.exports = {
+  getStore
+};
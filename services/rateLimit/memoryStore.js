@@ -0,0 +1,53 @@
+// How often expired counters are swept while requests come in
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Memory store: counts in this process (a single instance, or local development)
+ * Each instance counts separately, so with N instances a client gets up to N
+ * times the limit; use the postgres store when running several
+ * @returns {Object} Store with hit(key, windowSeconds) and deleteExpired()
+ */
+function createMemoryStore() {
+  // Counters by key: { count, resetAt }
+  const counters = new Map();
+  let lastSweepAt = Date.now();
+
+  // Forget expired counters; done here as well as by rateLimitCleanupJob, which
+  // only runs on one of the instances
+  function sweep(now) {
+    lastSweepAt = now;
+    let deleted = 0;
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      if (now - lastSweepAt >= SWEEP_INTERVAL_MS) {
+        sweep(now);
+      }
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async deleteExpired() {
+      return sweep(Date.now());
+    }
+  };
+}
+
+module.exports = createMemoryStore;
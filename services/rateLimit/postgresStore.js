@@ -0,0 +1,36 @@
+const { query } = require('../../config/database');
+
+/**
+ * Postgres store: counts in the rate_limit_counters table, shared by all instances
+ * Each hit is a single upsert, which also restarts a counter whose window has passed
+ * @returns {Object} Store with hit(key, windowSeconds) and deleteExpired()
+ */
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+
+    async hit(key, windowSeconds) {
+      const result = await query(
+        `INSERT INTO rate_limit_counters (key, count, reset_at)
+         VALUES ($1, 1, NOW() + $2 * INTERVAL '1 second')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN 1 ELSE rate_limit_counters.count + 1 END,
+           reset_at = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_counters.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowSeconds]
+      );
+      const { count, reset_at: resetAt } = result.rows[0];
+      return { count, resetAt };
+    },
+
+    async deleteExpired() {
+      const result = await query(
+        'DELETE FROM rate_limit_counters WHERE reset_at <= NOW()',
+        []
+      );
+      return result.rowCount;
+    }
+  };
+}
+
+module.exports = createPostgresStore;
@@ -0,0 +1,225 @@
+const { query } = require('../config/database');
+const { getTransport } = require('./notifications');
+
+// When reminders are sent, in minutes before the appointment (default: 24h and 2h)
+const OFFSETS_MINUTES = (process.env.REMINDER_OFFSETS_MINUTES || '1440,120')
+  .split(',')
+  .map(value => parseInt(value.trim()))
+  .filter(value => value > 0);
+// Attempts per reminder before it is marked FAILED
+const MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS || 3);
+// Delay before retrying a failed reminder, multiplied by the attempt number
+const RETRY_MINUTES = 5;
+// How long a job instance owns a claimed reminder before another may retry it
+const CLAIM_MINUTES = 5;
+// Reminders sent per job run
+const BATCH_SIZE = 50;
+
+/**
+ * Schedule the reminders of a booking, replacing any that are not sent yet
+ * 
+ * Call with the client of the transaction that confirms or moves a booking.
+ * Pending reminders are cancelled first, then one reminder per offset and
+ * channel is created if the booking is CONFIRMED: email if the patient has an
+ * email address, SMS if they have a phone number. Reminders whose time has
+ * already passed (e.g. a booking made an hour before the appointment) are skipped.
+ * 
+ * @param {Object} db - A pg client with an open transaction
+ * @param {number} bookingId - The ID of the booking
+ * @returns {Promise<number>} Number of reminders scheduled
+ */
+async function scheduleReminders(db, bookingId) {
+  await cancelReminders(db, bookingId);
+
+  const result = await db.query(
+    `INSERT INTO booking_reminders (booking_id, channel, recipient, offset_minutes, send_at)
+     SELECT b.id, ch.channel, ch.recipient, o.offset_minutes,
+            s.start_time - o.offset_minutes * INTERVAL '1 minute'
+     FROM bookings b
+     JOIN slots s ON s.id = b.slot_id
+     JOIN patients p ON p.id = b.patient_id
+     CROSS JOIN unnest($2::int[]) AS o(offset_minutes)
+     CROSS JOIN LATERAL (VALUES ('email', p.email), ('sms', p.phone)) AS ch(channel, recipient)
+     WHERE b.id = $1
+       AND b.status = 'CONFIRMED'
+       AND ch.recipient IS NOT NULL
+       AND s.start_time - o.offset_minutes * INTERVAL '1 minute' > NOW()`,
+    [bookingId, OFFSETS_MINUTES]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Cancel the reminders of a booking that have not been sent yet
+ * @param {Object} db - A pg client with an open transaction
+ * @param {number} bookingId - The ID of the booking
+ * @returns {Promise<number>} Number of reminders cancelled
+ */
+async function cancelReminders(db, bookingId) {
+  const result = await db.query(
+    `UPDATE booking_reminders
+     SET status = 'CANCELLED', updated_at = NOW()
+     WHERE booking_id = $1 AND status IN ('SCHEDULED', 'SENDING')`,
+    [bookingId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Get the reminders of a booking with their send attempts
+ * @param {number} bookingId - The ID of the booking
+ * @returns {Promise<Array>} Reminders ordered by send_at, each with an `attempts_log` array
+ */
+async function getBookingReminders(bookingId) {
+  const result = await query(
+    `SELECT r.*,
+            COALESCE((
+              SELECT json_agg(a ORDER BY a.attempted_at)
+              FROM reminder_attempts a WHERE a.reminder_id = r.id
+            ), '[]') AS attempts_log
+     FROM booking_reminders r
+     WHERE r.booking_id = $1
+     ORDER BY r.send_at, r.id`,
+    [bookingId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Claim due reminders for sending
+ * 
+ * Safe to run on several server instances at once: rows are picked with
+ * FOR UPDATE SKIP LOCKED and marked SENDING until claimed_until, so each reminder
+ * is sent by one instance. A reminder left SENDING by an instance that died is
+ * claimed again once claimed_until passes.
+ * 
+ * Reminders whose booking is no longer CONFIRMED, or whose appointment has
+ * started, are cancelled instead of sent.
+ * 
+ * @returns {Promise<Array>} Claimed reminders with booking, patient, slot and doctor details
+ */
+async function claimDueReminders() {
+  await query(
+    `UPDATE booking_reminders r
+     SET status = 'CANCELLED', updated_at = NOW()
+     FROM bookings b, slots s
+     WHERE b.id = r.booking_id AND s.id = b.slot_id
+       AND r.status IN ('SCHEDULED', 'SENDING') AND r.send_at <= NOW()
+       AND (b.status <> 'CONFIRMED' OR s.start_time <= NOW())`,
+    []
+  );
+
+  const result = await query(
+    `WITH due AS (
+       SELECT id FROM booking_reminders
+       WHERE (status = 'SCHEDULED' AND send_at <= NOW())
+          OR (status = 'SENDING' AND claimed_until < NOW())
+       ORDER BY send_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE booking_reminders r
+     SET status = 'SENDING', attempts = r.attempts + 1,
+         claimed_until = NOW() + $2 * INTERVAL '1 minute', updated_at = NOW()
+     FROM due, bookings b, slots s, doctors d
+     WHERE r.id = due.id AND b.id = r.booking_id AND s.id = b.slot_id AND d.id = s.doctor_id
+     RETURNING r.*, b.patient_name, s.start_time, s.duration_minutes,
+               d.name AS doctor_name, d.specialization AS doctor_specialization`,
+    [BATCH_SIZE, CLAIM_MINUTES]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Build the text of a reminder
+ * @param {Object} reminder - A claimed reminder
+ * @returns {Object} { subject, text }
+ */
+function buildReminderMessage(reminder) {
+  const when = new Date(reminder.start_time).toUTCString();
+  const doctor = reminder.doctor_specialization
+    ? `${reminder.doctor_name} (${reminder.doctor_specialization})`
+    : reminder.doctor_name;
+
+  return {
+    subject: `Appointment reminder: ${when}`,
+    text: `Hello ${reminder.patient_name}, this is a reminder of your appointment with ${doctor} ` +
+      `on ${when} (${reminder.duration_minutes} minutes). Booking reference: ${reminder.booking_id}.`
+  };
+}
+
+/**
+ * Send a claimed reminder through its channel's transport and record the attempt
+ * 
+ * On failure the reminder is retried after RETRY_MINUTES times the attempt
+ * number, until MAX_ATTEMPTS attempts have been made; then it is marked FAILED.
+ * The attempt is always recorded, but the status only changes if the reminder
+ * is still SENDING under this claim: one cancelled meanwhile (its booking was
+ * cancelled or moved) stays CANCELLED, and one claimed again by another
+ * instance after claimed_until passed is left to that instance.
+ * 
+ * @param {Object} reminder - A reminder returned by claimDueReminders
+ * @returns {Promise<string|null>} The new status: 'SENT', 'SCHEDULED' (retry) or
+ *          'FAILED', or null if the status was left unchanged
+ */
+async function sendReminder(reminder) {
+  let transportName = 'unknown';
+  let messageId = null;
+  let errorMessage = null;
+
+  try {
+    const transport = getTransport(reminder.channel);
+    transportName = transport.name;
+    ({ messageId } = await transport.send({
+      channel: reminder.channel,
+      to: reminder.recipient,
+      ...buildReminderMessage(reminder)
+    }));
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  let status = 'SENT';
+  if (errorMessage) {
+    status = reminder.attempts >= MAX_ATTEMPTS ? 'FAILED' : 'SCHEDULED';
+  }
+
+  const result = await query(
+    `WITH attempt AS (
+       INSERT INTO reminder_attempts (reminder_id, booking_id, transport, success, provider_message_id, error)
+       VALUES ($1, $2, $3, $4, $5, $6)
+     )
+     UPDATE booking_reminders
+     SET status = $7, last_error = $6, claimed_until = NULL, updated_at = NOW(),
+         sent_at = CASE WHEN $7 = 'SENT' THEN NOW() ELSE NULL END,
+         send_at = CASE WHEN $7 = 'SCHEDULED' THEN NOW() + $8 * INTERVAL '1 minute' ELSE send_at END
+     WHERE id = $1 AND status = 'SENDING' AND attempts = $9
+     RETURNING status`,
+    [
+      reminder.id,
+      reminder.booking_id,
+      transportName,
+      !errorMessage,
+      messageId,
+      errorMessage,
+      status,
+      RETRY_MINUTES * reminder.attempts,
+      reminder.attempts
+    ]
+  );
+
+  return result.rows.length > 0 ? status : null;
+}
+
+module.exports = {
+  OFFSETS_MINUTES,
+  scheduleReminders,
+  cancelReminders,
+  getBookingReminders,
+  claimDueReminders,
+  sendReminder
+};
@@ -1,40 +1,754 @@
-const { query } = require('../config/database');
+const { getClient, query } = require('../config/database');
+const auditService = require('./auditService');
+const outboxService = require('./outboxService');
+const waitlistService = require('./waitlistService');
+const bookingService = require('./bookingService');
+const reminderService = require('./reminderService');
+const { ConflictError, NotFoundError, UnprocessableError, fromDatabaseError } = require('../errors');
+const logger = require('../config/logger');
+
+// Audit action and outbox event of each kind of slot change
+const SLOT_CHANGES = {
+  update: { action: 'slot.update', event: 'slot.updated' },
+  block: { action: 'slot.block', event: 'slot.blocked' },
+  unblock: { action: 'slot.unblock', event: 'slot.unblocked' }
+};
+
+/**
+ * Find existing slots of a doctor that overlap a time range
+ * @param {Function} run - Query function to use (query helper or a client's query)
+ * @param {Object} range - The range to check
+ * @param {number} range.doctorId - The ID of the doctor
+ * @param {string|Date} range.startTime - Start of the range
+ * @param {number} range.durationMinutes - Length of the range in minutes
+ * @returns {Promise<Array<number>>} IDs of the overlapping slots, ordered by id
+ */
+async function findOverlappingSlotIds(run, { doctorId, startTime, durationMinutes }) {
+  const result = await run(
+    `SELECT id FROM slots
+     WHERE doctor_id = $1
+       AND slot_time_range(start_time, duration_minutes) && slot_time_range($2, $3)
+     ORDER BY id`,
+    [doctorId, startTime, durationMinutes]
+  );
+  return result.rows.map(row => row.id);
+}
 
 /**
  * Create a new appointment slot for a doctor
  * First validates that the doctor exists, then inserts the slot into the database
+ * The new slot is queued to be offered to the doctor's waitlist
  * @param {Object} slotData - Slot data containing doctorId, startTime, and optional durationMinutes
  * @param {number} slotData.doctorId - The ID of the doctor (required)
  * @param {string|Date} slotData.startTime - The start time of the slot (required)
  * @param {number} [slotData.durationMinutes] - Duration of the slot in minutes (defaults to 15)
  * @returns {Promise<Object>} The created slot record
- * @throws {Error} Throws error with statusCode 404 if doctor is not found
+ * @throws {Error} Throws error with statusCode 404 if doctor is not found, or 409
+ *                 (with details.conflicting_slot_ids) if the slot overlaps another slot of the doctor
  */
 async function createSlot({ doctorId, startTime, durationMinutes }) {
   // Check if doctor exists
   const doctorResult = await query(
-    'SELECT id FROM doctors WHERE id = $1',
+    'SELECT id FROM doctors WHERE id = $1 AND deleted_at IS NULL',
     [doctorId]
   );
 
   if (doctorResult.rows.length === 0) {
-    const error = new Error('Doctor not found');
-    error.statusCode = 404;
-    throw error;
+    throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
   }
 
   // Insert the slot (use 15 minutes as default if durationMinutes is not provided)
   const duration = durationMinutes || 15;
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO slots (doctor_id, start_time, duration_minutes) VALUES ($1, $2, $3) RETURNING *',
+      [doctorId, startTime, duration]
+    );
+    const slot = result.rows[0];
+
+    await auditService.recordAudit(client, {
+      action: 'slot.create',
+      entity: 'slot',
+      entityId: slot.id,
+      after: slot
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'slot.created',
+      entity: 'slot',
+      entityId: slot.id,
+      data: slot
+    });
+
+    await waitlistService.queueOffers(client, [slot.id]);
+
+    await client.query('COMMIT');
+
+    return slot;
+  } catch (insertError) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+
+    // PostgreSQL error code 23P01 = exclusion_violation (slots_no_overlap)
+    if (insertError.code === '23P01') {
+      const conflictingIds = await findOverlappingSlotIds(query, { doctorId, startTime, durationMinutes: duration });
+      throw new ConflictError(
+        'Slot overlaps an existing slot for this doctor',
+        'SLOT_OVERLAP',
+        { conflicting_slot_ids: conflictingIds }
+      );
+    }
+    throw insertError;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create many slots at once, reporting the outcome of each row
+ * 
+ * All rows are inserted in one transaction, each behind a SAVEPOINT, so a row that
+ * overlaps an existing slot (or is otherwise invalid) is reported and skipped
+ * without aborting the rest of the import. Created slots are queued to be offered to the
+ * doctors' waitlists.
+ * 
+ * @param {Array<Object>} rows - Slots to create: { doctorId, startTime, durationMinutes }
+ * @returns {Promise<Object>} Summary with created/conflicts/errors counts and a
+ *          per-row `results` array of { index, status, slot | conflicting_slot_ids | error },
+ *          where status is 'created', 'conflict' or 'error'; conflicts and errors have
+ *          an error code as in the error envelope (e.g. SLOT_OVERLAP)
+ */
+async function createSlots(rows) {
+  const client = await getClient();
+  const run = client.query.bind(client);
+  const doctorExists = new Map();
+  const results = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const [index, row] of rows.entries()) {
+      const duration = row.durationMinutes === undefined ? 15 : parseInt(row.durationMinutes);
+
+      if (!row.doctorId || !row.startTime) {
+        results.push({ index, status: 'error', code: 'VALIDATION_FAILED', error: 'doctor_id and start_time are required' });
+        continue;
+      }
+
+      if (isNaN(duration) || duration <= 0) {
+        results.push({ index, status: 'error', code: 'VALIDATION_FAILED', error: 'duration_minutes must be a positive number' });
+        continue;
+      }
+
+      await run('SAVEPOINT slot_row');
+      try {
+        if (!doctorExists.has(row.doctorId)) {
+          const doctorResult = await run('SELECT id FROM doctors WHERE id = $1 AND deleted_at IS NULL', [row.doctorId]);
+          doctorExists.set(row.doctorId, doctorResult.rows.length > 0);
+        }
+
+        if (!doctorExists.get(row.doctorId)) {
+          await run('RELEASE SAVEPOINT slot_row');
+          results.push({ index, status: 'error', code: 'DOCTOR_NOT_FOUND', error: 'Doctor not found' });
+          continue;
+        }
+
+        const result = await run(
+          'INSERT INTO slots (doctor_id, start_time, duration_minutes) VALUES ($1, $2, $3) RETURNING *',
+          [row.doctorId, row.startTime, duration]
+        );
+        await auditService.recordAudit(client, {
+          action: 'slot.create',
+          entity: 'slot',
+          entityId: result.rows[0].id,
+          after: result.rows[0]
+        });
+        await outboxService.enqueueEvent(client, {
+          type: 'slot.created',
+          entity: 'slot',
+          entityId: result.rows[0].id,
+          data: result.rows[0]
+        });
+        await run('RELEASE SAVEPOINT slot_row');
+        results.push({ index, status: 'created', slot: result.rows[0] });
+      } catch (insertError) {
+        await run('ROLLBACK TO SAVEPOINT slot_row');
+
+        // PostgreSQL error code 23P01 = exclusion_violation (slots_no_overlap)
+        if (insertError.code !== '23P01') {
+          // Rows with bad values are reported; anything else fails the import
+          const rowError = fromDatabaseError(insertError);
+          if (!rowError) {
+            throw insertError;
+          }
+          results.push({ index, status: 'error', code: rowError.code, error: rowError.message });
+          continue;
+        }
+
+        results.push({
+          index,
+          status: 'conflict',
+          code: 'SLOT_OVERLAP',
+          conflicting_slot_ids: await findOverlappingSlotIds(run, {
+            doctorId: row.doctorId,
+            startTime: row.startTime,
+            durationMinutes: duration
+          })
+        });
+      }
+    }
+
+    await waitlistService.queueOffers(
+      client,
+      results.filter(result => result.status === 'created').map(result => result.slot.id)
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      created: results.filter(result => result.status === 'created').length,
+      conflicts: results.filter(result => result.status === 'conflict').length,
+      errors: results.filter(result => result.status === 'error').length,
+      results
+    };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a slot with the booking that currently holds it, if any
+ * @param {number} slotId - The ID of the slot
+ * @returns {Promise<Object|null>} The slot with a `booking` object (or null), or null if not found
+ */
+async function getSlotById(slotId) {
   const result = await query(
-    'INSERT INTO slots (doctor_id, start_time, duration_minutes) VALUES ($1, $2, $3) RETURNING *',
-    [doctorId, startTime, duration]
+    `SELECT s.*, to_jsonb(b) AS booking
+     FROM slots s
+     LEFT JOIN booking_slots bs ON bs.slot_id = s.id
+     LEFT JOIN bookings b ON b.id = bs.booking_id
+     WHERE s.id = $1`,
+    [slotId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lock a slot and the booking currently holding it
+ * @param {Object} client - A pg client with an open transaction
+ * @param {number} slotId - The ID of the slot
+ * @returns {Promise<Object>} { slot, booking }, booking being null for a free slot
+ * @throws {Error} Throws error with statusCode 404 if the slot is not found
+ */
+async function lockSlot(client, slotId) {
+  const slotResult = await client.query(
+    'SELECT * FROM slots WHERE id = $1 FOR UPDATE',
+    [slotId]
+  );
+
+  if (slotResult.rows.length === 0) {
+    throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
+  }
+
+  const bookingResult = await client.query(
+    `SELECT b.* FROM booking_slots bs
+     JOIN bookings b ON b.id = bs.booking_id
+     WHERE bs.slot_id = $1
+     FOR UPDATE OF b`,
+    [slotId]
   );
 
-  return result.rows[0];
+  return { slot: slotResult.rows[0], booking: bookingResult.rows[0] || null };
 }
 
-module.exports = {
-  createSlot
-};
+/**
+ * Update a slot: move or resize it, and/or block or unblock it
+ * 
+ * A blocked slot keeps any booking on it but is left out of availability
+ * search, the public slot list and waitlist offers, and cannot be booked.
+ * 
+ * Moving a booked (or held) slot is refused unless moveBooking is set; the
+ * booking then moves with the slot: its calendar event is updated, its
+ * reminders are rescheduled and a booking.rescheduled event is written.
+ * Slots that have already started cannot be moved, nor moved to start in the past.
+ * 
+ * @param {number} slotId - The ID of the slot
+ * @param {Object} changes - Changes to make
+ * @param {string|Date} [changes.startTime] - New start time
+ * @param {number} [changes.durationMinutes] - New duration in minutes
+ * @param {boolean} [changes.blocked] - Block or unblock the slot
+ * @param {string} [changes.blockReason] - Why the slot is blocked
+ * @param {Object} [options]
+ * @param {boolean} [options.moveBooking] - Move the slot's booking with it
+ * @returns {Promise<Object>} The updated slot with its `booking` (or null)
+ * @throws {Error} Throws error with statusCode 404 if the slot is not found, 422 if
+ *                 it would start in the past, or 409 if the slot has started, is booked
+ *                 (details.booking_id) or would overlap another slot of the doctor
+ *                 (details.conflicting_slot_ids)
+ */
+async function updateSlot(slotId, { startTime, durationMinutes, blocked, blockReason }, { moveBooking = false } = {}) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { slot, booking } = await lockSlot(client, slotId);
+
+    const newStart = startTime === undefined ? slot.start_time : new Date(startTime);
+    const newDuration = durationMinutes === undefined ? slot.duration_minutes : durationMinutes;
+    const moved = newStart.getTime() !== slot.start_time.getTime() || newDuration !== slot.duration_minutes;
+
+    if (moved && slot.start_time <= new Date()) {
+      throw new ConflictError('Slot has already started and cannot be moved', 'SLOT_ALREADY_STARTED');
+    }
+
+    if (moved && newStart <= new Date()) {
+      throw new UnprocessableError('Slot cannot be moved to a start time in the past', 'VALIDATION_FAILED');
+    }
+
+    if (moved && booking && !moveBooking) {
+      throw new ConflictError(
+        'Slot is booked; pass on_booked=move to move the booking with it',
+        'SLOT_BOOKED',
+        { booking_id: booking.id }
+      );
+    }
+
+    const block = blocked === undefined ? slot.blocked_at !== null : blocked;
+    let updated;
+    try {
+      const result = await client.query(
+        `UPDATE slots
+         SET start_time = $2, duration_minutes = $3,
+             blocked_at = CASE WHEN NOT $4 THEN NULL ELSE COALESCE(blocked_at, NOW()) END,
+             block_reason = CASE WHEN NOT $4 THEN NULL WHEN $5::text IS NOT NULL THEN $5::text ELSE block_reason END,
+             block_id = CASE WHEN $4 THEN block_id END,
+             calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [slotId, newStart, newDuration, block, blockReason === undefined ? null : blockReason]
+      );
+      updated = result.rows[0];
+    } catch (updateError) {
+      // PostgreSQL error code 23P01 = exclusion_violation (slots_no_overlap)
+      if (updateError.code === '23P01') {
+        const conflictingIds = await findOverlappingSlotIds(query, {
+          doctorId: slot.doctor_id,
+          startTime: newStart,
+          durationMinutes: newDuration
+        });
+        throw new ConflictError(
+          'Slot overlaps an existing slot for this doctor',
+          'SLOT_OVERLAP',
+          { conflicting_slot_ids: conflictingIds.filter(id => id !== slot.id) }
+        );
+      }
+      throw updateError;
+    }
+
+    // Blocking or unblocking alone is recorded as such; anything else is an update
+    const blockChanged = (slot.blocked_at !== null) !== block;
+    let change = SLOT_CHANGES.update;
+    if (!moved && blockChanged) {
+      change = block ? SLOT_CHANGES.block : SLOT_CHANGES.unblock;
+    }
+
+    await auditService.recordAudit(client, {
+      action: change.action,
+      entity: 'slot',
+      entityId: slotId,
+      before: slot,
+      after: updated
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: change.event,
+      entity: 'slot',
+      entityId: slotId,
+      data: updated
+    });
+
+    let updatedBooking = booking;
+    if (moved && booking) {
+      const bookingResult = await client.query(
+        `UPDATE bookings
+         SET calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [booking.id]
+      );
+      updatedBooking = bookingResult.rows[0];
+
+      await auditService.recordAudit(client, {
+        action: 'booking.reschedule',
+        entity: 'booking',
+        entityId: booking.id,
+        before: booking,
+        after: updatedBooking
+      });
+
+      await outboxService.enqueueEvent(client, {
+        type: 'booking.rescheduled',
+        entity: 'booking',
+        entityId: booking.id,
+        data: updatedBooking
+      });
 
+      await reminderService.scheduleReminders(client, booking.id);
+    }
 
+    if (!booking && !block && (moved || blockChanged)) {
+      await waitlistService.queueOffers(client, [slotId]);
+    }
+
+    await client.query('COMMIT');
+
+    return { ...updated, booking: updatedBooking };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a slot
+ * 
+ * A booked (or held) slot is not deleted (409, with details.booking_id) unless
+ * cancelBooking is set: the booking is then cancelled as if by an admin, in the
+ * same transaction, so a failed delete leaves the booking as it was. The slot is
+ * blocked or removed with it, so the freed slot is not offered to anyone.
+ * 
+ * A slot that was never booked is removed. A slot with booking history is kept,
+ * blocked on its own (outside any blocked range), so past bookings keep their
+ * time and doctor.
+ * 
+ * @param {number} slotId - The ID of the slot
+ * @param {Object} [options]
+ * @param {boolean} [options.cancelBooking] - Cancel the slot's booking instead of refusing
+ * @returns {Promise<Object>} { slot, deleted, cancelled_booking_id }, where slot is the
+ *          removed record, or the blocked one if deleted is false
+ * @throws {Error} Throws error with statusCode 404 if the slot is not found,
+ *                 or 409 if the slot is booked
+ */
+async function deleteSlot(slotId, { cancelBooking = false } = {}) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { slot, booking } = await lockSlot(client, slotId);
+
+    if (booking && !cancelBooking) {
+      throw new ConflictError(
+        'Slot is booked; cancel the booking first or pass on_booked=cancel',
+        'SLOT_BOOKED',
+        { booking_id: booking.id }
+      );
+    }
+
+    if (booking) {
+      await bookingService.cancelBooking({
+        bookingId: booking.id,
+        cancelledBy: 'admin',
+        reason: 'Appointment slot was removed',
+        client
+      });
+    }
+
+    const historyResult = await client.query(
+      'SELECT EXISTS (SELECT 1 FROM bookings WHERE slot_id = $1 OR previous_slot_id = $1) AS has_bookings',
+      [slotId]
+    );
+    const deleted = !historyResult.rows[0].has_bookings;
+
+    let result = slot;
+    if (deleted) {
+      await client.query('DELETE FROM slots WHERE id = $1', [slotId]);
+
+      await auditService.recordAudit(client, {
+        action: 'slot.delete',
+        entity: 'slot',
+        entityId: slotId,
+        before: slot
+      });
+
+      await outboxService.enqueueEvent(client, {
+        type: 'slot.deleted',
+        entity: 'slot',
+        entityId: slotId,
+        data: slot
+      });
+    } else if (!slot.blocked_at || slot.block_id) {
+      // Detached from any blocked range, so removing the range does not bring it back
+      const blockedResult = await client.query(
+        `UPDATE slots
+         SET blocked_at = COALESCE(blocked_at, NOW()), block_reason = 'Slot deleted', block_id = NULL,
+             calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [slotId]
+      );
+      result = blockedResult.rows[0];
+
+      await auditService.recordAudit(client, {
+        action: 'slot.block',
+        entity: 'slot',
+        entityId: slotId,
+        before: slot,
+        after: result
+      });
+
+      await outboxService.enqueueEvent(client, {
+        type: 'slot.blocked',
+        entity: 'slot',
+        entityId: slotId,
+        data: result
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return { slot: result, deleted, cancelled_booking_id: booking ? booking.id : null };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Block a date range of a doctor (e.g. leave or holidays)
+ * 
+ * Every slot of the doctor overlapping the range that is not already blocked is
+ * blocked with it, recorded in the audit log and as a slot.blocked outbox event.
+ * Bookings on those slots are kept: they are returned so staff can contact the
+ * patients and reschedule or cancel them. Availability templates do not generate
+ * slots inside the range.
+ * 
+ * @param {Object} blockData - Block data
+ * @param {number} blockData.doctorId - The ID of the doctor
+ * @param {string|Date} blockData.startsAt - Start of the range
+ * @param {string|Date} blockData.endsAt - End of the range (exclusive)
+ * @param {string} [blockData.reason] - Why the range is blocked
+ * @returns {Promise<Object>} The block with the `blocked_slots` count and the
+ *          `affected_bookings` (booking, slot and patient contact details) in the range
+ * @throws {Error} Throws error with statusCode 404 if the doctor is not found
+ */
+async function blockRange({ doctorId, startsAt, endsAt, reason }) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const doctorResult = await client.query(
+      'SELECT id FROM doctors WHERE id = $1 AND deleted_at IS NULL',
+      [doctorId]
+    );
+
+    if (doctorResult.rows.length === 0) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    const blockResult = await client.query(
+      'INSERT INTO slot_blocks (doctor_id, starts_at, ends_at, reason) VALUES ($1, $2, $3, $4) RETURNING *',
+      [doctorId, startsAt, endsAt, reason || null]
+    );
+    const block = blockResult.rows[0];
+
+    await auditService.recordAudit(client, {
+      action: 'slot_block.create',
+      entity: 'slot_block',
+      entityId: block.id,
+      after: block
+    });
+
+    const actor = auditService.currentActor();
+    const blockedResult = await client.query(
+      `WITH blocked AS (
+         UPDATE slots s
+         SET blocked_at = NOW(), block_reason = $2, block_id = $1,
+             calendar_sequence = s.calendar_sequence + 1, updated_at = NOW()
+         FROM slot_blocks sb
+         WHERE sb.id = $1
+           AND s.doctor_id = sb.doctor_id
+           AND s.blocked_at IS NULL
+           AND slot_time_range(s.start_time, s.duration_minutes) && tstzrange(sb.starts_at, sb.ends_at)
+         RETURNING s.*
+       ),
+       audited AS (
+         INSERT INTO audit_log
+           (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+         SELECT $3, $4, $5, 'slot.block', 'slot', blocked.id, NULL, to_jsonb(blocked), $6
+         FROM blocked
+       ),
+       events AS (
+         INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+         SELECT 'slot.blocked', 'slot', blocked.id, to_jsonb(blocked)
+         FROM blocked
+       )
+       SELECT COUNT(*)::int AS blocked FROM blocked`,
+      [block.id, block.reason, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+    );
+
+    const affectedResult = await client.query(
+      `SELECT b.id AS booking_id, b.status, s.id AS slot_id, s.start_time, s.duration_minutes,
+              b.patient_id, b.patient_name, p.email AS patient_email, p.phone AS patient_phone
+       FROM slots s
+       JOIN booking_slots bs ON bs.slot_id = s.id
+       JOIN bookings b ON b.id = bs.booking_id
+       LEFT JOIN patients p ON p.id = b.patient_id
+       WHERE s.doctor_id = $1
+         AND slot_time_range(s.start_time, s.duration_minutes) && tstzrange($2, $3)
+       ORDER BY s.start_time, b.id`,
+      [doctorId, block.starts_at, block.ends_at]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      ...block,
+      blocked_slots: blockedResult.rows[0].blocked,
+      affected_bookings: affectedResult.rows
+    };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a doctor's blocked ranges, latest first
+ * @param {number} doctorId - The ID of the doctor
+ * @returns {Promise<Array>} Blocks, each with the number of slots it still blocks
+ */
+async function listBlocks(doctorId) {
+  const result = await query(
+    `SELECT sb.*, (SELECT COUNT(*) FROM slots s WHERE s.block_id = sb.id)::int AS blocked_slots
+     FROM slot_blocks sb
+     WHERE sb.doctor_id = $1
+     ORDER BY sb.starts_at DESC, sb.id DESC`,
+    [doctorId]
+  );
+  return result.rows;
+}
+
+/**
+ * Remove a blocked range, unblocking the slots it blocked
+ * Slots blocked on their own are left blocked. The unblocked free slots are
+ * queued to be offered to the doctor's waitlist.
+ * 
+ * @param {number} blockId - The ID of the block
+ * @returns {Promise<Object>} The removed block with the `unblocked_slots` count
+ * @throws {Error} Throws error with statusCode 404 if the block is not found
+ */
+async function removeBlock(blockId) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM slot_blocks WHERE id = $1 FOR UPDATE',
+      [blockId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Slot block not found', 'SLOT_BLOCK_NOT_FOUND');
+    }
+
+    const actor = auditService.currentActor();
+    const unblockedResult = await client.query(
+      `WITH locked AS (
+         SELECT * FROM slots WHERE block_id = $1 FOR UPDATE
+       ),
+       unblocked AS (
+         UPDATE slots s
+         SET blocked_at = NULL, block_reason = NULL, block_id = NULL,
+             calendar_sequence = s.calendar_sequence + 1, updated_at = NOW()
+         FROM locked
+         WHERE s.id = locked.id
+         RETURNING s.id, to_jsonb(locked) AS before, to_jsonb(s) AS after
+       ),
+       audited AS (
+         INSERT INTO audit_log
+           (actor_type, actor_id, actor_role, action, entity, entity_id, before, after, request_id)
+         SELECT $2, $3, $4, 'slot.unblock', 'slot', id, before, after, $5
+         FROM unblocked
+       ),
+       events AS (
+         INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+         SELECT 'slot.unblocked', 'slot', id, after
+         FROM unblocked
+       )
+       SELECT COALESCE(array_agg(id), '{}') AS slot_ids FROM unblocked`,
+      [blockId, actor.actor_type, actor.actor_id, actor.actor_role, actor.request_id]
+    );
+    const slotIds = unblockedResult.rows[0].slot_ids;
+
+    await client.query('DELETE FROM slot_blocks WHERE id = $1', [blockId]);
+
+    await auditService.recordAudit(client, {
+      action: 'slot_block.delete',
+      entity: 'slot_block',
+      entityId: blockId,
+      before: existing.rows[0]
+    });
+
+    await waitlistService.queueOffers(client, slotIds);
+
+    await client.query('COMMIT');
+
+    return { ...existing.rows[0], unblocked_slots: slotIds.length };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  createSlot,
+  createSlots,
+  findOverlappingSlotIds,
+  getSlotById,
+  updateSlot,
+  deleteSlot,
+  blockRange,
+  listBlocks,
+  removeBlock
+};
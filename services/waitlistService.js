@@ -0,0 +1,574 @@
+const { getClient, query } = require('../config/database');
+const patientService = require('./patientService');
+const auditService = require('./auditService');
+const outboxService = require('./outboxService');
+const calendarService = require('./calendarService');
+const { getTransport } = require('./notifications');
+const { ConflictError, NotFoundError } = require('../errors');
+const logger = require('../config/logger');
+
+// How long a slot offered to a waiting patient is held for them
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 30);
+
+// How many queued slot.available events offerQueuedSlots handles per call
+const QUEUE_BATCH_SIZE = 200;
+
+/**
+ * Add a patient to a doctor's waitlist
+ * 
+ * @param {Object} entryData - Waitlist entry data
+ * @param {number} entryData.doctorId - The ID of the doctor
+ * @param {Object} entryData.patient - { id } of an existing patient, or
+ *        { name, email, phone, dateOfBirth, mrn } to find or create one
+ * @param {string} [entryData.preferredFrom] - Earliest acceptable date (YYYY-MM-DD)
+ * @param {string} [entryData.preferredTo] - Latest acceptable date (YYYY-MM-DD)
+ * @param {string} [entryData.timeOfDayFrom] - Earliest acceptable start time (HH:MM)
+ * @param {string} [entryData.timeOfDayTo] - Start times must be before this time (HH:MM)
+ * @param {string} [entryData.timezone] - Time zone of the dates and times (defaults to UTC)
+ * @returns {Promise<Object>} The created waitlist entry
+ * @throws {Error} Throws error with statusCode 404 if the doctor or patient is not found,
+ *                 or 409 if the patient is already waiting for this doctor or the
+ *                 doctor is not accepting new bookings
+ */
+async function joinWaitlist({ doctorId, patient, preferredFrom, preferredTo, timeOfDayFrom, timeOfDayTo, timezone }) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const doctorResult = await client.query(
+      'SELECT id, active FROM doctors WHERE id = $1 AND deleted_at IS NULL',
+      [doctorId]
+    );
+
+    if (doctorResult.rows.length === 0) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    if (!doctorResult.rows[0].active) {
+      throw new ConflictError('Doctor is not accepting new bookings', 'DOCTOR_INACTIVE');
+    }
+
+    const patientRecord = await patientService.resolvePatient(client, patient);
+
+    let entry;
+    try {
+      const result = await client.query(
+        `INSERT INTO waitlist_entries
+           (doctor_id, patient_id, preferred_from, preferred_to, time_of_day_from, time_of_day_to, timezone)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'UTC'))
+         RETURNING *`,
+        [
+          doctorId,
+          patientRecord.id,
+          preferredFrom || null,
+          preferredTo || null,
+          timeOfDayFrom || null,
+          timeOfDayTo || null,
+          timezone || null
+        ]
+      );
+      entry = result.rows[0];
+    } catch (insertError) {
+      // idx_waitlist_entries_active: one WAITING or OFFERED entry per doctor and patient
+      if (insertError.code === '23505') {
+        throw new ConflictError('Patient is already on this doctor\'s waitlist', 'ALREADY_ON_WAITLIST');
+      }
+      throw insertError;
+    }
+
+    await auditService.recordAudit(client, {
+      action: 'waitlist_entry.create',
+      entity: 'waitlist_entry',
+      entityId: entry.id,
+      after: entry
+    });
+
+    await client.query('COMMIT');
+
+    return entry;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a patient from a waitlist
+ * 
+ * Only WAITING entries can be cancelled; an open offer must be declined
+ * (which cancels its hold) first.
+ * 
+ * @param {number} entryId - The ID of the waitlist entry
+ * @returns {Promise<Object>} The cancelled entry
+ * @throws {Error} Throws error with statusCode 404 if the entry is not found,
+ *                 or 409 if it is not WAITING
+ */
+async function leaveWaitlist(entryId) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM waitlist_entries WHERE id = $1 FOR UPDATE',
+      [entryId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Waitlist entry not found', 'WAITLIST_ENTRY_NOT_FOUND');
+    }
+
+    const entry = existing.rows[0];
+    if (entry.status !== 'WAITING') {
+      throw new ConflictError(
+        `Waitlist entry cannot be cancelled (status: ${entry.status})`,
+        'INVALID_WAITLIST_ENTRY_STATUS',
+        { status: entry.status }
+      );
+    }
+
+    const result = await client.query(
+      "UPDATE waitlist_entries SET status = 'CANCELLED', updated_at = NOW() WHERE id = $1 RETURNING *",
+      [entryId]
+    );
+
+    await auditService.recordAudit(client, {
+      action: 'waitlist_entry.cancel',
+      entity: 'waitlist_entry',
+      entityId: entryId,
+      before: entry,
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a waitlist entry with its offers, newest offer first
+ * @param {number} entryId - The ID of the waitlist entry
+ * @returns {Promise<Object|null>} The entry with an `offers` array, or null if not found
+ */
+async function getEntryById(entryId) {
+  const result = await query(
+    `SELECT e.*,
+            COALESCE((
+              SELECT json_agg(o ORDER BY o.created_at DESC, o.id DESC)
+              FROM waitlist_offers o WHERE o.entry_id = e.id
+            ), '[]') AS offers
+     FROM waitlist_entries e
+     WHERE e.id = $1`,
+    [entryId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List a doctor's waitlist in line order
+ * @param {number} doctorId - The ID of the doctor
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only entries with this status; WAITING and OFFERED if omitted
+ * @returns {Promise<Array>} Entries with patient name, oldest first
+ */
+async function listDoctorWaitlist(doctorId, { status } = {}) {
+  const result = await query(
+    `SELECT e.*, p.name AS patient_name
+     FROM waitlist_entries e
+     JOIN patients p ON p.id = e.patient_id
+     WHERE e.doctor_id = $1
+       AND (($2::text IS NULL AND e.status IN ('WAITING', 'OFFERED')) OR e.status = $2::text)
+     ORDER BY e.created_at, e.id`,
+    [doctorId, status || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Get an offer by ID
+ * @param {number} offerId - The ID of the offer
+ * @returns {Promise<Object|null>} The offer with its entry's patient_id and doctor_id, or null
+ */
+async function getOfferById(offerId) {
+  const result = await query(
+    `SELECT o.*, e.patient_id, e.doctor_id
+     FROM waitlist_offers o
+     JOIN waitlist_entries e ON e.id = o.entry_id
+     WHERE o.id = $1`,
+    [offerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the patient a waitlist entry belongs to
+ * @param {number} entryId - The ID of the waitlist entry
+ * @returns {Promise<number|null>} The patient ID, or null if the entry does not exist
+ */
+async function getEntryPatientId(entryId) {
+  const result = await query('SELECT patient_id FROM waitlist_entries WHERE id = $1', [entryId]);
+  return result.rows.length > 0 ? result.rows[0].patient_id : null;
+}
+
+/**
+ * Get the patient a waitlist offer was made to
+ * @param {number} offerId - The ID of the offer
+ * @returns {Promise<number|null>} The patient ID, or null if the offer does not exist
+ */
+async function getOfferPatientId(offerId) {
+  const offer = await getOfferById(offerId);
+  return offer ? offer.patient_id : null;
+}
+
+// Entry status once its offer is answered
+const ENTRY_STATUS_BY_OUTCOME = {
+  ACCEPTED: 'BOOKED',
+  DECLINED: 'WAITING',
+  LAPSED: 'LAPSED'
+};
+
+/**
+ * Close the pending waitlist offers of hold bookings, and move their entries on
+ * - ACCEPTED (hold confirmed): the entry is BOOKED
+ * - DECLINED (hold cancelled): the patient goes back to WAITING, keeping their place
+ * - LAPSED (hold expired): the entry is LAPSED and leaves the line
+ * 
+ * Call with the client of the transaction that confirms, cancels or expires the
+ * bookings. Bookings that are not waitlist holds are ignored.
+ * 
+ * @param {Object} db - A pg client with an open transaction, or the database module
+ * @param {Array<number>} bookingIds - The IDs of the bookings
+ * @param {string} outcome - 'ACCEPTED', 'DECLINED' or 'LAPSED'
+ * @returns {Promise<number>} Number of offers closed
+ */
+async function resolveOffers(db, bookingIds, outcome) {
+  if (bookingIds.length === 0) {
+    return 0;
+  }
+
+  const result = await db.query(
+    `WITH closed AS (
+       UPDATE waitlist_offers
+       SET status = $2, responded_at = NOW()
+       WHERE booking_id = ANY($1::int[]) AND status = 'PENDING'
+       RETURNING entry_id
+     )
+     UPDATE waitlist_entries e
+     SET status = $3, updated_at = NOW()
+     FROM closed
+     WHERE e.id = closed.entry_id AND e.status = 'OFFERED'
+     RETURNING e.id`,
+    [bookingIds, outcome, ENTRY_STATUS_BY_OUTCOME[outcome]]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Hold a free slot for the first matching patient on its doctor's waitlist
+ * 
+ * Runs in its own transaction. The first WAITING entry (oldest first) whose
+ * preferred dates and time of day, in the entry's time zone, include the
+ * slot's start gets a PENDING hold booking that expires after OFFER_MINUTES,
+ * and a waitlist offer pointing at it. Entries that were already offered this
+ * slot are skipped.
+ * 
+ * @param {number} slotId - The ID of the slot
+ * @returns {Promise<Object|null>} The offer with patient and slot details, or null if
+ *          the slot is not free, unblocked and in the future, its doctor is inactive, or nobody
+ *          matching is waiting
+ */
+async function offerSlot(slotId) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const slotResult = await client.query(
+      `SELECT s.*, d.name AS doctor_name
+       FROM slots s
+       JOIN doctors d ON d.id = s.doctor_id
+       WHERE s.id = $1 AND s.start_time > NOW() AND s.blocked_at IS NULL AND d.active
+       FOR UPDATE OF s FOR SHARE OF d`,
+      [slotId]
+    );
+
+    const slot = slotResult.rows[0];
+    const taken = slot && (await client.query(
+      'SELECT 1 FROM booking_slots WHERE slot_id = $1',
+      [slotId]
+    )).rows.length > 0;
+
+    if (!slot || taken) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const entryResult = await client.query(
+      `SELECT e.*
+       FROM waitlist_entries e
+       WHERE e.doctor_id = $1
+         AND e.status = 'WAITING'
+         AND (e.preferred_from IS NULL OR ($2::timestamptz AT TIME ZONE e.timezone)::date >= e.preferred_from)
+         AND (e.preferred_to IS NULL OR ($2::timestamptz AT TIME ZONE e.timezone)::date <= e.preferred_to)
+         AND (e.time_of_day_from IS NULL OR ($2::timestamptz AT TIME ZONE e.timezone)::time >= e.time_of_day_from)
+         AND (e.time_of_day_to IS NULL OR ($2::timestamptz AT TIME ZONE e.timezone)::time < e.time_of_day_to)
+         AND NOT EXISTS (SELECT 1 FROM waitlist_offers o WHERE o.entry_id = e.id AND o.slot_id = $3)
+       ORDER BY e.created_at, e.id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [slot.doctor_id, slot.start_time, slotId]
+    );
+
+    if (entryResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const entry = entryResult.rows[0];
+    const patientResult = await client.query(
+      'SELECT * FROM patients WHERE id = $1',
+      [entry.patient_id]
+    );
+    const patient = patientResult.rows[0];
+
+    const bookingResult = await client.query(
+      `INSERT INTO bookings (slot_id, patient_id, patient_name, status, expires_at)
+       VALUES ($1, $2, $3, 'PENDING', NOW() + $4 * INTERVAL '1 minute')
+       RETURNING *`,
+      [slotId, patient.id, patient.name, OFFER_MINUTES]
+    );
+    const booking = bookingResult.rows[0];
+
+    await client.query(
+      'INSERT INTO booking_slots (booking_id, slot_id) VALUES ($1, $2)',
+      [booking.id, slotId]
+    );
+    await calendarService.bumpSlotSequence(client, [slotId]);
+
+    const offerResult = await client.query(
+      `INSERT INTO waitlist_offers (entry_id, slot_id, booking_id, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [entry.id, slotId, booking.id, booking.expires_at]
+    );
+    const offer = offerResult.rows[0];
+
+    const entryUpdate = await client.query(
+      "UPDATE waitlist_entries SET status = 'OFFERED', updated_at = NOW() WHERE id = $1 RETURNING *",
+      [entry.id]
+    );
+
+    await auditService.recordAudit(client, {
+      action: 'booking.hold',
+      entity: 'booking',
+      entityId: booking.id,
+      after: booking
+    });
+
+    await auditService.recordAudit(client, {
+      action: 'waitlist_entry.offer',
+      entity: 'waitlist_entry',
+      entityId: entry.id,
+      before: entry,
+      after: entryUpdate.rows[0]
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'booking.held',
+      entity: 'booking',
+      entityId: booking.id,
+      data: booking
+    });
+
+    await outboxService.enqueueEvent(client, {
+      type: 'waitlist.offered',
+      entity: 'waitlist_offer',
+      entityId: offer.id,
+      data: offer
+    });
+
+    await client.query('COMMIT');
+
+    return { ...offer, patient, slot };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback error', { error: rollbackError });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Tell a patient about a slot offered to them, by email and SMS where they have
+ * contact details. Failures are logged, not retried: the offer stands either way.
+ * @param {Object} offer - An offer returned by offerSlot
+ */
+async function notifyOffer(offer) {
+  const { patient, slot } = offer;
+  const when = new Date(slot.start_time).toUTCString();
+  const until = new Date(offer.expires_at).toUTCString();
+  const message = {
+    subject: `Appointment available: ${when}`,
+    text: `Hello ${patient.name}, an appointment with ${slot.doctor_name} on ${when} ` +
+      `(${slot.duration_minutes} minutes) has become available and is held for you until ${until}. ` +
+      `Accept or decline waitlist offer ${offer.id} before then, or it will be offered to the next patient.`
+  };
+
+  for (const [channel, to] of [['email', patient.email], ['sms', patient.phone]]) {
+    if (!to) {
+      continue;
+    }
+    try {
+      await getTransport(channel).send({ channel, to, ...message });
+    } catch (error) {
+      logger.error('Waitlist offer notification failed', { offer_id: offer.id, channel, error: error.message });
+    }
+  }
+}
+
+/**
+ * Queue freed or newly created slots to be offered to waiting patients
+ * 
+ * Writes a slot.available outbox event per slot with the caller's transaction,
+ * so the slots are offered if and only if the change commits. The offers (and
+ * their email/SMS notifications) are made by waitlistOfferJob (see
+ * offerQueuedSlots), so requests never wait on them.
+ * 
+ * @param {Object} db - A pg client with an open transaction, or the database module
+ * @param {Array<number>} slotIds - The IDs of the slots
+ * @returns {Promise<void>}
+ */
+async function queueOffers(db, slotIds) {
+  if (!slotIds || slotIds.length === 0) {
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO outbox_events (event_type, entity, entity_id, payload)
+     SELECT 'slot.available', 'slot', s.id, to_jsonb(s)
+     FROM slots s
+     WHERE s.id = ANY($1::int[])`,
+    [slotIds]
+  );
+}
+
+/**
+ * Offer freed or newly created slots to waiting patients
+ * 
+ * Slots are offered one at a time, soonest first; slots of doctors with nobody
+ * waiting are skipped without being locked. A slot that fails to be offered is
+ * logged and left out of the returned slotIds, and the remaining slots are
+ * still offered.
+ * 
+ * @param {Array<number>} slotIds - The IDs of the slots
+ * @returns {Promise<Object>} { offered, slotIds }: offers made, and the IDs of
+ *          the slots that were offered or did not need to be
+ */
+async function offerSlots(slotIds) {
+  if (!slotIds || slotIds.length === 0) {
+    return { offered: 0, slotIds: [] };
+  }
+
+  const candidates = await query(
+    `SELECT s.id FROM slots s
+     JOIN doctors d ON d.id = s.doctor_id
+     WHERE s.id = ANY($1::int[])
+       AND s.start_time > NOW()
+       AND s.blocked_at IS NULL
+       AND d.active
+       AND EXISTS (SELECT 1 FROM waitlist_entries e WHERE e.doctor_id = s.doctor_id AND e.status = 'WAITING')
+     ORDER BY s.start_time, s.id`,
+    [slotIds]
+  );
+
+  const failed = new Set();
+  let offered = 0;
+  for (const { id } of candidates.rows) {
+    try {
+      const offer = await offerSlot(id);
+      if (offer) {
+        offered++;
+        await notifyOffer(offer);
+      }
+    } catch (error) {
+      failed.add(id);
+      logger.error('Waitlist: failed to offer slot', { slot_id: id, error: error.message, code: error.code });
+    }
+  }
+
+  return { offered, slotIds: slotIds.filter(id => !failed.has(id)) };
+}
+
+/**
+ * Offer the slots queued by queueOffers: the slot.available outbox events not
+ * processed yet, oldest first and at most QUEUE_BATCH_SIZE per call
+ * 
+ * Run by waitlistOfferJob. Only the events of slots that were offered (or did
+ * not need to be) are marked processed; the others are tried again on the next
+ * call. Offering a slot again is safe, as slots that are no longer free are skipped.
+ * 
+ * @returns {Promise<Object>} { events, offered }: events processed and offers made
+ */
+async function offerQueuedSlots() {
+  const events = await query(
+    `SELECT id, entity_id FROM outbox_events
+     WHERE event_type = 'slot.available' AND waitlist_processed_at IS NULL
+     ORDER BY id
+     LIMIT $1`,
+    [QUEUE_BATCH_SIZE]
+  );
+
+  if (events.rows.length === 0) {
+    return { events: 0, offered: 0 };
+  }
+
+  const { offered, slotIds } = await offerSlots([...new Set(events.rows.map(event => event.entity_id))]);
+  const handled = new Set(slotIds);
+  const processed = events.rows.filter(event => handled.has(event.entity_id)).map(event => event.id);
+
+  if (processed.length > 0) {
+    await query(
+      'UPDATE outbox_events SET waitlist_processed_at = NOW() WHERE id = ANY($1::bigint[])',
+      [processed]
+    );
+  }
+
+  return { events: processed.length, offered };
+}
+
+module.exports = {
+  OFFER_MINUTES,
+  joinWaitlist,
+  leaveWaitlist,
+  getEntryById,
+  listDoctorWaitlist,
+  getOfferById,
+  getEntryPatientId,
+  getOfferPatientId,
+  resolveOffers,
+  queueOffers,
+  offerSlots,
+  offerQueuedSlots
+};
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { EVENT_TYPES } = require('./outboxService');
+const { NotFoundError } = require('../errors');
+
+// Deliveries are dead-lettered after this many failed attempts
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+// Delay before the first retry; doubles with every further attempt
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30);
+// Upper bound for the retry delay
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+// How long a receiver gets to respond
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Deliveries attempted per dispatcher run
+const BATCH_SIZE = Number(process.env.WEBHOOK_BATCH_SIZE || 20);
+
+// Columns of a subscription returned by the API (the secret is only returned on creation)
+const SUBSCRIPTION_COLUMNS = 'id, url, event_types, description, active, created_at, updated_at';
+
+/**
+ * Generate a signing secret for a subscription
+ * @returns {string} A random secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a delivery body
+ * 
+ * The signature is an HMAC-SHA256 of `<timestamp>.<body>` with the subscription
+ * secret, sent as `X-Webhook-Signature: t=<timestamp>,v1=<hex digest>`. Receivers
+ * recompute it and should reject old timestamps to prevent replays.
+ * 
+ * @param {string} secret - The subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - The raw JSON body
+ * @returns {string} The X-Webhook-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Create a webhook subscription
+ * @param {Object} subscription - { url, eventTypes, description, secret }; a secret is generated if omitted
+ * @returns {Promise<Object>} The subscription, including its secret
+ */
+async function createSubscription({ url, eventTypes, description, secret }) {
+  const result = await query(
+    `INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${SUBSCRIPTION_COLUMNS}, secret`,
+    [url, secret || generateSecret(), eventTypes || [], description || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List all webhook subscriptions
+ * @returns {Promise<Array>} Subscriptions ordered by id, without secrets
+ */
+async function listSubscriptions() {
+  const result = await query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY id`,
+    []
+  );
+  return result.rows;
+}
+
+/**
+ * Get a webhook subscription by its ID
+ * @param {number} subscriptionId - The ID of the subscription
+ * @returns {Promise<Object|null>} The subscription without its secret, or null if not found
+ */
+async function getSubscriptionById(subscriptionId) {
+  const result = await query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+    [subscriptionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a webhook subscription
+ * @param {number} subscriptionId - The ID of the subscription
+ * @param {Object} changes - Any of { url, eventTypes, description, active, secret }
+ * @returns {Promise<Object>} The updated subscription without its secret
+ * @throws {Error} Throws error with statusCode 404 if the subscription is not found
+ */
+async function updateSubscription(subscriptionId, changes) {
+  const columns = {
+    url: changes.url,
+    event_types: changes.eventTypes,
+    description: changes.description,
+    active: changes.active,
+    secret: changes.secret
+  };
+  const fields = Object.keys(columns).filter(column => columns[column] !== undefined);
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  assignments.push('updated_at = NOW()');
+
+  const result = await query(
+    `UPDATE webhook_subscriptions SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [subscriptionId, ...fields.map(field => columns[field])]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Webhook subscription not found', 'WEBHOOK_SUBSCRIPTION_NOT_FOUND');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Delete a webhook subscription and its delivery history
+ * @param {number} subscriptionId - The ID of the subscription
+ * @returns {Promise<boolean>} Whether the subscription existed
+ */
+async function deleteSubscription(subscriptionId) {
+  const result = await query(
+    'DELETE FROM webhook_subscriptions WHERE id = $1',
+    [subscriptionId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - { status, subscriptionId, eventType, page, limit }
+ * @returns {Promise<Object>} { data, pagination: { page, limit, total, total_pages } }
+ */
+async function listDeliveries({ status, subscriptionId, eventType, page, limit }) {
+  const result = await query(
+    `WITH matching AS (
+       SELECT d.*, e.event_type, e.entity, e.entity_id
+       FROM webhook_deliveries d
+       JOIN outbox_events e ON e.id = d.event_id
+       WHERE ($1::text IS NULL OR d.status = $1)
+         AND ($2::int IS NULL OR d.subscription_id = $2)
+         AND ($3::text IS NULL OR e.event_type = $3)
+     ),
+     page AS (
+       SELECT * FROM matching
+       ORDER BY id DESC
+       LIMIT $4 OFFSET $5
+     )
+     SELECT
+       (SELECT COUNT(*) FROM matching)::int AS total,
+       COALESCE((SELECT json_agg(page ORDER BY id DESC) FROM page), '[]') AS data`,
+    [status || null, subscriptionId || null, eventType || null, limit, (page - 1) * limit]
+  );
+
+  const { total, data } = result.rows[0];
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get a delivery with its event
+ * @param {number} deliveryId - The ID of the delivery
+ * @returns {Promise<Object|null>} The delivery with event_type and payload, or null if not found
+ */
+async function getDeliveryById(deliveryId) {
+  const result = await query(
+    `SELECT d.*, e.event_type, e.entity, e.entity_id, e.payload, e.created_at AS event_created_at
+     FROM webhook_deliveries d
+     JOIN outbox_events e ON e.id = d.event_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replay a delivery: queue it to be sent again right away, with a fresh attempt count
+ * Works for delivered and dead-lettered deliveries alike.
+ * @param {number} deliveryId - The ID of the delivery
+ * @returns {Promise<Object>} The PENDING delivery
+ * @throws {Error} Throws error with statusCode 404 if the delivery is not found
+ */
+async function replayDelivery(deliveryId) {
+  const result = await query(
+    `UPDATE webhook_deliveries
+     SET status = 'PENDING', attempts = 0, next_attempt_at = NOW(), delivered_at = NULL
+     WHERE id = $1
+     RETURNING *`,
+    [deliveryId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Create deliveries for outbox events that have not been fanned out yet
+ * 
+ * Each event gets one PENDING delivery per active subscription whose event_types
+ * include it (or is empty). Only the event types subscriptions can choose from
+ * (outboxService.EVENT_TYPES) are delivered; events of any other type are marked
+ * fanned out without deliveries, so an empty event_types never receives them.
+ * Events are locked with SKIP LOCKED, so concurrent dispatchers never fan out
+ * the same event twice.
+ * 
+ * @returns {Promise<Object>} { events, deliveries } counts
+ */
+async function fanOutEvents() {
+  const result = await query(
+    `WITH events AS (
+       SELECT id, event_type FROM outbox_events
+       WHERE fanned_out_at IS NULL
+       ORDER BY id
+       LIMIT 500
+       FOR UPDATE SKIP LOCKED
+     ),
+     deliveries AS (
+       INSERT INTO webhook_deliveries (event_id, subscription_id)
+       SELECT e.id, s.id
+       FROM events e
+       JOIN webhook_subscriptions s
+         ON s.active AND (cardinality(s.event_types) = 0 OR e.event_type = ANY(s.event_types))
+       WHERE e.event_type = ANY($1)
+       ON CONFLICT (event_id, subscription_id) DO NOTHING
+       RETURNING id
+     ),
+     marked AS (
+       UPDATE outbox_events SET fanned_out_at = NOW()
+       WHERE id IN (SELECT id FROM events)
+       RETURNING id
+     )
+     SELECT
+       (SELECT COUNT(*) FROM marked)::int AS events,
+       (SELECT COUNT(*) FROM deliveries)::int AS deliveries`,
+    [EVENT_TYPES]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Claim due PENDING deliveries for sending
+ * 
+ * Claimed deliveries have next_attempt_at pushed past the request timeout, so
+ * another dispatcher does not pick them up meanwhile; if this process dies
+ * mid-send they become due again.
+ * 
+ * @returns {Promise<Array>} Deliveries with the event payload and subscription url/secret
+ */
+async function claimDueDeliveries() {
+  const result = await query(
+    `WITH due AS (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + $2 * INTERVAL '1 millisecond' + INTERVAL '1 minute'
+     FROM due, outbox_events e, webhook_subscriptions s
+     WHERE d.id = due.id AND e.id = d.event_id AND s.id = d.subscription_id
+     RETURNING d.id, d.attempts, e.id AS event_id, e.event_type, e.payload,
+               e.created_at AS event_created_at, s.url, s.secret`,
+    [BATCH_SIZE, TIMEOUT_MS]
+  );
+  return result.rows;
+}
+
+/**
+ * Send one delivery and record the outcome
+ * 
+ * A 2xx response marks the delivery DELIVERED. Anything else (non-2xx, network
+ * error, timeout) schedules a retry after RETRY_BASE_SECONDS * 2^(attempts - 1)
+ * seconds, or dead-letters the delivery after MAX_ATTEMPTS attempts.
+ * 
+ * @param {Object} delivery - A delivery returned by claimDueDeliveries
+ * @returns {Promise<string>} The new status: 'DELIVERED', 'PENDING' or 'DEAD'
+ */
+async function sendDelivery(delivery) {
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.event_type,
+    created_at: delivery.event_created_at,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let statusCode = null;
+  let errorMessage = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MedReserve-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Event-Id': String(delivery.event_id),
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      errorMessage = `Receiver responded with ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  let status = 'DELIVERED';
+  if (errorMessage) {
+    status = attempts >= MAX_ATTEMPTS ? 'DEAD' : 'PENDING';
+  }
+  const retryDelaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+  await query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, last_attempted_at = NOW(), last_status_code = $4,
+         last_error = $5, next_attempt_at = NOW() + $6 * INTERVAL '1 second',
+         delivered_at = CASE WHEN $2 = 'DELIVERED' THEN NOW() ELSE NULL END
+     WHERE id = $1`,
+    [delivery.id, status, attempts, statusCode, errorMessage, retryDelaySeconds]
+  );
+
+  return status;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signPayload,
+  createSubscription,
+  listSubscriptions,
+  getSubscriptionById,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDeliveryById,
+  replayDelivery,
+  fanOutEvents,
+  claimDueDeliveries,
+  sendDelivery
+};
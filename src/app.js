@@ -1,12 +1,50 @@
 const express = require("express");
 const cors = require("cors");
+const lifecycle = require("./lifecycle");
+const { ServiceUnavailableError } = require("../errors");
+
+// Retry-After of API requests refused while the server is starting
+const STARTING_RETRY_AFTER_SECONDS = 5;
 
 const app = express();
 
-app.use(cors());
+// Behind a load balancer, take the client address from X-Forwarded-For (rate
+// limits are per address): TRUST_PROXY is the number of proxies in front of the
+// server, true, or their addresses (see Express's "trust proxy" setting)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" ? true : trustProxy);
+}
+
+app.use(cors({ exposedHeaders: ["X-Request-Id", "Deprecation", "Warning", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"] }));
+app.use(require("../middleware/requestContext"));
+app.use(require("../middleware/logger"));
+app.use(require("../middleware/responseValidation"));
+app.use(require("../middleware/metrics"));
+
+// While shutting down, close each connection after its response, so that
+// keep-alive connections do not hold the server open (see src/server.js)
+app.use((req, res, next) => {
+  if (lifecycle.isShuttingDown()) {
+    res.set("Connection", "close");
+  }
+  next();
+});
+
 app.use(express.json());
 
-app.use("/api", require("../routes"));
+// Until the database is initialised (see src/server.js), API requests are refused
+// with 503 SERVER_STARTING instead of running against a missing or half-migrated schema
+app.use("/api", (req, res, next) => {
+  if (lifecycle.getState() !== lifecycle.STATES.STARTING) {
+    return next();
+  }
+  res.set("Retry-After", String(STARTING_RETRY_AFTER_SECONDS));
+  next(new ServiceUnavailableError("Server is starting, try again shortly", "SERVER_STARTING"));
+});
+
+app.use("/api", require("../middleware/rateLimit").apiRateLimit, require("../routes"));
+app.use("/metrics", require("../routes/metrics.routes"));
 
 app.get("/health", async (req, res) => {
   try {
@@ -29,6 +67,47 @@ app.get("/health", async (req, res) => {
   }
 });
 
+// Liveness: the process is up and serving HTTP; no dependencies are checked,
+// so a database outage does not get the process restarted
+app.get("/health/live", (req, res) => {
+  res.json({
+    status: "ok",
+    uptime_seconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the database is initialised and reachable, and the server is not
+// shutting down; load balancers should only route traffic here while it passes
+app.get("/health/ready", async (req, res) => {
+  const state = lifecycle.getState();
+  if (!lifecycle.isReady()) {
+    return res.status(503).json({
+      status: state,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const { query } = require("../config/database");
+    await query("SELECT 1");
+
+    res.json({
+      status: state,
+      database: "connected",
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(503).json({
+      status: "error",
+      database: "disconnected",
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.use(require("../middleware/notFound"));
 app.use(require("../middleware/errorHandler"));
 
 module.exports = app;
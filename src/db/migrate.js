@@ -0,0 +1,197 @@
+/**
+ * Database Migration Runner
+ * 
+ * Applies the numbered SQL files in migrations/ (NNN_description.sql) in order.
+ * Applied migrations are recorded in the schema_migrations table with a
+ * checksum of their contents, so each runs exactly once.
+ * 
+ * - Each migration runs in its own transaction together with its
+ *   schema_migrations row: it is either fully applied and recorded, or not at all
+ * - A session advisory lock is held for the whole run, so instances starting at
+ *   the same time wait for each other instead of racing
+ * - A migration file that was edited after it was applied fails the run; write
+ *   a new migration instead
+ * 
+ * Migrations 001-014 predate the runner and are idempotent, so databases created
+ * before it adopt them by simply running them again once.
+ * 
+ * Used on server startup (src/server.js) and by scripts/migrate.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../../config/database');
+const logger = require('../../config/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.sql$/;
+// Arbitrary application-wide key for pg_advisory_lock
+const LOCK_KEY = 4815162342;
+
+/**
+ * Read the migration files, ordered by version
+ * @returns {Array<Object>} { version, name, fileName, sql, checksum } per file
+ * @throws {Error} If two files share a version number
+ */
+function readMigrationFiles() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(fileName => ({ fileName, match: fileName.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ fileName, match }) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, fileName), 'utf8');
+      return {
+        version: parseInt(match[1]),
+        name: match[2],
+        fileName,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(
+        `Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].fileName} and ${migrations[i].fileName}`
+      );
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      execution_ms INTEGER NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Check that applied migrations still match their files
+ * @throws {Error} If an applied migration's file was changed
+ */
+function verifyChecksums(migrations, applied) {
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    if (row && row.checksum !== migration.checksum) {
+      throw new Error(
+        `Migration ${migration.fileName} has changed since it was applied; ` +
+        'add a new migration instead of editing an applied one'
+      );
+    }
+  }
+}
+
+/**
+ * Apply all pending migrations
+ * @returns {Promise<Array<string>>} File names of the migrations applied by this run
+ * @throws {Error} If a migration fails (it is rolled back and later ones are not run)
+ *                 or an applied migration was changed
+ */
+async function runMigrations() {
+  const migrations = readMigrationFiles();
+  const client = await pool.connect();
+  const appliedNow = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+    try {
+      await ensureMigrationsTable(client);
+      const applied = await getAppliedMigrations(client);
+      verifyChecksums(migrations, applied);
+
+      for (const migration of migrations) {
+        if (applied.has(migration.version)) {
+          continue;
+        }
+
+        const startedAt = Date.now();
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+            [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          try {
+            await client.query('ROLLBACK');
+          } catch (rollbackError) {
+            logger.error('Rollback error', { error: rollbackError });
+          }
+          error.message = `Migration ${migration.fileName} failed: ${error.message}`;
+          throw error;
+        }
+
+        logger.info('Migration applied', { migration: migration.fileName, duration_ms: Date.now() - startedAt });
+        appliedNow.push(migration.fileName);
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+
+    return appliedNow;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the state of every migration
+ * @returns {Promise<Array<Object>>} { version, name, status, applied_at } ordered by version,
+ *          where status is 'applied', 'pending', 'changed' (file edited after it was
+ *          applied) or 'missing' (applied, but the file no longer exists)
+ */
+async function getMigrationStatus() {
+  const migrations = readMigrationFiles();
+  const client = await pool.connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+
+    const status = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) {
+        state = row.checksum === migration.checksum ? 'applied' : 'changed';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: state,
+        applied_at: row ? row.applied_at : null
+      };
+    });
+
+    const known = new Set(migrations.map(migration => migration.version));
+    for (const row of applied.values()) {
+      if (!known.has(row.version)) {
+        status.push({ version: row.version, name: row.name, status: 'missing', applied_at: row.applied_at });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  runMigrations,
+  getMigrationStatus
+};
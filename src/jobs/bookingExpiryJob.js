@@ -1,60 +1,45 @@
 /**
  * bookingExpiryJob.js
- * - Runs periodically to mark expired PENDING bookings as FAILED
- * - Throttles DB connection error logs to once per minute to avoid log spam during deploys
+ * - Marks expired PENDING bookings (holds) as FAILED and releases their
+ *   booking_slots rows so the slots can be booked again
+ * - Each expired booking is recorded in the audit log, attributed to this job
+ * - Released slots are queued to be offered to the next waitlisted patient (by
+ *   waitlistOfferJob); waitlist offers whose hold expired lapse
+ * - Each run is recorded in the expiry job metrics (services/metricsService.js)
+ * - Runs every BOOKING_EXPIRY_INTERVAL_SECONDS (default 30), see src/jobs/runner.js
  */
 const pool = require('../../config/database')
-
-let lastDbErrorAt = 0
+const bookingService = require('../../services/bookingService')
+const metricsService = require('../../services/metricsService')
+const logger = require('../../config/logger')
 
 async function runExpiryCheck() {
+  const startedAt = process.hrtime.bigint()
+  // Rows changed and error of this run, for the metrics
+  const result = {}
+
   try {
-    // Check if the bookings table has the expires_at column (safe guard)
-    const colCheck = await pool.query(`
-      SELECT column_name
-      FROM information_schema.columns
-      WHERE table_name='bookings' AND column_name='expires_at'
-      LIMIT 1
-    `)
+    // Mark expired holds FAILED, release their slots and audit them in a single statement
+    const { expired, released } = await bookingService.releaseExpiredHolds(pool)
+    result.expired = expired
+    result.released = released
 
-    if (colCheck.rowCount === 0) {
-      console.log('Booking expiry job: expires_at column not found. Please run migration: npm run migrate')
-      return
+    if (expired > 0) {
+      logger.info('Booking expiry job: marked expired bookings as FAILED', { expired, released })
     }
 
-    const res = await pool.query(
-      `UPDATE bookings
-       SET status = 'FAILED', updated_at = NOW()
-       WHERE status = 'PENDING' AND expires_at IS NOT NULL AND expires_at <= NOW()
-       RETURNING id`
-    )
-
-    if (res.rowCount > 0) {
-      console.log(`Booking expiry job: marked ${res.rowCount} expired booking(s) as FAILED`)
-    }
+    return { expired, released }
   } catch (err) {
-    // Throttle connection error logs to once per minute
-    const now = Date.now()
-    const isConnRefused = err && (err.code === 'ECONNREFUSED' || err.message?.includes('ECONNREFUSED'))
-    if (now - lastDbErrorAt > 60 * 1000) {
-      console.error('Error in booking expiry job:', {
-        message: err.message,
-        code: err.code,
-      })
-      lastDbErrorAt = now
-    } else if (!isConnRefused) {
-      // log non-connection errors more often
-      console.error('Error in booking expiry job (non-conn):', { message: err.message, code: err.code })
-    }
-    // don't rethrow — job should keep running next interval
+    result.error = err
+    throw err
+  } finally {
+    metricsService.recordExpiryRun({ ...result, seconds: Number(process.hrtime.bigint() - startedAt) / 1e9 })
   }
 }
 
-function start() {
-  // run immediately then every 30 seconds
-  runExpiryCheck()
-  const id = setInterval(runExpiryCheck, 30 * 1000)
-  return () => clearInterval(id)
+module.exports = {
+  name: 'bookingExpiryJob',
+  description: 'Expire unconfirmed holds and release their slots',
+  intervalSeconds: Number(process.env.BOOKING_EXPIRY_INTERVAL_SECONDS || 30),
+  run: runExpiryCheck
 }
-
-module.exports = { start }
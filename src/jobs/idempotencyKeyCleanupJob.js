@@ -0,0 +1,25 @@
+/**
+ * idempotencyKeyCleanupJob.js
+ * - Deletes Idempotency-Key records whose replay window has passed
+ *   (see IDEMPOTENCY_KEY_TTL_HOURS)
+ * - Runs every IDEMPOTENCY_CLEANUP_INTERVAL_SECONDS (default 600), see src/jobs/runner.js
+ */
+const idempotencyService = require('../../services/idempotencyService')
+const logger = require('../../config/logger')
+
+async function runCleanup() {
+  const deleted = await idempotencyService.deleteExpiredKeys()
+
+  if (deleted > 0) {
+    logger.info('Idempotency key cleanup job: deleted expired keys', { deleted })
+  }
+
+  return { deleted }
+}
+
+module.exports = {
+  name: 'idempotencyKeyCleanupJob',
+  description: 'Delete Idempotency-Key records whose replay window has passed',
+  intervalSeconds: Number(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_SECONDS || 10 * 60),
+  run: runCleanup
+}
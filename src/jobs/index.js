@@ -0,0 +1,15 @@
+/**
+ * Background jobs, run by src/jobs/runner.js
+ * Started by src/server.js; listed and triggered at /api/admin/jobs
+ */
+const runner = require('./runner')
+
+runner.register(require('./bookingExpiryJob'))
+runner.register(require('./idempotencyKeyCleanupJob'))
+runner.register(require('./slotGenerationJob'))
+runner.register(require('./webhookDispatchJob'))
+runner.register(require('./reminderJob'))
+runner.register(require('./rateLimitCleanupJob'))
+runner.register(require('./waitlistOfferJob'))
+
+module.exports = runner
@@ -0,0 +1,27 @@
+/**
+ * rateLimitCleanupJob.js
+ * - Deletes rate limit counters whose window has passed (see middleware/rateLimit.js)
+ *   from the configured store; expired counters are otherwise only restarted
+ *   when the same client comes back
+ * - Runs every RATE_LIMIT_CLEANUP_INTERVAL_SECONDS (default 600), see src/jobs/runner.js
+ */
+const { getStore } = require('../../services/rateLimit')
+const logger = require('../../config/logger')
+
+async function runCleanup() {
+  const store = getStore()
+  const deleted = await store.deleteExpired()
+
+  if (deleted > 0) {
+    logger.info('Rate limit cleanup job: deleted expired counters', { store: store.name, deleted })
+  }
+
+  return { store: store.name, deleted }
+}
+
+module.exports = {
+  name: 'rateLimitCleanupJob',
+  description: 'Delete rate limit counters whose window has passed',
+  intervalSeconds: Number(process.env.RATE_LIMIT_CLEANUP_INTERVAL_SECONDS || 10 * 60),
+  run: runCleanup
+}
@@ -0,0 +1,34 @@
+/**
+ * reminderJob.js
+ * - Sends due appointment reminders (see REMINDER_OFFSETS_MINUTES) through the
+ *   configured email/SMS transports
+ * - Reminders are claimed with FOR UPDATE SKIP LOCKED, so each is sent once
+ *   even if a manual run overlaps another instance's
+ * - Runs every REMINDER_INTERVAL_SECONDS (default 60), see src/jobs/runner.js
+ */
+const reminderService = require('../../services/reminderService')
+const logger = require('../../config/logger')
+
+async function runReminders() {
+  const reminders = await reminderService.claimDueReminders()
+
+  const statuses = []
+  for (const reminder of reminders) {
+    statuses.push(await reminderService.sendReminder(reminder))
+  }
+
+  const count = status => statuses.filter(s => s === status).length
+  const summary = { sent: count('SENT'), retrying: count('SCHEDULED'), failed: count('FAILED') }
+  if (reminders.length > 0) {
+    logger.info('Reminder job: sent reminders', summary)
+  }
+
+  return summary
+}
+
+module.exports = {
+  name: 'reminderJob',
+  description: 'Send due appointment reminders by email and SMS',
+  intervalSeconds: Number(process.env.REMINDER_INTERVAL_SECONDS || 60),
+  run: runReminders
+}
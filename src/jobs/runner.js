@@ -0,0 +1,198 @@
+/**
+ * runner.js
+ * - Runs the registered background jobs (see src/jobs/index.js) on their schedule
+ * - Each run happens once cluster-wide, however many server instances run:
+ *   an instance runs a job only while holding the job's Postgres advisory lock,
+ *   and a scheduled run is skipped when the last run, on any instance, started
+ *   less than the job's interval ago
+ * - Runs are recorded in job_runs (last success, last error, duration), shown
+ *   at GET /api/admin/jobs, and can be triggered at POST /api/admin/jobs/:name/run
+ * - A job is { name, description, intervalSeconds, run }: run is an async
+ *   function returning a summary of what it did, and throws when it fails.
+ *   An interval of 0 disables the schedule; the job can still be run manually
+ * - Throttles DB connection error logs to once per minute per job to avoid log spam during deploys
+ */
+const { getClient } = require('../../config/database')
+const jobService = require('../../services/jobService')
+const logger = require('../../config/logger')
+const { runAsSystem } = require('../../middleware/requestContext')
+const { ConflictError, NotFoundError } = require('../../errors')
+
+const jobs = new Map()
+
+// In-flight runs of this instance, by job name
+const running = new Map()
+
+const timers = []
+
+// When each job last logged a connection error
+const lastConnErrorAt = new Map()
+
+let started = false
+
+/**
+ * Register a job
+ * @param {Object} job - { name, description, intervalSeconds, run }
+ */
+function register(job) {
+  if (jobs.has(job.name)) {
+    throw new Error(`Job ${job.name} is already registered`)
+  }
+  jobs.set(job.name, job)
+}
+
+function isConnectionError(err) {
+  return err && (err.code === 'ECONNREFUSED' || err.message?.includes('ECONNREFUSED'))
+}
+
+function logFailure(job, err) {
+  // Throttle connection error logs to once per minute
+  if (isConnectionError(err)) {
+    const now = Date.now()
+    if (now - (lastConnErrorAt.get(job.name) || 0) <= 60 * 1000) {
+      return
+    }
+    lastConnErrorAt.set(job.name, now)
+  }
+  logger.error(`Error in ${job.name}`, { job: job.name, error: err.message, code: err.code })
+}
+
+/**
+ * Run a job if it can take the job's lock (and, for a scheduled run, if it is due)
+ * @returns {Promise<Object>} The recorded job_runs row, or { skipped } with the
+ *          reason: 'running' here, 'locked' by another instance, or 'not_due'
+ */
+async function execute(job, { trigger, triggeredBy }) {
+  if (running.has(job.name)) {
+    return { skipped: 'running' }
+  }
+
+  const promise = (async () => {
+    const client = await getClient()
+    let unlockError
+
+    try {
+      if (!(await jobService.tryLockJob(client, job.name))) {
+        return { skipped: 'locked' }
+      }
+
+      try {
+        if (trigger === 'schedule' && !(await jobService.isJobDue(job.name, job.intervalSeconds))) {
+          return { skipped: 'not_due' }
+        }
+
+        const startedAt = new Date()
+        let result
+        let error
+        try {
+          result = await runAsSystem(job.name, job.run)
+        } catch (err) {
+          error = err
+          logFailure(job, err)
+        }
+
+        return await jobService.recordJobRun({ name: job.name, trigger, triggeredBy, startedAt, result, error })
+      } finally {
+        await jobService.unlockJob(client, job.name).catch((err) => { unlockError = err })
+      }
+    } finally {
+      // A client whose lock could not be released is discarded, which releases it
+      client.release(unlockError)
+    }
+  })()
+
+  running.set(job.name, promise)
+  try {
+    return await promise
+  } finally {
+    running.delete(job.name)
+  }
+}
+
+/**
+ * A scheduled run; failures (including of the lock or the run history) are logged, never thrown
+ */
+async function tick(job) {
+  try {
+    await execute(job, { trigger: 'schedule' })
+  } catch (err) {
+    logFailure(job, err)
+  }
+}
+
+/**
+ * Start running the jobs on their schedule: each runs immediately, then every intervalSeconds
+ */
+function start() {
+  if (started) {
+    return
+  }
+  started = true
+
+  for (const job of jobs.values()) {
+    if (!(job.intervalSeconds > 0)) {
+      logger.info('Job not scheduled (interval is 0)', { job: job.name })
+      continue
+    }
+    tick(job)
+    timers.push(setInterval(() => tick(job), job.intervalSeconds * 1000))
+  }
+}
+
+/**
+ * Stop scheduling runs, and wait for the runs in flight to finish
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  timers.splice(0).forEach(clearInterval)
+  started = false
+  await Promise.allSettled(running.values())
+}
+
+/**
+ * Run a job now, whether or not it is due
+ * @param {string} name - Job name
+ * @param {string} [triggeredBy] - Who triggered the run (user id)
+ * @returns {Promise<Object>} The recorded job_runs row
+ */
+async function runNow(name, triggeredBy) {
+  const job = jobs.get(name)
+  if (!job) {
+    throw new NotFoundError('Job not found', 'JOB_NOT_FOUND')
+  }
+
+  const run = await execute(job, { trigger: 'manual', triggeredBy })
+  if (run.skipped) {
+    throw new ConflictError('Job is already running', 'JOB_ALREADY_RUNNING', { job: name })
+  }
+  return run
+}
+
+/**
+ * The registered jobs with their schedule and run history
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs() {
+  const history = await jobService.getJobHistory([...jobs.keys()])
+
+  return [...jobs.values()].map((job) => {
+    const { last_run: lastRun, last_success: lastSuccess, last_failure: lastFailure } = history.get(job.name) || {}
+    const scheduled = job.intervalSeconds > 0
+
+    return {
+      name: job.name,
+      description: job.description,
+      interval_seconds: job.intervalSeconds,
+      scheduled,
+      running_here: running.has(job.name),
+      last_run: lastRun || null,
+      last_success_at: lastSuccess ? lastSuccess.finished_at : null,
+      last_error: lastFailure ? { at: lastFailure.finished_at, message: lastFailure.error } : null,
+      next_run_at: scheduled && lastRun
+        ? new Date(new Date(lastRun.started_at).getTime() + job.intervalSeconds * 1000).toISOString()
+        : null
+    }
+  })
+}
+
+module.exports = { register, start, stop, runNow, listJobs }
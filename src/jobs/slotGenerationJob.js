@@ -0,0 +1,31 @@
+/**
+ * slotGenerationJob.js
+ * - Materialises active availability templates into slots, keeping a rolling
+ *   horizon of SLOT_GENERATION_HORIZON_DAYS days generated
+ * - Safe to rerun: existing slots are skipped
+ * - Created slots are recorded in the audit log, attributed to this job, and
+ *   queued to be offered to waiting patients (by waitlistOfferJob)
+ * - Runs every SLOT_GENERATION_INTERVAL_SECONDS (default 3600), see src/jobs/runner.js
+ */
+const availabilityTemplateService = require('../../services/availabilityTemplateService')
+const logger = require('../../config/logger')
+
+async function runGeneration() {
+  const { generated, conflicts } = await availabilityTemplateService.generateSlots()
+
+  if (generated > 0) {
+    logger.info('Slot generation job: created slots from availability templates', { generated })
+  }
+  if (conflicts.length > 0) {
+    logger.info('Slot generation job: skipped slots overlapping existing slots', { skipped: conflicts.length })
+  }
+
+  return { generated, skipped: conflicts.length }
+}
+
+module.exports = {
+  name: 'slotGenerationJob',
+  description: 'Generate slots from availability templates',
+  intervalSeconds: Number(process.env.SLOT_GENERATION_INTERVAL_SECONDS || 60 * 60),
+  run: runGeneration
+}
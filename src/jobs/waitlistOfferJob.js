@@ -0,0 +1,27 @@
+/**
+ * waitlistOfferJob.js
+ * - Offers freed and newly created slots to waiting patients: holds each slot
+ *   for the first matching patient and notifies them by email/SMS
+ * - Slots are queued as slot.available outbox events by the requests and jobs
+ *   that free or create them (waitlistService.queueOffers)
+ * - Runs every WAITLIST_OFFER_INTERVAL_SECONDS (default 5), see src/jobs/runner.js
+ */
+const waitlistService = require('../../services/waitlistService')
+const logger = require('../../config/logger')
+
+async function runOffers() {
+  const { events, offered } = await waitlistService.offerQueuedSlots()
+
+  if (offered > 0) {
+    logger.info('Waitlist offer job: offered slots to waitlisted patients', { offered, events })
+  }
+
+  return { events, offered }
+}
+
+module.exports = {
+  name: 'waitlistOfferJob',
+  description: 'Offer freed and newly created slots to waitlisted patients',
+  intervalSeconds: Number(process.env.WAITLIST_OFFER_INTERVAL_SECONDS || 5),
+  run: runOffers
+}
@@ -0,0 +1,34 @@
+/**
+ * webhookDispatchJob.js
+ * - Delivers outbox events to webhook subscriptions
+ * - Fans new outbox events out into one delivery per matching subscription,
+ *   then sends due deliveries (new ones and retries)
+ * - Runs every WEBHOOK_DISPATCH_INTERVAL_SECONDS (default 5), see src/jobs/runner.js
+ */
+const webhookService = require('../../services/webhookService')
+const logger = require('../../config/logger')
+
+async function runDispatch() {
+  const fanOut = await webhookService.fanOutEvents()
+  if (fanOut.deliveries > 0) {
+    logger.info('Webhook dispatch job: queued deliveries', { deliveries: fanOut.deliveries, events: fanOut.events })
+  }
+
+  const deliveries = await webhookService.claimDueDeliveries()
+
+  const statuses = await Promise.all(deliveries.map(delivery => webhookService.sendDelivery(delivery)))
+  const count = status => statuses.filter(s => s === status).length
+  const summary = { queued: fanOut.deliveries, delivered: count('DELIVERED'), retrying: count('PENDING'), dead_lettered: count('DEAD') }
+  if (deliveries.length > 0) {
+    logger.info('Webhook dispatch job: sent deliveries', summary)
+  }
+
+  return summary
+}
+
+module.exports = {
+  name: 'webhookDispatchJob',
+  description: 'Fan outbox events out to webhook subscriptions and send due deliveries',
+  intervalSeconds: Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS || 5),
+  run: runDispatch
+}
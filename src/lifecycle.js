@@ -0,0 +1,49 @@
+/**
+ * Server lifecycle state
+ * 
+ * Set by src/server.js and reported by the health checks in src/app.js:
+ * - starting: the database is being initialised (connection check, migrations)
+ * - ready: serving requests
+ * - shutting_down: draining in-flight requests before the process exits
+ */
+const STATES = {
+  STARTING: "starting",
+  READY: "ready",
+  SHUTTING_DOWN: "shutting_down"
+};
+
+let state = STATES.STARTING;
+
+function getState() {
+  return state;
+}
+
+/**
+ * Mark the server ready, once the database is initialised; ignored once shutting down
+ */
+function markReady() {
+  if (state === STATES.STARTING) {
+    state = STATES.READY;
+  }
+}
+
+function markShuttingDown() {
+  state = STATES.SHUTTING_DOWN;
+}
+
+function isReady() {
+  return state === STATES.READY;
+}
+
+function isShuttingDown() {
+  return state === STATES.SHUTTING_DOWN;
+}
+
+module.exports = {
+  STATES,
+  getState,
+  markReady,
+  markShuttingDown,
+  isReady,
+  isShuttingDown
+};
@@ -2,48 +2,110 @@ const cors = require("cors");
 require("dotenv").config();
 const app = require("./app");
 const pool = require("../config/database");
-const bookingExpiryJob = require("./jobs/bookingExpiryJob");
-const { initializeDatabase } = require("./db/init");
+const jobs = require("./jobs");
+const { runMigrations } = require("./db/migrate");
+const logger = require("../config/logger");
+const lifecycle = require("./lifecycle");
 
 const PORT = process.env.PORT || 4000;
 
+// How long shutdown may take (draining requests, stopping jobs, closing the pool)
+// before the process exits anyway; keep it below the platform's kill timeout
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000);
+
+let server;
+
 // Just to be safe, apply cors at server-level too
 app.use(cors());
 
 /**
  * Start the server with database initialization
+ * The HTTP server listens first, so that /health/live answers while migrations
+ * run; /health/ready fails until the database is initialised
  */
 async function startServer() {
   try {
-    // Step 1: Test database connection
+    // Step 1: Start the HTTP server
+    server = app.listen(PORT, () => {
+      logger.info('MedReserve API server running', { port: Number(PORT) });
+    });
+
+    // Step 2: Test database connection
     await pool.query('SELECT 1');
-    console.log('✓ Database connection successful');
-    
-    // Step 2: Initialize database schema (creates tables if missing, runs migrations)
-    await initializeDatabase();
+    logger.info('Database connection successful');
     
-    // Step 3: Start the booking expiry background job
-    // This job runs every 30 seconds to mark expired PENDING bookings as FAILED
-    bookingExpiryJob.start();
+    // Step 3: Apply pending migrations (see src/db/migrate.js)
+    // A failed migration stops startup: the app must not run against a half-migrated schema
+    await runMigrations();
+    logger.info('Database schema up to date');
+
+    // A shutdown that began during initialisation must not be followed by starting jobs
+    if (lifecycle.isShuttingDown()) {
+      return;
+    }
     
-    // Step 4: Start the HTTP server
-    app.listen(PORT, () => {
-      console.log(`🚀 MedReserve API server running on port ${PORT}`);
-    });
+    // Step 4: Start the background jobs (see src/jobs/index.js): booking expiry,
+    // Idempotency-Key cleanup, slot generation, webhook dispatch, reminders and
+    // waitlist offers. Each run happens on one instance only, however many are running
+    jobs.start();
+
+    // Step 5: Report ready (see /health/ready)
+    lifecycle.markReady();
+    logger.info('Server ready');
   } catch (error) {
-    console.error('❌ Server startup failed:', {
-      message: error.message,
+    logger.error('Server startup failed; check the DATABASE_URL environment variable and the migrations', {
+      error: error.message,
       code: error.code,
       errno: error.errno
     });
-    console.error('Please check DATABASE_URL environment variable');
-    
-    // Still start the server - it might connect later
-    // But don't start the expiry job if DB is not connected
-    app.listen(PORT, () => {
-      console.log(`⚠️  MedReserve API server running on port ${PORT} (database not connected)`);
-    });
+    process.exit(1);
   }
 }
 
+/**
+ * Shut down gracefully on SIGTERM/SIGINT (e.g. a redeploy)
+ * 1. Fail /health/ready, so no new traffic is routed here
+ * 2. Stop accepting connections and wait for in-flight requests
+ * 3. Stop the background jobs, waiting for runs in flight
+ * 4. Close the database pool
+ * If this takes longer than SHUTDOWN_TIMEOUT_MS the process exits anyway, with
+ * code 1; open transactions are then rolled back by PostgreSQL.
+ */
+async function shutdown(signal) {
+  if (lifecycle.isShuttingDown()) {
+    return;
+  }
+  lifecycle.markShuttingDown();
+  logger.info('Shutting down', { signal, timeout_ms: SHUTDOWN_TIMEOUT_MS });
+
+  setTimeout(() => {
+    logger.error('Shutdown timed out; exiting with requests or queries still running', { timeout_ms: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    if (server) {
+      await new Promise((resolve) => {
+        server.close(resolve);
+        // Keep-alive connections waiting for their next request would hold close() open
+        server.closeIdleConnections();
+      });
+      logger.info('HTTP server closed');
+    }
+
+    await jobs.stop();
+    logger.info('Background jobs stopped');
+
+    await pool.end();
+    logger.info('Database pool closed');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Shutdown failed', { error });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
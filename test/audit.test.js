@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient, futureTime
+} = require('./helpers');
+const jobs = require('../src/jobs');
+
+/**
+ * The audit rows of an entity, oldest first
+ */
+async function auditTrail(entity, entityId) {
+  const { rows } = await pool.query(
+    `SELECT actor_type, actor_id, actor_role, action, before, after, request_id
+     FROM audit_log WHERE entity = $1 AND entity_id = $2 ORDER BY id`,
+    [entity, entityId]
+  );
+  return rows;
+}
+
+describe('audit log', () => {
+  const admin = tokenFor('admin');
+  let doctor;
+  let slot;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+  });
+
+  it('records booking changes with the caller and request id', async () => {
+    const patient = await createPatient();
+    const token = tokenFor('patient', patient.id);
+    const target = await createSlot(doctor.id, { startTime: futureTime(48) });
+
+    const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token, body: {}, headers: { 'X-Request-Id': 'req-hold' } });
+    await api('POST', `/api/bookings/${hold.body.id}/confirm`, { token, headers: { 'X-Request-Id': 'req-confirm' } });
+    await api('POST', `/api/bookings/${hold.body.id}/reschedule`, { token, body: { slot_id: target.id }, headers: { 'X-Request-Id': 'req-reschedule' } });
+    const cancel = await api('POST', `/api/bookings/${hold.body.id}/cancel`, { token, body: {} });
+
+    const trail = await auditTrail('booking', hold.body.id);
+    assert.deepEqual(trail.map(row => [row.action, row.actor_type, row.actor_id, row.actor_role, row.request_id]), [
+      ['booking.hold', 'user', `patient:${patient.id}`, 'patient', 'req-hold'],
+      ['booking.confirm', 'user', `patient:${patient.id}`, 'patient', 'req-confirm'],
+      ['booking.reschedule', 'user', `patient:${patient.id}`, 'patient', 'req-reschedule'],
+      ['booking.cancel', 'user', `patient:${patient.id}`, 'patient', cancel.headers.get('x-request-id')]
+    ]);
+    assert.equal(trail[0].before, null);
+    assert.deepEqual([trail[3].before.status, trail[3].after.status], ['CONFIRMED', 'CANCELLED']);
+  });
+
+  it('records an anonymous booking', async () => {
+    const { body, headers } = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+
+    assert.deepEqual(
+      (await auditTrail('booking', body.id)).map(row => [row.action, row.actor_type, row.actor_id, row.request_id]),
+      [['booking.create', 'anonymous', null, headers.get('x-request-id')]]
+    );
+  });
+
+  it('records nothing for a change that fails', async () => {
+    await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+    await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' } });
+
+    const { rows } = await pool.query('SELECT action FROM audit_log');
+    assert.deepEqual(rows.map(row => row.action), ['booking.create']);
+  });
+
+  it('records doctor and slot changes made by staff', async () => {
+    const created = await api('POST', '/api/admin/doctors', {
+      token: admin,
+      body: { name: 'Dr New' },
+      headers: { 'X-Request-Id': 'req-doctor' }
+    });
+    const newSlot = await api('POST', '/api/admin/slots', {
+      token: admin,
+      body: { doctor_id: created.body.id, start_time: futureTime(30), duration_minutes: 30 },
+      headers: { 'X-Request-Id': 'req-slot' }
+    });
+
+    assert.deepEqual(
+      (await auditTrail('doctor', created.body.id)).map(row => [row.action, row.actor_id, row.actor_role, row.request_id]),
+      [['doctor.create', 'admin', 'admin', 'req-doctor']]
+    );
+    const [slotRow] = await auditTrail('slot', newSlot.body.id);
+    assert.deepEqual([slotRow.action, slotRow.actor_id, slotRow.request_id], ['slot.create', 'admin', 'req-slot']);
+    assert.equal(slotRow.after.doctor_id, created.body.id);
+  });
+
+  it('attributes holds released by the expiry job to the job', async () => {
+    const patient = await createPatient();
+    const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token: tokenFor('patient', patient.id), body: {} });
+    await pool.query(`UPDATE bookings SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [hold.body.id]);
+
+    const run = await jobs.runNow('bookingExpiryJob');
+
+    assert.deepEqual(run.result, { expired: 1, released: 1 });
+    const expiry = (await auditTrail('booking', hold.body.id)).find(row => row.action === 'booking.expire');
+    assert.deepEqual([expiry.actor_type, expiry.actor_id, expiry.request_id], ['system', 'bookingExpiryJob', null]);
+    assert.deepEqual([expiry.before.status, expiry.after.status], ['PENDING', 'FAILED']);
+  });
+
+  describe('GET /api/admin/audit', () => {
+    let bookings;
+
+    beforeEach(async () => {
+      const second = await createSlot(doctor.id, { startTime: futureTime(48) });
+      bookings = [];
+      for (const [target, name] of [[slot, 'Ada'], [second, 'Bob']]) {
+        bookings.push((await api('POST', `/api/slots/${target.id}/book`, { body: { patient_name: name } })).body);
+      }
+      await api('POST', `/api/bookings/${bookings[0].id}/cancel`, { token: admin, body: {}, headers: { 'X-Request-Id': 'req-cancel' } });
+    });
+
+    it('filters by entity and id, newest first', async () => {
+      const { status, body } = await api('GET', `/api/admin/audit?entity=booking&id=${bookings[0].id}`, { token: admin });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(row => row.action), ['booking.cancel', 'booking.create']);
+      assert.ok(body.data.every(row => row.entity === 'booking' && row.entity_id === bookings[0].id));
+    });
+
+    it('filters by action, actor and request id', async () => {
+      const byAction = await api('GET', '/api/admin/audit?action=booking.create', { token: admin });
+      const byActor = await api('GET', '/api/admin/audit?actor_id=admin', { token: admin });
+      const byRequest = await api('GET', '/api/admin/audit?request_id=req-cancel', { token: admin });
+
+      assert.deepEqual(byAction.body.data.map(row => row.entity_id).sort(), bookings.map(booking => booking.id).sort());
+      assert.deepEqual(byActor.body.data.map(row => row.action), ['booking.cancel']);
+      assert.deepEqual(byRequest.body.data.map(row => row.action), ['booking.cancel']);
+    });
+
+    it('paginates', async () => {
+      const all = await api('GET', '/api/admin/audit', { token: admin });
+      const pages = [];
+      for (const page of [1, 2, 3]) {
+        pages.push((await api('GET', `/api/admin/audit?limit=1&page=${page}`, { token: admin })).body);
+      }
+
+      assert.equal(all.body.data.length, 3);
+      assert.deepEqual(pages.map(page => page.data.map(row => row.id)), all.body.data.map(row => [row.id]));
+      assert.deepEqual(pages[1].pagination, { page: 2, limit: 1, total: 3, total_pages: 3 });
+    });
+
+    it('rejects invalid filters', async () => {
+      for (const query of ['?id=1', '?entity=patient', '?limit=201', '?from=yesterday']) {
+        const { status } = await api('GET', `/api/admin/audit${query}`, { token: admin });
+        assert.equal(status, 400, query);
+      }
+    });
+
+    it('is only for admins', async () => {
+      const { status } = await api('GET', '/api/admin/audit', { token: tokenFor('front_desk') });
+
+      assert.equal(status, 403);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, futureTime } = require('./helpers');
+
+/**
+ * A whole UTC hour, days from today
+ */
+function utcTime(days, hour) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date.toISOString();
+}
+
+describe('availability search', () => {
+  let doctor;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+  });
+
+  /**
+   * Search, and return the slot ids per doctor id
+   */
+  async function search(queryString = '') {
+    const { status, body } = await api('GET', `/api/availability${queryString}`);
+    assert.equal(status, 200);
+    return body.data.map(entry => [entry.doctor.id, entry.slots.map(slot => slot.id)]);
+  }
+
+  it('only returns free, future slots', async () => {
+    const free = await createSlot(doctor.id, { startTime: futureTime(24) });
+    const booked = await createSlot(doctor.id, { startTime: futureTime(25) });
+    const held = await createSlot(doctor.id, { startTime: futureTime(26) });
+    await createSlot(doctor.id, { startTime: futureTime(-1) });
+    await api('POST', `/api/slots/${booked.id}/book`, { body: { patient_name: 'Ada' } });
+    await api('POST', `/api/slots/${held.id}/hold`, { token: tokenFor('front_desk'), body: { patient_name: 'Bob' } });
+
+    assert.deepEqual(await search(`?from=${encodeURIComponent(futureTime(-2))}`), [[doctor.id, [free.id]]]);
+  });
+
+  it('applies time_of_day in the given timezone', async () => {
+    // 09:00 and 15:00 in Tokyo (UTC+9, no daylight saving)
+    const tokyoMorning = await createSlot(doctor.id, { startTime: utcTime(2, 0) });
+    const tokyoAfternoon = await createSlot(doctor.id, { startTime: utcTime(2, 6) });
+
+    assert.deepEqual(await search('?time_of_day=morning&timezone=Asia/Tokyo'), [[doctor.id, [tokyoMorning.id]]]);
+    assert.deepEqual(await search('?time_of_day=14:00-16:00&timezone=Asia/Tokyo'), [[doctor.id, [tokyoAfternoon.id]]]);
+    assert.deepEqual(await search('?time_of_day=morning'), [[doctor.id, [tokyoAfternoon.id]]]);
+  });
+
+  it('orders doctors by their earliest slot and paginates them', async () => {
+    const second = await createDoctor({ name: 'Dr Second' });
+    const third = await createDoctor({ name: 'Dr Third' });
+    const late = await createSlot(second.id, { startTime: futureTime(30) });
+    const early = await createSlot(second.id, { startTime: futureTime(24) });
+    const middle = await createSlot(third.id, { startTime: futureTime(48) });
+    const last = await createSlot(doctor.id, { startTime: futureTime(72) });
+
+    const { body } = await api('GET', '/api/availability?limit=2');
+    const pageTwo = await search('?limit=2&page=2');
+
+    assert.deepEqual(body.data.map(entry => [entry.doctor.id, entry.slots.map(slot => slot.id)]), [
+      [second.id, [early.id, late.id]],
+      [third.id, [middle.id]]
+    ]);
+    assert.deepEqual(body.pagination, { page: 1, limit: 2, total: 3, total_pages: 2 });
+    assert.deepEqual(pageTwo, [[doctor.id, [last.id]]]);
+    assert.deepEqual(await search('?slots_per_doctor=1&limit=1'), [[second.id, [early.id]]]);
+  });
+
+  it('leaves out blocked slots', async () => {
+    const free = await createSlot(doctor.id, { startTime: futureTime(24) });
+    const blocked = await createSlot(doctor.id, { startTime: futureTime(25) });
+
+    const { status } = await api('PATCH', `/api/admin/slots/${blocked.id}`, { token: tokenFor('admin'), body: { blocked: true } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(await search(), [[doctor.id, [free.id]]]);
+  });
+
+  it('leaves out inactive doctors', async () => {
+    const inactive = await createDoctor({ name: 'Dr Inactive' });
+    const slot = await createSlot(doctor.id);
+    await createSlot(inactive.id);
+
+    const { status } = await api('POST', `/api/admin/doctors/${inactive.id}/deactivate`, { token: tokenFor('admin') });
+
+    assert.equal(status, 200);
+    assert.deepEqual(await search(), [[doctor.id, [slot.id]]]);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot } = require('./helpers');
+const availabilityTemplateService = require('../services/availabilityTemplateService');
+
+const HORIZON_DAYS = 28;
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ */
+function localDate(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+describe('availability templates', () => {
+  let doctor;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+  });
+
+  it('generates up to the horizon from today in the template\'s timezone', async () => {
+    // One of them is on another date than UTC at any time of day
+    const timezone = new Date().getUTCHours() >= 10 ? 'Pacific/Kiritimati' : 'Pacific/Pago_Pago';
+    const today = localDate(timezone);
+    assert.notEqual(today, localDate('UTC'));
+
+    const { status, body } = await api('POST', '/api/admin/availability-templates', {
+      token: tokenFor('admin'),
+      body: {
+        doctor_id: doctor.id,
+        days_of_week: [1, 2, 3, 4, 5, 6, 7],
+        start_time: '09:00',
+        end_time: '10:00',
+        slot_duration_minutes: 60,
+        valid_from: addDays(today, -1),
+        timezone
+      }
+    });
+
+    assert.equal(status, 201);
+    const { rows } = await pool.query(
+      `SELECT MAX((start_time AT TIME ZONE $2)::date)::text AS last_day
+       FROM slots WHERE template_id = $1`,
+      [body.id, timezone]
+    );
+    assert.equal(rows[0].last_day, addDays(today, HORIZON_DAYS));
+  });
+
+  describe('overlapping templates generated in one run', () => {
+    const tomorrow = () => addDays(localDate('UTC'), 1);
+
+    async function insertTemplate(startTime) {
+      const { rows } = await pool.query(
+        `INSERT INTO availability_templates
+           (doctor_id, days_of_week, start_time, end_time, slot_duration_minutes, valid_from, valid_to)
+         VALUES ($1, '{1,2,3,4,5,6,7}', $2, '10:00', 20, $3, $3)
+         RETURNING *`,
+        [doctor.id, startTime, tomorrow()]
+      );
+      return rows[0];
+    }
+
+    it('keeps the earliest of overlapping candidates and reports the others', async () => {
+      const first = await insertTemplate('09:00');
+      const second = await insertTemplate('09:10');
+
+      const { generated, conflicts } = await availabilityTemplateService.generateSlots();
+
+      // 09:00, 09:20 and 09:40 from the first template; 09:10 and 09:30 overlap them
+      assert.equal(generated, 3);
+      const { rows } = await pool.query('SELECT id, template_id FROM slots ORDER BY start_time');
+      const slotIds = rows.map(row => row.id);
+      assert.deepEqual(rows.map(row => row.template_id), [first.id, first.id, first.id]);
+      assert.deepEqual(conflicts.map(c => [c.template_id, c.start_time.toISOString(), c.conflicting_slot_ids]), [
+        [second.id, `${tomorrow()}T09:10:00.000Z`, [slotIds[0], slotIds[1]]],
+        [second.id, `${tomorrow()}T09:30:00.000Z`, [slotIds[1], slotIds[2]]]
+      ]);
+    });
+
+    it('reports candidates overlapping existing slots', async () => {
+      const existing = await createSlot(doctor.id, { startTime: `${tomorrow()}T09:05:00Z`, durationMinutes: 10 });
+      const template = await insertTemplate('09:00');
+
+      const { generated, conflicts } = await availabilityTemplateService.generateSlots();
+
+      assert.equal(generated, 2);
+      assert.deepEqual(conflicts, [
+        { template_id: template.id, start_time: new Date(`${tomorrow()}T09:00:00Z`), conflicting_slot_ids: [existing.id] }
+      ]);
+    });
+
+    it('generates nothing more when rerun', async () => {
+      await insertTemplate('09:00');
+      await insertTemplate('09:10');
+      await availabilityTemplateService.generateSlots();
+
+      const { generated, conflicts } = await availabilityTemplateService.generateSlots();
+
+      assert.equal(generated, 0);
+      assert.equal(conflicts.length, 2);
+    });
+  });
+});
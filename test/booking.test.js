@@ -0,0 +1,291 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient, futureTime
+} = require('./helpers');
+
+describe('booking', () => {
+  let slot;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    const doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+  });
+
+  it('books a free slot', async () => {
+    const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, {
+      body: { patient_name: 'Ada', patient_email: 'ada@example.com' }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.status, 'CONFIRMED');
+    assert.equal(body.slot_id, slot.id);
+  });
+
+  it('rejects a booking of a booked slot', async () => {
+    await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+    const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' } });
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Slot already booked');
+    assert.equal(body.code, 'SLOT_ALREADY_BOOKED');
+    assert.equal(body.message, body.error);
+    assert.ok(body.request_id);
+  });
+
+  it('books a slot once when it is booked concurrently', async () => {
+    const responses = await Promise.all(Array.from({ length: 8 }, (_, i) =>
+      api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: `Patient ${i}` } })
+    ));
+
+    assert.deepEqual(responses.map(r => r.status).sort(), [201, 409, 409, 409, 409, 409, 409, 409]);
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM bookings WHERE slot_id = $1 AND status = 'CONFIRMED'`,
+      [slot.id]
+    );
+    assert.equal(rows[0].count, 1);
+  });
+
+  it('holds a slot once when it is held and booked concurrently', async () => {
+    const responses = await Promise.all(Array.from({ length: 8 }, (_, i) =>
+      api('POST', `/api/slots/${slot.id}/${i % 2 ? 'hold' : 'book'}`, { token: tokenFor('front_desk'), body: { patient_name: `Patient ${i}` } })
+    ));
+
+    assert.equal(responses.filter(r => r.status === 201).length, 1);
+    assert.ok(responses.filter(r => r.status !== 201).every(r => r.status === 409));
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM bookings WHERE slot_id = $1 AND status IN ('PENDING', 'CONFIRMED')`,
+      [slot.id]
+    );
+    assert.equal(rows[0].count, 1);
+  });
+
+  it('confirms a hold', async () => {
+    const patient = await createPatient();
+    const token = tokenFor('patient', patient.id);
+    const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token, body: {} });
+    assert.equal(hold.status, 201);
+    assert.equal(hold.body.status, 'PENDING');
+
+    const { status, body } = await api('POST', `/api/bookings/${hold.body.id}/confirm`, { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'CONFIRMED');
+  });
+
+  it('refuses an anonymous hold', async () => {
+    const { status } = await api('POST', `/api/slots/${slot.id}/hold`, { body: { patient_name: 'Ada' } });
+
+    assert.equal(status, 401);
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM bookings');
+    assert.equal(rows[0].count, 0);
+  });
+
+  it('refuses to confirm an expired hold, and lets the slot be booked', async () => {
+    const patient = await createPatient();
+    const token = tokenFor('patient', patient.id);
+    const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token, body: {} });
+    await pool.query(`UPDATE bookings SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [hold.body.id]);
+
+    const confirm = await api('POST', `/api/bookings/${hold.body.id}/confirm`, { token });
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' } });
+
+    assert.equal(confirm.status, 410);
+    assert.equal(booking.status, 201);
+  });
+
+  it('frees the slot of a cancelled booking', async () => {
+    const patient = await createPatient();
+    const token = tokenFor('patient', patient.id);
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { token, body: {} });
+
+    const { status, body } = await api('POST', `/api/bookings/${booking.body.id}/cancel`, { token, body: { reason: 'Feeling better' } });
+    const rebooked = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'CANCELLED');
+    assert.equal(body.cancellation_reason, 'Feeling better');
+    assert.equal(rebooked.status, 201);
+  });
+
+  it('cancels a booking once when it is cancelled concurrently', async () => {
+    const patient = await createPatient();
+    const token = tokenFor('patient', patient.id);
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { token, body: {} });
+
+    const responses = await Promise.all(Array.from({ length: 4 }, () =>
+      api('POST', `/api/bookings/${booking.body.id}/cancel`, { token, body: {} })
+    ));
+
+    assert.deepEqual(responses.map(r => r.status).sort(), [200, 409, 409, 409]);
+  });
+
+  for (const [role, path] of [['patient', '/api/bookings'], ['admin', '/api/bookings'], ['front_desk', '/api/bookings'], ['front_desk', '/api/admin/bookings']]) {
+    it(`records cancelled_by ${role} when cancelled with a ${role} token through ${path}`, async () => {
+      const patient = await createPatient();
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', patient.id), body: {} });
+
+      const { status, body } = await api('POST', `${path}/${booking.body.id}/cancel`, {
+        token: tokenFor(role, role === 'patient' ? patient.id : undefined),
+        body: {}
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.cancelled_by, role);
+    });
+  }
+
+  describe('patient matching', () => {
+    let existing;
+
+    beforeEach(async () => {
+      existing = await createPatient({ name: 'Ada', email: 'ada@example.com', phone: '+442079460000', mrn: 'MRN-1' });
+    });
+
+    for (const [field, value] of [['patient_email', 'ADA@example.com'], ['patient_phone', '+44 20 7946 0000'], ['patient_mrn', 'MRN-1']]) {
+      it(`refuses an anonymous booking whose ${field} matches an existing patient`, async () => {
+        const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Mallory', [field]: value } });
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'PATIENT_VERIFICATION_REQUIRED');
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM bookings');
+        assert.equal(rows[0].count, 0);
+      });
+    }
+
+    it('refuses patient_id without a staff token', async () => {
+      const anonymous = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_id: existing.id } });
+      const doctor = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('doctor', slot.doctor_id), body: { patient_id: existing.id } });
+
+      assert.equal(anonymous.status, 400);
+      assert.equal(doctor.status, 400);
+    });
+
+    it('creates a new patient for anonymous details matching nobody', async () => {
+      const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob', patient_email: 'bob@example.com' } });
+
+      assert.equal(status, 201);
+      assert.notEqual(body.patient_id, existing.id);
+    });
+
+    it('matches an existing patient for staff', async () => {
+      const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, {
+        token: tokenFor('front_desk'),
+        body: { patient_name: 'Ada', patient_email: 'ada@example.com' }
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.patient_id, existing.id);
+    });
+
+    it('books for an existing patient by patient_id with a staff token', async () => {
+      const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('front_desk'), body: { patient_id: existing.id } });
+
+      assert.equal(status, 201);
+      assert.equal(body.patient_id, existing.id);
+    });
+
+    it('books for the patient of a patient token', async () => {
+      const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', existing.id), body: {} });
+
+      assert.equal(status, 201);
+      assert.equal(body.patient_id, existing.id);
+    });
+  });
+
+  describe('rescheduling', () => {
+    const staff = tokenFor('front_desk');
+    let target;
+
+    beforeEach(async () => {
+      target = await createSlot(slot.doctor_id, { startTime: futureTime(48) });
+    });
+
+    /**
+     * The booking's row and the slots it holds in booking_slots
+     */
+    async function bookingState(bookingId) {
+      const { rows: [booking] } = await pool.query('SELECT slot_id, status, previous_slot_id FROM bookings WHERE id = $1', [bookingId]);
+      const { rows } = await pool.query('SELECT slot_id FROM booking_slots WHERE booking_id = $1', [bookingId]);
+      return { ...booking, claimed: rows.map(row => row.slot_id) };
+    }
+
+    it('moves a booking to a free slot and frees the old one', async () => {
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+
+      const { status, body } = await api('POST', `/api/bookings/${booking.body.id}/reschedule`, { token: staff, body: { slot_id: target.id } });
+      const rebooked = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' } });
+      const history = await api('GET', `/api/bookings/${booking.body.id}/reschedules`, { token: staff });
+
+      assert.equal(status, 200);
+      assert.deepEqual(await bookingState(body.id), { slot_id: target.id, status: 'CONFIRMED', previous_slot_id: slot.id, claimed: [target.id] });
+      assert.equal(rebooked.status, 201);
+      assert.deepEqual(history.body.map(row => [row.from_slot_id, row.to_slot_id]), [[slot.id, target.id]]);
+    });
+
+    it('leaves the booking and both slots untouched when the target slot is taken', async () => {
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+      const other = await api('POST', `/api/slots/${target.id}/book`, { body: { patient_name: 'Bob' } });
+      const before = await bookingState(booking.body.id);
+
+      const { status } = await api('POST', `/api/bookings/${booking.body.id}/reschedule`, { token: staff, body: { slot_id: target.id } });
+
+      assert.equal(status, 409);
+      assert.deepEqual(await bookingState(booking.body.id), before);
+      assert.deepEqual(before, { slot_id: slot.id, status: 'CONFIRMED', previous_slot_id: null, claimed: [slot.id] });
+      assert.deepEqual((await bookingState(other.body.id)).claimed, [target.id]);
+      const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM booking_reschedules');
+      assert.equal(rows[0].count, 0);
+    });
+
+    it('moves one booking when two are rescheduled onto the same slot concurrently', async () => {
+      const second = await createSlot(slot.doctor_id, { startTime: futureTime(72) });
+      const bookings = [
+        await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } }),
+        await api('POST', `/api/slots/${second.id}/book`, { body: { patient_name: 'Bob' } })
+      ];
+
+      const responses = await Promise.all(bookings.map(booking =>
+        api('POST', `/api/bookings/${booking.body.id}/reschedule`, { token: staff, body: { slot_id: target.id } })
+      ));
+
+      assert.deepEqual(responses.map(r => r.status).sort(), [200, 409]);
+      const { rows } = await pool.query('SELECT booking_id FROM booking_slots WHERE slot_id = $1', [target.id]);
+      assert.equal(rows.length, 1);
+      const moved = responses.find(r => r.status === 200).body;
+      assert.equal(rows[0].booking_id, moved.id);
+      const stayed = bookings.find(booking => booking.body.id !== moved.id).body;
+      assert.deepEqual((await bookingState(stayed.id)).claimed, [stayed.slot_id]);
+    });
+  });
+
+  describe('request validation', () => {
+    it('lists every invalid field at once', async () => {
+      const { status, body } = await api('POST', '/api/slots/12abc/book', {
+        body: { patient_name: 'Ada', patient_email: 'not-an-email' }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+      assert.deepEqual(body.details.fields.map(field => [field.location, field.field]), [
+        ['params', 'slotId'],
+        ['body', 'patient_email']
+      ]);
+    });
+
+    it('accepts the deprecated camelCase fields with a Deprecation header', async () => {
+      const { status, headers, body } = await api('POST', `/api/slots/${slot.id}/book`, {
+        body: { patientName: 'Ada' }
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.patient_name, 'Ada');
+      assert.equal(headers.get('deprecation'), 'true');
+      assert.match(headers.get('warning'), /patientName is deprecated; use patient_name/);
+    });
+  });
+});
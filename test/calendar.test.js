@@ -0,0 +1,138 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient
+} = require('./helpers');
+const bookingExpiryJob = require('../src/jobs/bookingExpiryJob');
+
+/**
+ * The SEQUENCE, SUMMARY and STATUS of the event with this UID prefix in an iCalendar document
+ */
+function findEvent(ics, uid) {
+  const event = ics.split('BEGIN:VEVENT').find(text => text.includes(`UID:${uid}@`));
+  return {
+    sequence: Number(event.match(/SEQUENCE:(\d+)/)[1]),
+    summary: event.match(/SUMMARY:(.*)\r\n/)[1],
+    status: event.match(/STATUS:(.*)\r\n/)[1]
+  };
+}
+
+describe('calendar', () => {
+  let doctor;
+  let slot;
+  let patient;
+  let token;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+    patient = await createPatient();
+    token = tokenFor('patient', patient.id);
+  });
+
+  describe('booking calendar file', () => {
+    async function bookingEvent(bookingId) {
+      const { status, headers, body } = await api('GET', `/api/bookings/${bookingId}/calendar.ics`, { token });
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^text\/calendar/);
+      return findEvent(body, `booking-${bookingId}`);
+    }
+
+    it('increments SEQUENCE when the booking is confirmed, rescheduled and cancelled', async () => {
+      const other = await createSlot(doctor.id, { startTime: new Date(slot.start_time.getTime() + 60 * 60 * 1000) });
+      const events = [];
+
+      const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token, body: {} });
+      events.push(await bookingEvent(hold.body.id));
+      await api('POST', `/api/bookings/${hold.body.id}/confirm`, { token });
+      events.push(await bookingEvent(hold.body.id));
+      await api('POST', `/api/bookings/${hold.body.id}/reschedule`, { token, body: { slot_id: other.id } });
+      events.push(await bookingEvent(hold.body.id));
+      await api('POST', `/api/bookings/${hold.body.id}/cancel`, { token, body: {} });
+      events.push(await bookingEvent(hold.body.id));
+
+      assert.deepEqual(events.map(event => [event.sequence, event.status]), [
+        [0, 'TENTATIVE'],
+        [1, 'CONFIRMED'],
+        [2, 'CONFIRMED'],
+        [3, 'CANCELLED']
+      ]);
+    });
+  });
+
+  describe('doctor calendar feed', () => {
+    let feedUrl;
+
+    beforeEach(async () => {
+      const { status, body } = await api('POST', `/api/doctors/${doctor.id}/calendar-token`, { token: tokenFor('admin') });
+      assert.equal(status, 201);
+      feedUrl = `/api/doctors/${doctor.id}/calendar.ics?token=${body.token}`;
+    });
+
+    async function slotEvent() {
+      const { status, body } = await api('GET', feedUrl);
+      assert.equal(status, 200);
+      return findEvent(body, `slot-${slot.id}`);
+    }
+
+    it('increments SEQUENCE each time the slot\'s event changes', async () => {
+      const events = [];
+      events.push(await slotEvent());
+
+      const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token, body: {} });
+      events.push(await slotEvent());
+      await api('POST', `/api/bookings/${hold.body.id}/confirm`, { token });
+      events.push(await slotEvent());
+      await api('POST', `/api/bookings/${hold.body.id}/cancel`, { token, body: {} });
+      events.push(await slotEvent());
+
+      assert.deepEqual(events.map(event => event.sequence), [0, 1, 2, 3]);
+      assert.deepEqual(events.map(event => event.summary.split(':')[0]), ['Available', 'Held', 'Booked', 'Available']);
+    });
+
+    it('increments SEQUENCE when an expired hold is released', async () => {
+      const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token, body: {} });
+      await pool.query(`UPDATE bookings SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [hold.body.id]);
+
+      await bookingExpiryJob.run();
+
+      const event = await slotEvent();
+      assert.deepEqual([event.sequence, event.summary], [2, 'Available']);
+    });
+
+    it('increments SEQUENCE when the slot is blocked and unblocked', async () => {
+      const admin = tokenFor('admin');
+      const events = [];
+
+      await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { blocked: true } });
+      events.push(await slotEvent());
+      await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { blocked: false } });
+      events.push(await slotEvent());
+
+      assert.deepEqual(events.map(event => [event.sequence, event.summary]), [[1, 'Blocked'], [2, 'Available']]);
+    });
+
+    it('increments SEQUENCE of both slots of a rescheduled booking', async () => {
+      const other = await createSlot(doctor.id, { startTime: new Date(slot.start_time.getTime() + 60 * 60 * 1000) });
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { token, body: {} });
+
+      await api('POST', `/api/bookings/${booking.body.id}/reschedule`, { token, body: { slot_id: other.id } });
+
+      const { rows } = await pool.query('SELECT id, calendar_sequence FROM slots ORDER BY id');
+      assert.deepEqual(rows, [{ id: slot.id, calendar_sequence: 2 }, { id: other.id, calendar_sequence: 1 }]);
+    });
+
+    it('requires the current feed token', async () => {
+      const missing = await api('GET', `/api/doctors/${doctor.id}/calendar.ics`);
+      await api('POST', `/api/doctors/${doctor.id}/calendar-token`, { token: tokenFor('admin') });
+      const revoked = await api('GET', feedUrl);
+
+      assert.equal(missing.status, 401);
+      assert.equal(revoked.status, 401);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient, futureTime
+} = require('./helpers');
+
+describe('doctors', () => {
+  const admin = tokenFor('admin');
+  let doctor;
+  let slot;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+  });
+
+  async function bookingStatuses() {
+    const { rows } = await pool.query('SELECT id, status FROM bookings ORDER BY id');
+    return rows.map(row => [row.id, row.status]);
+  }
+
+  it('updates a doctor\'s details', async () => {
+    const { status, body } = await api('PATCH', `/api/admin/doctors/${doctor.id}`, {
+      token: admin,
+      body: { specialization: 'cardiology' }
+    });
+    const invalid = await api('PATCH', `/api/admin/doctors/${doctor.id}`, { token: admin, body: { name: '' } });
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.name, body.specialization], ['Dr Test', 'cardiology']);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('refuses new bookings for a deactivated doctor until reactivated', async () => {
+    const waiting = await createPatient();
+
+    await api('POST', `/api/admin/doctors/${doctor.id}/deactivate`, { token: admin });
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+    const join = await api('POST', `/api/doctors/${doctor.id}/waitlist`, { token: tokenFor('patient', waiting.id), body: {} });
+    const listed = await api('GET', '/api/doctors');
+    await api('POST', `/api/admin/doctors/${doctor.id}/activate`, { token: admin });
+    const rebooking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+
+    assert.deepEqual([booking.status, join.status], [409, 409]);
+    assert.deepEqual(listed.body, []);
+    assert.equal(rebooking.status, 201);
+  });
+
+  describe('DELETE /api/admin/doctors/:id', () => {
+    it('removes a doctor whose slots were never booked', async () => {
+      const { status, body } = await api('DELETE', `/api/admin/doctors/${doctor.id}`, { token: admin });
+
+      assert.equal(status, 200);
+      assert.deepEqual([body.archived, body.removed_slots], [false, 1]);
+      const { rows } = await pool.query('SELECT id FROM doctors');
+      assert.deepEqual(rows, []);
+    });
+
+    it('refuses to delete a doctor with upcoming bookings', async () => {
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+
+      const { status, body } = await api('DELETE', `/api/admin/doctors/${doctor.id}`, { token: admin });
+
+      assert.deepEqual([status, body.code], [409, 'DOCTOR_HAS_UPCOMING_BOOKINGS']);
+      assert.deepEqual(body.details, { booking_ids: [booking.body.id] });
+      assert.deepEqual(await bookingStatuses(), [[booking.body.id, 'CONFIRMED']]);
+    });
+
+    it('cancels upcoming bookings and archives the doctor with cancel_bookings', async () => {
+      const past = await createSlot(doctor.id, { startTime: futureTime(-48) });
+      await createSlot(doctor.id, { startTime: futureTime(48) });
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+      const waiting = await createPatient({ name: 'Bob' });
+      await api('POST', `/api/doctors/${doctor.id}/waitlist`, { token: tokenFor('patient', waiting.id), body: {} });
+
+      const { status, body } = await api('DELETE', `/api/admin/doctors/${doctor.id}?cancel_bookings=true`, { token: admin });
+
+      assert.equal(status, 200);
+      assert.deepEqual([body.archived, body.cancelled_booking_ids, body.removed_slots], [true, [booking.body.id], 1]);
+      assert.equal(body.doctor.active, false);
+      assert.ok(body.doctor.deleted_at);
+      const { rows: [cancelled] } = await pool.query('SELECT status, cancelled_by, cancellation_reason FROM bookings');
+      assert.deepEqual(cancelled, { status: 'CANCELLED', cancelled_by: 'admin', cancellation_reason: 'Doctor is no longer available' });
+      const { rows: slots } = await pool.query('SELECT id FROM slots ORDER BY id');
+      assert.deepEqual(slots.map(row => row.id), [slot.id, past.id]);
+      const { rows: [entry] } = await pool.query('SELECT status FROM waitlist_entries');
+      assert.equal(entry.status, 'CANCELLED');
+      const missing = await api('PATCH', `/api/admin/doctors/${doctor.id}`, { token: admin, body: { name: 'Dr Gone' } });
+      assert.equal(missing.status, 404);
+    });
+
+    it('cancels nothing when the delete fails', async () => {
+      const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+      await pool.query(`
+        CREATE FUNCTION fail_doctor_delete() RETURNS trigger LANGUAGE plpgsql AS $$
+        BEGIN RAISE EXCEPTION 'delete failed'; END $$;
+        CREATE TRIGGER fail_doctor_delete BEFORE INSERT ON audit_log
+          FOR EACH ROW WHEN (NEW.action = 'doctor.delete') EXECUTE FUNCTION fail_doctor_delete();
+      `);
+
+      let response;
+      try {
+        response = await api('DELETE', `/api/admin/doctors/${doctor.id}?cancel_bookings=true`, { token: admin });
+      } finally {
+        await pool.query('DROP TRIGGER fail_doctor_delete ON audit_log; DROP FUNCTION fail_doctor_delete()');
+      }
+
+      assert.equal(response.status, 500);
+      assert.deepEqual(await bookingStatuses(), [[booking.body.id, 'CONFIRMED']]);
+      const { rows: [current] } = await pool.query('SELECT active, deleted_at FROM doctors WHERE id = $1', [doctor.id]);
+      assert.deepEqual(current, { active: true, deleted_at: null });
+    });
+
+    it('is only for admins', async () => {
+      const { status } = await api('DELETE', `/api/admin/doctors/${doctor.id}`, { token: tokenFor('front_desk') });
+
+      assert.equal(status, 403);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Test helpers
+ * 
+ * Tests run against the app and a real PostgreSQL database: TEST_PGDATABASE
+ * (default medreserve_test) on the server of the PG* variables, created if it
+ * does not exist and migrated before each test file. Its data is deleted by
+ * resetDatabase, and its schema dropped and rebuilt by migrations.test.js, so
+ * never point it at a database you want to keep.
+ * 
+ * Require this file before anything that loads config/database.js, as it sets
+ * the environment the app reads at load time:
+ * 
+ *   const { setup, teardown, resetDatabase, api } = require('./helpers');
+ */
+process.env.PGDATABASE = process.env.TEST_PGDATABASE || 'medreserve_test';
+delete process.env.DATABASE_URL;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.OPENAPI_RESPONSE_VALIDATION = 'strict';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+// Rate limits are off, as every test request comes from the same address;
+// test/rateLimit.test.js sets its own
+for (const name of ['RATE_LIMIT_MAX', 'BOOKING_RATE_LIMIT_MAX', 'BOOKING_RATE_LIMIT_PATIENT_MAX']) {
+  process.env[name] = process.env[name] || '0';
+}
+
+const { Client } = require('pg');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { runMigrations } = require('../src/db/migrate');
+const app = require('../src/app');
+const lifecycle = require('../src/lifecycle');
+
+let server;
+let baseUrl;
+
+/**
+ * Create the test database if it does not exist
+ */
+async function createDatabase() {
+  const database = process.env.PGDATABASE;
+  const client = new Client({
+    user: process.env.PGUSER || process.env.DB_USER,
+    host: process.env.PGHOST || process.env.DB_HOST,
+    password: process.env.PGPASSWORD || process.env.DB_PASSWORD,
+    port: Number(process.env.PGPORT || process.env.DB_PORT || 5432),
+    database: 'postgres'
+  });
+  await client.connect();
+  try {
+    const { rowCount } = await client.query('SELECT 1 FROM pg_database WHERE datname = $1', [database]);
+    if (rowCount === 0) {
+      await client.query(`CREATE DATABASE "${database.replace(/"/g, '""')}"`);
+    }
+  } catch (error) {
+    // Another test file created it first
+    if (error.code !== '42P04' && error.code !== '23505') {
+      throw error;
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Delete every row (except the migration history) and restart the id sequences
+ */
+async function resetDatabase() {
+  const { rows } = await pool.query(
+    `SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`
+  );
+  if (rows.length > 0) {
+    await pool.query(`TRUNCATE ${rows.map(row => `"${row.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+  }
+}
+
+/**
+ * Start the app on a free port; it stays in the starting state (see src/lifecycle.js)
+ * until lifecycle.markReady() is called
+ */
+async function startApp() {
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Migrate the test database, empty it and start the app, ready, on a free port
+ */
+async function setup() {
+  await createDatabase();
+  await runMigrations();
+  await resetDatabase();
+  await startApp();
+  lifecycle.markReady();
+}
+
+/**
+ * Stop the app and close the database pool, so the test process can exit
+ */
+async function teardown() {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+  await pool.end();
+}
+
+/**
+ * Sign a token like scripts/issueToken.js
+ * @param {string} role - admin, front_desk, doctor or patient
+ * @param {number} [id] - Patient id of a patient token, doctor id of a doctor token
+ */
+function tokenFor(role, id) {
+  const claims = { role };
+  if (role === 'patient') {
+    claims.patient_id = id;
+  } else if (role === 'doctor') {
+    claims.doctor_id = id;
+  }
+  return jwt.sign(claims, process.env.JWT_SECRET, {
+    subject: id === undefined ? role : `${role}:${id}`,
+    expiresIn: '1h'
+  });
+}
+
+/**
+ * Send a request to the app
+ * @param {string} method
+ * @param {string} path - e.g. /api/slots/1/book
+ * @param {Object} [options]
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {string} [options.token] - Bearer token
+ * @param {Object} [options.headers]
+ * @returns {Promise<{status: number, headers: Headers, body: *}>} body is parsed when JSON
+ */
+async function api(method, path, { body, token, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+  return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+}
+
+/**
+ * Insert a doctor
+ * @returns {Promise<Object>} The doctor row
+ */
+async function createDoctor({ name = 'Dr Test', specialization = 'general' } = {}) {
+  const { rows } = await pool.query(
+    'INSERT INTO doctors (name, specialization) VALUES ($1, $2) RETURNING *',
+    [name, specialization]
+  );
+  return rows[0];
+}
+
+/**
+ * Insert a slot, by default a day from now
+ * @returns {Promise<Object>} The slot row
+ */
+async function createSlot(doctorId, { startTime, durationMinutes = 15 } = {}) {
+  const { rows } = await pool.query(
+    'INSERT INTO slots (doctor_id, start_time, duration_minutes) VALUES ($1, $2, $3) RETURNING *',
+    [doctorId, startTime || futureTime(), durationMinutes]
+  );
+  return rows[0];
+}
+
+/**
+ * Insert a patient
+ * @returns {Promise<Object>} The patient row
+ */
+async function createPatient({ name = 'Pat Test', email = null, phone = null, mrn = null } = {}) {
+  const { rows } = await pool.query(
+    'INSERT INTO patients (name, email, phone, mrn) VALUES ($1, $2, $3, $4) RETURNING *',
+    [name, email, phone, mrn]
+  );
+  return rows[0];
+}
+
+/**
+ * An ISO timestamp on a whole hour, hours from now (a day by default)
+ */
+function futureTime(hours = 24) {
+  const date = new Date(Date.now() + hours * 60 * 60 * 1000);
+  date.setUTCMinutes(0, 0, 0);
+  return date.toISOString();
+}
+
+module.exports = {
+  pool,
+  setup,
+  startApp,
+  teardown,
+  resetDatabase,
+  tokenFor,
+  api,
+  createDoctor,
+  createSlot,
+  createPatient,
+  futureTime
+};
@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient, futureTime
+} = require('./helpers');
+
+describe('Idempotency-Key', () => {
+  let doctor;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+  });
+
+  it('replays the response of a retry', async () => {
+    const slot = await createSlot(doctor.id);
+    const request = { body: { patient_name: 'Ada' }, headers: { 'Idempotency-Key': 'key-1' } };
+
+    const first = await api('POST', `/api/slots/${slot.id}/book`, request);
+    const retry = await api('POST', `/api/slots/${slot.id}/book`, request);
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM bookings');
+    assert.equal(rows[0].count, 1);
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    const slot = await createSlot(doctor.id);
+    const headers = { 'Idempotency-Key': 'key-1' };
+
+    await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' }, headers });
+    const { status } = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' }, headers });
+
+    assert.equal(status, 422);
+  });
+
+  it('lets a failed request be retried with the same key', async () => {
+    const slot = await createSlot(doctor.id);
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+    const headers = { 'Idempotency-Key': 'key-1' };
+
+    const failed = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' }, headers });
+    await api('POST', `/api/admin/bookings/${booking.body.id}/cancel`, { token: tokenFor('admin'), body: {} });
+    const retry = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' }, headers });
+
+    assert.equal(failed.status, 409);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+  });
+
+  it('never replays one caller\'s response to another caller with the same key', async () => {
+    const slot = await createSlot(doctor.id);
+    const ada = await createPatient({ email: 'ada@example.com' });
+    const bob = await createPatient({ email: 'bob@example.com' });
+    const headers = { 'Idempotency-Key': 'shared-key' };
+
+    const first = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', ada.id), body: {}, headers });
+    const second = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', bob.id), body: {}, headers });
+
+    assert.equal(first.status, 201);
+    assert.equal(first.body.patient_id, ada.id);
+    // Processed as Bob's own request: the slot is taken, and nothing of Ada's booking is returned
+    assert.equal(second.status, 409);
+    assert.equal(second.headers.get('idempotent-replayed'), null);
+    assert.ok(!JSON.stringify(second.body).includes('ada@example.com'));
+  });
+
+  it('scopes keys to staff users', async () => {
+    const slotA = await createSlot(doctor.id);
+    const slotB = await createSlot(doctor.id, { startTime: futureTime(48) });
+    const headers = { 'Idempotency-Key': 'shared-key' };
+
+    const admin = await api('POST', `/api/slots/${slotA.id}/book`, { token: tokenFor('admin'), body: { patient_name: 'Ada' }, headers });
+    const frontDesk = await api('POST', `/api/slots/${slotB.id}/book`, { token: tokenFor('front_desk'), body: { patient_name: 'Bob' }, headers });
+
+    assert.equal(admin.status, 201);
+    assert.equal(frontDesk.status, 201);
+    assert.notEqual(frontDesk.body.id, admin.body.id);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, setup, teardown, resetDatabase } = require('./helpers');
+const runner = require('../src/jobs/runner');
+const jobService = require('../services/jobService');
+
+/**
+ * A job that counts its runs, and can be held mid-run until release() is called
+ */
+function createTestJob(name, { intervalSeconds = 0, fail = false } = {}) {
+  let release = () => {};
+  let blocked = null;
+  const job = {
+    name,
+    description: 'Test job',
+    intervalSeconds,
+    runs: 0,
+    block() {
+      blocked = new Promise(resolve => {
+        release = resolve;
+      });
+    },
+    release: () => release(),
+    async run() {
+      job.runs += 1;
+      await blocked;
+      if (fail) {
+        throw new Error('Job failed');
+      }
+      return { runs: job.runs };
+    }
+  };
+  return job;
+}
+
+describe('job runner', () => {
+  const job = createTestJob('test_job');
+  const failingJob = createTestJob('test_failing_job', { fail: true });
+  const scheduledJob = createTestJob('test_scheduled_job', { intervalSeconds: 3600 });
+
+  before(async () => {
+    await setup();
+    runner.register(job);
+    runner.register(failingJob);
+    runner.register(scheduledJob);
+  });
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    job.runs = 0;
+    scheduledJob.runs = 0;
+  });
+
+  it('records a manual run', async () => {
+    const run = await runner.runNow('test_job', 'admin');
+
+    assert.equal(run.status, 'SUCCEEDED');
+    assert.equal(run.trigger, 'manual');
+    assert.equal(run.triggered_by, 'admin');
+    assert.deepEqual(run.result, { runs: 1 });
+    assert.equal(run.instance, jobService.INSTANCE);
+  });
+
+  it('records a failed run without throwing', async () => {
+    const run = await runner.runNow('test_failing_job');
+
+    assert.equal(run.status, 'FAILED');
+    assert.equal(run.error, 'Job failed');
+  });
+
+  it('does not run a job while another instance holds its advisory lock', async () => {
+    // Another instance: its own connection, so its own session lock
+    const other = await pool.connect();
+    try {
+      assert.equal(await jobService.tryLockJob(other, 'test_job'), true);
+
+      await assert.rejects(runner.runNow('test_job'), { statusCode: 409, code: 'JOB_ALREADY_RUNNING' });
+      assert.equal(job.runs, 0);
+
+      await jobService.unlockJob(other, 'test_job');
+    } finally {
+      other.release();
+    }
+
+    const run = await runner.runNow('test_job');
+    assert.equal(run.status, 'SUCCEEDED');
+    assert.equal(job.runs, 1);
+  });
+
+  it('runs a job once when it is triggered concurrently', async () => {
+    job.block();
+    const first = runner.runNow('test_job');
+    const second = runner.runNow('test_job');
+    await assert.rejects(second, { code: 'JOB_ALREADY_RUNNING' });
+    job.release();
+
+    assert.equal((await first).status, 'SUCCEEDED');
+    assert.equal(job.runs, 1);
+  });
+
+  it('releases the lock after a run', async () => {
+    await runner.runNow('test_job');
+
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM pg_locks WHERE locktype = 'advisory' AND classid = 4242`
+    );
+    assert.equal(rows[0].count, 0);
+  });
+
+  it('skips a scheduled run that is not due, whichever instance ran it last', async () => {
+    runner.start();
+    await runner.stop();
+    assert.equal(scheduledJob.runs, 1);
+
+    // Not due according to the run history, so a restarted or other instance does not run it again
+    runner.start();
+    await runner.stop();
+    assert.equal(scheduledJob.runs, 1);
+
+    const { rows } = await pool.query(`SELECT trigger FROM job_runs WHERE job_name = 'test_scheduled_job'`);
+    assert.deepEqual(rows, [{ trigger: 'schedule' }]);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, teardown, api } = require('./helpers');
+const lifecycle = require('../src/lifecycle');
+
+describe('server lifecycle', () => {
+  // The database is never initialised here: the app is only started, not set up
+  before(startApp);
+  after(teardown);
+
+  it('refuses API requests with 503 and Retry-After while starting', async () => {
+    const { status, headers, body } = await api('POST', '/api/slots/1/book', { body: { patient_name: 'Ada' } });
+
+    assert.equal(status, 503);
+    assert.equal(headers.get('retry-after'), '5');
+    assert.equal(body.code, 'SERVER_STARTING');
+    assert.ok(body.request_id);
+  });
+
+  it('answers liveness but fails readiness while starting', async () => {
+    const live = await api('GET', '/health/live');
+    const ready = await api('GET', '/health/ready');
+
+    assert.equal(live.status, 200);
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.status, 'starting');
+  });
+
+  it('serves API requests once ready', async () => {
+    lifecycle.markReady();
+
+    const { status, headers } = await api('GET', '/api/openapi.json');
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('retry-after'), null);
+  });
+});
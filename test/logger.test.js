@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+
+/**
+ * Run a script in a fresh process, where LOG_LEVEL is read at load time,
+ * and parse the JSON lines it logs
+ */
+function logLines(script, logLevel = 'info') {
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, LOG_LEVEL: logLevel },
+    encoding: 'utf8'
+  });
+  return output.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('logger', () => {
+  it('redacts patient data by field name and in free text', () => {
+    const [line] = logLines(`
+      const logger = require('./config/logger');
+      logger.warn('Reminder failed for ada@example.com', {
+        patient_name: 'Ada Lovelace',
+        patientPhone: '+44 20 7946 0958',
+        booking: { id: 12, email: 'ada@example.com' },
+        error: new Error('duplicate key (phone)=(020 7946 0958)')
+      });
+    `);
+
+    assert.equal(line.level, 'warn');
+    assert.equal(line.msg, 'Reminder failed for [REDACTED]');
+    assert.deepEqual([line.patient_name, line.patientPhone], ['[REDACTED]', '[REDACTED]']);
+    assert.deepEqual(line.booking, { id: 12, email: '[REDACTED]' });
+    assert.match(line.error.message, /^duplicate key \(phone\)=.*\[REDACTED\]/);
+    assert.doesNotMatch(line.error.message, /7946/);
+  });
+
+  it('writes only lines at or above LOG_LEVEL, tagged with the job that logged them', () => {
+    const lines = logLines(`
+      const logger = require('./config/logger');
+      const { runAsSystem } = require('./middleware/requestContext');
+      runAsSystem('bookingExpiryJob', async () => {
+        logger.info('Not written');
+        logger.warn('Written', { expired: 2 });
+      });
+    `, 'warn');
+
+    assert.deepEqual(lines.map(line => [line.level, line.msg, line.job, line.expired]), [
+      ['warn', 'Written', 'bookingExpiryJob', 2]
+    ]);
+  });
+});
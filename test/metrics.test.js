@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot
+} = require('./helpers');
+const bookingExpiryJob = require('../src/jobs/bookingExpiryJob');
+
+/**
+ * The value of a sample in the Prometheus text format, 0 if it is not there yet
+ */
+function sampleValue(text, sample) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+  return line ? Number(line.slice(sample.length + 1)) : 0;
+}
+
+describe('metrics', () => {
+  let slot;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    const doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+  });
+
+  async function metrics() {
+    const { status, headers, body } = await api('GET', '/metrics');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    return body;
+  }
+
+  it('counts booking outcomes', async () => {
+    const confirmed = 'medreserve_booking_outcomes_total{operation="book",outcome="confirmed"}';
+    const conflict = 'medreserve_booking_outcomes_total{operation="book",outcome="conflict"}';
+    const previous = await metrics();
+
+    await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+    await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' } });
+
+    const current = await metrics();
+    assert.equal(sampleValue(current, confirmed) - sampleValue(previous, confirmed), 1);
+    assert.equal(sampleValue(current, conflict) - sampleValue(previous, conflict), 1);
+    assert.match(current, /^http_request_duration_seconds_count\{method="POST",route="\/api\/slots\/:slotId\/book",status_code="409"\} \d+$/m);
+    assert.match(current, /^medreserve_db_pool_total_clients \d+$/m);
+  });
+
+  it('records expiry job runs and the holds they expire', async () => {
+    const expired = 'medreserve_expiry_job_rows_total{kind="expired"}';
+    const runs = 'medreserve_expiry_job_runs_total{result="success"}';
+    const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token: tokenFor('front_desk'), body: { patient_name: 'Ada' } });
+    await pool.query(`UPDATE bookings SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [hold.body.id]);
+    const previous = await metrics();
+
+    await bookingExpiryJob.run();
+
+    const current = await metrics();
+    assert.equal(sampleValue(current, runs) - sampleValue(previous, runs), 1);
+    assert.equal(sampleValue(current, expired) - sampleValue(previous, expired), 1);
+  });
+
+  it('requires METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    try {
+      const missing = await api('GET', '/metrics');
+      const scraped = await api('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-secret' } });
+
+      assert.deepEqual([missing.status, missing.body.code], [401, 'INVALID_METRICS_TOKEN']);
+      assert.equal(scraped.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pool, setup, teardown } = require('./helpers');
+const { runMigrations, getMigrationStatus } = require('../src/db/migrate');
+
+const MIGRATION_FILES = fs.readdirSync(path.join(__dirname, '../migrations')).filter(name => /^\d+_\w+\.sql$/.test(name)).sort();
+
+describe('migrations', () => {
+  before(setup);
+  after(teardown);
+
+  it('applies every migration to an empty database, once, when run concurrently', async () => {
+    await pool.query('DROP SCHEMA public CASCADE');
+    await pool.query('CREATE SCHEMA public');
+
+    // Instances starting together wait for each other on the advisory lock
+    const runs = await Promise.all([runMigrations(), runMigrations()]);
+
+    assert.deepEqual(runs.flat().sort(), MIGRATION_FILES);
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM schema_migrations');
+    assert.equal(rows[0].count, MIGRATION_FILES.length);
+  });
+
+  it('applies nothing when rerun', async () => {
+    assert.deepEqual(await runMigrations(), []);
+
+    const status = await getMigrationStatus();
+    assert.equal(status.length, MIGRATION_FILES.length);
+    assert.ok(status.every(migration => migration.status === 'applied'));
+  });
+
+  it('refuses to run when an applied migration has changed', async () => {
+    const { rows: [first] } = await pool.query('SELECT version, checksum FROM schema_migrations ORDER BY version LIMIT 1');
+    await pool.query(`UPDATE schema_migrations SET checksum = 'edited' WHERE version = $1`, [first.version]);
+
+    try {
+      await assert.rejects(runMigrations(), /has changed since it was applied/);
+      const status = await getMigrationStatus();
+      assert.equal(status[0].status, 'changed');
+    } finally {
+      await pool.query('UPDATE schema_migrations SET checksum = $2 WHERE version = $1', [first.version, first.checksum]);
+    }
+  });
+
+  it('reports applied migrations whose file is missing', async () => {
+    await pool.query(`INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (9999, 'removed', 'x', 0)`);
+
+    try {
+      const status = await getMigrationStatus();
+      assert.deepEqual(
+        status.filter(migration => migration.status !== 'applied').map(({ version, status }) => ({ version, status })),
+        [{ version: 9999, status: 'missing' }]
+      );
+    } finally {
+      await pool.query('DELETE FROM schema_migrations WHERE version = 9999');
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient
+} = require('./helpers');
+const { checkResponse } = require('../middleware/responseValidation');
+
+/**
+ * Send a request and check its response against the OpenAPI document
+ * @returns {Promise<Object>} The response (see helpers.api)
+ */
+async function conformingApi(method, path, options) {
+  const response = await api(method, path, options);
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+
+  assert.notEqual(response.body.code, 'RESPONSE_VALIDATION_FAILED', JSON.stringify(response.body.details));
+  assert.deepEqual(checkResponse({ method, originalUrl: path }, response.status, response.body, isJson), []);
+  return response;
+}
+
+describe('OpenAPI conformance', () => {
+  let doctor;
+  let slot;
+  let token;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+    const patient = await createPatient();
+    token = tokenFor('patient', patient.id);
+  });
+
+  it('serves the document', async () => {
+    const { status, body } = await api('GET', '/api/openapi.json');
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    for (const path of ['/api/slots/{slotId}/book', '/api/slots/{slotId}/hold', '/api/bookings/{id}/cancel']) {
+      assert.ok(body.paths[path] && body.paths[path].post, `${path} is documented`);
+    }
+  });
+
+  it('books a slot as documented', async () => {
+    const { status } = await conformingApi('POST', `/api/slots/${slot.id}/book`, {
+      body: { patient_name: 'Ada', patient_email: 'ada@example.com' },
+      headers: { 'Idempotency-Key': 'book-1' }
+    });
+
+    assert.equal(status, 201);
+  });
+
+  it('holds a slot and confirms the hold as documented', async () => {
+    const hold = await conformingApi('POST', `/api/slots/${slot.id}/hold`, { token, body: {} });
+    const confirm = await conformingApi('POST', `/api/bookings/${hold.body.id}/confirm`, { token });
+
+    assert.equal(hold.status, 201);
+    assert.equal(confirm.status, 200);
+  });
+
+  it('cancels a booking as documented', async () => {
+    const booking = await conformingApi('POST', `/api/slots/${slot.id}/book`, { token, body: {} });
+    const { status } = await conformingApi('POST', `/api/bookings/${booking.body.id}/cancel`, {
+      token,
+      body: { reason: 'Feeling better' }
+    });
+
+    assert.equal(status, 200);
+  });
+
+  describe('error envelope', () => {
+    it('is used for a conflict', async () => {
+      await conformingApi('POST', `/api/slots/${slot.id}/book`, { token, body: {} });
+      const { status, body } = await conformingApi('POST', `/api/slots/${slot.id}/hold`, {
+        token: tokenFor('front_desk'),
+        body: { patient_name: 'Bob' }
+      });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'SLOT_ALREADY_BOOKED');
+      assert.ok(body.request_id);
+    });
+
+    it('is used for an invalid request', async () => {
+      const { status, body } = await conformingApi('POST', `/api/slots/${slot.id}/book`, { body: { patient_email: 'not-an-email' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+    });
+
+    it('is used for a missing booking', async () => {
+      const { status, body } = await conformingApi('POST', '/api/bookings/999999/cancel', { token: tokenFor('admin'), body: {} });
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'BOOKING_NOT_FOUND');
+    });
+
+    it('is used for a missing token', async () => {
+      const { status } = await conformingApi('POST', `/api/bookings/${slot.id}/cancel`, { body: {} });
+
+      assert.equal(status, 401);
+    });
+
+    it('is used for a reused Idempotency-Key', async () => {
+      const headers = { 'Idempotency-Key': 'book-1' };
+      await conformingApi('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' }, headers });
+      const { status, body } = await conformingApi('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Bob' }, headers });
+
+      assert.equal(status, 422);
+      assert.equal(body.code, 'IDEMPOTENCY_KEY_REUSED');
+    });
+
+    it('is used for an unknown route', async () => {
+      const { status, body } = await api('GET', '/api/no-such-route');
+
+      assert.equal(status, 404);
+      assert.deepEqual(checkResponse({ method: 'GET', originalUrl: '/api/no-such-route' }, status, body, true), []);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+// Limits low enough to reach; set before helpers turns the unset ones off
+process.env.BOOKING_RATE_LIMIT_MAX = '8';
+process.env.BOOKING_RATE_LIMIT_PATIENT_MAX = '2';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient, futureTime
+} = require('./helpers');
+const { rateLimit } = require('../middleware/rateLimit');
+const createMemoryStore = require('../services/rateLimit/memoryStore');
+
+/**
+ * Run a middleware on a fake request
+ * @returns {Promise<{error: *, headers: Object}>} What it passed to next, and the headers it set
+ */
+function runMiddleware(middleware, req = { ip: '192.0.2.1' }) {
+  const headers = {};
+  const res = {
+    set(name, value) {
+      Object.assign(headers, typeof name === 'string' ? { [name]: value } : name);
+    }
+  };
+  return new Promise(resolve => {
+    middleware(req, res, error => resolve({ error, headers }));
+  });
+}
+
+describe('rate limits', () => {
+  before(setup);
+  after(teardown);
+
+  describe('rateLimit', () => {
+    it('rejects requests over the limit until the window resets', async () => {
+      const limit = rateLimit({ name: 'test', max: 2, windowSeconds: 1, identify: req => [req.ip], store: createMemoryStore() });
+
+      const results = [];
+      for (let i = 0; i < 3; i += 1) {
+        results.push(await runMiddleware(limit));
+      }
+
+      assert.deepEqual(results.map(result => result.error && result.error.code), [undefined, undefined, 'RATE_LIMITED']);
+      assert.equal(results[2].error.statusCode, 429);
+      assert.equal(results[2].headers['Retry-After'], '1');
+      assert.equal(results[1].headers['RateLimit-Remaining'], '0');
+
+      await sleep(1100);
+      const afterReset = await runMiddleware(limit);
+      assert.equal(afterReset.error, undefined);
+      assert.equal(afterReset.headers['RateLimit-Remaining'], '1');
+    });
+
+    it('counts each client separately', async () => {
+      const limit = rateLimit({ name: 'test', max: 1, windowSeconds: 60, identify: req => [req.ip], store: createMemoryStore() });
+
+      await runMiddleware(limit, { ip: '192.0.2.1' });
+      const other = await runMiddleware(limit, { ip: '192.0.2.2' });
+
+      assert.equal(other.error, undefined);
+    });
+
+    it('lets requests through when the store fails', async () => {
+      const store = {
+        name: 'broken',
+        async hit() {
+          throw new Error('connection refused');
+        }
+      };
+      const limit = rateLimit({ name: 'test', max: 1, windowSeconds: 60, identify: req => [req.ip], store });
+
+      const results = [await runMiddleware(limit), await runMiddleware(limit)];
+
+      assert.deepEqual(results.map(result => result.error), [undefined, undefined]);
+    });
+  });
+
+  describe('booking limits', () => {
+    let doctor;
+
+    // Counters are kept for the whole file, so every test uses its own patients
+    before(async () => {
+      doctor = await createDoctor();
+    });
+
+    it('limits booking requests per patient token', async () => {
+      const patient = await createPatient();
+      const token = tokenFor('patient', patient.id);
+
+      const statuses = [];
+      for (let i = 1; i <= 3; i += 1) {
+        const slot = await createSlot(doctor.id, { startTime: futureTime(24 * i) });
+        const { status, body } = await api('POST', `/api/slots/${slot.id}/book`, { token, body: {} });
+        statuses.push(status === 429 ? body.details.limit : status);
+      }
+
+      assert.deepEqual(statuses, [201, 201, 'booking_patient']);
+    });
+
+    it('does not count patient details sent in the body', async () => {
+      const victim = await createPatient({ email: 'victim@example.com' });
+      const slot = await createSlot(doctor.id, { startTime: futureTime(24 * 10) });
+
+      for (let i = 0; i < 3; i += 1) {
+        const { status } = await api('POST', `/api/slots/${slot.id}/book`, {
+          body: { patient_id: victim.id }
+        });
+        assert.equal(status, 400);
+      }
+
+      const { status, headers } = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', victim.id), body: {} });
+      assert.equal(status, 201);
+      assert.equal(headers.get('ratelimit-remaining'), '1');
+    });
+
+    it('exempts staff tokens', async () => {
+      const patient = await createPatient();
+      const slot = await createSlot(doctor.id, { startTime: futureTime(24 * 11) });
+
+      // More requests than BOOKING_RATE_LIMIT_MAX allows from this address
+      const statuses = [];
+      for (let i = 0; i < 10; i += 1) {
+        const { status } = await api('POST', `/api/slots/${slot.id}/book`, {
+          token: tokenFor('front_desk'),
+          body: { patient_id: patient.id }
+        });
+        statuses.push(status);
+      }
+
+      assert.deepEqual(statuses, [201, ...Array(9).fill(409)]);
+    });
+  });
+
+  describe('active booking cap', () => {
+    const token = tokenFor('front_desk');
+    let slots;
+    let patient;
+
+    async function prepare() {
+      await resetDatabase();
+      const doctor = await createDoctor();
+      patient = await createPatient();
+      slots = [];
+      for (let i = 1; i <= 6; i += 1) {
+        slots.push(await createSlot(doctor.id, { startTime: futureTime(24 * i) }));
+      }
+    }
+
+    it('rejects a booking over MAX_ACTIVE_BOOKINGS_PER_PATIENT', async () => {
+      await prepare();
+
+      const statuses = [];
+      for (const [i, slot] of slots.slice(0, 4).entries()) {
+        const { status, body } = await api('POST', `/api/slots/${slot.id}/${i % 2 ? 'hold' : 'book'}`, { token, body: { patient_id: patient.id } });
+        statuses.push(status === 409 ? body.code : status);
+      }
+
+      assert.deepEqual(statuses, [201, 201, 201, 'ACTIVE_BOOKING_LIMIT_REACHED']);
+    });
+
+    it('does not count cancelled bookings', async () => {
+      await prepare();
+      const bookings = [];
+      for (const slot of slots.slice(0, 3)) {
+        bookings.push((await api('POST', `/api/slots/${slot.id}/book`, { token, body: { patient_id: patient.id } })).body);
+      }
+
+      await api('POST', `/api/bookings/${bookings[0].id}/cancel`, { token, body: {} });
+      const { status } = await api('POST', `/api/slots/${slots[3].id}/book`, { token, body: { patient_id: patient.id } });
+
+      assert.equal(status, 201);
+    });
+
+    it('caps concurrent bookings for the same patient', async () => {
+      await prepare();
+
+      const responses = await Promise.all(slots.map(slot =>
+        api('POST', `/api/slots/${slot.id}/book`, { token, body: { patient_id: patient.id } })
+      ));
+
+      assert.deepEqual(responses.map(r => r.status).sort(), [201, 201, 201, 409, 409, 409]);
+      const { rows } = await pool.query(
+        `SELECT COUNT(*)::int AS count FROM bookings WHERE patient_id = $1 AND status = 'CONFIRMED'`,
+        [patient.id]
+      );
+      assert.equal(rows[0].count, 3);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const NOTIFICATIONS_FILE = path.join(os.tmpdir(), `medreserve-test-notifications-${process.pid}.log`);
+process.env.REMINDER_EMAIL_TRANSPORT = 'file';
+process.env.NOTIFICATIONS_FILE_PATH = NOTIFICATIONS_FILE;
+process.env.REMINDER_SMS_TRANSPORT = 'http';
+process.env.REMINDER_OFFSETS_MINUTES = '1440,120';
+process.env.REMINDER_MAX_ATTEMPTS = '2';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, futureTime
+} = require('./helpers');
+const reminderService = require('../services/reminderService');
+
+describe('reminders', () => {
+  const staff = tokenFor('front_desk');
+  // Stand-in SMS provider and the status it answers with
+  let smsProvider;
+  let smsStatus;
+  let booking;
+
+  before(async () => {
+    await setup();
+    smsProvider = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => res.writeHead(smsStatus, { 'Content-Type': 'application/json' }).end('{"id":"sms-1"}'));
+    });
+    await new Promise(resolve => smsProvider.listen(0, '127.0.0.1', resolve));
+    process.env.SMS_PROVIDER_URL = `http://127.0.0.1:${smsProvider.address().port}/messages`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => smsProvider.close(resolve));
+    fs.rmSync(NOTIFICATIONS_FILE, { force: true });
+    await teardown();
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    fs.rmSync(NOTIFICATIONS_FILE, { force: true });
+    smsStatus = 200;
+    const doctor = await createDoctor();
+    const slot = await createSlot(doctor.id, { startTime: futureTime(48) });
+    booking = (await api('POST', `/api/slots/${slot.id}/book`, {
+      token: staff,
+      body: { patient_name: 'Ada', patient_email: 'ada@example.com', patient_phone: '+447700900123' }
+    })).body;
+  });
+
+  async function reminderRows() {
+    const { rows } = await pool.query(
+      'SELECT id, channel, offset_minutes, status, attempts FROM booking_reminders WHERE booking_id = $1 ORDER BY send_at, channel',
+      [booking.id]
+    );
+    return rows;
+  }
+
+  /**
+   * Make the reminders of a channel due now
+   */
+  async function makeDue(channel) {
+    await pool.query(
+      `UPDATE booking_reminders SET send_at = NOW() WHERE booking_id = $1 AND channel = $2 AND offset_minutes = 1440`,
+      [booking.id, channel]
+    );
+  }
+
+  it('schedules an email and an SMS reminder per offset, and cancels them with the booking', async () => {
+    const scheduled = await reminderRows();
+    await api('POST', `/api/bookings/${booking.id}/cancel`, { token: staff, body: {} });
+
+    assert.deepEqual(scheduled.map(row => [row.offset_minutes, row.channel, row.status]), [
+      [1440, 'email', 'SCHEDULED'],
+      [1440, 'sms', 'SCHEDULED'],
+      [120, 'email', 'SCHEDULED'],
+      [120, 'sms', 'SCHEDULED']
+    ]);
+    assert.ok((await reminderRows()).every(row => row.status === 'CANCELLED'));
+  });
+
+  it('sends a due reminder once', async () => {
+    await makeDue('email');
+
+    const claimed = await reminderService.claimDueReminders();
+    const statuses = await Promise.all(claimed.map(reminder => reminderService.sendReminder(reminder)));
+    const again = await reminderService.claimDueReminders();
+
+    assert.deepEqual(statuses, ['SENT']);
+    assert.equal(again.length, 0);
+    const [sent] = fs.readFileSync(NOTIFICATIONS_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(sent.to, 'ada@example.com');
+    assert.match(sent.text, new RegExp(`Booking reference: ${booking.id}`));
+    const { body } = await api('GET', `/api/bookings/${booking.id}/reminders`, { token: staff });
+    const email = body.find(reminder => reminder.id === claimed[0].id);
+    assert.equal(email.status, 'SENT');
+    assert.deepEqual(email.attempts_log.map(attempt => [attempt.transport, attempt.success]), [['file', true]]);
+  });
+
+  it('retries a failed reminder, then marks it FAILED', async () => {
+    await makeDue('sms');
+    smsStatus = 500;
+
+    const [first] = await reminderService.claimDueReminders();
+    const retry = await reminderService.sendReminder(first);
+    await pool.query('UPDATE booking_reminders SET send_at = NOW() WHERE id = $1', [first.id]);
+    const [second] = await reminderService.claimDueReminders();
+    const failed = await reminderService.sendReminder(second);
+
+    assert.deepEqual([retry, failed], ['SCHEDULED', 'FAILED']);
+    const { rows } = await pool.query('SELECT error FROM reminder_attempts WHERE reminder_id = $1', [first.id]);
+    assert.deepEqual(rows.map(row => row.error), ['SMS provider responded with 500', 'SMS provider responded with 500']);
+  });
+
+  it('keeps a reminder cancelled while it was being sent cancelled', async () => {
+    await makeDue('email');
+
+    const [reminder] = await reminderService.claimDueReminders();
+    await api('POST', `/api/bookings/${booking.id}/cancel`, { token: staff, body: {} });
+    const status = await reminderService.sendReminder(reminder);
+
+    assert.equal(status, null);
+    const { rows } = await pool.query('SELECT status FROM booking_reminders WHERE id = $1', [reminder.id]);
+    assert.equal(rows[0].status, 'CANCELLED');
+  });
+
+  it('leaves a reminder claimed again by another instance to that instance', async () => {
+    await makeDue('email');
+
+    const [stale] = await reminderService.claimDueReminders();
+    await pool.query(`UPDATE booking_reminders SET claimed_until = NOW() - INTERVAL '1 second' WHERE id = $1`, [stale.id]);
+    const [reclaimed] = await reminderService.claimDueReminders();
+    const status = await reminderService.sendReminder(stale);
+
+    assert.equal(reclaimed.id, stale.id);
+    assert.equal(status, null);
+    const { rows } = await pool.query('SELECT status, attempts FROM booking_reminders WHERE id = $1', [stale.id]);
+    assert.deepEqual(rows[0], { status: 'SENDING', attempts: 2 });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, futureTime
+} = require('./helpers');
+
+describe('slot management', () => {
+  const admin = tokenFor('admin');
+  let doctor;
+  let slot;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+    slot = await createSlot(doctor.id, { startTime: futureTime(24) });
+  });
+
+  async function book(slotId = slot.id) {
+    const { status, body } = await api('POST', `/api/slots/${slotId}/book`, { body: { patient_name: 'Ada' } });
+    assert.equal(status, 201);
+    return body;
+  }
+
+  async function bookingStatuses() {
+    const { rows } = await pool.query('SELECT id, status FROM bookings ORDER BY id');
+    return rows.map(row => [row.id, row.status]);
+  }
+
+  describe('PATCH /api/admin/slots/:id', () => {
+    it('moves a free slot, but not to a start time in the past', async () => {
+      const startTime = futureTime(30);
+
+      const moved = await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { start_time: startTime } });
+      const past = await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { start_time: futureTime(-1) } });
+
+      assert.equal(moved.status, 200);
+      assert.equal(moved.body.start_time, startTime);
+      assert.equal(moved.body.booking, null);
+      assert.deepEqual([past.status, past.body.code], [422, 'VALIDATION_FAILED']);
+      const { rows: [current] } = await pool.query('SELECT start_time FROM slots WHERE id = $1', [slot.id]);
+      assert.equal(current.start_time.toISOString(), startTime);
+    });
+
+    it('moves a booked slot only with on_booked=move', async () => {
+      const booking = await book();
+
+      const refused = await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { start_time: futureTime(30) } });
+      const moved = await api('PATCH', `/api/admin/slots/${slot.id}?on_booked=move`, { token: admin, body: { start_time: futureTime(30) } });
+
+      assert.deepEqual([refused.status, refused.body.code], [409, 'SLOT_BOOKED']);
+      assert.deepEqual(refused.body.details, { booking_id: booking.id });
+      assert.equal(moved.status, 200);
+      assert.deepEqual([moved.body.booking.id, moved.body.booking.status], [booking.id, 'CONFIRMED']);
+      assert.equal(moved.body.booking.calendar_sequence, 1);
+    });
+
+    it('keeps a blocked slot from being booked until it is unblocked', async () => {
+      const blocked = await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { blocked: true, block_reason: 'Team meeting' } });
+      const refused = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+      await api('PATCH', `/api/admin/slots/${slot.id}`, { token: admin, body: { blocked: false } });
+
+      assert.equal(blocked.status, 200);
+      assert.equal(blocked.body.block_reason, 'Team meeting');
+      assert.ok(blocked.body.blocked_at);
+      assert.equal(refused.status, 409);
+      await book();
+    });
+  });
+
+  describe('DELETE /api/admin/slots/:id', () => {
+    it('removes a slot that was never booked', async () => {
+      const { status, body } = await api('DELETE', `/api/admin/slots/${slot.id}`, { token: admin });
+
+      assert.equal(status, 200);
+      assert.deepEqual([body.deleted, body.cancelled_booking_id], [true, null]);
+      const { rows } = await pool.query('SELECT id FROM slots');
+      assert.deepEqual(rows, []);
+    });
+
+    it('refuses a booked slot, and cancels the booking with on_booked=cancel', async () => {
+      const booking = await book();
+
+      const refused = await api('DELETE', `/api/admin/slots/${slot.id}`, { token: admin });
+      const { status, body } = await api('DELETE', `/api/admin/slots/${slot.id}?on_booked=cancel`, { token: admin });
+
+      assert.equal(refused.status, 409);
+      assert.equal(status, 200);
+      assert.deepEqual([body.deleted, body.cancelled_booking_id], [false, booking.id]);
+      assert.deepEqual([body.slot.block_reason, body.slot.block_id], ['Slot deleted', null]);
+      const { rows: [cancelled] } = await pool.query('SELECT status, cancelled_by FROM bookings');
+      assert.deepEqual(cancelled, { status: 'CANCELLED', cancelled_by: 'admin' });
+    });
+
+    it('cancels nothing when the delete fails', async () => {
+      const booking = await book();
+      await pool.query(`
+        CREATE FUNCTION fail_slot_delete() RETURNS trigger LANGUAGE plpgsql AS $$
+        BEGIN RAISE EXCEPTION 'delete failed'; END $$;
+        CREATE TRIGGER fail_slot_delete BEFORE INSERT ON audit_log
+          FOR EACH ROW WHEN (NEW.action = 'slot.block') EXECUTE FUNCTION fail_slot_delete();
+      `);
+
+      let response;
+      try {
+        response = await api('DELETE', `/api/admin/slots/${slot.id}?on_booked=cancel`, { token: admin });
+      } finally {
+        await pool.query('DROP TRIGGER fail_slot_delete ON audit_log; DROP FUNCTION fail_slot_delete()');
+      }
+
+      assert.deepEqual([response.status, response.body.code], [500, 'INTERNAL_ERROR']);
+      assert.deepEqual(await bookingStatuses(), [[booking.id, 'CONFIRMED']]);
+      const { rows: [current] } = await pool.query('SELECT blocked_at FROM slots WHERE id = $1', [slot.id]);
+      assert.equal(current.blocked_at, null);
+    });
+  });
+
+  describe('blocked ranges', () => {
+    it('blocks the doctor\'s slots in the range and unblocks them when removed', async () => {
+      const booking = await book();
+      const outside = await createSlot(doctor.id, { startTime: futureTime(72) });
+
+      const created = await api('POST', `/api/admin/doctors/${doctor.id}/blocks`, {
+        token: admin,
+        body: { starts_at: futureTime(12), ends_at: futureTime(36), reason: 'Leave' }
+      });
+      const { rows: blocked } = await pool.query('SELECT id FROM slots WHERE block_id IS NOT NULL');
+      const removed = await api('DELETE', `/api/admin/blocks/${created.body.id}`, { token: admin });
+
+      assert.equal(created.status, 201);
+      assert.equal(created.body.blocked_slots, 1);
+      assert.deepEqual(created.body.affected_bookings.map(affected => affected.booking_id), [booking.id]);
+      assert.deepEqual(blocked.map(row => row.id), [slot.id]);
+      assert.equal(removed.status, 200);
+      assert.equal(removed.body.unblocked_slots, 1);
+      const { rows } = await pool.query('SELECT id, blocked_at FROM slots ORDER BY id');
+      assert.deepEqual(rows, [{ id: slot.id, blocked_at: null }, { id: outside.id, blocked_at: null }]);
+      assert.deepEqual(await bookingStatuses(), [[booking.id, 'CONFIRMED']]);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot, createPatient, futureTime
+} = require('./helpers');
+const waitlistService = require('../services/waitlistService');
+const bookingExpiryJob = require('../src/jobs/bookingExpiryJob');
+const jobs = require('../src/jobs');
+
+describe('waitlist offers', () => {
+  let doctor;
+  let slot;
+  let booked;
+  let waiting;
+
+  before(setup);
+  after(teardown);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+    booked = await createPatient({ name: 'Ada' });
+    waiting = await createPatient({ name: 'Bob' });
+  });
+
+  async function joinWaitlist() {
+    const { status, body } = await api('POST', `/api/doctors/${doctor.id}/waitlist`, { token: tokenFor('patient', waiting.id), body: {} });
+    assert.equal(status, 201);
+    return body;
+  }
+
+  async function offers() {
+    const { rows } = await pool.query('SELECT * FROM waitlist_offers ORDER BY id');
+    return rows;
+  }
+
+  /**
+   * The slots of the slot.available events the offer job has not processed yet
+   */
+  async function queuedSlotIds() {
+    const { rows } = await pool.query(
+      `SELECT entity_id FROM outbox_events WHERE event_type = 'slot.available' AND waitlist_processed_at IS NULL ORDER BY id`
+    );
+    return rows.map(row => row.entity_id);
+  }
+
+  it('queues a cancelled booking\'s slot and offers it from the job', async () => {
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', booked.id), body: {} });
+    const entry = await joinWaitlist();
+
+    const cancel = await api('POST', `/api/bookings/${booking.body.id}/cancel`, { token: tokenFor('patient', booked.id), body: {} });
+
+    assert.equal(cancel.status, 200);
+    assert.equal((await offers()).length, 0);
+    assert.deepEqual(await queuedSlotIds(), [slot.id]);
+
+    const run = await jobs.runNow('waitlistOfferJob');
+
+    assert.deepEqual(run.result, { events: 1, offered: 1 });
+    const [offer] = await offers();
+    assert.equal(offer.entry_id, entry.id);
+    assert.equal(offer.slot_id, slot.id);
+    const { rows: [held] } = await pool.query('SELECT * FROM bookings WHERE id = $1', [offer.booking_id]);
+    assert.equal(held.status, 'PENDING');
+    assert.equal(held.patient_id, waiting.id);
+    const { rows: [audit] } = await pool.query(
+      `SELECT actor_type, actor_id FROM audit_log WHERE entity = 'booking' AND entity_id = $1`,
+      [offer.booking_id]
+    );
+    assert.deepEqual(audit, { actor_type: 'system', actor_id: 'waitlistOfferJob' });
+
+    // Processed events are not offered again
+    assert.deepEqual(await queuedSlotIds(), []);
+    assert.deepEqual(await waitlistService.offerQueuedSlots(), { events: 0, offered: 0 });
+  });
+
+  it('queues the old slot of a rescheduled booking', async () => {
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', booked.id), body: {} });
+    await joinWaitlist();
+    const other = await createSlot(doctor.id, { startTime: futureTime(48) });
+
+    const reschedule = await api('POST', `/api/bookings/${booking.body.id}/reschedule`, {
+      token: tokenFor('patient', booked.id),
+      body: { slot_id: other.id }
+    });
+
+    assert.equal(reschedule.status, 200);
+    assert.deepEqual(await waitlistService.offerQueuedSlots(), { events: 1, offered: 1 });
+    assert.equal((await offers())[0].slot_id, slot.id);
+  });
+
+  it('queues a new slot', async () => {
+    await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', booked.id), body: {} });
+    await joinWaitlist();
+
+    const created = await api('POST', '/api/admin/slots', {
+      token: tokenFor('admin'),
+      body: { doctor_id: doctor.id, start_time: futureTime(72) }
+    });
+
+    assert.equal(created.status, 201);
+    assert.equal((await offers()).length, 0);
+    assert.deepEqual(await waitlistService.offerQueuedSlots(), { events: 1, offered: 1 });
+    assert.equal((await offers())[0].slot_id, created.body.id);
+  });
+
+  it('queues the slot of an expired hold, and lapses the expired offer with it', async () => {
+    const hold = await api('POST', `/api/slots/${slot.id}/hold`, { token: tokenFor('patient', booked.id), body: {} });
+    const entry = await joinWaitlist();
+    await pool.query(`UPDATE bookings SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [hold.body.id]);
+
+    assert.deepEqual(await bookingExpiryJob.run(), { expired: 1, released: 1 });
+
+    assert.deepEqual(await queuedSlotIds(), [slot.id]);
+    assert.deepEqual(await waitlistService.offerQueuedSlots(), { events: 1, offered: 1 });
+    const [offer] = await offers();
+    assert.equal(offer.slot_id, slot.id);
+
+    await pool.query(`UPDATE bookings SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [offer.booking_id]);
+    await bookingExpiryJob.run();
+
+    const { rows: [lapsed] } = await pool.query('SELECT status FROM waitlist_offers WHERE id = $1', [offer.id]);
+    const { rows: [lapsedEntry] } = await pool.query('SELECT status FROM waitlist_entries WHERE id = $1', [entry.id]);
+    assert.equal(lapsed.status, 'LAPSED');
+    assert.equal(lapsedEntry.status, 'LAPSED');
+    assert.deepEqual(await queuedSlotIds(), [slot.id]);
+  });
+
+  it('does not queue a slot when the change is rolled back', async () => {
+    await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', booked.id), body: {} });
+
+    const overlapping = await api('POST', '/api/admin/slots', {
+      token: tokenFor('admin'),
+      body: { doctor_id: doctor.id, start_time: slot.start_time.toISOString() }
+    });
+
+    assert.equal(overlapping.status, 409);
+    assert.deepEqual(await queuedSlotIds(), []);
+  });
+
+  it('keeps the event of a slot that failed to be offered queued', async () => {
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { token: tokenFor('patient', booked.id), body: {} });
+    await joinWaitlist();
+    // A slot of a doctor nobody waits for, which needs no offer
+    const other = await createSlot((await createDoctor({ name: 'Dr Other' })).id);
+    await waitlistService.queueOffers(pool, [other.id]);
+    await api('POST', `/api/bookings/${booking.body.id}/cancel`, { token: tokenFor('patient', booked.id), body: {} });
+    await pool.query(`
+      CREATE FUNCTION fail_waitlist_offer() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN RAISE EXCEPTION 'offer failed'; END $$;
+      CREATE TRIGGER fail_waitlist_offer BEFORE INSERT ON waitlist_offers
+        FOR EACH ROW EXECUTE FUNCTION fail_waitlist_offer();
+    `);
+
+    let failed;
+    try {
+      failed = await waitlistService.offerQueuedSlots();
+    } finally {
+      await pool.query('DROP TRIGGER fail_waitlist_offer ON waitlist_offers; DROP FUNCTION fail_waitlist_offer()');
+    }
+
+    assert.deepEqual(failed, { events: 1, offered: 0 });
+    assert.deepEqual(await queuedSlotIds(), [slot.id]);
+    const { rows: [entry] } = await pool.query('SELECT status FROM waitlist_entries');
+    assert.equal(entry.status, 'WAITING');
+
+    assert.deepEqual(await waitlistService.offerQueuedSlots(), { events: 1, offered: 1 });
+    assert.equal((await offers())[0].slot_id, slot.id);
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const {
+  pool, setup, teardown, resetDatabase, api, tokenFor, createDoctor, createSlot
+} = require('./helpers');
+const webhookService = require('../services/webhookService');
+
+const SECRET = 'whsec_test_secret_value';
+
+describe('webhooks', () => {
+  const admin = tokenFor('admin');
+  let receiver;
+  let receiverUrl;
+  // Requests the receiver got, and the status it answers with
+  let received;
+  let responseStatus;
+  let slot;
+
+  before(async () => {
+    await setup();
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await teardown();
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    received = [];
+    responseStatus = 200;
+    const doctor = await createDoctor();
+    slot = await createSlot(doctor.id);
+  });
+
+  /**
+   * Subscribe the receiver through the admin API
+   */
+  async function subscribe(body = {}) {
+    const { status, body: subscription } = await api('POST', '/api/admin/webhooks', {
+      token: admin,
+      body: { url: receiverUrl, secret: SECRET, ...body }
+    });
+    assert.equal(status, 201);
+    return subscription;
+  }
+
+  /**
+   * Book the slot and fan the booking.created event out
+   */
+  async function bookAndFanOut() {
+    const booking = await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+    await webhookService.fanOutEvents();
+    return booking.body;
+  }
+
+  /**
+   * Claim due deliveries and send them, like one dispatcher run
+   */
+  async function dispatch() {
+    const deliveries = await webhookService.claimDueDeliveries();
+    return Promise.all(deliveries.map(delivery => webhookService.sendDelivery(delivery)));
+  }
+
+  async function deliveryRows() {
+    const { rows } = await pool.query(
+      `SELECT d.*, e.event_type,
+              EXTRACT(EPOCH FROM d.next_attempt_at - d.last_attempted_at)::int AS retry_seconds
+       FROM webhook_deliveries d JOIN outbox_events e ON e.id = d.event_id
+       ORDER BY d.id`
+    );
+    return rows;
+  }
+
+  describe('fanOutEvents', () => {
+    it('creates one delivery per matching active subscription, once', async () => {
+      const all = await subscribe();
+      const bookings = await subscribe({ event_types: ['booking.created'] });
+      await subscribe({ event_types: ['booking.cancelled'] });
+      const inactive = await subscribe();
+      await api('PATCH', `/api/admin/webhooks/${inactive.id}`, { token: admin, body: { active: false } });
+      await api('POST', `/api/slots/${slot.id}/book`, { body: { patient_name: 'Ada' } });
+
+      const first = await webhookService.fanOutEvents();
+      const second = await webhookService.fanOutEvents();
+
+      assert.deepEqual(first, { events: 1, deliveries: 2 });
+      assert.deepEqual(second, { events: 0, deliveries: 0 });
+      const rows = await deliveryRows();
+      assert.deepEqual(rows.map(row => [row.subscription_id, row.event_type, row.status]), [
+        [all.id, 'booking.created', 'PENDING'],
+        [bookings.id, 'booking.created', 'PENDING']
+      ]);
+    });
+
+    it('never delivers event types subscriptions cannot choose', async () => {
+      await subscribe();
+      await pool.query(
+        `INSERT INTO outbox_events (event_type, entity, entity_id, payload) VALUES ('internal.test', 'slot', $1, '{}')`,
+        [slot.id]
+      );
+
+      assert.deepEqual(await webhookService.fanOutEvents(), { events: 1, deliveries: 0 });
+    });
+  });
+
+  describe('claimDueDeliveries', () => {
+    it('claims due deliveries once', async () => {
+      await subscribe();
+      await bookAndFanOut();
+
+      const first = await webhookService.claimDueDeliveries();
+      const second = await webhookService.claimDueDeliveries();
+
+      assert.equal(first.length, 1);
+      assert.deepEqual([first[0].event_type, first[0].url, first[0].secret], ['booking.created', receiverUrl, SECRET]);
+      assert.equal(second.length, 0);
+    });
+
+    it('skips deliveries that are not due yet', async () => {
+      await subscribe();
+      await bookAndFanOut();
+      await pool.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() + INTERVAL '1 minute'`);
+
+      assert.equal((await webhookService.claimDueDeliveries()).length, 0);
+    });
+  });
+
+  describe('sendDelivery', () => {
+    it('posts the event with a signature the receiver can verify', async () => {
+      const subscription = await subscribe();
+      const booking = await bookAndFanOut();
+
+      assert.deepEqual(await dispatch(), ['DELIVERED']);
+
+      assert.equal(received.length, 1);
+      const { headers, body } = received[0];
+      assert.equal(headers['x-webhook-event'], 'booking.created');
+      const signature = Object.fromEntries(headers['x-webhook-signature'].split(',').map(part => part.split('=')));
+      const expected = crypto.createHmac('sha256', SECRET).update(`${signature.t}.${body}`).digest('hex');
+      assert.equal(signature.v1, expected);
+      assert.notEqual(signature.v1, crypto.createHmac('sha256', 'whsec_another_secret').update(`${signature.t}.${body}`).digest('hex'));
+      assert.ok(Math.abs(Date.now() / 1000 - Number(signature.t)) < 60);
+      const event = JSON.parse(body);
+      assert.equal(event.type, 'booking.created');
+      assert.equal(event.data.id, booking.id);
+
+      const [delivery] = await deliveryRows();
+      assert.equal(delivery.subscription_id, subscription.id);
+      assert.deepEqual([delivery.status, delivery.attempts, delivery.last_status_code], ['DELIVERED', 1, 200]);
+      assert.ok(delivery.delivered_at);
+    });
+
+    it('retries a failed delivery with exponential backoff', async () => {
+      await subscribe();
+      await bookAndFanOut();
+      responseStatus = 500;
+
+      assert.deepEqual(await dispatch(), ['PENDING']);
+      const [first] = await deliveryRows();
+      await pool.query('UPDATE webhook_deliveries SET next_attempt_at = NOW()');
+      assert.deepEqual(await dispatch(), ['PENDING']);
+      const [second] = await deliveryRows();
+
+      assert.equal(received.length, 2);
+      assert.deepEqual([first.attempts, first.last_status_code, first.last_error], [1, 500, 'Receiver responded with 500']);
+      assert.equal(second.attempts, 2);
+      assert.equal(second.retry_seconds, first.retry_seconds * 2);
+    });
+
+    it('dead-letters a delivery after the last attempt fails', async () => {
+      await subscribe();
+      await bookAndFanOut();
+      await pool.query('UPDATE webhook_deliveries SET attempts = $1', [webhookService.MAX_ATTEMPTS - 1]);
+      responseStatus = 500;
+
+      assert.deepEqual(await dispatch(), ['DEAD']);
+      const [delivery] = await deliveryRows();
+      assert.deepEqual([delivery.status, delivery.attempts], ['DEAD', webhookService.MAX_ATTEMPTS]);
+      assert.equal((await webhookService.claimDueDeliveries()).length, 0);
+    });
+  });
+
+  describe('/api/admin/webhooks', () => {
+    it('replays a dead-lettered delivery', async () => {
+      await subscribe();
+      await bookAndFanOut();
+      await pool.query(`UPDATE webhook_deliveries SET status = 'DEAD', attempts = $1`, [webhookService.MAX_ATTEMPTS]);
+      const [dead] = await deliveryRows();
+
+      const listed = await api('GET', '/api/admin/webhooks/deliveries?status=DEAD', { token: admin });
+      const replay = await api('POST', `/api/admin/webhooks/deliveries/${dead.id}/replay`, { token: admin });
+      const statuses = await dispatch();
+
+      assert.deepEqual(listed.body.data.map(delivery => delivery.id), [dead.id]);
+      assert.equal(replay.status, 200);
+      assert.deepEqual([replay.body.status, replay.body.attempts], ['PENDING', 0]);
+      assert.deepEqual(statuses, ['DELIVERED']);
+      assert.equal(received.length, 1);
+    });
+
+    it('is only for admins', async () => {
+      const { status } = await api('GET', '/api/admin/webhooks', { token: tokenFor('front_desk') });
+
+      assert.equal(status, 403);
+    });
+  });
+});